@@ -8,6 +8,10 @@ const { google } = require('googleapis');
 const readline = require('readline');
 require('dotenv').config();
 
+const config = require('../src/config');
+const OAuthFlow = require('../src/services/OAuthFlow');
+const TokenStore = require('../src/services/TokenStore');
+
 const rl = readline.createInterface({
   input: process.stdin,
   output: process.stdout,
@@ -17,13 +21,44 @@ function question(query) {
   return new Promise(resolve => rl.question(query, resolve));
 }
 
-async function getTokens() {
+function getOption(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : null;
+}
+
+// Channels whose token store should receive the tokens (--channel narrows it to one)
+function getTargetConfigs(channelId) {
+  const channelConfigs = config.getChannelConfigs();
+
+  if (!channelId) return channelConfigs;
+
+  const match = channelConfigs.find(channelConfig => channelConfig.YOUTUBE_CHANNEL_ID === channelId);
+  return match ? [match] : [];
+}
+
+function createOAuthClient(channelConfig) {
+  return new google.auth.OAuth2({
+    clientId: channelConfig.YOUTUBE_CLIENT_ID,
+    clientSecret: channelConfig.YOUTUBE_CLIENT_SECRET,
+    endpoints: channelConfig.OAUTH_TOKEN_URL ? { oauth2TokenUrl: channelConfig.OAUTH_TOKEN_URL } : {}
+  });
+}
+
+async function getTokens({ device = false, channelId = null } = {}) {
   console.log('🔐 YouTube OAuth Token Generator');
   console.log('================================\n');
 
-  const CLIENT_ID = process.env.YOUTUBE_CLIENT_ID;
-  const CLIENT_SECRET = process.env.YOUTUBE_CLIENT_SECRET;
-  const REDIRECT_URI = 'urn:ietf:wg:oauth:2.0:oob';
+  const targets = getTargetConfigs(channelId);
+
+  if (targets.length === 0) {
+    console.error(channelId
+      ? `❌ Channel ${channelId} is not listed in YOUTUBE_CHANNEL_ID`
+      : '❌ Missing YOUTUBE_CHANNEL_ID in .env file');
+    rl.close();
+    return;
+  }
+
+  const { YOUTUBE_CLIENT_ID: CLIENT_ID, YOUTUBE_CLIENT_SECRET: CLIENT_SECRET } = targets[0];
 
   if (!CLIENT_ID || !CLIENT_SECRET) {
     console.error('❌ Missing YOUTUBE_CLIENT_ID or YOUTUBE_CLIENT_SECRET in .env file');
@@ -42,83 +77,98 @@ async function getTokens() {
     return;
   }
 
-  const oauth2Client = new google.auth.OAuth2(CLIENT_ID, CLIENT_SECRET, REDIRECT_URI);
-
-  const authUrl = oauth2Client.generateAuthUrl({
-    access_type: 'offline',
-    scope: ['https://www.googleapis.com/auth/youtube']
+  const flow = new OAuthFlow({
+    clientId: CLIENT_ID,
+    clientSecret: CLIENT_SECRET,
+    endpoints: targets[0].OAUTH_TOKEN_URL ? { oauth2TokenUrl: targets[0].OAUTH_TOKEN_URL } : {}
   });
 
-  console.log('\n🔗 Step 1: Visit this URL to authorize the application:');
-  console.log('━'.repeat(80));
-  console.log(`${authUrl}`);
-  console.log('━'.repeat(80));
-  console.log('\n📋 Instructions:');
-  console.log('1. Click the link above (or copy/paste into your browser)');
-  console.log('2. Sign in with the YouTube account that owns the channel');
-  console.log('3. Click "Allow" to grant permissions');
-  console.log('4. Copy the authorization code from the page');
-  console.log('5. Paste it below');
-
-  const code = await question('\n🔑 Step 2: Enter the authorization code: ');
-
-  if (!code || code.trim().length === 0) {
-    console.log('❌ No authorization code provided. Exiting.');
-    rl.close();
-    return;
-  }
-
   try {
-    console.log('\n⏳ Exchanging authorization code for tokens...');
-    
-    const { tokens } = await oauth2Client.getToken(code.trim());
-    
+    let tokens;
+
+    if (device) {
+      tokens = await flow.authorizeWithDeviceCode({
+        onUserCode: ({ userCode, verificationUrl, expiresIn }) => {
+          console.log('\n🔗 Step 1: On any device with a browser, visit:');
+          console.log('━'.repeat(80));
+          console.log(`${verificationUrl}`);
+          console.log('━'.repeat(80));
+          console.log(`\n🔑 Step 2: Enter this code: ${userCode}`);
+          console.log(`   (expires in ${Math.round(expiresIn / 60)} minutes)`);
+          console.log('\n⏳ Waiting for you to approve access...');
+        }
+      });
+    } else {
+      tokens = await flow.authorizeWithLoopback({
+        onAuthUrl: (authUrl) => {
+          console.log('\n🔗 Step 1: Visit this URL to authorize the application:');
+          console.log('━'.repeat(80));
+          console.log(`${authUrl}`);
+          console.log('━'.repeat(80));
+          console.log('\n📋 Instructions:');
+          console.log('1. Open the link above in a browser on this machine');
+          console.log('2. Sign in with the YouTube account that owns the channel');
+          console.log('3. Click "Allow" to grant permissions');
+          console.log('4. The browser returns to this script automatically');
+          console.log('\n💡 On a headless server, use --device instead');
+          console.log('\n⏳ Waiting for authorization...');
+        }
+      });
+    }
+
+    if (!tokens.refresh_token) {
+      console.log('\n⚠️  No refresh token was returned - the bot will lose access when the access token expires.');
+      console.log('   Remove the app under Google Account > Security > Third-party access and run this again.');
+    }
+
+    for (const channelConfig of targets) {
+      new TokenStore(channelConfig).replace(tokens);
+      console.log(`💾 Saved tokens for ${channelConfig.YOUTUBE_CHANNEL_ID} to ${TokenStore.getPath(channelConfig)}`);
+    }
+
     console.log('\n✅ Success! OAuth tokens generated successfully');
     console.log('━'.repeat(60));
     console.log('📋 Your OAuth Tokens:');
     console.log('━'.repeat(60));
     console.log(JSON.stringify(tokens, null, 2));
     console.log('━'.repeat(60));
-    
+
     console.log('\n📝 Next Steps:');
-    console.log('1. Copy the entire JSON object above');
-    console.log('2. Add this line to your .env file:');
+    console.log('1. Restart the bot - it loads tokens from the data directory automatically');
+    console.log('2. If your host has no persistent disk (e.g. Railway), add this variable instead:');
     console.log(`   OAUTH_TOKENS=${JSON.stringify(tokens)}`);
-    console.log('\n   OR if deploying to Railway:');
-    console.log('   Add OAUTH_TOKENS as an environment variable with the JSON value');
-    
+
     console.log('\n⚠️  Security Notes:');
     console.log('   - Keep these tokens secure and never share them publicly');
     console.log('   - These tokens allow sending messages as your account');
     console.log('   - If compromised, revoke access in your Google Account settings');
     console.log('   - Tokens will refresh automatically when they expire');
-    
+
     console.log('\n🎉 Your bot can now send messages to chat!');
-    
+
     // Offer to save directly to .env file
-    const saveToEnv = await question('\n💾 Save directly to .env file? (y/N): ');
+    const saveToEnv = await question('\n💾 Also save to .env file? (y/N): ');
     if (saveToEnv.toLowerCase() === 'y') {
       await saveTokensToEnv(tokens);
     }
-    
+
   } catch (error) {
     console.error('\n❌ Error retrieving tokens:');
-    
-    if (error.code === 'invalid_grant') {
+
+    if (error.message === 'invalid_grant') {
       console.error('   - The authorization code has expired or is invalid');
-      console.error('   - Please try again with a fresh authorization code');
-    } else if (error.code === 'invalid_client') {
-      console.error('   - Invalid client credentials');
+      console.error('   - Please run the script again');
+    } else if (error.message === 'invalid_client' || error.message === 'unauthorized_client') {
+      console.error('   - Invalid client credentials for this flow');
       console.error('   - Check your YOUTUBE_CLIENT_ID and YOUTUBE_CLIENT_SECRET');
     } else {
       console.error(`   - ${error.message}`);
     }
-    
+
     console.log('\n🔧 Troubleshooting:');
-    console.log('   - Ensure you copied the entire authorization code');
-    console.log('   - Make sure your OAuth client is configured for "Desktop application"');
+    console.log('   - The browser flow needs an OAuth client of type "Desktop app"');
+    console.log('   - The --device flow needs an OAuth client of type "TVs and Limited Input devices"');
     console.log('   - Verify your .env file has correct CLIENT_ID and CLIENT_SECRET');
-    console.log('   - Try generating a new authorization code');
   }
 
   rl.close();
@@ -169,45 +219,55 @@ async function saveTokensToEnv(tokens) {
 }
 
 // Validate existing tokens
-async function validateTokens() {
+async function validateTokens({ channelId = null } = {}) {
   console.log('🔍 Validating existing OAuth tokens...\n');
-  
-  const tokensStr = process.env.OAUTH_TOKENS;
-  if (!tokensStr) {
-    console.log('❌ No OAUTH_TOKENS found in environment');
+
+  const targets = getTargetConfigs(channelId);
+  let allValid = targets.length > 0;
+
+  for (const channelConfig of targets) {
+    if (targets.length > 1) console.log(`\n📺 ${channelConfig.YOUTUBE_CHANNEL_ID}`);
+    const valid = await validateChannelTokens(channelConfig);
+    allValid = allValid && valid;
+  }
+
+  return allValid;
+}
+
+async function validateChannelTokens(channelConfig) {
+  const tokenStore = new TokenStore(channelConfig);
+  const loaded = tokenStore.load();
+
+  if (!loaded) {
+    console.log('❌ No OAuth tokens found in the data directory or OAUTH_TOKENS');
     console.log('Run "npm run get-tokens" to generate tokens');
     return false;
   }
-  
+
   try {
-    const tokens = JSON.parse(tokensStr);
-    
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.YOUTUBE_CLIENT_ID,
-      process.env.YOUTUBE_CLIENT_SECRET,
-      'urn:ietf:wg:oauth:2.0:oob'
-    );
-    
+    const { tokens, source } = loaded;
+    console.log(`📂 Using tokens from ${source === 'store' ? TokenStore.getPath(channelConfig) : 'OAUTH_TOKENS'}`);
+
+    const oauth2Client = createOAuthClient(channelConfig);
     oauth2Client.setCredentials(tokens);
-    
+
     // Try to refresh tokens if they're expired
     if (tokens.expiry_date && Date.now() >= tokens.expiry_date) {
       console.log('⏳ Tokens expired, attempting to refresh...');
       const { credentials } = await oauth2Client.refreshAccessToken();
-      console.log('✅ Tokens refreshed successfully');
-      
-      // Offer to save refreshed tokens
-      const save = await question('💾 Save refreshed tokens to .env? (y/N): ');
-      if (save.toLowerCase() === 'y') {
-        await saveTokensToEnv(credentials);
-      }
+      tokenStore.save(credentials);
+      console.log('✅ Tokens refreshed and saved');
     } else {
       console.log('✅ Tokens are valid and not expired');
     }
-    
+
     // Test tokens by making a simple API call
-    const youtube = google.youtube({ version: 'v3', auth: oauth2Client });
-    
+    const youtube = google.youtube({
+      version: 'v3',
+      auth: oauth2Client,
+      ...(channelConfig.YOUTUBE_API_ROOT ? { rootUrl: channelConfig.YOUTUBE_API_ROOT } : {})
+    });
+
     try {
       await youtube.channels.list({
         part: ['snippet'],
@@ -219,48 +279,54 @@ async function validateTokens() {
       console.log('❌ Tokens exist but API test failed:', apiError.message);
       return false;
     }
-    
+
   } catch (error) {
-    console.error('❌ Invalid token format:', error.message);
+    console.error('❌ Token check failed:', error.message);
     console.log('Please run "npm run get-tokens" to generate new tokens');
     return false;
   }
 }
 
 // Revoke tokens
-async function revokeTokens() {
+async function revokeTokens({ channelId = null } = {}) {
   console.log('🗑️  Revoking OAuth tokens...\n');
-  
-  const tokensStr = process.env.OAUTH_TOKENS;
-  if (!tokensStr) {
+
+  const targets = getTargetConfigs(channelId)
+    .map(channelConfig => ({ channelConfig, loaded: new TokenStore(channelConfig).load() }))
+    .filter(target => target.loaded);
+
+  if (targets.length === 0) {
     console.log('❌ No tokens found to revoke');
     return;
   }
-  
+
   const confirm = await question('⚠️  This will permanently revoke your bot\'s access. Continue? (y/N): ');
   if (confirm.toLowerCase() !== 'y') {
     console.log('Revocation cancelled');
     return;
   }
-  
-  try {
-    const tokens = JSON.parse(tokensStr);
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.YOUTUBE_CLIENT_ID,
-      process.env.YOUTUBE_CLIENT_SECRET,
-      'urn:ietf:wg:oauth:2.0:oob'
-    );
-    
-    oauth2Client.setCredentials(tokens);
-    await oauth2Client.revokeCredentials();
-    
-    console.log('✅ Tokens revoked successfully');
-    console.log('💡 Remove OAUTH_TOKENS from your .env file');
-    console.log('🤖 Your bot will now run in read-only mode');
-    
-  } catch (error) {
-    console.error('❌ Failed to revoke tokens:', error.message);
+
+  for (const { channelConfig, loaded } of targets) {
+    try {
+      const oauth2Client = createOAuthClient(channelConfig);
+      oauth2Client.setCredentials(loaded.tokens);
+      await oauth2Client.revokeCredentials();
+
+      if (loaded.source === 'store') {
+        new TokenStore(channelConfig).clear();
+      }
+
+      console.log(`✅ Tokens for ${channelConfig.YOUTUBE_CHANNEL_ID} revoked successfully`);
+      if (loaded.source === 'env') {
+        console.log('💡 Remove OAUTH_TOKENS from your .env file');
+      }
+
+    } catch (error) {
+      console.error(`❌ Failed to revoke tokens for ${channelConfig.YOUTUBE_CHANNEL_ID}:`, error.message);
+    }
   }
+
+  console.log('🤖 Your bot will now run in read-only mode');
 }
 
 // Main function
@@ -272,10 +338,14 @@ async function main() {
 🔐 OAuth Token Generator Help
 
 Commands:
-  npm run get-tokens              Generate new OAuth tokens
-  npm run get-tokens -- --validate    Validate existing tokens  
-  npm run get-tokens -- --revoke      Revoke existing tokens
-  npm run get-tokens -- --help        Show this help
+  npm run get-tokens                    Generate new OAuth tokens (browser on this machine)
+  npm run get-tokens -- --device        Generate tokens with a device code (headless servers)
+  npm run get-tokens -- --validate      Validate existing tokens
+  npm run get-tokens -- --revoke        Revoke existing tokens
+  npm run get-tokens -- --help          Show this help
+
+Options:
+  --channel <id>    Only use this channel's token store (default: every channel)
 
 What are OAuth tokens?
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -288,27 +358,31 @@ The tokens are tied to your YouTube account and allow the bot to:
 - Access your channel information
 
 Security:
-- Tokens are stored locally in your .env file
+- Tokens are stored in DATA_DIR/oauth-tokens-<channel>.json
+- OAUTH_TOKENS in .env is only used until the first save
 - Never share tokens publicly
 - Tokens refresh automatically when they expire
 - You can revoke access anytime
 
 Required Setup:
 1. Google Cloud Project with YouTube Data API v3 enabled
-2. OAuth 2.0 Client ID (Desktop application type)
+2. OAuth 2.0 Client ID ("Desktop app", or "TVs and Limited Input devices" for --device)
 3. Valid YOUTUBE_CLIENT_ID and YOUTUBE_CLIENT_SECRET in .env
     `);
     rl.close();
     return;
   }
   
+  const channelId = getOption(args, '--channel');
+
   if (args.includes('--validate')) {
-    await validateTokens();
+    await validateTokens({ channelId });
   } else if (args.includes('--revoke')) {
-    await revokeTokens();
+    await revokeTokens({ channelId });
   } else {
-    await getTokens();
+    await getTokens({ device: args.includes('--device'), channelId });
   }
+  rl.close();
 }
 
 // Handle interruption gracefully
@@ -43,7 +43,7 @@ async function setup() {
     YOUTUBE_CLIENT_SECRET: await question('YouTube Client Secret: '),
     YOUTUBE_CHANNEL_ID: await question('Your YouTube Channel ID: '),
     BOT_NAME: await question('Bot Name (default: GameBuddy): ') || 'GameBuddy',
-    OWNER_USERNAME: await question('Your YouTube Display Name (optional): '),
+    OWNER_USERNAME: await question('Your YouTube Display Name (optional, used to spot impersonators): '),
     STREAM_START_HOUR: await question('Stream Start Hour (0-23, default: 18): ') || '18',
     STREAM_END_HOUR: await question('Stream End Hour (0-23, default: 23): ') || '23'
   };
@@ -223,9 +223,9 @@ async function advancedSetup() {
 
   // Optional configurations
   config.BOT_NAME = await question('Bot Name (default: GameBuddy): ') || 'GameBuddy';
-  config.OWNER_USERNAME = await question('Your YouTube Display Name (for admin commands): ');
+  config.OWNER_USERNAME = await question('Your YouTube Display Name (used to spot impersonators): ');
 
-  const moderators = await question('Moderator usernames (comma-separated): ');
+  const moderators = await question('Moderator channel IDs (comma-separated): ');
   if (moderators) config.MODERATORS = moderators;
 
   // Streaming schedule
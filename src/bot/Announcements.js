@@ -0,0 +1,217 @@
+/**
+ * Timed announcements
+ * Named timers that post a message every so often while the stream is live,
+ * rotating through their messages. A timer only posts once its interval has
+ * passed and chat has seen enough lines since its last post, so an empty chat
+ * never gets spammed. Timers are persisted per channel; activity is not.
+ */
+
+const path = require('path');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
+const constants = require('../config/constants');
+
+const NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+const MAX_MESSAGE_LENGTH = 200;
+const OPTIONS = ['interval', 'lines', 'enabled'];
+
+class Announcements {
+  constructor(config) {
+    this.store = new JsonStore(path.join(config.DATA_DIR, `announcements-${config.YOUTUBE_CHANNEL_ID}.json`));
+
+    // name -> { name, messages, interval, minLines, enabled, next, createdBy, createdAt, updatedAt }
+    const saved = this.store.read();
+    this.timers = new Map(Object.entries(saved?.timers || {}));
+
+    // name -> { lastPostedAt, lines }, counted from when chat connected
+    this.activity = new Map();
+  }
+
+  get(name) {
+    return this.timers.get(String(name || '').toLowerCase()) || null;
+  }
+
+  list() {
+    return Array.from(this.timers.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Leading key=value words are settings (interval in minutes), the rest is the message
+  parseDefinition(text) {
+    const options = {};
+    let rest = String(text || '').trim();
+
+    let match;
+    while ((match = rest.match(/^([a-z]+)=(\S+)\s*/i)) && OPTIONS.includes(match[1].toLowerCase())) {
+      const key = match[1].toLowerCase();
+      const value = match[2].toLowerCase();
+
+      if (key === 'enabled') {
+        if (!['on', 'off'].includes(value)) throw new Error('enabled must be on or off');
+        options.enabled = value === 'on';
+      } else {
+        const number = Number(value.replace(/m$/, ''));
+        if (!Number.isFinite(number)) throw new Error(`${key} must be a number`);
+        if (key === 'interval') options.interval = number * 60000;
+        else options.minLines = number;
+      }
+      rest = rest.slice(match[0].length);
+    }
+
+    return { options, message: rest };
+  }
+
+  create(name, messages, options = {}, createdBy = null) {
+    const key = String(name || '').toLowerCase();
+    if (!NAME_PATTERN.test(key)) throw new Error('Timer names are 1-32 letters, digits, - or _');
+    if (this.timers.has(key)) throw new Error(`Timer ${key} already exists`);
+    if (this.timers.size >= constants.LIMITS.ANNOUNCEMENTS) throw new Error(`Already ${this.timers.size} timers`);
+
+    const now = new Date().toISOString();
+    const timer = {
+      name: key,
+      messages: [],
+      interval: constants.INTERVALS.ANNOUNCEMENT_DEFAULT,
+      minLines: constants.LIMITS.ANNOUNCEMENT_MIN_LINES,
+      enabled: true,
+      next: 0,
+      createdBy,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.apply(timer, { ...options, messages });
+    if (timer.messages.length === 0) throw new Error('No message given');
+
+    this.timers.set(key, timer);
+    this.activity.set(key, { lastPostedAt: Date.now(), lines: 0 });
+    this.save();
+
+    logger.info(`⏰ Timer ${key} added${createdBy ? ` by ${createdBy}` : ''}: every ${timer.interval / 60000} min, ${timer.minLines} lines`);
+    return timer;
+  }
+
+  // Adds a message to the rotation, creating the timer if needed
+  add(name, message, options = {}, createdBy = null) {
+    const timer = this.get(name);
+    if (!timer) return this.create(name, [message], options, createdBy);
+
+    this.update(name, { ...options, messages: [...timer.messages, message] });
+    return timer;
+  }
+
+  // Only the given settings change; messages replaces the whole rotation
+  update(name, changes) {
+    const timer = this.get(name);
+    if (!timer) throw new Error(`No timer ${String(name || '').toLowerCase()}`);
+
+    const updated = { ...timer, messages: [...timer.messages] };
+    this.apply(updated, changes);
+    if (updated.messages.length === 0) throw new Error('Timers need at least one message');
+
+    Object.assign(timer, updated, { next: updated.next % updated.messages.length, updatedAt: new Date().toISOString() });
+    this.save();
+
+    logger.info(`⏰ Timer ${timer.name} updated`);
+    return timer;
+  }
+
+  apply(timer, { messages, interval, minLines, enabled }) {
+    if (messages !== undefined) {
+      if (!Array.isArray(messages)) throw new Error('messages must be a list');
+      const texts = messages.map(message => String(message || '').trim());
+      if (texts.some(text => !text)) throw new Error('No message given');
+      if (texts.some(text => text.length > MAX_MESSAGE_LENGTH)) throw new Error(`Messages are at most ${MAX_MESSAGE_LENGTH} characters`);
+      if (texts.length > constants.LIMITS.ANNOUNCEMENT_MESSAGES) throw new Error(`Timers have at most ${constants.LIMITS.ANNOUNCEMENT_MESSAGES} messages`);
+      timer.messages = texts;
+    }
+    if (interval !== undefined) {
+      if (!Number.isFinite(interval) || interval < constants.INTERVALS.ANNOUNCEMENT_MIN) {
+        throw new Error(`interval must be at least ${constants.INTERVALS.ANNOUNCEMENT_MIN / 60000} min`);
+      }
+      timer.interval = interval;
+    }
+    if (minLines !== undefined) {
+      if (!Number.isInteger(minLines) || minLines < 0) throw new Error('lines must be a whole number');
+      timer.minLines = minLines;
+    }
+    if (enabled !== undefined) timer.enabled = !!enabled;
+  }
+
+  // The whole timer, or one message of it by its 1-based number; null if there is no such thing
+  remove(name, number = null) {
+    const timer = this.get(name);
+    if (!timer) return null;
+
+    if (number !== null) {
+      const removed = timer.messages[number - 1];
+      if (!removed) return null;
+      this.update(name, { messages: timer.messages.filter((message, index) => index !== number - 1) });
+      return removed;
+    }
+
+    this.timers.delete(timer.name);
+    this.activity.delete(timer.name);
+    this.save();
+
+    logger.info(`⏰ Timer ${timer.name} removed`);
+    return timer;
+  }
+
+  // Chat just connected: intervals and line counts start over
+  reset(now = Date.now()) {
+    this.activity.clear();
+    this.timers.forEach(timer => this.activity.set(timer.name, { lastPostedAt: now, lines: 0 }));
+  }
+
+  recordLine() {
+    this.activity.forEach(activity => activity.lines++);
+  }
+
+  getActivity(name, now = Date.now()) {
+    if (!this.activity.has(name)) this.activity.set(name, { lastPostedAt: now, lines: 0 });
+    return this.activity.get(name);
+  }
+
+  // The timer that has been due the longest, or null
+  due(now = Date.now()) {
+    return this.list()
+      .filter(timer => timer.enabled && timer.messages.length > 0)
+      .map(timer => ({ timer, activity: this.getActivity(timer.name, now) }))
+      .filter(({ timer, activity }) => now - activity.lastPostedAt >= timer.interval && activity.lines >= timer.minLines)
+      .sort((a, b) => (a.activity.lastPostedAt + a.timer.interval) - (b.activity.lastPostedAt + b.timer.interval))[0]?.timer || null;
+  }
+
+  // Returns the message to post and moves the rotation on
+  markPosted(timer, now = Date.now()) {
+    const message = timer.messages[timer.next % timer.messages.length];
+    timer.next = (timer.next + 1) % timer.messages.length;
+    this.activity.set(timer.name, { lastPostedAt: now, lines: 0 });
+    this.save();
+    return message;
+  }
+
+  // Timers with how far along they are, for the API
+  describe(now = Date.now()) {
+    return this.list().map(timer => {
+      const activity = this.getActivity(timer.name, now);
+      return { ...timer, lastPostedAt: new Date(activity.lastPostedAt).toISOString(), linesSince: activity.lines };
+    });
+  }
+
+  save() {
+    this.store.write({
+      timers: Object.fromEntries(this.timers),
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  getStats() {
+    const timers = this.list();
+    return {
+      file: this.store.filePath,
+      timers: timers.length,
+      enabled: timers.filter(timer => timer.enabled).length
+    };
+  }
+}
+
+module.exports = Announcements;
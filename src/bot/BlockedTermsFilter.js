@@ -0,0 +1,232 @@
+/**
+ * Blocked terms with severity tiers
+ * Terms are exact words/phrases, wildcards (* and ?) or /regex/, matched against
+ * a normalised copy of the message so leetspeak and look-alike letters don't slip
+ * through. The list is managed from chat and persisted per channel.
+ */
+
+const path = require('path');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
+const constants = require('../config/constants');
+
+const SEVERITIES = Object.values(constants.MODERATION_ACTIONS).filter(action => action !== constants.MODERATION_ACTIONS.NONE);
+const EXEMPT_ROLES = ['owner', 'moderator', 'member'];
+const MAX_TERM_LENGTH = 200;
+
+// Look-alike characters NFKD doesn't fold (Cyrillic/Greek) and common leetspeak
+const CONFUSABLES = {
+  'а': 'a', 'е': 'e', 'о': 'o', 'р': 'p', 'с': 'c', 'х': 'x', 'у': 'y', 'і': 'i', 'ј': 'j', 'ѕ': 's', 'к': 'k', 'м': 'm', 'т': 't', 'в': 'b', 'н': 'h',
+  'α': 'a', 'β': 'b', 'ε': 'e', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x',
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g',
+  '@': 'a', '$': 's', '!': 'i', '|': 'i', '+': 't', '€': 'e'
+};
+
+function normalize(text, { joinLetters = true } = {}) {
+  const folded = String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // combining accents
+    .replace(/[\u200b-\u200d\u2060\ufeff]/g, '') // zero-width characters
+    .toLowerCase();
+
+  // Trailing sentence punctuation is not leetspeak ("nice!" stays "nice")
+  const mapped = folded
+    .split(/\s+/)
+    .map(token => Array.from(token.replace(/[!?.,:;]+$/, ''), char => CONFUSABLES[char] || char).join(''))
+    .join(' ');
+  const words = mapped.replace(/[^a-z0-9]+/g, ' ').trim().split(' ');
+  if (!joinLetters) return words.join(' ');
+
+  // Rejoin letters spelled out one at a time: "b a d" / "b.a.d" -> "bad"
+  const joined = [];
+  let run = '';
+  for (const word of words) {
+    if (word.length === 1) {
+      run += word;
+      continue;
+    }
+    if (run) joined.push(run);
+    run = '';
+    joined.push(word);
+  }
+  if (run) joined.push(run);
+
+  return joined.join(' ');
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class BlockedTermsFilter {
+  constructor(config) {
+    this.store = new JsonStore(path.join(config.DATA_DIR, `blocked-terms-${config.YOUTUBE_CHANNEL_ID}.json`));
+    this.timeoutSeconds = config.MODERATION_TIMEOUT_SECONDS;
+
+    const saved = this.store.read();
+    const terms = saved ? saved.terms : (config.BLOCKED_TERMS || []);
+
+    this.terms = [];
+    terms.forEach(term => {
+      try {
+        this.terms.push(this.createTerm(term));
+      } catch (error) {
+        logger.warn(`⚠️ Ignoring blocked term ${JSON.stringify(term)}: ${error.message}`);
+      }
+    });
+  }
+
+  // Accepts "word", "w*ld?card", "/regex/i" or { pattern, severity, duration, exempt }
+  createTerm(input) {
+    const term = typeof input === 'string' ? { pattern: input } : { ...input };
+    const pattern = String(term.pattern || '').trim();
+
+    if (!pattern) throw new Error('Term is empty');
+    if (pattern.length > MAX_TERM_LENGTH) throw new Error(`Term is longer than ${MAX_TERM_LENGTH} characters`);
+
+    const severity = (term.severity || constants.MODERATION_ACTIONS.DELETE).toLowerCase();
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Unknown severity "${severity}" (expected one of: ${SEVERITIES.join(', ')})`);
+    }
+
+    const exempt = (term.exempt || []).map(entry => entry.toLowerCase());
+    const invalid = exempt.find(entry => !entry.startsWith('@') && !EXEMPT_ROLES.includes(entry));
+    if (invalid) {
+      throw new Error(`Unknown exemption "${invalid}" (use ${EXEMPT_ROLES.join(', ')} or @name)`);
+    }
+
+    const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    const type = regexMatch ? 'regex' : /[*?]/.test(pattern) ? 'wildcard' : 'exact';
+
+    return {
+      pattern,
+      type,
+      severity,
+      duration: term.duration || null,
+      exempt,
+      addedBy: term.addedBy || null,
+      addedAt: term.addedAt || new Date().toISOString(),
+      regex: this.compile(pattern, type, regexMatch)
+    };
+  }
+
+  compile(pattern, type, regexMatch) {
+    if (type === 'regex') {
+      const flags = regexMatch[2].includes('i') ? regexMatch[2] : `${regexMatch[2]}i`;
+      try {
+        return new RegExp(regexMatch[1], flags.replace(/g/g, ''));
+      } catch (error) {
+        throw new Error(`Invalid regex: ${error.message}`);
+      }
+    }
+
+    // Exact and wildcard terms match whole words of the normalised text
+    const parts = pattern.split(/([*?])/);
+    const literal = parts.filter(part => part !== '*' && part !== '?').map(normalize).join('');
+    if (!literal) {
+      throw new Error('Terms need at least one letter or digit');
+    }
+
+    const body = parts
+      .map(part => {
+        if (part === '*') return '[a-z0-9]*';
+        if (part === '?') return '[a-z0-9]';
+        // Pieces between wildcards can be single letters, don't glue them together
+        const text = normalize(part, { joinLetters: false });
+        return text && `${/^\s/.test(part) ? ' ' : ''}${escapeRegex(text)}${/\s$/.test(part) ? ' ' : ''}`;
+      })
+      .join('');
+
+    return new RegExp(`(^| )${body}( |$)`);
+  }
+
+  isExempt(term, message) {
+    if (term.exempt.length === 0) return false;
+
+    const author = message.authorDetails || {};
+    const name = `@${(author.displayName || '').replace(/^@/, '').toLowerCase()}`;
+
+    return term.exempt.some(entry =>
+      entry === name ||
+      (entry === 'owner' && author.isChatOwner) ||
+      (entry === 'moderator' && author.isChatModerator) ||
+      (entry === 'member' && author.isChatSponsor)
+    );
+  }
+
+  // Most severe term the message hits, as a moderation decision
+  match(message, text = message.snippet?.displayMessage || '') {
+    const normalized = normalize(text);
+    let hit = null;
+
+    for (const term of this.terms) {
+      const matches = term.type === 'regex'
+        ? term.regex.test(text) || term.regex.test(normalized)
+        : term.regex.test(normalized);
+
+      if (!matches || this.isExempt(term, message)) continue;
+
+      if (!hit || SEVERITIES.indexOf(term.severity) > SEVERITIES.indexOf(hit.severity)) {
+        hit = term;
+      }
+    }
+
+    if (!hit) return null;
+
+    return {
+      action: hit.severity,
+      duration: hit.duration || this.timeoutSeconds,
+      detail: hit.pattern
+    };
+  }
+
+  add(input, addedBy = null) {
+    const term = this.createTerm(typeof input === 'string' ? { pattern: input, addedBy } : { ...input, addedBy });
+
+    const existing = this.terms.findIndex(entry => entry.pattern.toLowerCase() === term.pattern.toLowerCase());
+    if (existing !== -1) {
+      this.terms[existing] = term;
+    } else {
+      this.terms.push(term);
+    }
+
+    this.save();
+    return term;
+  }
+
+  remove(pattern) {
+    const index = this.terms.findIndex(entry => entry.pattern.toLowerCase() === String(pattern).trim().toLowerCase());
+    if (index === -1) return null;
+
+    const [removed] = this.terms.splice(index, 1);
+    this.save();
+    return removed;
+  }
+
+  list() {
+    return this.terms.map(term => {
+      const stored = { ...term };
+      delete stored.regex;
+      return stored;
+    });
+  }
+
+  save() {
+    this.store.write({
+      terms: this.list(),
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  getStats() {
+    const bySeverity = {};
+    this.terms.forEach(term => {
+      bySeverity[term.severity] = (bySeverity[term.severity] || 0) + 1;
+    });
+
+    return { terms: this.terms.length, bySeverity };
+  }
+}
+
+module.exports = BlockedTermsFilter;
+module.exports.normalize = normalize;
@@ -0,0 +1,103 @@
+/**
+ * Runs one SmartYouTubeChatBot per configured channel in a single process
+ * Channels share the quota ledger and web server; state, context, rate
+ * limiting and owner detection stay per channel.
+ */
+
+const logger = require('../utils/logger');
+const QuotaManager = require('../utils/quotaManager');
+const WebServer = require('../services/WebServer');
+const SmartYouTubeChatBot = require('./SmartYouTubeChatBot');
+
+class BotManager {
+  constructor(config) {
+    this.config = config;
+    this.startTime = Date.now();
+    this.isShuttingDown = false;
+
+    this.quotaManager = new QuotaManager();
+    this.bots = config.getChannelConfigs().map(channelConfig =>
+      new SmartYouTubeChatBot(channelConfig, { quotaManager: this.quotaManager })
+    );
+    this.webServer = new WebServer(config, this);
+
+    // An owner's !shutdown stops one channel; exit once every channel is down
+    this.stoppedBots = new Set();
+    this.bots.forEach(bot => {
+      bot.on('botStopped', () => {
+        this.stoppedBots.add(bot);
+        if (this.stoppedBots.size === this.bots.length && !this.isShuttingDown) {
+          logger.info('🛑 All channels stopped');
+          this.gracefulShutdown().catch(error => logger.error('Error during shutdown:', error));
+        }
+      });
+    });
+
+    logger.info(`🤖 BotManager initialized with ${this.bots.length} channel(s)`);
+  }
+
+  getBot(channelId) {
+    return this.bots.find(bot => bot.channelId === channelId) || null;
+  }
+
+  async start() {
+    await this.webServer.start();
+
+    // One channel failing to start shouldn't take the others down
+    const results = await Promise.allSettled(this.bots.map(bot => bot.start()));
+    const failed = results.filter(result => result.status === 'rejected');
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        logger.error(`❌ Channel ${this.bots[index].channelName} failed to start:`, result.reason);
+      }
+    });
+
+    if (failed.length === this.bots.length) {
+      throw failed[0].reason;
+    }
+  }
+
+  getStatusReport() {
+    const uptime = Date.now() - this.startTime;
+
+    return {
+      bot: {
+        name: this.config.BOT_NAME,
+        version: require('../../package.json').version,
+        environment: this.config.NODE_ENV,
+        uptime: Math.floor(uptime / 1000),
+        uptimeFormatted: SmartYouTubeChatBot.prototype.formatUptime(uptime)
+      },
+      quota: this.quotaManager.getQuotaStatus(),
+      channels: this.bots.map(bot => ({
+        ...bot.getStatusReport(),
+        webSub: this.webServer.getWebSubStatus(bot.channelId)
+      })),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  async gracefulShutdown() {
+    await this.teardown(bot => bot.gracefulShutdown());
+
+    setTimeout(() => {
+      logger.info('👋 Graceful shutdown completed');
+      process.exit(0);
+    }, 2000);
+  }
+
+  // Stop every channel and the web server without exiting the process
+  async teardown(stopBot = bot => bot.teardown()) {
+    this.isShuttingDown = true;
+
+    await Promise.all(this.bots
+      .filter(bot => !this.stoppedBots.has(bot))
+      .map(bot => stopBot(bot)));
+
+    await this.webServer.stop();
+    this.quotaManager.destroy();
+  }
+}
+
+module.exports = BotManager;
@@ -0,0 +1,130 @@
+/**
+ * Persisted chat position for one channel
+ * Remembers the liveChatId, nextPageToken and recently seen message IDs so a
+ * restart mid-stream picks up where it left off instead of replaying backlog.
+ */
+
+const path = require('path');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
+const constants = require('../config/constants');
+
+class ChatCheckpoint {
+  constructor(config) {
+    this.store = new JsonStore(path.join(config.DATA_DIR, `chat-checkpoint-${config.YOUTUBE_CHANNEL_ID}.json`));
+    this.maxMessageAge = config.CHAT_MAX_MESSAGE_AGE;
+    this.seenLimit = constants.LIMITS.SEEN_MESSAGE_IDS;
+
+    this.saveTimeout = null;
+    this.reset();
+  }
+
+  reset() {
+    this.videoId = null;
+    this.liveChatId = null;
+    this.nextPageToken = null;
+    this.connectedAt = null;
+    this.seenIds = new Set();
+    this.skipped = 0;
+  }
+
+  // Returns the saved page token when the checkpoint belongs to this chat
+  resume(liveChatId, videoId) {
+    const saved = this.store.read();
+
+    if (saved && saved.liveChatId === liveChatId) {
+      this.videoId = videoId;
+      this.liveChatId = liveChatId;
+      this.nextPageToken = saved.nextPageToken || null;
+      this.connectedAt = saved.connectedAt;
+      this.seenIds = new Set(saved.seenIds || []);
+      this.skipped = 0;
+
+      logger.info(`♻️ Resuming chat from saved position (${this.seenIds.size} seen messages)`);
+      return this.nextPageToken;
+    }
+
+    this.reset();
+    this.videoId = videoId;
+    this.liveChatId = liveChatId;
+    this.connectedAt = new Date().toISOString();
+    this.save();
+    return null;
+  }
+
+  updatePageToken(pageToken) {
+    this.nextPageToken = pageToken;
+    this.scheduleSave();
+  }
+
+  // True if the message is new and recent enough to act on
+  accept(message) {
+    if (message.id) {
+      if (this.seenIds.has(message.id)) {
+        this.skipped++;
+        return false;
+      }
+
+      this.seenIds.add(message.id);
+      if (this.seenIds.size > this.seenLimit) {
+        this.seenIds.delete(this.seenIds.values().next().value);
+      }
+    }
+
+    const publishedAt = Date.parse(message.snippet?.publishedAt);
+    if (Number.isNaN(publishedAt)) return true;
+
+    const isBacklog = this.connectedAt && publishedAt < Date.parse(this.connectedAt);
+    const isTooOld = Date.now() - publishedAt > this.maxMessageAge;
+
+    if (isBacklog || isTooOld) {
+      this.skipped++;
+      return false;
+    }
+
+    return true;
+  }
+
+  scheduleSave() {
+    if (this.saveTimeout) return;
+
+    this.saveTimeout = setTimeout(() => {
+      this.saveTimeout = null;
+      this.save();
+    }, constants.INTERVALS.CHECKPOINT_SAVE);
+  }
+
+  save() {
+    clearTimeout(this.saveTimeout);
+    this.saveTimeout = null;
+
+    if (!this.liveChatId) return;
+
+    this.store.write({
+      videoId: this.videoId,
+      liveChatId: this.liveChatId,
+      nextPageToken: this.nextPageToken,
+      connectedAt: this.connectedAt,
+      seenIds: Array.from(this.seenIds),
+      savedAt: new Date().toISOString()
+    });
+  }
+
+  // The chat is over, nothing left to resume
+  clear() {
+    clearTimeout(this.saveTimeout);
+    this.saveTimeout = null;
+    this.reset();
+    this.store.delete();
+  }
+
+  getStats() {
+    return {
+      resumable: !!this.liveChatId,
+      seenMessages: this.seenIds.size,
+      skippedMessages: this.skipped
+    };
+  }
+}
+
+module.exports = ChatCheckpoint;
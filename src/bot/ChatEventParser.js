@@ -0,0 +1,101 @@
+/**
+ * Typed chat event layer
+ * Turns raw liveChatMessage resources into normalized events (Super Chats,
+ * Super Stickers, memberships, gifts) so supporters don't get treated as plain text
+ */
+
+const logger = require('../utils/logger');
+const constants = require('../config/constants');
+
+const SUPPORTER_EVENTS = [
+  'superChat',
+  'superSticker',
+  'newSponsor',
+  'memberMilestone',
+  'membershipGift',
+  'giftMembershipReceived'
+];
+
+class ChatEventParser {
+  parse(message) {
+    const snippet = message.snippet || {};
+    const author = message.authorDetails || {};
+    const name = constants.CHAT_EVENT_TYPES[snippet.type] || 'unknown';
+
+    const event = {
+      name,
+      snippetType: snippet.type || null,
+      messageId: message.id,
+      author: author.displayName || 'Unknown',
+      channelId: author.channelId || snippet.authorChannelId || null,
+      publishedAt: snippet.publishedAt || null,
+      isSupporterEvent: SUPPORTER_EVENTS.includes(name),
+      amount: null,
+      currency: null,
+      amountDisplay: null,
+      tier: null,
+      level: null,
+      months: null,
+      count: null,
+      message: snippet.textMessageDetails?.messageText || snippet.displayMessage || ''
+    };
+
+    try {
+      switch (name) {
+        case 'superChat':
+          Object.assign(event, this.parsePaidDetails(snippet.superChatDetails), {
+            message: snippet.superChatDetails?.userComment || ''
+          });
+          break;
+
+        case 'superSticker':
+          Object.assign(event, this.parsePaidDetails(snippet.superStickerDetails), {
+            message: snippet.superStickerDetails?.superStickerMetadata?.altText || ''
+          });
+          break;
+
+        case 'newSponsor':
+          event.level = snippet.newSponsorDetails?.memberLevelName || null;
+          event.isUpgrade = !!snippet.newSponsorDetails?.isUpgrade;
+          event.message = '';
+          break;
+
+        case 'memberMilestone':
+          event.level = snippet.memberMilestoneChatDetails?.memberLevelName || null;
+          event.months = snippet.memberMilestoneChatDetails?.memberMonth || null;
+          event.message = snippet.memberMilestoneChatDetails?.userComment || '';
+          break;
+
+        case 'membershipGift':
+          event.level = snippet.membershipGiftingDetails?.giftMembershipsLevelName || null;
+          event.count = snippet.membershipGiftingDetails?.giftMembershipsCount || null;
+          event.message = '';
+          break;
+
+        case 'giftMembershipReceived':
+          event.level = snippet.giftMembershipReceivedDetails?.memberLevelName || null;
+          event.gifterChannelId = snippet.giftMembershipReceivedDetails?.gifterChannelId || null;
+          event.message = '';
+          break;
+      }
+    } catch (error) {
+      logger.error(`Error parsing ${snippet.type} details:`, error.message);
+    }
+
+    return event;
+  }
+
+  parsePaidDetails(details = {}) {
+    const micros = Number(details.amountMicros);
+
+    return {
+      amount: Number.isFinite(micros) ? micros / 1000000 : null,
+      currency: details.currency || null,
+      amountDisplay: details.amountDisplayString || null,
+      tier: details.tier || null
+    };
+  }
+}
+
+module.exports = ChatEventParser;
+module.exports.SUPPORTER_EVENTS = SUPPORTER_EVENTS;
@@ -0,0 +1,77 @@
+/**
+ * One-time claim codes
+ * The dashboard shows a code, and whoever types "!claim <code>" in chat gets
+ * that role bound to their channel ID. Codes expire after CLAIM_CODE_TTL, work
+ * once, and all pending codes are thrown away after too many wrong guesses.
+ * Kept in memory only, and never logged.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const constants = require('../config/constants');
+
+// "!claim <code>" with the code hidden, for anything that logs or stores chat text
+function redact(text) {
+  return String(text).replace(/^(\s*!claim\s+)(?!new(?:\s|$))\S[\s\S]*$/i, '$1[redacted]');
+}
+
+class ClaimCodes {
+  constructor(config) {
+    this.channelId = config.YOUTUBE_CHANNEL_ID;
+    this.ttl = config.CLAIM_CODE_TTL;
+
+    // code -> { level, createdBy, expiresAt }
+    this.codes = new Map();
+    this.failures = 0;
+  }
+
+  create(level, createdBy = null) {
+    const code = crypto.randomBytes(4).toString('hex').toUpperCase();
+    const claim = { level, createdBy, expiresAt: Date.now() + this.ttl };
+    this.codes.set(code, claim);
+
+    // The code itself only goes to the admin dashboard, never to the logs
+    logger.info(`🔑 New ${level} claim code for ${this.channelId} (valid ${Math.round(this.ttl / 60000)} min)`);
+    return { code, ...claim };
+  }
+
+  // The pending code for a level, or a new one if there is none
+  ensure(level) {
+    return this.pending().find(claim => claim.level === level) || this.create(level);
+  }
+
+  // Uses up the code; null if it's wrong or expired
+  redeem(code) {
+    this.prune();
+
+    const key = String(code || '').trim().toUpperCase();
+    const claim = this.codes.get(key);
+    if (!claim) {
+      if (++this.failures >= constants.LIMITS.CLAIM_MAX_FAILURES) {
+        logger.warn(`⚠️ ${this.failures} wrong claim codes, discarding all pending codes for ${this.channelId}`);
+        this.codes.clear();
+        this.failures = 0;
+      }
+      return null;
+    }
+
+    this.codes.delete(key);
+    this.failures = 0;
+    return claim;
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [code, claim] of this.codes) {
+      if (claim.expiresAt <= now) this.codes.delete(code);
+    }
+  }
+
+  pending() {
+    this.prune();
+    return Array.from(this.codes, ([code, claim]) => ({ code, ...claim }));
+  }
+}
+
+module.exports = ClaimCodes;
+module.exports.redact = redact;
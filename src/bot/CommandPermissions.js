@@ -0,0 +1,242 @@
+/**
+ * Role-based command permissions
+ * Every chatter has their built-in role (the permission level from
+ * OwnerDetection) plus any custom roles assigned to their channel ID. A role
+ * allows a set of commands and inherits everything its parent allows. Roles
+ * and assignments live in a JSON file that can be edited by hand or from chat.
+ * Built-in roles start with the commands that declare them in the registry;
+ * commands added in a later version are given to their role on the next start.
+ */
+
+const path = require('path');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
+const constants = require('../config/constants');
+
+const { OWNER, MODERATOR, MEMBER, VERIFIED, USER } = constants.PERMISSION_LEVELS;
+const BUILT_IN_ROLES = [OWNER, MODERATOR, MEMBER, VERIFIED, USER];
+const ALL_COMMANDS = '*';
+
+const DEFAULT_INHERITS = {
+  [OWNER]: MODERATOR,
+  [MODERATOR]: MEMBER,
+  [MEMBER]: VERIFIED,
+  [VERIFIED]: USER,
+  [USER]: null
+};
+
+function normalizeCommand(command) {
+  return String(command || '').trim().replace(/^!/, '').toLowerCase();
+}
+
+function normalizeRole(role) {
+  return String(role || '').trim().toLowerCase();
+}
+
+class CommandPermissions {
+  // defaultCommands: built-in role -> commands it gets by default (CommandRegistry.getDefaultRoles)
+  constructor(config, defaultCommands = {}) {
+    this.store = new JsonStore(config.PERMISSIONS_FILE || path.join(config.DATA_DIR, `permissions-${config.YOUTUBE_CHANNEL_ID}.json`));
+    this.defaultRoles = {};
+    BUILT_IN_ROLES.forEach(role => {
+      this.defaultRoles[role] = { inherits: DEFAULT_INHERITS[role], commands: role === OWNER ? [ALL_COMMANDS] : [...(defaultCommands[role] || [])] };
+    });
+    this.defaultRoleOf = {};
+    Object.entries(defaultCommands).forEach(([role, commands]) => commands.forEach(command => {
+      this.defaultRoleOf[command] = role;
+    }));
+    this.load();
+  }
+
+  // Built-in roles are always present; the file can change their commands but not remove them
+  load() {
+    const saved = this.store.read();
+
+    this.roles = {};
+    Object.entries({ ...this.defaultRoles, ...(saved?.roles || {}) }).forEach(([name, role]) => {
+      this.roles[normalizeRole(name)] = {
+        inherits: role.inherits === undefined ? (DEFAULT_INHERITS[name] ?? null) : normalizeRole(role.inherits) || null,
+        commands: (role.commands || []).map(normalizeCommand).filter(Boolean)
+      };
+    });
+    this.assignments = saved?.assignments || {};
+
+    // Commands the file has never seen go to their default role; older files without the list know what their roles mention
+    const known = new Set(saved?.knownCommands || Object.values(this.roles).flatMap(role => role.commands));
+    const added = saved ? Object.keys(this.defaultRoleOf).filter(command => !known.has(command)) : [];
+    added.forEach(command => {
+      const name = this.defaultRoleOf[command];
+      const role = this.roles[name];
+      if (!role || role.commands.includes(ALL_COMMANDS) || role.commands.includes(command)) return;
+      
+      role.commands.push(command);
+      logger.info(`👥 New command !${command} allowed for ${name}`);
+    });
+    this.knownCommands = [...new Set([...known, ...Object.keys(this.defaultRoleOf)])].filter(command => command !== ALL_COMMANDS);
+
+    Object.entries(this.roles).forEach(([name, role]) => {
+      if (role.inherits && !this.roles[role.inherits]) {
+        logger.warn(`⚠️ Role ${name} inherits unknown role ${role.inherits}, ignoring`);
+        role.inherits = null;
+      }
+    });
+
+    // Write the defaults out so there is a file to edit
+    if (!saved || added.length > 0 || !saved.knownCommands) this.save();
+  }
+
+  // Pick up changes made to the file by hand
+  reload() {
+    this.load();
+    logger.info(`👥 Reloaded ${Object.keys(this.roles).length} roles from ${this.store.filePath}`);
+  }
+
+  // Built-in level first, then custom roles assigned to the author's channel ID
+  getRoles(message, permissionLevel) {
+    const channelId = message.authorDetails?.channelId;
+    const assigned = (channelId && this.assignments[channelId]?.roles) || [];
+    return [permissionLevel, ...assigned.filter(role => this.roles[role])];
+  }
+
+  // Commands a set of roles allows, following inheritance (may include '*')
+  getAllowedCommands(roles) {
+    const allowed = new Set();
+    const visited = new Set();
+
+    roles.forEach(start => {
+      let name = start;
+      while (name && this.roles[name] && !visited.has(name)) {
+        visited.add(name);
+        this.roles[name].commands.forEach(command => allowed.add(command));
+        name = this.roles[name].inherits;
+      }
+    });
+
+    return allowed;
+  }
+
+  // Whether one of the roles is the given role or inherits from it
+  hasRole(roles, role) {
+    const wanted = normalizeRole(role);
+    const visited = new Set();
+
+    return roles.some(start => {
+      let name = start;
+      while (name && this.roles[name] && !visited.has(name)) {
+        if (name === wanted) return true;
+        visited.add(name);
+        name = this.roles[name].inherits;
+      }
+      return false;
+    });
+  }
+
+  canRun(roles, command) {
+    const allowed = this.getAllowedCommands(roles);
+    return allowed.has(ALL_COMMANDS) || allowed.has(normalizeCommand(command));
+  }
+
+  // Which of the given commands these roles may run, in the given order
+  filterCommands(roles, commands) {
+    const allowed = this.getAllowedCommands(roles);
+    return commands.filter(command => allowed.has(ALL_COMMANDS) || allowed.has(command));
+  }
+
+  createRole(name, inherits = USER) {
+    const role = normalizeRole(name);
+    const parent = normalizeRole(inherits);
+
+    if (!/^[a-z0-9_-]{1,32}$/.test(role)) throw new Error('Role names are 1-32 letters, digits, - or _');
+    if (this.roles[role]) throw new Error(`Role ${role} already exists`);
+    if (!this.roles[parent]) throw new Error(`Unknown role ${parent}`);
+
+    this.roles[role] = { inherits: parent, commands: [] };
+    this.save();
+    return this.roles[role];
+  }
+
+  deleteRole(name) {
+    const role = normalizeRole(name);
+    if (BUILT_IN_ROLES.includes(role)) throw new Error(`${role} is a built-in role`);
+    if (!this.roles[role]) throw new Error(`Unknown role ${role}`);
+
+    delete this.roles[role];
+    Object.values(this.roles).forEach(other => {
+      if (other.inherits === role) other.inherits = USER;
+    });
+    Object.values(this.assignments).forEach(assignment => {
+      assignment.roles = assignment.roles.filter(assigned => assigned !== role);
+    });
+    this.save();
+  }
+
+  allow(name, command) {
+    const role = this.getRole(name);
+    const normalized = normalizeCommand(command);
+    if (!normalized) throw new Error('No command given');
+
+    if (!role.commands.includes(normalized)) role.commands.push(normalized);
+    this.save();
+    return normalized;
+  }
+
+  // Returns false if the role still gets the command from a role it inherits
+  deny(name, command) {
+    const role = this.getRole(name);
+    const normalized = normalizeCommand(command);
+
+    role.commands = role.commands.filter(allowed => allowed !== normalized);
+    this.save();
+    return !this.canRun([normalizeRole(name)], normalized);
+  }
+
+  assign(channelId, displayName, name) {
+    const role = normalizeRole(name);
+    this.getRole(role);
+    if (BUILT_IN_ROLES.includes(role)) throw new Error(`${role} comes from YouTube and can't be assigned`);
+
+    const assignment = this.assignments[channelId] || { displayName, roles: [] };
+    assignment.displayName = displayName;
+    if (!assignment.roles.includes(role)) assignment.roles.push(role);
+
+    this.assignments[channelId] = assignment;
+    this.save();
+  }
+
+  unassign(channelId, name) {
+    const role = normalizeRole(name);
+    const assignment = this.assignments[channelId];
+    if (!assignment || !assignment.roles.includes(role)) return false;
+
+    assignment.roles = assignment.roles.filter(assigned => assigned !== role);
+    if (assignment.roles.length === 0) delete this.assignments[channelId];
+    this.save();
+    return true;
+  }
+
+  getRole(name) {
+    const role = this.roles[normalizeRole(name)];
+    if (!role) throw new Error(`Unknown role ${normalizeRole(name)}`);
+    return role;
+  }
+
+  save() {
+    this.store.write({
+      roles: this.roles,
+      assignments: this.assignments,
+      knownCommands: this.knownCommands,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  getStats() {
+    return {
+      file: this.store.filePath,
+      roles: Object.fromEntries(Object.entries(this.roles).map(([name, role]) => [name, { ...role, builtIn: BUILT_IN_ROLES.includes(name) }])),
+      assignments: Object.keys(this.assignments).length
+    };
+  }
+}
+
+module.exports = CommandPermissions;
+module.exports.BUILT_IN_ROLES = BUILT_IN_ROLES;
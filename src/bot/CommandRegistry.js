@@ -0,0 +1,175 @@
+/**
+ * Chat command registry
+ * Every command declares its name and aliases, its arguments, the built-in
+ * role that gets it by default, per-user and global cooldowns and a handler.
+ * The registry parses "!name args" without touching case ("quoted text" is
+ * one argument), binds arguments to the schema and keeps the cooldowns.
+ * Who may run what is decided by CommandPermissions.
+ */
+
+const editDistance = require('../utils/editDistance');
+const constants = require('../config/constants');
+
+// word: one argument, number: one numeric argument, text: everything that is left
+const ARG_TYPES = ['word', 'number', 'text'];
+
+// Arguments with their position in the input; quotes group words and are removed
+function tokenize(input) {
+  const tokens = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(input)) !== null) {
+    tokens.push({ value: match[1] ?? match[2] ?? match[3], start: match.index, quoted: match[3] === undefined });
+  }
+  return tokens;
+}
+
+class CommandRegistry {
+  constructor() {
+    // name -> definition; aliases point at the name
+    this.commands = new Map();
+    this.aliases = new Map();
+
+    // name -> { global: timestamp, users: Map(user -> timestamp), userCooldown }
+    // Also used for custom commands, which have the same name and cooldown fields
+    this.lastUsed = new Map();
+  }
+
+  register(definition) {
+    const command = {
+      aliases: [],
+      args: [],
+      role: constants.PERMISSION_LEVELS.OWNER,
+      cooldown: {},
+      description: '',
+      ...definition,
+      name: definition.name.toLowerCase()
+    };
+    command.aliases = command.aliases.map(alias => alias.toLowerCase());
+    command.cooldown = { user: 0, global: 0, ...command.cooldown };
+
+    command.args.forEach((arg, index) => {
+      if (!ARG_TYPES.includes(arg.type || 'word')) throw new Error(`!${command.name}: unknown argument type ${arg.type}`);
+      if (arg.type === 'text' && index !== command.args.length - 1) throw new Error(`!${command.name}: text argument ${arg.name} must be last`);
+    });
+    [command.name, ...command.aliases].forEach(name => {
+      if (this.commands.has(name) || this.aliases.has(name)) throw new Error(`!${name} is already registered`);
+    });
+
+    this.commands.set(command.name, command);
+    command.aliases.forEach(alias => this.aliases.set(alias, command.name));
+    return command;
+  }
+
+  // By name or alias, with or without !
+  get(name) {
+    const key = String(name || '').replace(/^!/, '').toLowerCase();
+    return this.commands.get(key) || this.commands.get(this.aliases.get(key)) || null;
+  }
+
+  names() {
+    return Array.from(this.commands.keys());
+  }
+
+  list() {
+    return Array.from(this.commands.values());
+  }
+
+  // Default commands per built-in role, for CommandPermissions
+  getDefaultRoles() {
+    const roles = {};
+    this.list().forEach(command => {
+      roles[command.role] = [...(roles[command.role] || []), command.name];
+    });
+    return roles;
+  }
+
+  // "!Name rest" -> { name, command, rawArgs }; null if the text isn't a command at all
+  parse(text) {
+    const match = String(text || '').trim().match(/^!(\S+)\s*([\s\S]*)$/);
+    if (!match) return null;
+
+    return { name: match[1].toLowerCase(), command: this.get(match[1]), rawArgs: match[2].trim() };
+  }
+
+  // Arguments by name, or an error to show with the usage
+  bindArgs(command, rawArgs) {
+    const tokens = tokenize(rawArgs);
+    const args = {};
+
+    for (const [index, spec] of command.args.entries()) {
+      const token = tokens[index];
+      if (!token) {
+        if (spec.required !== false) return { error: `Missing ${spec.name}` };
+        continue;
+      }
+
+      let value = token.value;
+      if (spec.type === 'text') {
+        // Kept as typed, unless it is a single quoted argument
+        value = tokens.length === index + 1 && token.quoted ? token.value : rawArgs.slice(token.start);
+      } else if (spec.type === 'number') {
+        value = Number(token.value);
+        if (!Number.isFinite(value)) return { error: `${spec.name} must be a number` };
+      }
+
+      if (spec.choices) {
+        value = String(value).toLowerCase();
+        if (!spec.choices.includes(value)) return { error: `${spec.name} must be ${spec.choices.join(', ')}` };
+      }
+      args[spec.name] = value;
+    }
+
+    return { args };
+  }
+
+  usage(command) {
+    const args = command.args.map(arg => {
+      const label = arg.choices ? arg.choices.join('|') : `${arg.name}${arg.type === 'text' ? '...' : ''}`;
+      return arg.required === false ? `[${label}]` : `<${label}>`;
+    });
+    return [`!${command.name}`, ...args].join(' ');
+  }
+
+  // Milliseconds until this user may run the command again, 0 if they may now
+  getCooldown(command, user, now = Date.now()) {
+    const used = this.lastUsed.get(command.name);
+    if (!used) return 0;
+
+    const global = used.global + command.cooldown.global - now;
+    const personal = (used.users.get(user) || 0) + command.cooldown.user - now;
+    return Math.max(global, personal, 0);
+  }
+
+  recordUse(command, user, now = Date.now()) {
+    const used = this.lastUsed.get(command.name) || { global: 0, users: new Map() };
+    used.global = now;
+    used.userCooldown = command.cooldown.user;
+    if (command.cooldown.user > 0) used.users.set(user, now);
+    this.lastUsed.set(command.name, used);
+  }
+
+  // Forget per-user cooldowns that have run out
+  cleanup(now = Date.now()) {
+    this.lastUsed.forEach(used => {
+      used.users.forEach((timestamp, user) => {
+        if (timestamp + used.userCooldown <= now) used.users.delete(user);
+      });
+    });
+  }
+
+  // The closest name or alias among the given commands, for "did you mean"
+  suggest(name, allowed = this.names()) {
+    let best = null;
+    allowed.map(allowedName => this.commands.get(allowedName)).filter(Boolean).forEach(command => {
+      [command.name, ...command.aliases].forEach(candidate => {
+        const distance = editDistance(name, candidate);
+        if (distance <= 2 && (!best || distance < best.distance)) best = { name: candidate, distance };
+      });
+    });
+    return best?.name || null;
+  }
+}
+
+module.exports = CommandRegistry;
+module.exports.tokenize = tokenize;
@@ -0,0 +1,183 @@
+/**
+ * Custom text commands
+ * Commands like !discord or !rules that moderators add from chat. Each one has
+ * a response with ${variables}, the role that may run it, cooldowns, an
+ * enabled flag and a use count. Persisted per channel.
+ */
+
+const path = require('path');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
+const constants = require('../config/constants');
+
+const NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+const MAX_RESPONSE_LENGTH = 200;
+const OPTIONS = ['role', 'cooldown', 'usercooldown', 'enabled'];
+
+// "${name}" or "${name args}"
+const VARIABLE_PATTERN = /\$\{\s*([a-z]+)(?:\s+([^}]*?))?\s*\}/gi;
+
+class CustomCommands {
+  // isReserved(name) tells whether a built-in command already uses the name
+  constructor(config, { isReserved = () => false } = {}) {
+    this.store = new JsonStore(path.join(config.DATA_DIR, `custom-commands-${config.YOUTUBE_CHANNEL_ID}.json`));
+    this.isReserved = isReserved;
+
+    // name -> { name, response, role, cooldown: { user, global }, enabled, count, createdBy, createdAt, updatedAt }
+    const saved = this.store.read();
+    this.commands = new Map(Object.entries(saved?.commands || {}));
+  }
+
+  get(name) {
+    return this.commands.get(String(name || '').replace(/^!/, '').toLowerCase()) || null;
+  }
+
+  list() {
+    return Array.from(this.commands.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Leading key=value words are settings, the rest is the response: "role=member cooldown=30 Join us at ..."
+  parseDefinition(text) {
+    const options = {};
+    let rest = String(text || '').trim();
+
+    let match;
+    while ((match = rest.match(/^([a-z]+)=(\S+)\s*/i)) && OPTIONS.includes(match[1].toLowerCase())) {
+      const key = match[1].toLowerCase();
+      const value = match[2].toLowerCase();
+
+      if (key === 'role') {
+        options.role = value;
+      } else if (key === 'enabled') {
+        if (!['on', 'off'].includes(value)) throw new Error('enabled must be on or off');
+        options.enabled = value === 'on';
+      } else {
+        const seconds = Number(value.replace(/s$/, ''));
+        if (!Number.isFinite(seconds) || seconds < 0) throw new Error(`${key} must be a number of seconds`);
+        options[key === 'cooldown' ? 'global' : 'user'] = seconds * 1000;
+      }
+      rest = rest.slice(match[0].length);
+    }
+
+    return { options, response: rest };
+  }
+
+  add(name, response, options = {}, createdBy = null) {
+    const key = String(name || '').replace(/^!/, '').toLowerCase();
+
+    if (!NAME_PATTERN.test(key)) throw new Error('Command names are 1-32 letters, digits, - or _');
+    if (this.isReserved(key)) throw new Error(`!${key} is a built-in command`);
+    if (this.commands.has(key)) throw new Error(`!${key} already exists, use !editcmd`);
+    if (this.commands.size >= constants.LIMITS.CUSTOM_COMMANDS) throw new Error(`Already ${this.commands.size} custom commands`);
+    this.validateResponse(response);
+
+    const now = new Date().toISOString();
+    const command = {
+      name: key,
+      response: response.trim(),
+      role: options.role || constants.PERMISSION_LEVELS.USER,
+      cooldown: {
+        user: options.user ?? 0,
+        global: options.global ?? constants.INTERVALS.CUSTOM_COMMAND_COOLDOWN
+      },
+      enabled: options.enabled ?? true,
+      count: 0,
+      createdBy,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.commands.set(key, command);
+    this.save();
+
+    logger.info(`📝 Custom command !${key} added${createdBy ? ` by ${createdBy}` : ''}`);
+    return command;
+  }
+
+  // Only the given settings change; an empty response keeps the old one
+  edit(name, response, options = {}) {
+    const command = this.get(name);
+    if (!command) throw new Error(`No custom command !${String(name).replace(/^!/, '').toLowerCase()}`);
+    if (!response && Object.keys(options).length === 0) throw new Error('Nothing to change');
+
+    if (response) {
+      this.validateResponse(response);
+      command.response = response.trim();
+    }
+    if (options.role) command.role = options.role;
+    if (options.enabled !== undefined) command.enabled = options.enabled;
+    if (options.user !== undefined) command.cooldown.user = options.user;
+    if (options.global !== undefined) command.cooldown.global = options.global;
+    command.updatedAt = new Date().toISOString();
+    this.save();
+
+    logger.info(`📝 Custom command !${command.name} updated`);
+    return command;
+  }
+
+  remove(name) {
+    const command = this.get(name);
+    if (!command) return null;
+
+    this.commands.delete(command.name);
+    this.save();
+
+    logger.info(`📝 Custom command !${command.name} removed`);
+    return command;
+  }
+
+  validateResponse(response) {
+    const text = String(response || '').trim();
+    if (!text) throw new Error('No response given');
+    if (text.length > MAX_RESPONSE_LENGTH) throw new Error(`Responses are at most ${MAX_RESPONSE_LENGTH} characters`);
+    if (text.startsWith('!')) throw new Error('Responses can\'t start with !, the bot would read them back as a command');
+  }
+
+  // Counts the use and returns the new count
+  recordUse(command) {
+    command.count = (command.count || 0) + 1;
+    this.save();
+    return command.count;
+  }
+
+  // values: { user, touser, game, uptime, count }; unknown variables stay as typed
+  render(command, values) {
+    const text = command.response.replace(VARIABLE_PATTERN, (variable, name, args = '') => {
+      switch (name.toLowerCase()) {
+        case 'random':
+          return String(this.random(args));
+        default: {
+          const value = values[name.toLowerCase()];
+          return value === undefined || value === null ? variable : String(value);
+        }
+      }
+    });
+    return text.slice(0, MAX_RESPONSE_LENGTH);
+  }
+
+  // "1-100" (the default), "-5-5" or a single maximum
+  random(range) {
+    const match = String(range).trim().match(/^(-?\d+)(?:\s*-\s*(-?\d+))?$/);
+    let [min, max] = match ? (match[2] === undefined ? [1, Number(match[1])] : [Number(match[1]), Number(match[2])]) : [1, 100];
+    if (min > max) [min, max] = [max, min];
+    return min + Math.floor(Math.random() * (max - min + 1));
+  }
+
+  save() {
+    this.store.write({
+      commands: Object.fromEntries(this.commands),
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  getStats() {
+    const commands = this.list();
+    return {
+      file: this.store.filePath,
+      commands: commands.length,
+      enabled: commands.filter(command => command.enabled).length,
+      uses: commands.reduce((total, command) => total + (command.count || 0), 0)
+    };
+  }
+}
+
+module.exports = CustomCommands;
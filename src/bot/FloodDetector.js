@@ -0,0 +1,214 @@
+/**
+ * Raid and flood detection
+ * Watches a sliding window of chat for bursts of brand-new chatters and the
+ * same (or nearly the same) text posted by many different people. A flood puts
+ * the bot in defensive mode until the chat has been calm for FLOOD_COOLDOWN.
+ */
+
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const constants = require('../config/constants');
+const { normalize } = require('./BlockedTermsFilter');
+
+// Squash spacing, punctuation and stretched letters: "F R E E  subsss!!" -> "fresubs"
+function fingerprint(text) {
+  return normalize(text).replace(/\s+/g, '').replace(/(.)\1+/g, '$1');
+}
+
+function trigrams(value) {
+  const grams = new Set();
+  for (let i = 0; i <= value.length - 3; i++) {
+    grams.add(value.slice(i, i + 3));
+  }
+  return grams;
+}
+
+function similarity(a, b) {
+  if (a.fingerprint === b.fingerprint) return 1;
+  if (a.grams.size === 0 || b.grams.size === 0) return 0;
+
+  let shared = 0;
+  a.grams.forEach(gram => {
+    if (b.grams.has(gram)) shared++;
+  });
+
+  return shared / (a.grams.size + b.grams.size - shared);
+}
+
+class FloodDetector extends EventEmitter {
+  constructor(config) {
+    super();
+
+    this.enabled = !!config.ENABLE_FLOOD_DETECTION;
+    this.window = config.FLOOD_WINDOW;
+    this.messageThreshold = config.FLOOD_MESSAGE_THRESHOLD;
+    this.newChatterRatio = config.FLOOD_NEW_CHATTER_RATIO;
+    this.duplicateThreshold = config.FLOOD_DUPLICATE_THRESHOLD;
+    this.similarity = config.FLOOD_SIMILARITY;
+    this.cooldown = config.FLOOD_COOLDOWN;
+    this.warmup = config.FLOOD_WARMUP;
+    this.deleteDuplicates = !!config.FLOOD_DELETE_DUPLICATES;
+
+    this.exitTimer = null;
+    this.floods = 0;
+    this.lastFlood = null;
+    this.reset();
+  }
+
+  // Forget the chat session, e.g. when the stream ends
+  reset() {
+    clearTimeout(this.exitTimer);
+    this.exitTimer = null;
+
+    this.messages = [];
+    this.chatters = new Set();
+    this.sessionStart = Date.now();
+    this.defensive = false;
+    this.since = null;
+    this.lastSignal = null;
+    this.reason = null;
+  }
+
+  stop() {
+    clearTimeout(this.exitTimer);
+    this.exitTimer = null;
+  }
+
+  // Track a chat message; returns its window entry, or null if it isn't tracked
+  record(message) {
+    if (!this.enabled) return null;
+
+    const author = message.authorDetails || {};
+    if (author.isChatOwner || author.isChatModerator) return null;
+
+    const now = Date.now();
+    const authorId = author.channelId || author.displayName || 'unknown';
+    const text = message.snippet?.displayMessage || '';
+
+    // Everyone is new when the chat opens, so only count first-timers after the warm-up
+    const firstMessage = !this.chatters.has(authorId);
+    this.rememberChatter(authorId);
+
+    const print = fingerprint(text);
+    const entry = {
+      id: message.id,
+      timestamp: now,
+      authorId,
+      isNew: firstMessage && now - this.sessionStart >= this.warmup,
+      fingerprint: print,
+      grams: trigrams(print),
+      duplicateAuthors: 1
+    };
+
+    this.prune(now);
+
+    // Distinct authors who posted this text (or something close to it) inside the window
+    if (print.length > 0) {
+      const authors = new Set([authorId]);
+      this.messages.forEach(other => {
+        if (other.authorId !== authorId && similarity(entry, other) >= this.similarity) {
+          authors.add(other.authorId);
+        }
+      });
+      entry.duplicateAuthors = authors.size;
+    }
+
+    this.messages.push(entry);
+    this.evaluate(entry, now);
+
+    return entry;
+  }
+
+  rememberChatter(authorId) {
+    this.chatters.add(authorId);
+    if (this.chatters.size > constants.LIMITS.FLOOD_KNOWN_CHATTERS) {
+      this.chatters.delete(this.chatters.values().next().value);
+    }
+  }
+
+  prune(now = Date.now()) {
+    const cutoff = now - this.window;
+    while (this.messages.length > 0 && this.messages[0].timestamp < cutoff) {
+      this.messages.shift();
+    }
+  }
+
+  evaluate(entry, now) {
+    const newChatters = this.messages.filter(message => message.isNew).length;
+    const ratio = newChatters / this.messages.length;
+
+    let reason = null;
+    if (entry.duplicateAuthors >= this.duplicateThreshold) {
+      reason = `${entry.duplicateAuthors} chatters posted the same message`;
+    } else if (this.messages.length >= this.messageThreshold && ratio >= this.newChatterRatio) {
+      reason = `${this.messages.length} messages in ${this.window / 1000}s, ${Math.round(ratio * 100)}% from new chatters`;
+    }
+
+    if (!reason) return;
+
+    this.lastSignal = now;
+    if (this.defensive) return;
+
+    this.defensive = true;
+    this.since = now;
+    this.reason = reason;
+    this.floods++;
+    this.lastFlood = new Date(now).toISOString();
+    this.scheduleExit(this.cooldown);
+
+    logger.warn(`🌊 Chat flood detected: ${reason}`);
+    this.emit('floodStarted', { reason, since: this.lastFlood });
+  }
+
+  // Leave defensive mode once nothing has looked like a flood for the whole cooldown
+  scheduleExit(delay) {
+    clearTimeout(this.exitTimer);
+    this.exitTimer = setTimeout(() => {
+      const calmFor = Date.now() - this.lastSignal;
+      if (calmFor < this.cooldown) {
+        this.scheduleExit(this.cooldown - calmFor);
+        return;
+      }
+
+      const duration = Date.now() - this.since;
+      this.defensive = false;
+      this.since = null;
+      this.reason = null;
+      this.exitTimer = null;
+
+      logger.info(`🌤️ Chat flood over after ${Math.round(duration / 1000)}s`);
+      this.emit('floodEnded', { duration });
+    }, delay);
+  }
+
+  isDefensive() {
+    return this.defensive;
+  }
+
+  // Moderation detector: copies of the flooded message, only while defensive and if enabled
+  checkDuplicate(message) {
+    if (!this.defensive || !this.deleteDuplicates) return false;
+
+    const entry = message.id && this.messages.find(tracked => tracked.id === message.id);
+    return !!entry && entry.duplicateAuthors >= this.duplicateThreshold;
+  }
+
+  getStats() {
+    this.prune();
+
+    return {
+      enabled: this.enabled,
+      defensive: this.defensive,
+      since: this.since ? new Date(this.since).toISOString() : null,
+      reason: this.reason,
+      deleteDuplicates: this.deleteDuplicates,
+      messagesInWindow: this.messages.length,
+      newChattersInWindow: this.messages.filter(message => message.isNew).length,
+      floods: this.floods,
+      lastFlood: this.lastFlood
+    };
+  }
+}
+
+module.exports = FloodDetector;
+module.exports.fingerprint = fingerprint;
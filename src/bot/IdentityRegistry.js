@@ -0,0 +1,157 @@
+/**
+ * Identity registry
+ * Remembers chatters with a role by channel ID, along with roles claimed with
+ * a one-time code (see ClaimCodes). Display names are only history, never
+ * trusted, since anyone can pick any name. Persisted per channel. Other
+ * chatters are only kept in memory, so commands can look them up by name.
+ */
+
+const path = require('path');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
+const constants = require('../config/constants');
+
+const MAX_NAMES = 10;
+
+class IdentityRegistry {
+  constructor(config) {
+    this.store = new JsonStore(path.join(config.DATA_DIR, `identities-${config.YOUTUBE_CHANNEL_ID}.json`));
+
+    // channel ID -> { displayName, names, flags: { owner, moderator, member }, grant: { level, via, at } | null, firstSeen, lastSeen }
+    const saved = this.store.read();
+    this.identities = new Map(Object.entries(saved?.identities || {}));
+
+    // Older versions granted roles by matching display names, those grants are not trusted anymore
+    this.identities.forEach(identity => {
+      if (identity.grant && identity.grant.via !== 'claim') {
+        logger.warn(`⚠️ Dropping ${identity.grant.level} role of ${identity.displayName}, it was granted by display name. Use !claim to bind it again`);
+        identity.grant = null;
+      }
+    });
+
+    // Everyone seen this session, lowercased name -> { channelId, displayName }, not persisted
+    this.recent = new Map();
+  }
+
+  get(channelId) {
+    return channelId ? this.identities.get(channelId) || null : null;
+  }
+
+  // Current or past display name, case-insensitive, with or without @
+  findByName(name) {
+    const needle = String(name || '').trim().replace(/^@/, '').toLowerCase();
+    if (!needle) return null;
+
+    for (const [channelId, identity] of this.identities) {
+      if (identity.names.some(known => known.replace(/^@/, '').toLowerCase() === needle)) {
+        return { channelId, ...identity };
+      }
+    }
+    return this.recent.get(needle) || null;
+  }
+
+  remember(author) {
+    const name = String(author.displayName || '').replace(/^@/, '').toLowerCase();
+    if (!name) return;
+
+    this.recent.delete(name);
+    this.recent.set(name, { channelId: author.channelId, displayName: author.displayName });
+    if (this.recent.size > constants.LIMITS.RECENT_CHATTERS) {
+      this.recent.delete(this.recent.keys().next().value);
+    }
+  }
+
+  // Record what we know about a chatter; only chatters with a role (or already known) are kept
+  observe(author) {
+    const channelId = author.channelId;
+    if (!channelId) return null;
+    this.remember(author);
+
+    const flags = {
+      owner: !!author.isChatOwner,
+      moderator: !!author.isChatModerator,
+      member: !!author.isChatSponsor
+    };
+    const existing = this.identities.get(channelId);
+    if (!existing && !flags.owner && !flags.moderator && !flags.member) return null;
+
+    const displayName = author.displayName || existing?.displayName || channelId;
+    const identity = existing || { displayName, names: [], flags, grant: null, firstSeen: new Date().toISOString() };
+    const changed = !existing ||
+      identity.displayName !== displayName ||
+      JSON.stringify(identity.flags) !== JSON.stringify(flags);
+
+    if (existing && existing.displayName !== displayName) {
+      logger.info(`🪪 ${existing.displayName} is now ${displayName}`);
+    }
+
+    identity.displayName = displayName;
+    identity.flags = flags;
+    if (!identity.names.includes(displayName)) {
+      identity.names = [...identity.names, displayName].slice(-MAX_NAMES);
+    }
+    identity.lastSeen = new Date().toISOString();
+    this.identities.set(channelId, identity);
+
+    // lastSeen alone isn't worth a write
+    if (changed) this.save();
+    return identity;
+  }
+
+  // Bind a role to the author's channel ID, after they redeemed a claim code
+  bind(author, level) {
+    this.observe(author);
+
+    const identity = this.identities.get(author.channelId) || {
+      displayName: author.displayName,
+      names: [author.displayName],
+      flags: { owner: false, moderator: false, member: false },
+      firstSeen: new Date().toISOString(),
+      lastSeen: new Date().toISOString()
+    };
+    identity.grant = { level, via: 'claim', at: new Date().toISOString() };
+    this.identities.set(author.channelId, identity);
+    this.save();
+
+    logger.info(`🪪 ${identity.displayName} (${author.channelId}) claimed ${level}`);
+    return identity;
+  }
+
+  // Returns the revoked grant, or null if there was none
+  revokeGrant(channelId) {
+    const identity = this.identities.get(channelId);
+    if (!identity || !identity.grant) return null;
+
+    const grant = identity.grant;
+    identity.grant = null;
+    this.save();
+
+    logger.info(`🪪 ${identity.displayName} is no longer ${grant.level}`);
+    return grant;
+  }
+
+  // Everyone with a role, with the names they have used
+  privileged() {
+    return Array.from(this.identities, ([channelId, identity]) => ({ channelId, ...identity }))
+      .filter(identity => identity.grant || identity.flags.owner || identity.flags.moderator);
+  }
+
+  save() {
+    this.store.write({
+      identities: Object.fromEntries(this.identities),
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  getStats() {
+    const stats = { identities: this.identities.size, moderators: 0, members: 0, grants: 0 };
+    this.identities.forEach(identity => {
+      if (identity.flags.moderator) stats.moderators++;
+      if (identity.flags.member) stats.members++;
+      if (identity.grant) stats.grants++;
+    });
+    return stats;
+  }
+}
+
+module.exports = IdentityRegistry;
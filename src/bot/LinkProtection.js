@@ -0,0 +1,113 @@
+/**
+ * Link protection
+ * Finds links in chat, including bare domains and obfuscated forms like
+ * "site dot com" or "site[.]com", and reports the ones that aren't on the
+ * allowlist. Moderators can !permit a viewer to post links for a short window;
+ * the permit goes to the viewer's channel ID, not to whoever has their name.
+ */
+
+const logger = require('../utils/logger');
+
+// Bare domains only count with a known TLD, so "e.g" or "3.14" aren't links
+const TLDS = [
+  'com', 'net', 'org', 'info', 'biz', 'io', 'gg', 'tv', 'me', 'co', 'xyz', 'ly', 'link', 'site', 'online',
+  'shop', 'store', 'club', 'live', 'app', 'dev', 'top', 'click', 'vip', 'win', 'bet', 'icu', 'buzz', 'fun',
+  'us', 'uk', 'de', 'fr', 'nl', 'ru', 'su', 'cn', 'to', 'ws', 'cc', 'pw', 'tk', 'ml', 'ga', 'cf', 'gq'
+];
+
+const DOMAIN_PATTERN = new RegExp(
+  `(?:^|[^a-z0-9@.-])((?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\\.)+(?:${TLDS.join('|')}))(?=$|[^a-z0-9-])`,
+  'g'
+);
+const URL_PATTERN = /\b(?:https?|ftp):\/\/([^\s/?#:]+)/g;
+
+function deobfuscate(text) {
+  return String(text)
+    .normalize('NFKC') // fullwidth letters and dots
+    .toLowerCase()
+    .replace(/[。｡．]/g, '.')
+    .replace(/\s*[([{<]\s*(?:dot|d0t|\.)\s*[)\]}>]\s*/g, '.')
+    .replace(new RegExp(`\\s+(?:dot|d0t)\\s+(?=(?:${TLDS.join('|')})\\b)`, 'g'), '.')
+    .replace(new RegExp(`([a-z0-9])\\s*\\.\\s+(?=(?:${TLDS.join('|')})\\b)`, 'g'), '$1.')
+    .replace(new RegExp(`([a-z0-9])\\s+\\.\\s*(?=(?:${TLDS.join('|')})\\b)`, 'g'), '$1.');
+}
+
+function parseList(value) {
+  return String(value || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+class LinkProtection {
+  constructor(config) {
+    this.allowlist = parseList(config.LINK_ALLOWLIST).map(domain => domain.replace(/^(\*\.|www\.)/, ''));
+    this.exempt = parseList(config.LINK_EXEMPT);
+    this.permitSeconds = config.LINK_PERMIT_SECONDS;
+
+    // channel ID -> expiry timestamp
+    this.permits = new Map();
+  }
+
+  // Domains of every link in the text, de-obfuscated and lowercased
+  findLinks(text) {
+    const cleaned = deobfuscate(text);
+    const domains = new Set();
+
+    for (const match of cleaned.matchAll(URL_PATTERN)) {
+      domains.add(match[1]);
+    }
+    for (const match of cleaned.matchAll(DOMAIN_PATTERN)) {
+      domains.add(match[1]);
+    }
+
+    return Array.from(domains).map(domain => domain.replace(/^www\./, ''));
+  }
+
+  // Allowlisted domains cover their subdomains too (youtube.com allows m.youtube.com)
+  isAllowed(domain) {
+    return this.allowlist.some(allowed => domain === allowed || domain.endsWith(`.${allowed}`));
+  }
+
+  permit(channelId, displayName = channelId) {
+    const expiresAt = Date.now() + this.permitSeconds * 1000;
+    this.permits.set(channelId, expiresAt);
+    logger.info(`🔗 ${displayName} (${channelId}) may post links for ${this.permitSeconds}s`);
+    return expiresAt;
+  }
+
+  hasPermit(message) {
+    const channelId = message.authorDetails?.channelId;
+    const expiresAt = channelId && this.permits.get(channelId);
+
+    if (!expiresAt) return false;
+    if (expiresAt > Date.now()) return true;
+
+    this.permits.delete(channelId);
+    return false;
+  }
+
+  // Moderation detector: the first blocked domain, or null
+  check(message, text = message.snippet?.displayMessage || '') {
+    const blocked = this.findLinks(text).find(domain => !this.isAllowed(domain));
+    if (!blocked || this.hasPermit(message)) return null;
+
+    return { detail: blocked, exempt: this.exempt };
+  }
+
+  getStats() {
+    const now = Date.now();
+    for (const [channelId, expiresAt] of this.permits) {
+      if (expiresAt <= now) this.permits.delete(channelId);
+    }
+
+    return {
+      allowlist: this.allowlist,
+      exempt: this.exempt,
+      activePermits: this.permits.size
+    };
+  }
+}
+
+module.exports = LinkProtection;
+module.exports.deobfuscate = deobfuscate;
@@ -223,17 +223,19 @@ class MessageAnalyzer {
     return 'general';
   }
 
-  detectSpam(text) {
+  // strict tightens every threshold, e.g. while the chat is being flooded
+  detectSpam(text, { strict = false } = {}) {
     // Check for repeated characters or patterns
-    if (this.chatPatterns.spam.test(text)) return true;
+    const repeated = strict ? /(.)\1{3,}|(.{1,3})\2{2,}/i : this.chatPatterns.spam;
+    if (repeated.test(text)) return true;
     
     // Check for excessive caps
     const capsRatio = (text.match(/[A-Z]/g) || []).length / text.length;
-    if (capsRatio > 0.7 && text.length > 10) return true;
+    if (capsRatio > (strict ? 0.5 : 0.7) && text.length > (strict ? 5 : 10)) return true;
     
     // Check for excessive punctuation
     const punctuationRatio = (text.match(/[!?.,;:]/g) || []).length / text.length;
-    if (punctuationRatio > 0.3) return true;
+    if (punctuationRatio > (strict ? 0.2 : 0.3)) return true;
     
     return false;
   }
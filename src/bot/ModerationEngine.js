@@ -0,0 +1,243 @@
+/**
+ * Rule-driven chat moderation
+ * Detectors turn a message into signals (spam, ...), MODERATION_RULES maps
+ * each signal to an action, and the most severe action wins. A detector can
+ * also decide the action itself (blocked terms carry their own severity).
+ * Repeat offenders are escalated through the strike ledger.
+ */
+
+const logger = require('../utils/logger');
+const constants = require('../config/constants');
+
+const { NONE, WARN, TIMEOUT, BAN } = constants.MODERATION_ACTIONS;
+const SEVERITY = Object.values(constants.MODERATION_ACTIONS);
+
+class ModerationEngine {
+  constructor(config, youtubeService, { messageAnalyzer, ownerDetection, blockedTerms, linkProtection, floodDetector, strikeLedger }) {
+    this.config = config;
+    this.youtubeService = youtubeService;
+    this.ownerDetection = ownerDetection;
+    this.strikeLedger = strikeLedger;
+
+    this.enabled = !!config.ENABLE_MODERATION;
+    this.dryRun = !!config.MODERATION_DRY_RUN;
+    this.timeoutSeconds = config.MODERATION_TIMEOUT_SECONDS;
+    this.exempt = String(config.MODERATION_EXEMPT || '')
+      .split(',')
+      .map(role => role.trim().toLowerCase())
+      .filter(Boolean);
+    this.rules = this.normalizeRules(config.MODERATION_RULES || {});
+
+    // signal -> (message, text) => false, true (use the rule) or overrides { action, duration, detail, exempt }
+    this.detectors = {
+      spam: (message, text) => messageAnalyzer.detectSpam(text, { strict: floodDetector.isDefensive() }),
+      blockedTerm: (message, text) => blockedTerms.match(message, text),
+      link: (message, text) => linkProtection.check(message, text),
+      flood: message => floodDetector.checkDuplicate(message)
+    };
+
+    // Active bans by author channel ID, so moderators can lift them by name
+    this.bans = new Map();
+    this.history = [];
+    this.stats = { warn: 0, delete: 0, timeout: 0, ban: 0, unban: 0, dryRun: 0, failed: 0, exempted: 0 };
+    this.bySignal = {};
+  }
+
+  normalizeRules(rules) {
+    const normalized = {};
+
+    Object.entries(rules).forEach(([signal, rule]) => {
+      const action = typeof rule === 'string' ? rule : rule?.action;
+      if (!SEVERITY.includes(action)) {
+        logger.warn(`⚠️ Ignoring moderation rule for ${signal}: unknown action "${action}"`);
+        return;
+      }
+
+      normalized[signal] = {
+        action,
+        duration: rule.duration || this.timeoutSeconds
+      };
+    });
+
+    return normalized;
+  }
+
+  isExempt(message, roles = this.exempt) {
+    const author = message.authorDetails || {};
+    const level = this.ownerDetection.getUserPermissionLevel(message);
+
+    if (roles.includes('owner') && level === constants.PERMISSION_LEVELS.OWNER) return true;
+    if (roles.includes('moderator') && level === constants.PERMISSION_LEVELS.MODERATOR) return true;
+    if (roles.includes('member') && (level === constants.PERMISSION_LEVELS.MEMBER || author.isChatSponsor)) return true;
+
+    return false;
+  }
+
+  // Which rule applies to this message, if any; signals the author is exempt from are skipped
+  evaluate(message) {
+    const text = message.snippet?.displayMessage || '';
+    let decision = null;
+    let exempted = null;
+
+    for (const [signal, detect] of Object.entries(this.detectors)) {
+      const detected = detect(message, text);
+      if (!detected) continue;
+
+      const rule = typeof detected === 'object' ? { ...this.rules[signal], ...detected } : this.rules[signal];
+      if (!rule || !rule.action || rule.action === NONE) continue;
+
+      if (this.isExempt(message, rule.exempt || this.exempt)) {
+        exempted = signal;
+        continue;
+      }
+
+      if (!decision || SEVERITY.indexOf(rule.action) > SEVERITY.indexOf(decision.action)) {
+        decision = { signal, duration: this.timeoutSeconds, detail: null, ...rule };
+      }
+    }
+
+    if (!decision && exempted) {
+      this.stats.exempted++;
+      logger.debug(`🛡️ ${message.authorDetails?.displayName} is exempt from moderation (${exempted})`);
+    }
+
+    return decision;
+  }
+
+  // Returns the action taken (or that would have been taken in dry run), null if the message is fine
+  async moderate(message, liveChatId) {
+    if (!this.enabled) return null;
+
+    const decision = this.evaluate(message);
+    if (!decision) return null;
+
+    this.bySignal[decision.signal] = (this.bySignal[decision.signal] || 0) + 1;
+
+    const author = message.authorDetails || {};
+    const escalated = this.escalate(decision, author.channelId);
+    const result = {
+      timestamp: new Date().toISOString(),
+      messageId: message.id,
+      author: author.displayName || 'Unknown',
+      authorChannelId: author.channelId || null,
+      text: message.snippet?.displayMessage || '',
+      signal: decision.signal,
+      detail: decision.detail,
+      action: decision.action,
+      duration: decision.action === TIMEOUT ? decision.duration : null,
+      dryRun: this.dryRun,
+      escalated,
+      strikes: null,
+      error: null
+    };
+
+    // Dry runs report the strike the viewer would get without recording it
+    const tracked = this.strikeLedger.enabled && !!author.channelId;
+
+    if (this.dryRun) {
+      this.stats.dryRun++;
+      result.strikes = tracked ? this.strikeLedger.count(author.channelId) + 1 : null;
+      logger.info(`🧪 [dry run] Would ${result.action} ${result.author} for ${result.signal}: "${result.text}"`);
+    } else {
+      if (tracked) {
+        result.strikes = this.strikeLedger.add(author.channelId, result.author, { signal: result.signal, detail: result.detail });
+      }
+
+      try {
+        await this.execute(result, liveChatId);
+        this.stats[result.action]++;
+        logger.info(`🔨 ${result.action} ${result.author} for ${result.signal}${result.duration ? ` (${result.duration}s)` : ''}${result.strikes ? `, strike ${result.strikes}` : ''}`);
+      } catch (error) {
+        result.error = error.message;
+        this.stats.failed++;
+        logger.error(`❌ Moderation ${result.action} failed for ${result.author}:`, error.message);
+      }
+    }
+
+    this.recordHistory(result);
+    return result;
+  }
+
+  // The viewer's strike step replaces the rule's action when it is more severe
+  escalate(decision, channelId) {
+    const step = channelId && this.strikeLedger.nextStep(channelId);
+    if (!step || SEVERITY.indexOf(step.action) <= SEVERITY.indexOf(decision.action)) return false;
+
+    decision.action = step.action;
+    decision.duration = step.duration;
+    return true;
+  }
+
+  // Warnings are only a chat message (sent by the bot); timeouts and bans remove the message too
+  async execute(result, liveChatId) {
+    if (result.action === WARN) return;
+
+    if (result.messageId) {
+      await this.youtubeService.deleteMessage(result.messageId);
+    }
+
+    if (result.action === TIMEOUT || result.action === BAN) {
+      const banId = await this.youtubeService.banUser(liveChatId, result.authorChannelId, result.duration);
+      this.bans.set(result.authorChannelId, {
+        banId,
+        author: result.author,
+        expiresAt: result.duration ? Date.now() + result.duration * 1000 : null
+      });
+    }
+  }
+
+  // Lift a ban issued by this bot, by author display name or channel ID
+  async unban(target) {
+    this.pruneExpiredBans();
+
+    const needle = String(target).trim().replace(/^@/, '').toLowerCase();
+    const entry = Array.from(this.bans.entries()).find(([channelId, ban]) =>
+      channelId.toLowerCase() === needle || ban.author.replace(/^@/, '').toLowerCase() === needle
+    );
+
+    if (!entry) return null;
+
+    const [channelId, ban] = entry;
+    await this.youtubeService.unbanUser(ban.banId);
+
+    this.bans.delete(channelId);
+    this.stats.unban++;
+    logger.info(`🔓 Lifted ban for ${ban.author}`);
+    return ban;
+  }
+
+  // Bans belong to a live chat, forget them when it ends
+  clearBans() {
+    this.bans.clear();
+  }
+
+  pruneExpiredBans() {
+    const now = Date.now();
+    for (const [channelId, ban] of this.bans) {
+      if (ban.expiresAt && ban.expiresAt <= now) this.bans.delete(channelId);
+    }
+  }
+
+  recordHistory(result) {
+    this.history.push(result);
+    if (this.history.length > constants.LIMITS.MODERATION_HISTORY) {
+      this.history = this.history.slice(-constants.LIMITS.MODERATION_HISTORY);
+    }
+  }
+
+  getStats() {
+    this.pruneExpiredBans();
+
+    return {
+      enabled: this.enabled,
+      dryRun: this.dryRun,
+      rules: this.rules,
+      actions: { ...this.stats },
+      bySignal: { ...this.bySignal },
+      activeBans: this.bans.size,
+      lastAction: this.history[this.history.length - 1] || null
+    };
+  }
+}
+
+module.exports = ModerationEngine;
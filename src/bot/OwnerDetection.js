@@ -4,6 +4,27 @@
 
 const logger = require('../utils/logger');
 const constants = require('../config/constants');
+const IdentityRegistry = require('./IdentityRegistry');
+const { normalize } = require('./BlockedTermsFilter');
+const editDistance = require('../utils/editDistance');
+
+// YouTube channel IDs are "UC" plus 22 characters
+const CHANNEL_ID_PATTERN = /^UC[A-Za-z0-9_-]{22}$/;
+
+// Names shorter than this are too common to call anyone a lookalike
+const MIN_LOOKALIKE_LENGTH = 4;
+
+// Lowercase letters and digits only, with confusable characters folded ("Str3amer" -> "streamer")
+function comparableName(name) {
+  return normalize(String(name || '').replace(/^@/, '')).replace(/[^a-z0-9]/g, '');
+}
+
+// Same name once folded, the privileged name inside it, or a typo or two away
+function resembles(name, privileged) {
+  if (privileged.length < MIN_LOOKALIKE_LENGTH) return false;
+  if (name.includes(privileged)) return true;
+  return editDistance(name, privileged) <= (privileged.length >= 8 ? 2 : 1);
+}
 
 class OwnerDetection {
   constructor(config) {
@@ -11,64 +32,42 @@ class OwnerDetection {
     this.ownerChannelId = config.YOUTUBE_CHANNEL_ID;
     this.ownerUsernames = this.parseOwnerUsernames();
     this.moderators = this.parseModerators();
+    this.identities = new IdentityRegistry(config);
+    
+    const names = [...this.ownerUsernames, ...this.moderators].filter(entry => !CHANNEL_ID_PATTERN.test(entry));
+    if (names.length > 0) {
+      logger.warn(`⚠️ OWNER_USERNAME/MODERATORS display names (${names.join(', ')}) no longer grant a role, anyone can copy a name. Use channel IDs or !claim instead`);
+    }
     
     logger.debug(`Owner detection initialized with ${this.ownerUsernames.length} usernames and ${this.moderators.length} moderators`);
   }
 
-  parseOwnerUsernames() {
-    if (!this.config.OWNER_USERNAME) return [];
-    return this.config.OWNER_USERNAME
+  // Channel IDs keep their case, display names are lowercased
+  parseList(value) {
+    if (!value) return [];
+    return value
       .split(',')
-      .map(name => name.trim().toLowerCase())
-      .filter(name => name.length > 0);
+      .map(entry => entry.trim())
+      .filter(entry => entry.length > 0)
+      .map(entry => CHANNEL_ID_PATTERN.test(entry) ? entry : entry.toLowerCase());
+  }
+
+  parseOwnerUsernames() {
+    return this.parseList(this.config.OWNER_USERNAME);
   }
 
   parseModerators() {
-    if (!this.config.MODERATORS) return [];
-    return this.config.MODERATORS
-      .split(',')
-      .map(name => name.trim().toLowerCase())
-      .filter(name => name.length > 0);
+    return this.parseList(this.config.MODERATORS);
   }
 
   isOwnerOrAdmin(message) {
     try {
-      const author = message.authorDetails;
-      if (!author) return false;
-
-      // Method 1: Channel owner (most reliable)
-      if (author.channelId === this.ownerChannelId) {
-        logger.debug(`Owner detected via channel ID: ${author.displayName}`);
-        return true;
-      }
-      
-      // Method 2: YouTube's chat owner flag
-      if (author.isChatOwner === true) {
-        logger.debug(`Owner detected via chat owner flag: ${author.displayName}`);
+      const level = this.getUserPermissionLevel(message);
+      if (level === constants.PERMISSION_LEVELS.OWNER || level === constants.PERMISSION_LEVELS.MODERATOR) {
+        logger.debug(`${level} detected: ${message.authorDetails.displayName}`);
         return true;
       }
       
-      // Method 3: Username matching (case-insensitive)
-      const displayName = author.displayName?.toLowerCase() || '';
-      if (this.ownerUsernames.length > 0) {
-        const usernameMatch = this.ownerUsernames.some(username => 
-          displayName === username || displayName.includes(username)
-        );
-        if (usernameMatch) {
-          logger.debug(`Owner detected via username match: ${author.displayName}`);
-          return true;
-        }
-      }
-      
-      // Method 4: Moderator list
-      if (this.moderators.length > 0) {
-        const moderatorMatch = this.moderators.some(mod => displayName === mod);
-        if (moderatorMatch) {
-          logger.debug(`Moderator detected: ${author.displayName}`);
-          return true;
-        }
-      }
-      
       return false;
     } catch (error) {
       logger.error('Error in owner detection:', error.message);
@@ -76,6 +75,45 @@ class OwnerDetection {
     }
   }
 
+  // Role bound to the author's channel ID, by a channel ID in the env lists or a redeemed claim code
+  getGrantedRole(author) {
+    const channelId = author.channelId;
+    if (!channelId) return null;
+    
+    if (this.ownerUsernames.includes(channelId)) return { level: constants.PERMISSION_LEVELS.OWNER, via: 'config' };
+    if (this.moderators.includes(channelId)) return { level: constants.PERMISSION_LEVELS.MODERATOR, via: 'config' };
+    
+    return this.identities.get(channelId)?.grant || null;
+  }
+
+  // Remember chatters with a role by channel ID
+  observe(message) {
+    const author = message.authorDetails;
+    if (!author) return null;
+    
+    return this.identities.observe(author);
+  }
+
+  // Names of the owner and moderators: everyone seen with a role, then the names in the env lists
+  getPrivilegedNames(exceptChannelId = null) {
+    const names = this.identities.privileged()
+      .filter(identity => identity.channelId !== exceptChannelId)
+      .flatMap(identity => identity.names);
+    names.push(...[...this.ownerUsernames, ...this.moderators].filter(entry => !CHANNEL_ID_PATTERN.test(entry)));
+    return [...new Set(names)];
+  }
+
+  // The privileged name a viewer's display name imitates, or null
+  findLookalike(message) {
+    const author = message.authorDetails;
+    if (!author?.displayName || this.isOwnerOrAdmin(message)) return null;
+    
+    const name = comparableName(author.displayName);
+    if (name.length < MIN_LOOKALIKE_LENGTH) return null;
+    
+    return this.getPrivilegedNames(author.channelId).find(privileged => resembles(name, comparableName(privileged))) || null;
+  }
+
   getUserPermissionLevel(message) {
     try {
       const author = message.authorDetails;
@@ -86,23 +124,20 @@ class OwnerDetection {
         return constants.PERMISSION_LEVELS.OWNER;
       }
       
-      // Check username-based owner detection
-      const displayName = author.displayName?.toLowerCase() || '';
-      if (this.ownerUsernames.length > 0) {
-        const usernameMatch = this.ownerUsernames.some(username => 
-          displayName === username || displayName.includes(username)
-        );
-        if (usernameMatch) {
-          return constants.PERMISSION_LEVELS.OWNER;
-        }
+      // Roles bound to the channel ID add to YouTube's flags; display names are never trusted
+      const granted = this.getGrantedRole(author);
+      if (granted?.level === constants.PERMISSION_LEVELS.OWNER) {
+        return constants.PERMISSION_LEVELS.OWNER;
       }
       
       // Check for moderator status
-      if (this.moderators.length > 0) {
-        const moderatorMatch = this.moderators.some(mod => displayName === mod);
-        if (moderatorMatch) {
-          return constants.PERMISSION_LEVELS.MODERATOR;
-        }
+      if (author.isChatModerator || granted?.level === constants.PERMISSION_LEVELS.MODERATOR) {
+        return constants.PERMISSION_LEVELS.MODERATOR;
+      }
+      
+      // Channel members (sponsors)
+      if (author.isChatSponsor) {
+        return constants.PERMISSION_LEVELS.MEMBER;
       }
       
       // Check for verified status
@@ -126,6 +161,8 @@ class OwnerDetection {
         displayName: author.displayName,
         channelId: author.channelId,
         isChatOwner: author.isChatOwner,
+        isChatModerator: author.isChatModerator,
+        isChatSponsor: author.isChatSponsor,
         isVerified: author.isVerified,
         badges: author.badges || [],
         permissionLevel: this.getUserPermissionLevel(message),
@@ -152,15 +189,17 @@ class OwnerDetection {
       methods.push('chat_owner_flag');
     }
     
-    const displayName = author.displayName?.toLowerCase() || '';
-    if (this.ownerUsernames.some(username => 
-      displayName === username || displayName.includes(username)
-    )) {
-      methods.push('username_match');
+    if (author.isChatModerator) {
+      methods.push('chat_moderator_flag');
+    }
+    
+    if (author.isChatSponsor) {
+      methods.push('chat_sponsor_flag');
     }
     
-    if (this.moderators.some(mod => displayName === mod)) {
-      methods.push('moderator_list');
+    const granted = this.getGrantedRole(author);
+    if (granted) {
+      methods.push(granted.via === 'claim' ? 'claimed_identity' : 'config_channel_id');
     }
     
     if (author.isVerified) {
@@ -219,7 +258,8 @@ class OwnerDetection {
       ownerUsernames: this.ownerUsernames,
       moderators: this.moderators,
       hasOwnerConfig: this.ownerUsernames.length > 0,
-      hasModeratorConfig: this.moderators.length > 0
+      hasModeratorConfig: this.moderators.length > 0,
+      identities: this.identities.getStats()
     };
   }
 }
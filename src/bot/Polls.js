@@ -0,0 +1,163 @@
+/**
+ * In-chat polls
+ * One poll at a time per channel. Viewers vote with the option's number or
+ * name, one vote per channel ID, and voting again changes their vote. The
+ * open poll and the last finished ones are persisted per channel, so a
+ * restart mid-poll keeps the votes.
+ */
+
+const path = require('path');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
+const constants = require('../config/constants');
+
+const MAX_QUESTION_LENGTH = 150;
+const MAX_OPTION_LENGTH = 50;
+
+class Polls {
+  constructor(config) {
+    this.store = new JsonStore(path.join(config.DATA_DIR, `polls-${config.YOUTUBE_CHANNEL_ID}.json`));
+
+    // { id, question, options, votes: { channelId: option index }, startedBy, startedAt, endedAt }
+    const saved = this.store.read();
+    this.current = saved?.current || null;
+    this.history = saved?.history || [];
+
+    this.saveTimeout = null;
+  }
+
+  isOpen() {
+    return !!this.current;
+  }
+
+  // "question" | option 1 | option 2 ...
+  parseDefinition(text) {
+    const [question = '', ...options] = String(text || '').split('|').map(part => part.trim().replace(/^"(.*)"$/, '$1').trim());
+    return { question, options: options.filter(Boolean) };
+  }
+
+  start(question, options, startedBy = null) {
+    if (this.current) throw new Error(`A poll is already running: ${this.current.question}`);
+    if (!question) throw new Error('No question given');
+    if (question.length > MAX_QUESTION_LENGTH) throw new Error(`Questions are at most ${MAX_QUESTION_LENGTH} characters`);
+    if (options.length < 2 || options.length > constants.LIMITS.POLL_OPTIONS) {
+      throw new Error(`Polls need 2-${constants.LIMITS.POLL_OPTIONS} options`);
+    }
+    if (options.some(option => option.length > MAX_OPTION_LENGTH)) throw new Error(`Options are at most ${MAX_OPTION_LENGTH} characters`);
+    if (new Set(options.map(option => option.toLowerCase())).size !== options.length) throw new Error('Options must be different');
+
+    this.current = {
+      id: Date.now().toString(36),
+      question,
+      options,
+      votes: {},
+      startedBy,
+      startedAt: new Date().toISOString(),
+      endedAt: null
+    };
+    this.save();
+
+    logger.info(`🗳️ Poll started${startedBy ? ` by ${startedBy}` : ''}: ${question} (${options.join(' / ')})`);
+    return this.current;
+  }
+
+  // Option index for "2", "#2" or the option's name, -1 if it's none of them
+  matchOption(text) {
+    if (!this.current) return -1;
+
+    const choice = String(text || '').trim().replace(/^#/, '').toLowerCase();
+    if (/^\d+$/.test(choice)) {
+      const index = Number(choice) - 1;
+      return index < this.current.options.length ? index : -1;
+    }
+    return this.current.options.findIndex(option => option.toLowerCase() === choice);
+  }
+
+  // Records or changes the vote; null if no poll is open or the text isn't an option
+  vote(channelId, text) {
+    if (!this.current || !channelId) return null;
+
+    const index = this.matchOption(text);
+    if (index < 0) return null;
+
+    const previous = this.current.votes[channelId];
+    this.current.votes[channelId] = index;
+    this.scheduleSave();
+
+    return { option: this.current.options[index], changed: previous !== undefined && previous !== index };
+  }
+
+  // Votes per option with percentages, leaders first on ties
+  tally(poll = this.current) {
+    if (!poll) return null;
+
+    const counts = poll.options.map(() => 0);
+    Object.values(poll.votes).forEach(index => counts[index]++);
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    const top = Math.max(...counts);
+
+    return {
+      id: poll.id,
+      question: poll.question,
+      open: !poll.endedAt,
+      options: poll.options.map((option, index) => ({
+        number: index + 1,
+        option,
+        votes: counts[index],
+        percent: total ? Math.round((counts[index] / total) * 100) : 0
+      })),
+      total,
+      leaders: total ? poll.options.filter((option, index) => counts[index] === top) : [],
+      startedAt: poll.startedAt,
+      endedAt: poll.endedAt
+    };
+  }
+
+  // Closes the open poll and returns its final tally
+  end() {
+    if (!this.current) return null;
+
+    const poll = { ...this.current, endedAt: new Date().toISOString() };
+    const result = this.tally(poll);
+    this.history = [...this.history, result].slice(-constants.LIMITS.POLL_HISTORY);
+    this.current = null;
+    this.save();
+
+    logger.info(`🗳️ Poll ended: ${result.question} (${result.total} votes)`);
+    return result;
+  }
+
+  getLatest() {
+    return this.history[this.history.length - 1] || null;
+  }
+
+  scheduleSave() {
+    if (this.saveTimeout) return;
+
+    this.saveTimeout = setTimeout(() => {
+      this.saveTimeout = null;
+      this.save();
+    }, constants.INTERVALS.POLL_SAVE);
+  }
+
+  save() {
+    clearTimeout(this.saveTimeout);
+    this.saveTimeout = null;
+
+    this.store.write({
+      current: this.current,
+      history: this.history,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  getStats() {
+    return {
+      open: this.isOpen(),
+      voters: this.current ? Object.keys(this.current.votes).length : 0,
+      finished: this.history.length
+    };
+  }
+}
+
+module.exports = Polls;
@@ -0,0 +1,273 @@
+/**
+ * Giveaway raffles
+ * Viewers enter by typing the keyword while entries are open, once per channel
+ * ID. Entries can be limited to members and to chatters with enough messages
+ * this stream, and members can get extra tickets. Each draw records who won,
+ * with what odds, and whether they answered in time. The raffle, its entrants
+ * and past raffles are persisted per channel so every draw can be checked.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
+const constants = require('../config/constants');
+
+const OPTIONS = ['keyword', 'time', 'members', 'messages', 'weight', 'claim'];
+const MAX_KEYWORD_LENGTH = 30;
+const MAX_WEIGHT = 10;
+
+class Raffles {
+  constructor(config) {
+    this.store = new JsonStore(path.join(config.DATA_DIR, `raffles-${config.YOUTUBE_CHANNEL_ID}.json`));
+
+    // { id, keyword, membersOnly, minMessages, memberWeight, claimTimeout, status: open|closed|cancelled,
+    //   startedBy, startedAt, closesAt, closedAt, entrants: { channelId: { displayName, member, enteredAt } }, rejected, draws }
+    const saved = this.store.read();
+    this.current = saved?.current || null;
+    this.history = saved?.history || [];
+
+    // Chat messages per channel ID this stream, for the minimum messages rule
+    this.chatCounts = new Map();
+    this.saveTimeout = null;
+  }
+
+  isOpen() {
+    return this.current?.status === 'open';
+  }
+
+  // key=value settings, times in minutes: keyword=!join time=5 members=on messages=10 weight=2 claim=2
+  parseOptions(text) {
+    const options = {};
+
+    String(text || '').trim().split(/\s+/).filter(Boolean).forEach(word => {
+      const [key, value = 'on'] = word.toLowerCase().split('=');
+      if (!OPTIONS.includes(key)) throw new Error(`Unknown setting ${key} (use ${OPTIONS.join(', ')})`);
+
+      if (key === 'keyword') {
+        options.keyword = value;
+      } else if (key === 'members') {
+        if (!['on', 'off'].includes(value)) throw new Error('members must be on or off');
+        options.membersOnly = value === 'on';
+      } else {
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < 0) throw new Error(`${key} must be a number`);
+        if (key === 'time') options.duration = number * 60000;
+        if (key === 'claim') options.claimTimeout = number * 60000;
+        if (key === 'messages') options.minMessages = Math.floor(number);
+        if (key === 'weight') options.memberWeight = Math.floor(number);
+      }
+    });
+
+    return options;
+  }
+
+  start(options = {}, startedBy = null) {
+    if (this.isOpen()) throw new Error('A raffle is already open, !raffle stop it first');
+
+    const raffle = {
+      id: Date.now().toString(36),
+      keyword: (options.keyword || constants.RAFFLE_DEFAULT_KEYWORD).toLowerCase(),
+      membersOnly: !!options.membersOnly,
+      minMessages: options.minMessages || 0,
+      memberWeight: options.memberWeight || 1,
+      claimTimeout: options.claimTimeout || constants.INTERVALS.RAFFLE_CLAIM,
+      status: 'open',
+      startedBy,
+      startedAt: new Date().toISOString(),
+      closesAt: null,
+      closedAt: null,
+      entrants: {},
+      rejected: 0,
+      draws: []
+    };
+    const duration = options.duration ?? constants.INTERVALS.RAFFLE_DURATION;
+    if (duration > 0) raffle.closesAt = new Date(Date.now() + duration).toISOString();
+
+    if (/\s/.test(raffle.keyword) || raffle.keyword.length > MAX_KEYWORD_LENGTH) throw new Error(`The keyword is one word of at most ${MAX_KEYWORD_LENGTH} characters`);
+    if (raffle.memberWeight < 1 || raffle.memberWeight > MAX_WEIGHT) throw new Error(`weight must be 1-${MAX_WEIGHT}`);
+    if (raffle.claimTimeout < constants.INTERVALS.RAFFLE_MIN_CLAIM) throw new Error(`claim must be at least ${constants.INTERVALS.RAFFLE_MIN_CLAIM / 60000} min`);
+
+    this.archive();
+    this.current = raffle;
+    this.save();
+
+    logger.info(`🎟️ Raffle started${startedBy ? ` by ${startedBy}` : ''}: keyword ${raffle.keyword}${raffle.membersOnly ? ', members only' : ''}${raffle.minMessages ? `, ${raffle.minMessages}+ messages` : ''}`);
+    return raffle;
+  }
+
+  // The finished raffle goes to the history, the latest ones are kept
+  archive() {
+    if (!this.current) return;
+    this.history = [...this.history, this.current].slice(-constants.LIMITS.RAFFLE_HISTORY);
+    this.current = null;
+  }
+
+  // Closes entries; null if there were none open
+  stop() {
+    if (!this.isOpen()) return null;
+
+    this.current.status = 'closed';
+    this.current.closedAt = new Date().toISOString();
+    this.save();
+
+    logger.info(`🎟️ Raffle closed with ${this.entrantCount()} entrants`);
+    return this.current;
+  }
+
+  cancel() {
+    if (!this.current) return null;
+
+    const raffle = this.current;
+    raffle.status = 'cancelled';
+    raffle.closedAt = raffle.closedAt || new Date().toISOString();
+    this.archive();
+    this.save();
+
+    logger.info('🎟️ Raffle cancelled');
+    return raffle;
+  }
+
+  recordMessage(channelId) {
+    if (!channelId) return;
+    this.chatCounts.set(channelId, (this.chatCounts.get(channelId) || 0) + 1);
+  }
+
+  // A new stream starts counting messages from zero
+  resetActivity() {
+    this.chatCounts.clear();
+  }
+
+  // null if the text isn't the keyword of an open raffle, otherwise { entered } or { reason }
+  enter(author, text) {
+    if (!this.isOpen() || !author?.channelId) return null;
+    if (String(text || '').trim().toLowerCase() !== this.current.keyword) return null;
+
+    const raffle = this.current;
+    if (raffle.entrants[author.channelId]) return { reason: 'already_entered' };
+
+    const member = !!author.isChatSponsor;
+    let reason = null;
+    if (raffle.membersOnly && !member) reason = 'members_only';
+    else if ((this.chatCounts.get(author.channelId) || 0) < raffle.minMessages) reason = 'min_messages';
+
+    if (reason) {
+      raffle.rejected++;
+      this.scheduleSave();
+      return { reason };
+    }
+
+    raffle.entrants[author.channelId] = { displayName: author.displayName, member, enteredAt: new Date().toISOString() };
+    this.scheduleSave();
+    return { entered: raffle.entrants[author.channelId] };
+  }
+
+  entrantCount() {
+    return this.current ? Object.keys(this.current.entrants).length : 0;
+  }
+
+  pendingDraw() {
+    const last = this.current?.draws[this.current.draws.length - 1];
+    return last?.status === 'pending' ? last : null;
+  }
+
+  // Picks a winner among entrants not drawn yet, members counting memberWeight times; null if nobody is left
+  draw(drawnBy = null) {
+    if (!this.current) return null;
+    if (this.isOpen()) this.stop();
+
+    const raffle = this.current;
+    const drawn = new Set(raffle.draws.map(draw => draw.channelId));
+    const pool = Object.entries(raffle.entrants)
+      .filter(([channelId]) => !drawn.has(channelId))
+      .map(([channelId, entrant]) => ({ channelId, ...entrant, tickets: entrant.member ? raffle.memberWeight : 1 }));
+    if (pool.length === 0) return null;
+
+    // A winner still waiting to answer loses their turn only once someone else is drawn
+    const pending = this.pendingDraw();
+    if (pending) pending.status = 'rerolled';
+
+    const totalTickets = pool.reduce((sum, entrant) => sum + entrant.tickets, 0);
+    let ticket = crypto.randomInt(totalTickets);
+    const winner = pool.find(entrant => (ticket -= entrant.tickets) < 0);
+
+    const draw = {
+      number: raffle.draws.length + 1,
+      channelId: winner.channelId,
+      displayName: winner.displayName,
+      member: winner.member,
+      tickets: winner.tickets,
+      totalTickets,
+      candidates: pool.length,
+      drawnBy,
+      drawnAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + raffle.claimTimeout).toISOString(),
+      status: 'pending',
+      claimedAt: null
+    };
+    raffle.draws.push(draw);
+    this.save();
+
+    logger.info(`🎉 Raffle draw #${draw.number}: ${draw.displayName} (${draw.channelId}), ${draw.tickets}/${totalTickets} tickets`);
+    return draw;
+  }
+
+  // The pending winner answered in chat; null if it isn't them
+  claim(channelId) {
+    const pending = this.pendingDraw();
+    if (!pending || pending.channelId !== channelId) return null;
+
+    pending.status = 'claimed';
+    pending.claimedAt = new Date().toISOString();
+    this.save();
+
+    logger.info(`🎉 ${pending.displayName} claimed raffle draw #${pending.number}`);
+    return pending;
+  }
+
+  // The pending winner ran out of time; null if there is nothing to expire yet
+  expire(now = Date.now()) {
+    const pending = this.pendingDraw();
+    if (!pending || Date.parse(pending.expiresAt) > now) return null;
+
+    pending.status = 'expired';
+    this.save();
+
+    logger.info(`⌛ ${pending.displayName} did not claim raffle draw #${pending.number}`);
+    return pending;
+  }
+
+  scheduleSave() {
+    if (this.saveTimeout) return;
+
+    this.saveTimeout = setTimeout(() => {
+      this.saveTimeout = null;
+      this.save();
+    }, constants.INTERVALS.RAFFLE_SAVE);
+  }
+
+  save() {
+    clearTimeout(this.saveTimeout);
+    this.saveTimeout = null;
+
+    this.store.write({
+      current: this.current,
+      history: this.history,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  getStats() {
+    return {
+      file: this.store.filePath,
+      status: this.current?.status || 'none',
+      keyword: this.current?.keyword || null,
+      entrants: this.entrantCount(),
+      draws: this.current?.draws.length || 0,
+      pendingWinner: this.pendingDraw()?.displayName || null,
+      finished: this.history.length
+    };
+  }
+}
+
+module.exports = Raffles;
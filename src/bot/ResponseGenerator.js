@@ -6,8 +6,9 @@ const logger = require('../utils/logger');
 const constants = require('../config/constants');
 
 class ResponseGenerator {
-  constructor() {
+  constructor(options = {}) {
     this.responses = this.initializeResponses();
+    this.applySupporterThanks(options.supporterThanks);
     this.contextualResponses = this.initializeContextualResponses();
     this.recentResponses = new Map(); // Track recent responses to avoid repetition
   }
@@ -84,10 +85,44 @@ class ResponseGenerator {
         "This stream is so good! 🔥", "Great energy in chat! ❤️",
         "Love this community! 🌟", "Such good vibes! ✨",
         "Perfect way to spend time! 🎮", "This is awesome! 🎉"
-      ]
+      ],
+
+      // Placeholders: {user} {amount} {level} {months} {count} {message}
+      supporterThanks: {
+        superChat: [
+          "Huge thanks for the {amount} Super Chat, {user}! 💛",
+          "{user} with the {amount} Super Chat! Thank you so much! 🙏",
+          "Thank you {user} for the {amount} Super Chat! You're awesome! 🔥"
+        ],
+        superSticker: [
+          "Thanks for the {amount} Super Sticker, {user}! 🎉",
+          "{user} dropping a {amount} Super Sticker! Thank you! 💛"
+        ],
+        newSponsor: [
+          "Welcome to the {level} crew, {user}! 🎉",
+          "{user} just became a member! Thank you for the support! 💛"
+        ],
+        memberMilestone: [
+          "{months} months as a member! Thank you {user}! 🏆",
+          "Congrats on {months} months, {user}! Thanks for sticking around! 💛"
+        ],
+        membershipGift: [
+          "{user} just gifted {count} memberships! Absolute legend! 🎁",
+          "Thank you {user} for gifting {count} memberships! 💛"
+        ],
+        // Off by default: one event per recipient would flood chat after a big gift
+        giftMembershipReceived: []
+      }
     };
   }
 
+  // Override thank-you templates per event type (string or list of strings)
+  applySupporterThanks(overrides = {}) {
+    Object.entries(overrides || {}).forEach(([eventName, templates]) => {
+      this.responses.supporterThanks[eventName] = [].concat(templates || []);
+    });
+  }
+
   initializeContextualResponses() {
     return {
       gameSpecific: {
@@ -409,39 +444,20 @@ class ResponseGenerator {
     logger.debug(`Generated response for ${author} (${intent}): ${response}`);
   }
 
-  // Admin/Owner specific responses
-  generateAdminResponse(command, permissionLevel, context) {
-    const responses = {
-      help: {
-        owner: "🔧 Owner commands: !status !quota !stats !ping !say !mood !game !debug !shutdown !restart !help",
-        moderator: "🔧 Mod commands: !status !ping !context !help",
-        user: "🔧 Available commands: !help"
-      },
-      status: {
-        template: `🤖 Bot: Active | Game: {game} | Quota: {quota}% | Level: {level}`
-      },
-      ping: {
-        template: `🏓 Pong! ({level}) - {timestamp}ms`
-      }
-    };
-
-    if (responses[command]) {
-      if (responses[command][permissionLevel]) {
-        return responses[command][permissionLevel];
-      } else if (responses[command].template) {
-        return this.fillTemplate(responses[command].template, context, permissionLevel);
-      }
-    }
+  generateSupporterThanks(event) {
+    const templates = this.responses.supporterThanks[event.name];
+    if (!templates || templates.length === 0) return null;
 
-    return null;
-  }
+    const amount = event.amountDisplay ||
+      (event.amount !== null ? `${event.amount} ${event.currency || ''}`.trim() : '');
 
-  fillTemplate(template, context, permissionLevel) {
-    return template
-      .replace('{game}', context.currentGame || 'Unknown')
-      .replace('{quota}', Math.round(context.quotaUsage || 0))
-      .replace('{level}', permissionLevel)
-      .replace('{timestamp}', Date.now());
+    return this.selectRandomResponse(templates)
+      .replace(/{user}/g, event.author)
+      .replace(/{amount}/g, amount)
+      .replace(/{level}/g, event.level || 'member')
+      .replace(/{months}/g, event.months || '')
+      .replace(/{count}/g, event.count || '')
+      .replace(/{message}/g, event.message || '');
   }
 
   // Response statistics
@@ -8,53 +8,116 @@ const logger = require('../utils/logger');
 const RateLimiter = require('../utils/rateLimiter');
 const QuotaManager = require('../utils/quotaManager');
 const YouTubeService = require('../services/YouTubeService');
-const WebServer = require('../services/WebServer');
+const ChatStream = require('../services/ChatStream');
+const OutboundQueue = require('../services/OutboundQueue');
+const AuditLog = require('../services/AuditLog');
+const ShadowLog = require('../services/ShadowLog');
 const OwnerDetection = require('./OwnerDetection');
 const MessageAnalyzer = require('./MessageAnalyzer');
 const ResponseGenerator = require('./ResponseGenerator');
 const GameDetector = require('./GameDetector');
+const ChatEventParser = require('./ChatEventParser');
+const ChatCheckpoint = require('./ChatCheckpoint');
+const ModerationEngine = require('./ModerationEngine');
+const CommandRegistry = require('./CommandRegistry');
+const CommandPermissions = require('./CommandPermissions');
+const ClaimCodes = require('./ClaimCodes');
+const CustomCommands = require('./CustomCommands');
+const Announcements = require('./Announcements');
+const Polls = require('./Polls');
+const Raffles = require('./Raffles');
+const FloodDetector = require('./FloodDetector');
+const StrikeLedger = require('./StrikeLedger');
+const BlockedTermsFilter = require('./BlockedTermsFilter');
+const LinkProtection = require('./LinkProtection');
 const constants = require('../config/constants');
 
 class SmartYouTubeChatBot extends EventEmitter {
-  constructor(config) {
+  // shared.quotaManager lets several channel bots draw from one quota ledger
+  constructor(config, shared = {}) {
     super();
     
     this.config = config;
+    this.channelId = config.YOUTUBE_CHANNEL_ID;
+    this.channelName = config.CHANNEL_NAME || config.YOUTUBE_CHANNEL_ID;
     this.state = this.initializeState();
     this.context = this.initializeContext();
     
     // Initialize components
     this.rateLimiter = new RateLimiter(config.getRateLimits());
-    this.quotaManager = new QuotaManager();
+    this.quotaManager = shared.quotaManager || new QuotaManager();
+    this.ownsQuotaManager = !shared.quotaManager;
     this.youtubeService = new YouTubeService(config, this.quotaManager);
+    this.outboundQueue = new OutboundQueue(this.youtubeService, this.quotaManager, {
+      getLiveChatId: () => this.state.liveChatId,
+      minDelay: config.MESSAGE_MIN_DELAY,
+      maxDelay: config.MESSAGE_MAX_DELAY,
+      maxAttempts: config.MESSAGE_MAX_ATTEMPTS,
+      maxAge: config.MESSAGE_MAX_AGE
+    });
     this.ownerDetection = new OwnerDetection(config);
+    this.commandRegistry = this.createCommandRegistry();
+    this.commandPermissions = new CommandPermissions(config, this.commandRegistry.getDefaultRoles());
+    this.customCommands = new CustomCommands(config, { isReserved: name => !!this.commandRegistry.get(name) });
+    this.announcements = new Announcements(config);
+    this.polls = new Polls(config);
+    this.raffles = new Raffles(config);
+    this.claimCodes = new ClaimCodes(config);
+    this.warnedLookalikes = new Set();
+    // Lookalikes waiting for the next warning in chat
+    this.lookalikeWarning = { pending: [], lastAt: 0, timeout: null };
     this.messageAnalyzer = new MessageAnalyzer();
-    this.responseGenerator = new ResponseGenerator();
+    this.responseGenerator = new ResponseGenerator({ supporterThanks: config.SUPPORTER_THANKS });
+    this.chatEventParser = new ChatEventParser();
+    this.chatCheckpoint = new ChatCheckpoint(config);
     this.gameDetector = new GameDetector();
-    this.webServer = new WebServer(config, this);
+    this.blockedTerms = new BlockedTermsFilter(config);
+    this.linkProtection = new LinkProtection(config);
+    this.floodDetector = new FloodDetector(config);
+    this.strikeLedger = new StrikeLedger(config);
+    this.auditLog = new AuditLog(config);
+    this.shadowLog = new ShadowLog(config);
+    this.moderationEngine = new ModerationEngine(config, this.youtubeService, {
+      messageAnalyzer: this.messageAnalyzer,
+      ownerDetection: this.ownerDetection,
+      blockedTerms: this.blockedTerms,
+      linkProtection: this.linkProtection,
+      floodDetector: this.floodDetector,
+      strikeLedger: this.strikeLedger
+    });
     
     // Monitoring intervals
     this.intervals = {
       streamCheck: null,
       contextCleanup: null,
-      keepAlive: null
+      keepAlive: null,
+      announcements: null,
+      pollStandings: null
     };
+    this.pollTimeout = null;
+    this.raffleTimeouts = { close: null, claim: null };
+    this.chatStream = null;
     
     this.setupEventListeners();
     
-    logger.info('🤖 SmartYouTubeChatBot initialized');
+    logger.info(`🤖 SmartYouTubeChatBot initialized for ${this.channelName}`);
   }
 
   initializeState() {
     return {
       isRunning: false,
       isMonitoring: false,
+      shadowMode: !!this.config.SHADOW_MODE,
       videoId: null,
       liveChatId: null,
+      pendingLiveChatId: null,
+      streamStartedAt: null,
       nextPageToken: null,
+      ingestionMode: null,
       consecutiveErrors: 0,
       maxConsecutiveErrors: 5,
       lastResponseTime: 0,
+      lastPollStandings: null,
       startTime: Date.now()
     };
   }
@@ -67,7 +130,8 @@ class SmartYouTubeChatBot extends EventEmitter {
       streamerMood: constants.CHAT_MOODS.NEUTRAL,
       messageHistory: [],
       topicHistory: [],
-      recentEvents: []
+      recentEvents: [],
+      supporterStats: {}
     };
   }
 
@@ -77,17 +141,21 @@ class SmartYouTubeChatBot extends EventEmitter {
     this.on('chatConnected', this.handleChatConnected.bind(this));
     this.on('messageReceived', this.handleMessageReceived.bind(this));
     this.on('messageSent', this.handleMessageSent.bind(this));
+    this.on('supporterEvent', this.handleSupporterEvent.bind(this));
     this.on('error', this.handleError.bind(this));
     
+    this.floodDetector.on('floodStarted', this.handleFloodStarted.bind(this));
+    this.floodDetector.on('floodEnded', this.handleFloodEnded.bind(this));
+    
+    this.outboundQueue.on('sent', entry => this.emit('messageSent', entry.text));
+    this.outboundQueue.on('failed', (entry, error) => this.handleError(error));
+    
     logger.debug('Event listeners registered');
   }
 
   async start() {
     try {
-      logger.info('🚀 Starting bot monitoring...');
-      
-      // Start web server
-      await this.webServer.start();
+      logger.info(`🚀 Starting bot monitoring for ${this.channelName}...`);
       
       // Start YouTube monitoring
       await this.startMonitoring();
@@ -113,7 +181,7 @@ class SmartYouTubeChatBot extends EventEmitter {
       await this.connectToChat();
     }
     
-    // Setup periodic monitoring (every 45 minutes)
+    // Setup periodic monitoring
     this.intervals.streamCheck = setInterval(async () => {
       try {
         const isStreaming = await this.checkForStream();
@@ -124,13 +192,13 @@ class SmartYouTubeChatBot extends EventEmitter {
         logger.error('Error in monitoring interval:', error);
         this.handleError(error);
       }
-    }, constants.INTERVALS.STREAM_CHECK);
+    }, this.config.STREAM_CHECK_INTERVAL);
     
-    logger.info(`🔄 Stream monitoring started (checking every ${constants.INTERVALS.STREAM_CHECK / 60000} minutes)`);
+    logger.info(`🔄 Stream monitoring started (${this.config.STREAM_DETECTION_STRATEGY}, checking every ${this.config.STREAM_CHECK_INTERVAL / 60000} minutes)`);
   }
 
   async checkForStream() {
-    if (!this.quotaManager.canMakeApiCall('SEARCH')) {
+    if (!this.quotaManager.canMakeApiCall(this.youtubeService.getStreamCheckOperation())) {
       logger.warn('⚠️ Skipping stream check - quota limit reached');
       return false;
     }
@@ -145,17 +213,7 @@ class SmartYouTubeChatBot extends EventEmitter {
       
       if (streamInfo) {
         if (streamInfo.videoId !== this.state.videoId) {
-          this.state.videoId = streamInfo.videoId;
-          
-          // Detect game from title
-          this.context.currentGame = this.gameDetector.detectGame(streamInfo.title);
-          
-          logger.info(`🎥 New live stream detected: ${streamInfo.title}`);
-          if (this.context.currentGame) {
-            logger.info(`🎮 Game detected: ${this.context.currentGame}`);
-          }
-          
-          this.emit('streamStarted', streamInfo);
+          this.onStreamDetected(streamInfo);
           return true;
         }
         return this.state.videoId !== null;
@@ -174,17 +232,60 @@ class SmartYouTubeChatBot extends EventEmitter {
     }
   }
 
+  onStreamDetected(streamInfo) {
+    this.state.videoId = streamInfo.videoId;
+    this.state.pendingLiveChatId = streamInfo.liveChatId || null;
+    // Search results don't say when the stream started, chat connecting is close enough
+    this.state.streamStartedAt = Date.parse(streamInfo.startedAt) || null;
+    this.raffles.resetActivity();
+    
+    // Detect game from title
+    this.context.currentGame = this.gameDetector.detectGame(streamInfo.title);
+    
+    logger.info(`🎥 New live stream detected: ${streamInfo.title}`);
+    if (this.context.currentGame) {
+      logger.info(`🎮 Game detected: ${this.context.currentGame}`);
+    }
+    
+    this.emit('streamStarted', streamInfo);
+  }
+
+  // Push notification (WebSub) about new or updated videos on the channel
+  async handleVideoNotification(videoIds) {
+    if (this.state.isRunning) {
+      logger.debug('Already connected to chat, ignoring video notification');
+      return false;
+    }
+
+    const streamInfo = await this.youtubeService.findLiveVideo(videoIds);
+    if (!streamInfo) {
+      logger.info('📭 Notified video is not live (yet), waiting for next check');
+      return false;
+    }
+
+    if (streamInfo.videoId !== this.state.videoId) {
+      this.onStreamDetected(streamInfo);
+    }
+    await this.connectToChat();
+    return true;
+  }
+
   async connectToChat() {
     try {
-      const liveChatId = await this.youtubeService.getLiveChatId(this.state.videoId);
+      // Playlist/feed detection already returns the chat ID, saving a videos.list call
+      const liveChatId = this.state.pendingLiveChatId ||
+        await this.youtubeService.getLiveChatId(this.state.videoId);
+      this.state.pendingLiveChatId = null;
       
       if (liveChatId) {
         this.state.liveChatId = liveChatId;
+        this.state.nextPageToken = this.chatCheckpoint.resume(liveChatId, this.state.videoId);
         this.state.isRunning = true;
         this.state.consecutiveErrors = 0;
+        this.state.streamStartedAt = this.state.streamStartedAt || Date.now();
         
         this.emit('chatConnected');
-        this.startMessagePolling();
+        this.startMessageIngestion();
         
         logger.info('✅ Connected to live chat');
       } else {
@@ -196,10 +297,64 @@ class SmartYouTubeChatBot extends EventEmitter {
     }
   }
 
+  startMessageIngestion() {
+    if (this.config.CHAT_INGESTION_MODE === constants.CHAT_INGESTION_MODES.STREAM) {
+      this.startMessageStreaming();
+    } else {
+      this.startMessagePolling();
+    }
+  }
+
   startMessagePolling() {
+    this.state.ingestionMode = constants.CHAT_INGESTION_MODES.POLL;
     this.pollMessages();
   }
 
+  startMessageStreaming() {
+    this.stopMessageStreaming();
+    this.state.ingestionMode = constants.CHAT_INGESTION_MODES.STREAM;
+
+    this.chatStream = new ChatStream(this.youtubeService, {
+      liveChatId: this.state.liveChatId,
+      pageToken: this.state.nextPageToken,
+      maxReconnects: this.config.CHAT_STREAM_MAX_RECONNECTS
+    });
+
+    this.chatStream.on('messages', (messages) => this.dispatchMessages(messages));
+
+    this.chatStream.on('pageToken', (pageToken) => {
+      this.state.nextPageToken = pageToken;
+      this.chatCheckpoint.updatePageToken(pageToken);
+      this.state.consecutiveErrors = 0;
+    });
+
+    this.chatStream.on('ended', () => {
+      logger.info('📺 Stream ended or chat disabled');
+      this.emit('streamEnded');
+    });
+
+    this.chatStream.on('failed', () => {
+      logger.warn('⚠️ Chat streaming unavailable - falling back to polling');
+      this.stopMessageStreaming();
+      this.startMessagePolling();
+    });
+
+    this.chatStream.start();
+  }
+
+  stopMessageStreaming() {
+    if (this.chatStream) {
+      this.chatStream.removeAllListeners();
+      this.chatStream.stop();
+      this.chatStream = null;
+    }
+  }
+
+  schedulePoll(delay) {
+    clearTimeout(this.pollTimeout);
+    this.pollTimeout = setTimeout(() => this.pollMessages(), delay);
+  }
+
   async pollMessages() {
     if (!this.state.isRunning || !this.state.liveChatId) {
       return;
@@ -207,7 +362,7 @@ class SmartYouTubeChatBot extends EventEmitter {
 
     if (!this.quotaManager.canMakeApiCall('CHAT_LIST')) {
       logger.warn('⚠️ Quota exhausted - pausing message polling');
-      setTimeout(() => this.pollMessages(), 60000); // Wait 1 minute
+      this.schedulePoll(60000); // Wait 1 minute
       return;
     }
 
@@ -218,23 +373,22 @@ class SmartYouTubeChatBot extends EventEmitter {
       );
 
       if (result.messages && result.messages.length > 0) {
-        for (const message of result.messages) {
-          this.emit('messageReceived', message);
-        }
+        this.dispatchMessages(result.messages);
       }
 
       this.state.nextPageToken = result.nextPageToken;
+      this.chatCheckpoint.updatePageToken(result.nextPageToken);
       this.state.consecutiveErrors = 0;
 
       // Schedule next poll
-      const pollInterval = Math.max(result.pollingIntervalMillis || 15000, constants.INTERVALS.MIN_POLL_INTERVAL);
-      setTimeout(() => this.pollMessages(), pollInterval);
+      const pollInterval = Math.max(result.pollingIntervalMillis || 15000, this.config.MIN_POLL_INTERVAL);
+      this.schedulePoll(pollInterval);
 
     } catch (error) {
       logger.error('Error polling messages:', error);
       this.handleError(error);
 
-      if (error.message.includes('disabled') || error.message.includes('not found')) {
+      if (this.youtubeService.isChatEndedError(error)) {
         logger.info('📺 Stream ended or chat disabled');
         this.emit('streamEnded');
         return;
@@ -242,10 +396,21 @@ class SmartYouTubeChatBot extends EventEmitter {
 
       // Exponential backoff for errors
       const backoffTime = Math.min(
-        constants.INTERVALS.MIN_POLL_INTERVAL * Math.pow(2, this.state.consecutiveErrors),
+        this.config.MIN_POLL_INTERVAL * Math.pow(2, this.state.consecutiveErrors),
         constants.INTERVALS.MAX_BACKOFF
       );
-      setTimeout(() => this.pollMessages(), backoffTime);
+      this.schedulePoll(backoffTime);
+    }
+  }
+
+  // Skip duplicates and backlog from before we connected (or before a restart)
+  dispatchMessages(messages) {
+    for (const message of messages) {
+      if (this.chatCheckpoint.accept(message)) {
+        this.emit('messageReceived', message);
+      } else {
+        logger.debug(`⏭️ Skipping old or duplicate message ${message.id}`);
+      }
     }
   }
 
@@ -262,6 +427,17 @@ class SmartYouTubeChatBot extends EventEmitter {
 
   handleChatConnected() {
     logger.info('💬 Chat monitoring active');
+    
+    // Timers only run while the chat is live
+    this.announcements.reset();
+    clearInterval(this.intervals.announcements);
+    this.intervals.announcements = setInterval(() => {
+      this.postAnnouncement().catch(error => logger.error('Error posting announcement:', error));
+    }, constants.INTERVALS.ANNOUNCEMENT_CHECK);
+    
+    // A poll or raffle left open by a restart carries on
+    if (this.polls.isOpen()) this.startPollStandings();
+    this.scheduleRaffleTimers();
   }
 
   async handleMessageReceived(message) {
@@ -269,21 +445,80 @@ class SmartYouTubeChatBot extends EventEmitter {
       const author = message.authorDetails?.displayName || 'Unknown';
       const text = message.snippet?.displayMessage || '';
       
-      logger.debug(`💬 ${author}: ${text}`);
+      logger.debug(`💬 ${author}: ${ClaimCodes.redact(text)}`);
+
+      // Don't process own messages coming back through chat. The bot usually posts as the
+      // streamer, so only the IDs of the messages it sent tell them apart
+      if (this.youtubeService.isOwnMessage(message.id)) return;
 
-      // Don't process own messages
-      if (author === this.config.BOT_NAME) return;
+      // Keep roles tied to channel IDs so they survive display-name changes
+      this.ownerDetection.observe(message);
+      await this.checkLookalike(message);
+
+      // Super Chats, memberships and gifts get their own events instead of text handling
+      const chatEvent = this.chatEventParser.parse(message);
+      if (chatEvent.isSupporterEvent) {
+        this.emit(chatEvent.name, chatEvent);
+        this.emit('supporterEvent', chatEvent);
+        return;
+      }
 
-      // Check if this is an admin command
-      const isAdmin = this.ownerDetection.isOwnerOrAdmin(message);
-      if (isAdmin) {
-        const adminResponse = await this.handleAdminCommand(text, message);
-        if (adminResponse) {
-          await this.sendResponse(adminResponse, 'admin');
+      // Track velocity and duplicates before moderation, which gets stricter during a flood
+      this.floodDetector.record(message);
+
+      // Moderated messages never get a reply
+      const moderation = await this.moderationEngine.moderate(message, this.state.liveChatId);
+      if (moderation) {
+        this.auditLog.recordModeration(moderation);
+        this.emit('messageModerated', moderation);
+        if (moderation.action === constants.MODERATION_ACTIONS.WARN && !moderation.dryRun) {
+          await this.sendResponse(`⚠️ @${author.replace(/^@/, '')} please keep chat friendly`, constants.RESPONSE_TYPES.ADMIN, constants.MESSAGE_PRIORITIES.ADMIN, message);
+        }
+        return;
+      }
+      
+      // Timers wait for this much chat activity between posts
+      this.announcements.recordLine();
+
+      // Raffle winners answer by chatting; the raffle keyword on its own is an entry
+      const claimed = this.raffles.claim(message.authorDetails?.channelId);
+      if (claimed) await this.announceRaffleClaim(claimed, message);
+      if (this.enterRaffle(message, text)) return;
+      this.raffles.recordMessage(message.authorDetails?.channelId);
+
+      // Commands, if the author's roles allow them
+      if (text.trim().startsWith('!')) {
+        const attempt = await this.runCommand(text, message);
+        // Replies longer than a chat message come as a list of messages
+        const replies = [].concat(attempt.reply || []);
+        
+        // Viewers' commands share the reply rate limits, staff commands always get an answer
+        const staff = this.ownerDetection.isOwnerOrAdmin(message);
+        const limited = replies.length > 0 && !staff && !this.rateLimiter.canRespond(author).allowed;
+        
+        // Every attempt is audited, including refused ones and ones without a reply
+        if (attempt.parsed) {
+          const result = limited ? 'rate limited' : replies.length > 0 ? replies.join(' ') : attempt.outcome || 'no reply';
+          this.auditLog.recordCommand(message, this.ownerDetection.getUserPermissionLevel(message), ClaimCodes.redact(text), result);
+        }
+        
+        if (replies.length > 0) {
+          if (limited) return;
+          if (!staff) this.rateLimiter.recordResponse(author);
+          
+          for (const reply of replies) {
+            await this.sendResponse(reply, constants.RESPONSE_TYPES.ADMIN, constants.MESSAGE_PRIORITIES.ADMIN, message);
+          }
           return;
         }
       }
 
+      // While a poll is open, a message that is just an option's number or name is a vote
+      if (this.recordVote(message, text)) return;
+
+      // Stay quiet while the chat is being flooded, replies would only feed it
+      if (this.floodDetector.isDefensive()) return;
+
       // Rate limiting check
       const rateLimitResult = this.rateLimiter.canRespond(author);
       if (!rateLimitResult.allowed) {
@@ -303,7 +538,12 @@ class SmartYouTubeChatBot extends EventEmitter {
         
         if (response) {
           this.rateLimiter.recordResponse(author);
-          await this.sendResponse(response, analysis.responseType || 'general');
+          await this.sendResponse(
+            response,
+            analysis.responseType || 'general',
+            analysis.requiresResponse ? constants.MESSAGE_PRIORITIES.REPLY : constants.MESSAGE_PRIORITIES.AMBIENT,
+            message
+          );
         }
       }
 
@@ -313,6 +553,47 @@ class SmartYouTubeChatBot extends EventEmitter {
     }
   }
 
+  async handleSupporterEvent(event) {
+    try {
+      logger.info(`💛 ${event.name} from ${event.author}${event.amountDisplay ? ` (${event.amountDisplay})` : ''}`);
+
+      this.updateContext('supporterEvent', event);
+      this.trackSupporterEvent(event);
+
+      if (!this.config.ENABLE_SUPPORTER_THANKS) return;
+
+      // Thanks skip the engagement rate limits so no supporter is missed
+      const thanks = this.responseGenerator.generateSupporterThanks(event);
+      if (thanks) {
+        await this.sendResponse(thanks, constants.RESPONSE_TYPES.SUPPORTER, constants.MESSAGE_PRIORITIES.SUPPORTER, event);
+      }
+    } catch (error) {
+      logger.error('Error handling supporter event:', error);
+      this.handleError(error);
+    }
+  }
+
+  trackSupporterEvent(event) {
+    const stats = this.context.supporterStats[event.name] || { count: 0, totals: {} };
+
+    stats.count++;
+    if (event.amount !== null && event.currency) {
+      stats.totals[event.currency] = (stats.totals[event.currency] || 0) + event.amount;
+    }
+
+    this.context.supporterStats[event.name] = stats;
+  }
+
+  async handleFloodStarted(flood) {
+    this.emit('floodStarted', flood);
+    await this.sendResponse('🚨 Chat flood detected, replies paused and spam filters tightened. Mods, please keep an eye on chat!', constants.RESPONSE_TYPES.ADMIN);
+  }
+
+  async handleFloodEnded(flood) {
+    this.emit('floodEnded', flood);
+    await this.sendResponse('✅ Chat has calmed down, back to normal', constants.RESPONSE_TYPES.ADMIN);
+  }
+
   handleMessageSent(message) {
     logger.info(`🤖 ${this.config.BOT_NAME}: ${message}`);
   }
@@ -322,7 +603,7 @@ class SmartYouTubeChatBot extends EventEmitter {
     
     if (this.state.consecutiveErrors >= this.state.maxConsecutiveErrors) {
       logger.error(`Too many consecutive errors (${this.state.consecutiveErrors}). Stopping bot.`);
-      this.stop();
+      this.stop().catch(error => logger.error('Error stopping bot:', error));
     }
   }
 
@@ -340,97 +621,965 @@ class SmartYouTubeChatBot extends EventEmitter {
     return Math.random() < responseChance;
   }
 
-  async sendResponse(message, type = 'general') {
+  // trigger is the chat message or supporter event being answered, kept for the shadow mode feed
+  async sendResponse(message, type = 'general', priority = this.getMessagePriority(type), trigger = null) {
     try {
+      if (!this.state.liveChatId) {
+        logger.debug(`Would send (${type}): "${message}" (no active chat)`);
+        return;
+      }
+
+      // Nothing reaches chat (or the CHAT_INSERT quota) in shadow mode
+      if (this.state.shadowMode) {
+        const record = this.shadowLog.record(message, { type, priority, trigger });
+        this.emit('shadowResponse', record);
+        return;
+      }
+
       if (!this.quotaManager.canMakeApiCall('CHAT_INSERT')) {
         logger.warn(`Would send (${type}): "${message}" (quota limit reached)`);
         return;
       }
 
       if (!this.youtubeService.canSendMessages()) {
-        logger.warn(`Would send (${type}): "${message}" (no OAuth tokens)`);
+        logger.warn(`Would send (${type}): "${message}" (read-only mode, OAuth tokens ${this.youtubeService.auth.status})`);
         return;
       }
 
-      // Add human-like delay
-      const delay = Math.random() * 4000 + 1000; // 1-5 seconds
-      
-      setTimeout(async () => {
+      this.outboundQueue.enqueue(message, { type, priority });
+
+    } catch (error) {
+      logger.error('Error in sendResponse:', error);
+    }
+  }
+
+  getMessagePriority(type) {
+    switch (type) {
+      case constants.RESPONSE_TYPES.ADMIN:
+        return constants.MESSAGE_PRIORITIES.ADMIN;
+      case constants.RESPONSE_TYPES.SUPPORTER:
+        return constants.MESSAGE_PRIORITIES.SUPPORTER;
+      default:
+        return constants.MESSAGE_PRIORITIES.REPLY;
+    }
+  }
+
+  // Posts the timer that is due, if there is one and the quota and reply rate limits allow it
+  async postAnnouncement(now = Date.now()) {
+    if (!this.state.isRunning || this.floodDetector.isDefensive()) return null;
+    
+    const timer = this.announcements.due(now);
+    if (!timer) return null;
+    
+    if (!this.quotaManager.canMakeApiCall('CHAT_INSERT')) {
+      logger.debug(`⏰ Timer ${timer.name} skipped, quota limit reached`);
+      return null;
+    }
+    const rateLimitResult = this.rateLimiter.canRespond('announcements');
+    if (!rateLimitResult.allowed) {
+      logger.debug(`⏰ Timer ${timer.name} held back: ${rateLimitResult.reason}`);
+      return null;
+    }
+    
+    const message = this.announcements.markPosted(timer, now);
+    this.rateLimiter.recordResponse('announcements');
+    await this.sendResponse(message, constants.RESPONSE_TYPES.ANNOUNCEMENT, constants.MESSAGE_PRIORITIES.AMBIENT);
+    this.emit('announcementPosted', { name: timer.name, message });
+    return message;
+  }
+
+  recordVote(message, choice) {
+    const author = message.authorDetails || {};
+    const vote = this.polls.vote(author.channelId, choice);
+    if (!vote) return false;
+    
+    logger.debug(`🗳️ ${author.displayName} ${vote.changed ? 'changed their vote to' : 'voted'} ${vote.option}`);
+    this.emit('pollVote', { author: author.displayName, authorChannelId: author.channelId, ...vote });
+    return true;
+  }
+
+  startPollStandings() {
+    clearInterval(this.intervals.pollStandings);
+    this.state.lastPollStandings = null;
+    this.intervals.pollStandings = setInterval(() => {
+      this.postPollStandings().catch(error => logger.error('Error posting poll standings:', error));
+    }, constants.INTERVALS.POLL_STANDINGS);
+  }
+
+  stopPollStandings() {
+    clearInterval(this.intervals.pollStandings);
+    this.intervals.pollStandings = null;
+  }
+
+  // Only posted when the votes have moved since the last standings
+  async postPollStandings() {
+    if (!this.state.isRunning || !this.polls.isOpen()) return null;
+    
+    const standings = this.formatPollStandings(this.polls.tally());
+    if (standings === this.state.lastPollStandings) return null;
+    
+    this.state.lastPollStandings = standings;
+    await this.sendResponse(standings, constants.RESPONSE_TYPES.ANNOUNCEMENT, constants.MESSAGE_PRIORITIES.AMBIENT);
+    return standings;
+  }
+
+  formatPollStandings(tally) {
+    const options = tally.options.map(option => `${option.number}) ${option.option} ${option.percent}%`).join(' · ');
+    return `📊 ${tally.question} ${options} | ${tally.total} vote${tally.total === 1 ? '' : 's'}, type a number to vote`.slice(0, 200);
+  }
+
+  formatPollResult(result) {
+    if (result.total === 0) return `🏁 Poll closed: ${result.question} - no votes`.slice(0, 200);
+    
+    const top = result.options.find(option => option.option === result.leaders[0]);
+    const outcome = result.leaders.length > 1
+      ? `tie between ${result.leaders.join(' and ')} (${top.votes} each)`
+      : `${top.option} wins with ${top.votes} of ${result.total} votes (${top.percent}%)`;
+    return `🏁 Poll closed: ${result.question} - ${outcome}`.slice(0, 200);
+  }
+
+  // !poll start "question" | option | option ... | !poll end | !poll (standings)
+  handlePollCommand(args, message) {
+    const [, subcommand = '', rest = ''] = args.match(/^(\S*)\s*([\s\S]*)$/);
+    
+    switch (subcommand.toLowerCase()) {
+      case 'start': {
+        const { question, options } = this.polls.parseDefinition(rest);
+        if (!question || options.length < 2) return '❓ Usage: !poll start "question" | option | option';
+        
+        try {
+          const poll = this.polls.start(question, options, message.authorDetails?.displayName || null);
+          this.startPollStandings();
+          this.emit('pollStarted', this.polls.tally());
+          return `🗳️ Poll: ${poll.question} ${poll.options.map((option, index) => `${index + 1}) ${option}`).join(' · ')} | type a number to vote`.slice(0, 200);
+        } catch (error) {
+          return `❌ ${error.message}`;
+        }
+      }
+        
+      case 'end': {
+        const result = this.polls.end();
+        if (!result) return '❓ No poll running';
+        
+        this.stopPollStandings();
+        this.emit('pollEnded', result);
+        return this.formatPollResult(result);
+      }
+        
+      case '':
+        return this.polls.isOpen() ? this.formatPollStandings(this.polls.tally()) : '❓ No poll running';
+        
+      default:
+        return '❓ Usage: !poll start "question" | option | option, !poll end';
+    }
+  }
+
+  enterRaffle(message, text) {
+    const author = message.authorDetails || {};
+    const result = this.raffles.enter(author, text);
+    if (!result) return false;
+    
+    if (result.entered) {
+      logger.debug(`🎟️ ${author.displayName} entered the raffle (${this.raffles.entrantCount()} entrants)`);
+      this.emit('raffleEntry', { author: author.displayName, authorChannelId: author.channelId, member: result.entered.member });
+    } else {
+      logger.debug(`🎟️ ${author.displayName} can't enter the raffle: ${result.reason}`);
+    }
+    return true;
+  }
+
+  async announceRaffleClaim(draw, message) {
+    clearTimeout(this.raffleTimeouts.claim);
+    this.raffleTimeouts.claim = null;
+    this.emit('raffleClaimed', draw);
+    await this.sendResponse(`✅ @${draw.displayName} claimed the prize, congratulations!`, constants.RESPONSE_TYPES.ADMIN, constants.MESSAGE_PRIORITIES.ADMIN, message);
+  }
+
+  // Auto-close and answer timers for the raffle as it is now
+  scheduleRaffleTimers() {
+    this.clearRaffleTimers();
+    const delay = time => Math.min(Math.max(Date.parse(time) - Date.now(), 0), constants.INTERVALS.MAX_TIMEOUT);
+    
+    const raffle = this.raffles.current;
+    if (this.raffles.isOpen() && raffle.closesAt) {
+      this.raffleTimeouts.close = setTimeout(() => {
+        this.closeRaffle().catch(error => logger.error('Error closing raffle:', error));
+      }, delay(raffle.closesAt));
+    }
+    
+    const pending = this.raffles.pendingDraw();
+    if (pending) {
+      this.raffleTimeouts.claim = setTimeout(() => {
+        this.expireRaffleDraw().catch(error => logger.error('Error expiring raffle draw:', error));
+      }, delay(pending.expiresAt));
+    }
+  }
+
+  clearRaffleTimers() {
+    clearTimeout(this.raffleTimeouts.close);
+    clearTimeout(this.raffleTimeouts.claim);
+    this.raffleTimeouts = { close: null, claim: null };
+  }
+
+  // Closes entries and returns the message for chat; null if no raffle was open
+  stopRaffle() {
+    const raffle = this.raffles.stop();
+    if (!raffle) return null;
+    
+    this.clearRaffleTimers();
+    const count = this.raffles.entrantCount();
+    this.emit('raffleClosed', { entrants: count });
+    return `🎟️ Raffle closed with ${count} entrant${count === 1 ? '' : 's'}${count ? ', mods can !draw a winner' : ''}`;
+  }
+
+  // Entries ran out of time
+  async closeRaffle() {
+    const message = this.stopRaffle();
+    if (message) await this.sendResponse(message, constants.RESPONSE_TYPES.ADMIN, constants.MESSAGE_PRIORITIES.ADMIN);
+    return message;
+  }
+
+  async expireRaffleDraw(now = Date.now()) {
+    const draw = this.raffles.expire(now);
+    if (!draw) return null;
+    
+    this.emit('raffleExpired', draw);
+    const message = `⌛ @${draw.displayName} didn't answer in time, mods can !draw again`;
+    await this.sendResponse(message, constants.RESPONSE_TYPES.ADMIN, constants.MESSAGE_PRIORITIES.ADMIN);
+    return message;
+  }
+
+  describeRaffle(raffle) {
+    return [
+      `type ${raffle.keyword} to enter`,
+      raffle.membersOnly && 'members only',
+      raffle.minMessages && `${raffle.minMessages}+ chat messages this stream`,
+      raffle.memberWeight > 1 && `members get ${raffle.memberWeight} tickets`,
+      raffle.closesAt && `closes in ${this.formatUptime(Date.parse(raffle.closesAt) - Date.now() + 999)}`
+    ].filter(Boolean).join(', ');
+  }
+
+  // !raffle start [keyword=] [time=] [members=on] [messages=] [weight=] [claim=] | stop | cancel | (status)
+  async handleRaffleCommand(args, message) {
+    const [, subcommand = '', rest = ''] = args.match(/^(\S*)\s*([\s\S]*)$/);
+    const raffle = this.raffles.current;
+    
+    switch (subcommand.toLowerCase()) {
+      case 'start':
         try {
-          await this.youtubeService.sendMessage(this.state.liveChatId, message);
-          this.emit('messageSent', message);
+          const started = this.raffles.start(this.raffles.parseOptions(rest), message.authorDetails?.displayName || null);
+          this.scheduleRaffleTimers();
+          this.emit('raffleStarted', started);
+          return `🎟️ Raffle open! ${this.describeRaffle(started)}`.slice(0, 200);
         } catch (error) {
-          logger.error('Error sending message:', error);
-          this.handleError(error);
+          return `❌ ${error.message}`;
         }
-      }, delay);
+        
+      case 'stop':
+        return this.stopRaffle() || '❓ No raffle open';
+        
+      case 'cancel': {
+        const cancelled = this.raffles.cancel();
+        if (!cancelled) return '❓ No raffle to cancel';
+        this.clearRaffleTimers();
+        return `🗑️ Raffle cancelled (${Object.keys(cancelled.entrants).length} entrants)`;
+      }
+        
+      case '': {
+        if (!raffle) return '❓ No raffle running';
+        const pending = this.raffles.pendingDraw();
+        const status = this.raffles.isOpen() ? `open, ${this.describeRaffle(raffle)}` : 'closed';
+        return `🎟️ Raffle ${status} | ${this.raffles.entrantCount()} entrants, ${raffle.draws.length} drawn${pending ? `, waiting for @${pending.displayName}` : ''}`.slice(0, 200);
+      }
+        
+      default:
+        return '❓ Usage: !raffle start [keyword=!join] [time=5] [members=on] [messages=10] [weight=2] [claim=2], !raffle stop|cancel';
+    }
+  }
 
-    } catch (error) {
-      logger.error('Error in sendResponse:', error);
+  // !draw picks a winner (closing entries first); while a winner has time left to answer, only !draw reroll picks again
+  handleDrawCommand(reroll, message) {
+    const raffle = this.raffles.current;
+    if (!raffle) return '❓ No raffle to draw from';
+    
+    const pending = this.raffles.pendingDraw();
+    const left = pending ? Date.parse(pending.expiresAt) - Date.now() : 0;
+    if (pending && left > 0 && !reroll) {
+      return `⏳ Waiting for @${pending.displayName} to answer (${this.formatUptime(left + 999)} left), !draw reroll picks someone else`;
     }
+    
+    const draw = this.raffles.draw(message.authorDetails?.displayName || null);
+    this.scheduleRaffleTimers();
+    if (!draw) return `❓ No one left to draw (${this.raffles.entrantCount()} entrants)`;
+    
+    this.emit('raffleDraw', draw);
+    return `🎉 The winner is @${draw.displayName}! Say something in chat within ${raffle.claimTimeout / 60000} min to claim the prize`;
   }
 
-  async handleAdminCommand(text, message) {
-    const command = text.toLowerCase().trim();
+  // Any !command from chat; runs only if one of the author's roles allows it
+  async handleCommand(text, message) {
+    return (await this.runCommand(text, message)).reply;
+  }
+  
+  // { parsed, reply, outcome }: outcome says why there is no reply, parsed is null for text that isn't a command
+  async runCommand(text, message) {
+    const parsed = this.commandRegistry.parse(text);
+    if (!parsed) return { parsed: null, reply: null };
+    
     const permissionLevel = this.ownerDetection.getUserPermissionLevel(message);
+    const roles = this.commandPermissions.getRoles(message, permissionLevel);
+    const command = parsed.command;
+    if (!command) {
+      const custom = this.customCommands.get(parsed.name);
+      if (custom) return { parsed, ...this.runCustomCommand(custom, parsed.rawArgs, message, roles) };
+      return { parsed, reply: this.handleUnknownCommand(parsed.name, roles), outcome: 'unknown command' };
+    }
     
-    // Owner-only commands
-    if (permissionLevel === constants.PERMISSION_LEVELS.OWNER) {
-      switch (command) {
-        case '!shutdown':
-          this.gracefulShutdown();
-          return '🛑 Bot shutting down gracefully... Goodbye!';
-          
-        case '!restart':
-          this.restart();
-          return '🔄 Restarting bot systems...';
+    if (!this.commandPermissions.canRun(roles, command.name)) {
+      logger.debug(`🔒 ${message.authorDetails?.displayName} (${roles.join(', ')}) may not run !${command.name}`);
+      return { parsed, reply: null, outcome: 'denied' };
+    }
+    
+    // Cooldowns only hold viewers back, staff commands always run
+    const staff = this.ownerDetection.isOwnerOrAdmin(message);
+    const user = message.authorDetails?.channelId || message.authorDetails?.displayName;
+    const wait = staff ? 0 : this.commandRegistry.getCooldown(command, user);
+    if (wait > 0) {
+      logger.debug(`⏳ !${command.name} on cooldown for ${message.authorDetails?.displayName} (${Math.ceil(wait / 1000)}s)`);
+      return { parsed, reply: null, outcome: 'on cooldown' };
+    }
+    
+    const { args, error } = this.commandRegistry.bindArgs(command, parsed.rawArgs);
+    if (error) return { parsed, reply: `❓ ${error}. Usage: ${this.commandRegistry.usage(command)}` };
+    
+    if (!staff) this.commandRegistry.recordUse(command, user);
+    return { parsed, reply: await command.handler(args, { message, permissionLevel, roles }) };
+  }
+
+  // Same role and cooldown rules as built-in commands; the role is checked with inheritance.
+  // Returns { reply, outcome } like runCommand
+  runCustomCommand(command, rawArgs, message, roles) {
+    const author = message.authorDetails || {};
+    if (!command.enabled || !this.commandPermissions.hasRole(roles, command.role)) {
+      logger.debug(`🔒 ${author.displayName} (${roles.join(', ')}) may not run !${command.name}${command.enabled ? '' : ' (disabled)'}`);
+      return { reply: null, outcome: command.enabled ? 'denied' : 'disabled' };
+    }
+    
+    const staff = this.ownerDetection.isOwnerOrAdmin(message);
+    const user = author.channelId || author.displayName;
+    const wait = staff ? 0 : this.commandRegistry.getCooldown(command, user);
+    if (wait > 0) {
+      logger.debug(`⏳ !${command.name} on cooldown for ${author.displayName} (${Math.ceil(wait / 1000)}s)`);
+      return { reply: null, outcome: 'on cooldown' };
+    }
+    
+    if (!staff) this.commandRegistry.recordUse(command, user);
+    const count = this.customCommands.recordUse(command);
+    // A target like "!shutdown" would turn the reply into a command
+    const target = CommandRegistry.tokenize(rawArgs)[0]?.value.replace(/^[!@]+/, '');
+    
+    const reply = this.customCommands.render(command, {
+      user: author.displayName,
+      touser: target || author.displayName,
+      game: this.context.currentGame || 'unknown',
+      uptime: this.state.streamStartedAt ? this.formatUptime(Date.now() - this.state.streamStartedAt) : 'offline',
+      count
+    });
+    if (reply.trimStart().startsWith('!')) {
+      logger.warn(`🚫 Not posting !${command.name} for ${author.displayName}, the reply would start with !`);
+      return { reply: null, outcome: 'reply would start with !' };
+    }
+    return { reply };
+  }
+
+  // !addcmd <name> [role=..] [cooldown=s] [usercooldown=s] <response> | !editcmd <name> [settings] [response]
+  handleCustomCommandEdit(name, definition, message, adding) {
+    try {
+      const { options, response } = this.customCommands.parseDefinition(definition);
+      if (options.role) this.commandPermissions.getRole(options.role);
+      
+      const command = adding
+        ? this.customCommands.add(name, response, options, message.authorDetails?.displayName || null)
+        : this.customCommands.edit(name, response, options);
+      const cooldown = [command.cooldown.global && `${command.cooldown.global / 1000}s`, command.cooldown.user && `${command.cooldown.user / 1000}s each`].filter(Boolean).join(', ');
+      return `📝 !${command.name} ${adding ? 'added' : 'updated'} (${command.role}${cooldown ? `, ${cooldown}` : ''}${command.enabled ? '' : ', disabled'})`;
+    } catch (error) {
+      return `❌ ${error.message}`;
+    }
+  }
+
+  // Custom commands this chatter may run
+  getCustomCommandsMessage(roles) {
+    const commands = this.customCommands.list()
+      .filter(command => command.enabled && this.commandPermissions.hasRole(roles, command.role));
+    if (commands.length === 0) return '📋 No custom commands yet';
+    return `📋 Commands: ${commands.map(command => `!${command.name}`).join(' ')}`.slice(0, 200);
+  }
+
+  // UNKNOWN_COMMAND decides; "ignore" lets the text go on as a normal chat message
+  handleUnknownCommand(name, roles) {
+    switch (this.config.UNKNOWN_COMMAND) {
+      case constants.UNKNOWN_COMMAND_MODES.REPLY:
+        return `❓ Unknown command !${name}, try !help`;
+        
+      case constants.UNKNOWN_COMMAND_MODES.SUGGEST: {
+        const suggestion = this.commandRegistry.suggest(name, this.commandPermissions.filterCommands(roles, this.commandRegistry.names()));
+        return `❓ Unknown command !${name}${suggestion ? `, did you mean !${suggestion}?` : ', try !help'}`;
+      }
+        
+      default:
+        return null;
+    }
+  }
+
+  // Handlers get the bound arguments and { message, permissionLevel, roles } and return
+  // a reply, several replies or null for none
+  createCommandRegistry() {
+    const registry = new CommandRegistry();
+    const { OWNER, MODERATOR, USER } = constants.PERMISSION_LEVELS;
+    const user = { name: 'user', type: 'text' };
+    
+    [
+      {
+        name: 'help',
+        description: 'Commands you can run',
+        role: USER,
+        cooldown: { user: 30000 },
+        handler: (args, { message, permissionLevel }) => this.getHelpMessage(message, permissionLevel)
+      },
+      {
+        name: 'commands',
+        description: 'Link to the command list',
+        role: USER,
+        cooldown: { global: 30000 },
+        handler: () => `📜 Commands: ${this.config.getDeploymentUrl()}/commands`
+      },
+      {
+        name: 'cmds',
+        description: 'Custom commands you can run',
+        role: USER,
+        cooldown: { user: 30000 },
+        handler: (args, { roles }) => this.getCustomCommandsMessage(roles)
+      },
+      {
+        name: 'vote',
+        description: 'Vote in the running poll by number or option (just typing the number works too)',
+        args: [{ name: 'choice', type: 'text' }],
+        role: USER,
+        handler: ({ choice }, { message }) => {
+          this.recordVote(message, choice);
+          return null;
+        }
+      },
+      {
+        name: 'nowplaying',
+        aliases: ['np'],
+        description: 'The game on stream right now',
+        role: USER,
+        cooldown: { user: 60000, global: 15000 },
+        handler: () => `🎮 Now playing: ${this.context.currentGame || 'nothing detected yet'}`
+      },
+      {
+        name: 'claim',
+        description: 'Redeem a claim code from the dashboard (owners: new [owner|moderator] makes one)',
+        args: [{ name: 'code', type: 'text' }],
+        role: USER,
+        cooldown: { user: 10000 },
+        handler: ({ code }, { message, permissionLevel }) => this.handleClaimCommand(code, message, permissionLevel)
+      },
+      {
+        name: 'status',
+        description: 'Bot and stream status',
+        role: MODERATOR,
+        handler: (args, { permissionLevel }) => this.getStatusMessage(permissionLevel)
+      },
+      {
+        name: 'ping',
+        description: 'Connection test',
+        role: MODERATOR,
+        handler: (args, { permissionLevel }) => `🏓 Pong! (${permissionLevel}) - ${Date.now()}ms`
+      },
+      {
+        name: 'context',
+        description: 'Current game, game state and chat mood',
+        role: MODERATOR,
+        handler: () => `🎮 Game: ${this.context.currentGame || 'Unknown'} | State: ${this.context.gameState} | Mood: ${this.context.chatMood}`
+      },
+      {
+        name: 'unban',
+        description: 'Lift a timeout or ban issued by the bot',
+        args: [user],
+        role: MODERATOR,
+        handler: args => this.handleUnbanCommand(args.user)
+      },
+      {
+        name: 'permit',
+        description: 'Let a viewer post links for a short window',
+        args: [user],
+        role: MODERATOR,
+        handler: args => {
+          // Resolved to a channel ID now, so taking the viewer's name later doesn't carry the permit
+          const viewer = this.ownerDetection.identities.findByName(args.user);
+          if (!viewer?.channelId) return `❓ ${args.user.replace(/^@/, '')} hasn't chatted yet, permit them once they have`;
           
-        case '!quota':
+          this.linkProtection.permit(viewer.channelId, viewer.displayName);
+          return `🔗 @${viewer.displayName.replace(/^@/, '')} can post a link for the next ${this.linkProtection.permitSeconds}s`;
+        }
+      },
+      {
+        name: 'strikes',
+        description: "A viewer's active strikes and their next penalty",
+        args: [user],
+        role: MODERATOR,
+        handler: args => this.getStrikesMessage(args.user)
+      },
+      {
+        name: 'pardon',
+        description: "Clear a viewer's strikes",
+        args: [user],
+        role: MODERATOR,
+        handler: args => {
+          const pardoned = this.strikeLedger.pardon(args.user);
+          return pardoned
+            ? `🕊️ Pardoned ${pardoned.author}, ${pardoned.strikes.length} strike${pardoned.strikes.length === 1 ? '' : 's'} cleared`
+            : `❓ No active strikes for ${args.user}`;
+        }
+      },
+      {
+        name: 'filter',
+        description: 'Manage blocked terms: add <term> [severity] [exempt=...], remove <term>, list',
+        args: [{ name: 'subcommand', type: 'text', required: false }],
+        role: MODERATOR,
+        handler: (args, { message }) => this.handleFilterCommand(args.subcommand || '', message)
+      },
+      {
+        name: 'poll',
+        description: 'Run a poll: start "question" | option | option ..., end; on its own shows the standings',
+        args: [{ name: 'subcommand', type: 'text', required: false }],
+        role: MODERATOR,
+        handler: (args, { message }) => this.handlePollCommand(args.subcommand || '', message)
+      },
+      {
+        name: 'raffle',
+        description: 'Run a giveaway: start [keyword=!join] [time=min] [members=on] [messages=n] [weight=n] [claim=min], stop, cancel; on its own shows the status',
+        args: [{ name: 'subcommand', type: 'text', required: false }],
+        role: MODERATOR,
+        handler: (args, { message }) => this.handleRaffleCommand(args.subcommand || '', message)
+      },
+      {
+        name: 'draw',
+        description: 'Draw a raffle winner; reroll picks again before the winner has run out of time',
+        args: [{ name: 'reroll', choices: ['reroll'], required: false }],
+        role: MODERATOR,
+        handler: (args, { message }) => this.handleDrawCommand(!!args.reroll, message)
+      },
+      {
+        name: 'addcmd',
+        description: 'Add a custom text command: <name> [role=...] [cooldown=s] [usercooldown=s] <response with ${user}, ${touser}, ${game}, ${uptime}, ${count}, ${random 1-100}>',
+        args: [{ name: 'name' }, { name: 'response', type: 'text' }],
+        role: MODERATOR,
+        handler: (args, { message }) => this.handleCustomCommandEdit(args.name, args.response, message, true)
+      },
+      {
+        name: 'editcmd',
+        description: 'Change a custom command: <name> [role=...] [cooldown=s] [usercooldown=s] [enabled=on|off] [new response]',
+        args: [{ name: 'name' }, { name: 'changes', type: 'text' }],
+        role: MODERATOR,
+        handler: (args, { message }) => this.handleCustomCommandEdit(args.name, args.changes, message, false)
+      },
+      {
+        name: 'delcmd',
+        description: 'Delete a custom command',
+        args: [{ name: 'name' }],
+        role: MODERATOR,
+        handler: args => {
+          const removed = this.customCommands.remove(args.name);
+          return removed ? `🗑️ Deleted !${removed.name}` : `❓ No custom command !${args.name.replace(/^!/, '').toLowerCase()}`;
+        }
+      },
+      {
+        name: 'quota',
+        description: 'API quota usage',
+        role: OWNER,
+        handler: () => {
           const quota = this.quotaManager.getQuotaStatus();
           return `📊 Quota: ${quota.used}/${quota.limit} (${quota.percentUsed}%) | Resets: ${new Date(quota.resetTime).toLocaleTimeString()}`;
-          
-        case '!stats':
-          return this.getStatsMessage();
-          
-        case '!debug':
-          return this.getDebugInfo();
+        }
+      },
+      {
+        name: 'stats',
+        description: 'Response and rate limit statistics',
+        role: OWNER,
+        handler: () => this.getStatsMessage()
+      },
+      {
+        name: 'debug',
+        description: 'Debug information',
+        role: OWNER,
+        handler: () => this.getDebugInfo()
+      },
+      {
+        name: 'say',
+        description: 'Make the bot say something, exactly as typed',
+        args: [{ name: 'message', type: 'text' }],
+        role: OWNER,
+        handler: args => args.message
+      },
+      {
+        name: 'mood',
+        description: 'Set the streamer mood',
+        args: [{ name: 'mood', type: 'text' }],
+        role: OWNER,
+        handler: args => {
+          this.context.streamerMood = args.mood.toLowerCase();
+          return `😊 Mood set to: ${this.context.streamerMood}`;
+        }
+      },
+      {
+        name: 'game',
+        description: 'Set the current game',
+        args: [{ name: 'game', type: 'text' }],
+        role: OWNER,
+        handler: args => {
+          this.context.currentGame = args.game.toLowerCase();
+          return `🎮 Game set to: ${this.context.currentGame}`;
+        }
+      },
+      {
+        name: 'role',
+        description: 'Manage roles: list, show, create, delete, allow, deny, assign, unassign, reload',
+        args: [{ name: 'subcommand', type: 'text', required: false }],
+        role: OWNER,
+        handler: args => this.handleRoleCommand(args.subcommand || '')
+      },
+      {
+        name: 'timer',
+        description: 'Timed announcements: add <name> [interval=min] [lines=n] <message>, set <name> [interval=] [lines=] [enabled=on|off], on|off <name>, remove <name> [#], list',
+        args: [{ name: 'subcommand', type: 'text', required: false }],
+        role: OWNER,
+        handler: (args, { message }) => this.handleTimerCommand(args.subcommand || '', message)
+      },
+      {
+        name: 'unclaim',
+        description: 'Take back a claimed role',
+        args: [user],
+        role: OWNER,
+        handler: args => {
+          const identity = this.ownerDetection.identities.findByName(args.user);
+          const grant = identity && this.ownerDetection.identities.revokeGrant(identity.channelId);
+          return grant
+            ? `🔓 ${identity.displayName} is no longer ${grant.level}`
+            : `❓ ${args.user.replace(/^@/, '')} has no claimed role`;
+        }
+      },
+      {
+        name: 'shadow',
+        description: 'Show or switch shadow mode',
+        args: [{ name: 'setting', choices: ['on', 'off'], required: false }],
+        role: OWNER,
+        handler: args => {
+          if (args.setting) this.setShadowMode(args.setting === 'on');
+          return `👻 Shadow mode ${this.state.shadowMode ? `on, replies go to the review feed (${this.shadowLog.responses} so far)` : 'off, replies go to chat'}`;
+        }
+      },
+      {
+        name: 'shutdown',
+        description: 'Stop the bot on this channel; the process exits once every channel has stopped',
+        role: OWNER,
+        handler: () => {
+          // Not awaited, the reply has to be queued before the queue is drained and stopped
+          this.gracefulShutdown().catch(error => logger.error('Error during shutdown:', error));
+          return '🛑 Stopping the bot on this channel, other channels keep running. Goodbye!';
+        }
+      },
+      {
+        name: 'restart',
+        description: 'Restart bot systems',
+        role: OWNER,
+        handler: () => {
+          this.restart();
+          return '🔄 Restarting bot systems...';
+        }
       }
-      
-      if (command.startsWith('!say ')) {
-        return command.substring(5);
+    ].forEach(command => registry.register(command));
+    
+    return registry;
+  }
+
+  async handleUnbanCommand(target) {
+    try {
+      const ban = await this.moderationEngine.unban(target);
+      return ban ? `🔓 Ban lifted for ${ban.author}` : `❓ No active ban from the bot for ${target}`;
+    } catch (error) {
+      return `❌ Could not lift ban for ${target}: ${error.message}`;
+    }
+  }
+
+  getStrikesMessage(target) {
+    const viewer = this.strikeLedger.find(target);
+    if (!viewer || viewer.strikes.length === 0) return `✅ ${target.replace(/^@/, '')} has no active strikes`;
+    
+    const count = viewer.strikes.length;
+    const next = this.strikeLedger.nextStep(viewer.channelId);
+    const last = viewer.strikes[count - 1];
+    return `⚖️ ${viewer.author}: ${count} strike${count === 1 ? '' : 's'} (last: ${last.signal})${next ? ` | next: ${next.action}${next.action === constants.MODERATION_ACTIONS.TIMEOUT ? ` ${next.duration}s` : ''}` : ''}`;
+  }
+
+  // !filter add <term> [severity] [exempt=member,@name] | !filter remove <term> | !filter list
+  handleFilterCommand(args, message) {
+    const [, subcommand = '', rest = ''] = args.match(/^(\S*)\s*(.*)$/);
+    
+    switch (subcommand.toLowerCase()) {
+      case 'add': {
+        const parsed = this.parseFilterTerm(rest);
+        if (!parsed) return '❓ Usage: !filter add <term|"phrase"|/regex/> [warn|delete|timeout|ban] [exempt=member,@name]';
+        
+        try {
+          const term = this.blockedTerms.add(parsed, message.authorDetails?.displayName || null);
+          return `🚫 Blocked ${term.type} term ${term.pattern} (${term.severity}${term.exempt.length ? `, exempt: ${term.exempt.join(',')}` : ''})`;
+        } catch (error) {
+          return `❌ Could not add term: ${error.message}`;
+        }
       }
-      
-      if (command.startsWith('!mood ')) {
-        const mood = command.substring(6);
-        this.context.streamerMood = mood;
-        return `😊 Mood set to: ${mood}`;
+        
+      case 'remove': {
+        const parsed = this.parseFilterTerm(rest);
+        const removed = parsed && this.blockedTerms.remove(parsed.pattern);
+        return removed ? `✅ Removed blocked term ${removed.pattern}` : `❓ No blocked term ${rest}`;
       }
-      
-      if (command.startsWith('!game ')) {
-        const game = command.substring(6);
-        this.context.currentGame = game;
-        return `🎮 Game set to: ${game}`;
+        
+      case 'list': {
+        const terms = this.blockedTerms.list();
+        if (terms.length === 0) return '📋 No blocked terms';
+        
+        const summary = terms.map(term => `${term.pattern} (${term.severity})`).join(', ');
+        return `📋 ${terms.length} blocked: ${summary}`.slice(0, 200);
+      }
+        
+      default:
+        return '❓ Usage: !filter add|remove|list';
+    }
+  }
+
+  // !role list | show <role> | create <role> [inherits] | delete <role> | allow|deny <role> <command>
+  // | assign|unassign <user> <role> | reload
+  handleRoleCommand(args) {
+    const [subcommand = '', first = '', second = ''] = args.split(/\s+/);
+    const permissions = this.commandPermissions;
+    
+    try {
+      switch (subcommand.toLowerCase()) {
+        case 'list':
+          return `👥 Roles: ${Object.entries(permissions.roles).map(([name, role]) => `${name}(${role.commands.length})`).join(' ')}`.slice(0, 200);
+          
+        case 'show': {
+          const role = permissions.getRole(first);
+          const commands = permissions.filterCommands([first.toLowerCase()], this.commandRegistry.names());
+          return `👥 ${first.toLowerCase()}${role.inherits ? ` (inherits ${role.inherits})` : ''}: ${commands.map(command => `!${command}`).join(' ') || 'no commands'}`.slice(0, 200);
+        }
+          
+        case 'create':
+          if (!first) break;
+          permissions.createRole(first, second || undefined);
+          return `👥 Created role ${first.toLowerCase()} (inherits ${(second || constants.PERMISSION_LEVELS.USER).toLowerCase()})`;
+          
+        case 'delete':
+          if (!first) break;
+          permissions.deleteRole(first);
+          return `👥 Deleted role ${first.toLowerCase()}`;
+          
+        case 'allow': {
+          if (!first || !second) break;
+          // Aliases are stored under the command's name
+          const typed = second.replace(/^!/, '').toLowerCase();
+          const command = typed === '*' ? typed : this.commandRegistry.get(typed)?.name;
+          if (!command) return `❓ Unknown command !${typed}`;
+          permissions.allow(first, command);
+          return `✅ ${first.toLowerCase()} can now run !${command}`;
+        }
+          
+        case 'deny': {
+          if (!first || !second) break;
+          const typed = second.replace(/^!/, '').toLowerCase();
+          const command = this.commandRegistry.get(typed)?.name || typed;
+          const removed = permissions.deny(first, command);
+          return removed
+            ? `🚫 ${first.toLowerCase()} can no longer run !${command}`
+            : `⚠️ Removed !${command} from ${first.toLowerCase()}, but it still inherits it`;
+        }
+          
+        case 'assign':
+        case 'unassign': {
+          if (!first || !second) break;
+          const identity = this.ownerDetection.identities.findByName(first);
+          if (!identity) return `❓ Haven't seen ${first} in chat yet`;
+          
+          if (subcommand.toLowerCase() === 'assign') {
+            permissions.assign(identity.channelId, identity.displayName, second);
+            return `👥 ${identity.displayName} is now ${second.toLowerCase()}`;
+          }
+          return permissions.unassign(identity.channelId, second)
+            ? `👥 ${identity.displayName} is no longer ${second.toLowerCase()}`
+            : `❓ ${identity.displayName} doesn't have role ${second.toLowerCase()}`;
+        }
+          
+        case 'reload':
+          permissions.reload();
+          return `👥 Reloaded ${Object.keys(permissions.roles).length} roles`;
       }
+    } catch (error) {
+      return `❌ ${error.message}`;
     }
     
-    // Owner and moderator commands
-    if ([constants.PERMISSION_LEVELS.OWNER, constants.PERMISSION_LEVELS.MODERATOR].includes(permissionLevel)) {
-      switch (command) {
-        case '!status':
-          return this.getStatusMessage(permissionLevel);
+    return '❓ Usage: !role list|show|create|delete|allow|deny|assign|unassign|reload';
+  }
+
+  // !timer add <name> [interval=min] [lines=n] <message> | set <name> [settings] | on|off <name>
+  // | remove <name> [message #] | list
+  handleTimerCommand(args, message) {
+    const [, subcommand = '', name = '', rest = ''] = args.match(/^(\S*)\s*(\S*)\s*([\s\S]*)$/);
+    const describe = timer => `${timer.name} (every ${timer.interval / 60000} min, ${timer.minLines} lines, ${timer.messages.length} message${timer.messages.length === 1 ? '' : 's'}${timer.enabled ? '' : ', off'})`;
+    
+    try {
+      switch (subcommand.toLowerCase()) {
+        case 'add': {
+          const { options, message: text } = this.announcements.parseDefinition(rest);
+          if (!name || !text) break;
+          const timer = this.announcements.add(name, text, options, message.authorDetails?.displayName || null);
+          return `⏰ Timer ${describe(timer)}`;
+        }
           
-        case '!ping':
-          return `🏓 Pong! (${permissionLevel}) - ${Date.now()}ms`;
+        case 'set': {
+          if (!name) break;
+          const { options } = this.announcements.parseDefinition(rest);
+          return `⏰ Timer ${describe(this.announcements.update(name, options))}`;
+        }
           
-        case '!help':
-          return this.getHelpMessage(permissionLevel);
+        case 'on':
+        case 'off':
+          if (!name) break;
+          return `⏰ Timer ${describe(this.announcements.update(name, { enabled: subcommand.toLowerCase() === 'on' }))}`;
           
-        case '!context':
-          return `🎮 Game: ${this.context.currentGame || 'Unknown'} | State: ${this.context.gameState} | Mood: ${this.context.chatMood}`;
+        case 'remove': {
+          if (!name) break;
+          const number = rest ? parseInt(rest) : null;
+          const removed = this.announcements.remove(name, number);
+          if (!removed) return `❓ No timer ${name.toLowerCase()}${number ? ` message #${number}` : ''}`;
+          return number ? `🗑️ Removed message #${number} from timer ${name.toLowerCase()}` : `🗑️ Removed timer ${removed.name}`;
+        }
+          
+        case 'list': {
+          const timers = this.announcements.list();
+          return timers.length ? `⏰ ${timers.map(describe).join(' | ')}`.slice(0, 200) : '⏰ No timers';
+        }
+      }
+    } catch (error) {
+      return `❌ ${error.message}`;
+    }
+    
+    return '❓ Usage: !timer add|set|on|off|remove|list';
+  }
+
+  setShadowMode(enabled) {
+    if (this.state.shadowMode === enabled) return;
+    
+    this.state.shadowMode = enabled;
+    if (enabled) this.outboundQueue.clear('shadow mode');
+    logger.info(`👻 Shadow mode ${enabled ? 'on' : 'off'}`);
+  }
+
+  // !claim <code> binds the code's role to the author's channel ID; owners make new codes with !claim new [owner|moderator]
+  handleClaimCommand(args, message, permissionLevel) {
+    const author = message.authorDetails || {};
+    const [subcommand, level = constants.PERMISSION_LEVELS.MODERATOR] = args.toLowerCase().split(/\s+/);
+    
+    if (subcommand === 'new') {
+      if (permissionLevel !== constants.PERMISSION_LEVELS.OWNER) return null;
+      if (level !== constants.PERMISSION_LEVELS.OWNER && level !== constants.PERMISSION_LEVELS.MODERATOR) {
+        return '❓ Usage: !claim new [owner|moderator]';
       }
+      this.claimCodes.create(level, author.displayName || null);
+      return `🔑 New ${level} claim code is on the dashboard`;
     }
     
-    return null;
+    if (!author.channelId) return null;
+    
+    const claim = this.claimCodes.redeem(args);
+    if (!claim) return '❌ Invalid or expired claim code';
+    
+    this.ownerDetection.identities.bind(author, claim.level);
+    return `🔑 ${author.displayName} is now ${claim.level}`;
+  }
+
+  // Tell chat once per stream when a viewer's name looks like the streamer's or a moderator's
+  async checkLookalike(message) {
+    const author = message.authorDetails;
+    if (!author?.channelId || this.warnedLookalikes.has(author.channelId)) return;
+    
+    const resembles = this.ownerDetection.findLookalike(message);
+    if (!resembles) return;
+    
+    this.warnedLookalikes.add(author.channelId);
+    logger.warn(`🎭 ${author.displayName} (${author.channelId}) looks like ${resembles}`);
+    this.emit('lookalikeDetected', { author: author.displayName, authorChannelId: author.channelId, resembles });
+    
+    // A raid of lookalike accounts gets one summary per interval, not a warning each
+    const warning = this.lookalikeWarning;
+    warning.pending.push({ name: author.displayName, resembles });
+    const wait = warning.lastAt + constants.INTERVALS.LOOKALIKE_WARNING - Date.now();
+    if (wait <= 0) {
+      await this.postLookalikeWarning();
+    } else if (!warning.timeout) {
+      warning.timeout = setTimeout(() => {
+        warning.timeout = null;
+        this.postLookalikeWarning().catch(error => logger.error('Error posting lookalike warning:', error));
+      }, wait);
+    }
+  }
+  
+  // Warns chat about every lookalike seen since the last warning; nothing during a flood
+  async postLookalikeWarning() {
+    const pending = this.lookalikeWarning.pending.splice(0);
+    if (pending.length === 0) return null;
+    
+    if (this.floodDetector.isDefensive()) {
+      logger.info(`🎭 Not warning chat about ${pending.length} lookalike${pending.length === 1 ? '' : 's'} during a flood`);
+      return null;
+    }
+    
+    const names = pending.slice(0, 5).map(lookalike => lookalike.name);
+    const more = pending.length - names.length;
+    const resembles = [...new Set(pending.map(lookalike => lookalike.resembles))].join(' or ');
+    const who = `${names.join(', ')}${more ? ` and ${more} more` : ''}`;
+    const message = `⚠️ Heads up: ${who} ${pending.length === 1 ? 'is' : 'are'} not ${resembles}, don't trust links or requests from them`;
+    
+    this.lookalikeWarning.lastAt = Date.now();
+    await this.sendResponse(message, constants.RESPONSE_TYPES.ADMIN, constants.MESSAGE_PRIORITIES.ADMIN);
+    return message;
+  }
+  
+  clearLookalikeWarning() {
+    clearTimeout(this.lookalikeWarning.timeout);
+    this.lookalikeWarning.timeout = null;
+    this.lookalikeWarning.pending = [];
+  }
+
+  // Term first ("quoted phrase", /regex/flags or one word), then optional severity and exempt=...
+  parseFilterTerm(input) {
+    const match = input.match(/^("([^"]+)"|\/.+\/[a-z]*(?=\s|$)|\S+)\s*(.*)$/);
+    if (!match) return null;
+    
+    const term = { pattern: match[2] || match[1], exempt: [] };
+    
+    match[3].split(/\s+/).filter(Boolean).forEach(option => {
+      if (option.toLowerCase().startsWith('exempt=')) {
+        term.exempt = option.substring(7).split(',').filter(Boolean);
+      } else {
+        term.severity = option;
+      }
+    });
+    
+    return term;
   }
 
   updateContext(eventType, data) {
@@ -521,12 +1670,29 @@ class SmartYouTubeChatBot extends EventEmitter {
       event => event.timestamp > oneHourAgo
     );
     
+    this.commandRegistry.cleanup(now);
+    
     logger.debug('Context cleanup completed');
   }
 
   cleanup() {
+    clearTimeout(this.pollTimeout);
+    clearInterval(this.intervals.announcements);
+    this.intervals.announcements = null;
+    this.stopPollStandings();
+    this.clearRaffleTimers();
+    this.stopMessageStreaming();
+    this.outboundQueue.clear('chat ended');
+    this.chatCheckpoint.clear();
+    this.moderationEngine.clearBans();
+    this.floodDetector.reset();
+    this.warnedLookalikes.clear();
+    this.clearLookalikeWarning();
+    this.state.ingestionMode = null;
     this.state.videoId = null;
     this.state.liveChatId = null;
+    this.state.pendingLiveChatId = null;
+    this.state.streamStartedAt = null;
     this.state.nextPageToken = null;
     this.state.isRunning = false;
     this.state.consecutiveErrors = 0;
@@ -535,6 +1701,7 @@ class SmartYouTubeChatBot extends EventEmitter {
     this.context.currentGame = null;
     this.context.gameState = constants.GAME_STATES.UNKNOWN;
     this.context.chatMood = constants.CHAT_MOODS.NEUTRAL;
+    this.context.supporterStats = {};
     
     logger.info('🧹 Cleanup completed');
   }
@@ -545,6 +1712,10 @@ class SmartYouTubeChatBot extends EventEmitter {
     const rateLimitStats = this.rateLimiter.getStats();
     
     return {
+      channel: {
+        id: this.channelId,
+        name: this.channelName
+      },
       bot: {
         name: this.config.BOT_NAME,
         version: require('../../package.json').version,
@@ -557,6 +1728,23 @@ class SmartYouTubeChatBot extends EventEmitter {
         isMonitoring: this.state.isMonitoring,
         currentStream: this.state.videoId || 'none',
         chatConnected: !!this.state.liveChatId,
+        ingestionMode: this.state.ingestionMode || 'none',
+        chatStream: this.chatStream ? this.chatStream.getStats() : null,
+        outboundQueue: this.outboundQueue.getStats(),
+        chatCheckpoint: this.chatCheckpoint.getStats(),
+        moderation: this.moderationEngine.getStats(),
+        blockedTerms: this.blockedTerms.getStats(),
+        linkProtection: this.linkProtection.getStats(),
+        flood: this.floodDetector.getStats(),
+        strikes: this.strikeLedger.getStats(),
+        identities: this.ownerDetection.identities.getStats(),
+        permissions: this.commandPermissions.getStats(),
+        customCommands: this.customCommands.getStats(),
+        announcements: this.announcements.getStats(),
+        polls: this.polls.getStats(),
+        raffle: this.raffles.getStats(),
+        shadow: { enabled: this.state.shadowMode, ...this.shadowLog.getStats() },
+        auth: this.youtubeService.getAuthStatus(),
         consecutiveErrors: this.state.consecutiveErrors,
         isStreamingTime: this.isStreamingTime()
       },
@@ -570,6 +1758,10 @@ class SmartYouTubeChatBot extends EventEmitter {
         messageHistory: this.context.messageHistory.length,
         recentEvents: this.context.recentEvents.length
       },
+      supporters: this.context.supporterStats,
+      audit: this.auditLog.getLatest(),
+      shadowFeed: this.shadowLog.getLatest(),
+      poll: { current: this.polls.tally(), latest: this.polls.getLatest() },
       schedule: this.config.getStreamingHours(),
       timestamp: new Date().toISOString()
     };
@@ -602,13 +1794,21 @@ class SmartYouTubeChatBot extends EventEmitter {
     return `🐛 Errors: ${this.state.consecutiveErrors}/${this.state.maxConsecutiveErrors} | Context: ${this.context.recentEvents.length} events | Rate: ${this.rateLimiter.getStats().activeUsers} users`;
   }
 
-  getHelpMessage(permissionLevel) {
-    if (permissionLevel === constants.PERMISSION_LEVELS.OWNER) {
-      return '🔧 Owner: !status !quota !stats !ping !say !mood !game !debug !shutdown !restart !help';
-    } else if (permissionLevel === constants.PERMISSION_LEVELS.MODERATOR) {
-      return '🔧 Mod: !status !ping !context !help';
-    }
-    return '🔧 Available: !help';
+  // Exactly the commands this chatter's roles allow, over as many chat messages as it takes
+  getHelpMessage(message, permissionLevel) {
+    const roles = this.commandPermissions.getRoles(message, permissionLevel);
+    const commands = this.commandPermissions.filterCommands(roles, this.commandRegistry.names());
+    
+    const messages = [`🔧 ${roles.join('+')}:`];
+    commands.forEach(command => {
+      const last = messages.length - 1;
+      if (messages[last].length + command.length + 2 > 200) {
+        messages.push(`🔧 !${command}`);
+      } else {
+        messages[last] += ` !${command}`;
+      }
+    });
+    return messages.length === 1 ? messages[0] : messages;
   }
 
   async restart() {
@@ -632,6 +1832,19 @@ class SmartYouTubeChatBot extends EventEmitter {
   async gracefulShutdown() {
     logger.info('🛑 Starting graceful shutdown...');
     
+    // Farewell goes last, after everything already queued has been delivered
+    await this.sendResponse(
+      '🤖 Bot going offline. Thanks for the great stream! 👋',
+      constants.RESPONSE_TYPES.ADMIN,
+      constants.MESSAGE_PRIORITIES.AMBIENT
+    );
+    await this.outboundQueue.drain();
+    
+    await this.teardown();
+  }
+
+  // Stop every timer without exiting the process (BotManager owns process exit)
+  async teardown() {
     this.state.isRunning = false;
     this.state.isMonitoring = false;
     
@@ -639,28 +1852,25 @@ class SmartYouTubeChatBot extends EventEmitter {
     Object.values(this.intervals).forEach(interval => {
       if (interval) clearInterval(interval);
     });
+    clearTimeout(this.pollTimeout);
+    this.stopMessageStreaming();
+    this.outboundQueue.stop();
+    this.floodDetector.stop();
+    this.youtubeService.destroy();
     
-    // Send farewell message if possible
-    if (this.state.liveChatId && this.youtubeService.canSendMessages()) {
-      try {
-        await this.youtubeService.sendMessage(
-          this.state.liveChatId, 
-          '🤖 Bot going offline. Thanks for the great stream! 👋'
-        );
-      } catch (error) {
-        logger.error('Error sending farewell message:', error);
-      }
-    }
+    // Keep the chat position so the next start can resume mid-stream
+    this.chatCheckpoint.save();
+    this.polls.save();
+    this.raffles.save();
+    this.clearRaffleTimers();
+    this.clearLookalikeWarning();
     
-    // Stop web server
-    await this.webServer.stop();
+    this.rateLimiter.destroy();
+    if (this.ownsQuotaManager) {
+      this.quotaManager.destroy();
+    }
     
     this.emit('botStopped');
-    
-    setTimeout(() => {
-      logger.info('👋 Graceful shutdown completed');
-      process.exit(0);
-    }, 2000);
   }
 
   async stop() {
@@ -0,0 +1,133 @@
+/**
+ * Per-viewer strike ledger
+ * Every moderated message is a strike against the author's channel ID. Strikes
+ * expire after STRIKE_DECAY, and the number still active picks the step of
+ * STRIKE_ESCALATION used for the next offence. Persisted per channel.
+ */
+
+const path = require('path');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
+
+function normalizeName(name) {
+  return String(name || '').trim().replace(/^@/, '').toLowerCase();
+}
+
+class StrikeLedger {
+  constructor(config) {
+    this.store = new JsonStore(path.join(config.DATA_DIR, `strikes-${config.YOUTUBE_CHANNEL_ID}.json`));
+    this.enabled = !!config.ENABLE_STRIKES;
+    this.decay = config.STRIKE_DECAY;
+    this.steps = (config.STRIKE_ESCALATION || []).map(step => ({
+      action: typeof step === 'string' ? step : step.action,
+      duration: step.duration || config.MODERATION_TIMEOUT_SECONDS
+    }));
+
+    // author channel ID -> { author, strikes: [{ timestamp, signal, detail }] }
+    const saved = this.store.read();
+    this.viewers = new Map(Object.entries(saved?.viewers || {}));
+    this.prune();
+  }
+
+  activeStrikes(channelId) {
+    const viewer = this.viewers.get(channelId);
+    if (!viewer) return [];
+
+    const cutoff = Date.now() - this.decay;
+    return viewer.strikes.filter(strike => strike.timestamp > cutoff);
+  }
+
+  count(channelId) {
+    return this.activeStrikes(channelId).length;
+  }
+
+  // Penalty for this viewer's next offence; past the last step it stays on the last step
+  nextStep(channelId) {
+    if (!this.enabled || this.steps.length === 0) return null;
+    return this.steps[Math.min(this.count(channelId), this.steps.length - 1)];
+  }
+
+  // Returns the number of active strikes including this one
+  add(channelId, author, { signal = null, detail = null } = {}) {
+    const strikes = this.activeStrikes(channelId);
+    strikes.push({ timestamp: Date.now(), signal, detail });
+
+    this.viewers.set(channelId, { author, strikes });
+    this.save();
+
+    logger.info(`⚖️ Strike ${strikes.length} for ${author} (${signal})`);
+    return strikes.length;
+  }
+
+  // By channel ID or display name (with or without @)
+  find(target) {
+    const needle = normalizeName(target);
+    if (!needle) return null;
+
+    for (const [channelId, viewer] of this.viewers) {
+      if (channelId.toLowerCase() === needle || normalizeName(viewer.author) === needle) {
+        return { channelId, ...viewer, strikes: this.activeStrikes(channelId) };
+      }
+    }
+    return null;
+  }
+
+  // Clear a viewer's record; returns what was cleared, or null if they had no strikes
+  pardon(target) {
+    const viewer = this.find(target);
+    if (!viewer || viewer.strikes.length === 0) return null;
+
+    this.viewers.delete(viewer.channelId);
+    this.save();
+
+    logger.info(`🕊️ Pardoned ${viewer.author} (${viewer.strikes.length} strikes cleared)`);
+    return viewer;
+  }
+
+  prune() {
+    for (const channelId of this.viewers.keys()) {
+      if (this.count(channelId) === 0) this.viewers.delete(channelId);
+    }
+  }
+
+  // Viewers with active strikes, most strikes first
+  list() {
+    this.prune();
+
+    return Array.from(this.viewers.keys())
+      .map(channelId => {
+        const strikes = this.activeStrikes(channelId);
+        return {
+          channelId,
+          author: this.viewers.get(channelId).author,
+          strikes: strikes.length,
+          lastStrike: new Date(strikes[strikes.length - 1].timestamp).toISOString(),
+          expiresAt: new Date(strikes[strikes.length - 1].timestamp + this.decay).toISOString(),
+          history: strikes,
+          next: this.nextStep(channelId)
+        };
+      })
+      .sort((a, b) => b.strikes - a.strikes);
+  }
+
+  save() {
+    this.store.write({
+      viewers: Object.fromEntries(this.viewers),
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  getStats() {
+    const viewers = this.list();
+
+    return {
+      enabled: this.enabled,
+      steps: this.steps,
+      decayHours: this.decay / 3600000,
+      viewers: viewers.length,
+      strikes: viewers.reduce((total, viewer) => total + viewer.strikes, 0)
+    };
+  }
+}
+
+module.exports = StrikeLedger;
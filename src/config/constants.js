@@ -10,18 +10,73 @@ module.exports = {
     COSTS: {
       SEARCH: 100,
       VIDEO_LIST: 1,
+      PLAYLIST_ITEMS: 1,
       CHAT_LIST: 5,
-      CHAT_INSERT: 50
+      CHAT_STREAM: 5, // per streamList connection
+      CHAT_INSERT: 50,
+      CHAT_DELETE: 50,
+      CHAT_BAN: 200,
+      CHAT_UNBAN: 200
     }
   },
 
+  // Go-live detection strategies (search is always the fallback)
+  STREAM_DETECTION_STRATEGIES: {
+    PLAYLIST: 'playlist',
+    FEED: 'feed',
+    SEARCH: 'search'
+  },
+
+  // How chat messages are ingested (poll is always the fallback)
+  CHAT_INGESTION_MODES: {
+    POLL: 'poll',
+    STREAM: 'stream'
+  },
+
+  // What to do with "!something" that isn't a command
+  UNKNOWN_COMMAND_MODES: {
+    IGNORE: 'ignore',   // treat it as a normal chat message
+    REPLY: 'reply',     // say it's unknown
+    SUGGEST: 'suggest'  // say it's unknown and suggest the closest command
+  },
+
   // Response Types
   RESPONSE_TYPES: {
     GREETING: 'greeting',
     QUESTION: 'question',
     REACTION: 'reaction',
     GAMEPLAY: 'gameplay',
-    ADMIN: 'admin'
+    SUPPORTER: 'supporter',
+    ADMIN: 'admin',
+    ANNOUNCEMENT: 'announcement'
+  },
+
+  // Outbound message priorities, lower numbers are sent first
+  MESSAGE_PRIORITIES: {
+    ADMIN: 0,
+    SUPPORTER: 1,
+    REPLY: 2,
+    AMBIENT: 3
+  },
+
+  // Moderation actions, from least to most severe
+  MODERATION_ACTIONS: {
+    NONE: 'none',
+    WARN: 'warn',
+    DELETE: 'delete',
+    TIMEOUT: 'timeout',
+    BAN: 'ban'
+  },
+
+  // liveChatMessage snippet.type values and the bot event each one emits
+  CHAT_EVENT_TYPES: {
+    textMessageEvent: 'textMessage',
+    superChatEvent: 'superChat',
+    superStickerEvent: 'superSticker',
+    newSponsorEvent: 'newSponsor',
+    memberMilestoneChatEvent: 'memberMilestone',
+    membershipGiftingEvent: 'membershipGift',
+    giftMembershipReceivedEvent: 'giftMembershipReceived'
   },
 
   // Game States
@@ -47,6 +102,7 @@ module.exports = {
   PERMISSION_LEVELS: {
     USER: 'user',
     VERIFIED: 'verified',
+    MEMBER: 'member',
     MODERATOR: 'moderator',
     OWNER: 'owner'
   },
@@ -79,12 +135,62 @@ module.exports = {
     RATE_LIMITED: 'RATE_LIMITED'
   },
 
+  // What viewers type to enter a raffle unless the raffle sets its own keyword
+  RAFFLE_DEFAULT_KEYWORD: '!join',
+
+  // YouTube error reasons that mean the live chat is gone
+  CHAT_END_REASONS: ['liveChatEnded', 'liveChatNotFound', 'liveChatDisabled'],
+
+  // Connection failures worth retrying
+  NETWORK_ERROR_CODES: ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH'],
+
+  // Size limits for in-memory and persisted state
+  LIMITS: {
+    SEEN_MESSAGE_IDS: 2000,
+    SENT_MESSAGE_IDS: 500,
+    MODERATION_HISTORY: 50,
+    FLOOD_KNOWN_CHATTERS: 5000,
+    RECENT_CHATTERS: 2000,
+    AUDIT_RECENT: 20,
+    AUDIT_PAGE_SIZE: 50,
+    AUDIT_MAX_PAGE_SIZE: 500,
+    CLAIM_MAX_FAILURES: 5,
+    SHADOW_RECENT: 50,
+    CUSTOM_COMMANDS: 200,
+    ANNOUNCEMENTS: 50,
+    ANNOUNCEMENT_MESSAGES: 20,
+    ANNOUNCEMENT_MIN_LINES: 10,        // default chat lines between posts of a timer
+    POLL_OPTIONS: 10,
+    POLL_HISTORY: 20,
+    RAFFLE_HISTORY: 20
+  },
+
   // Default Intervals (in milliseconds)
   INTERVALS: {
     STREAM_CHECK: 45 * 60 * 1000,      // 45 minutes
+    FAST_STREAM_CHECK: 2 * 60 * 1000,  // 2 minutes (playlist/feed detection)
     CONTEXT_CLEANUP: 30 * 60 * 1000,   // 30 minutes
     KEEP_ALIVE: 25 * 60 * 1000,        // 25 minutes
     MIN_POLL_INTERVAL: 12000,          // 12 seconds
+    STREAM_RECONNECT_DELAY: 1000,      // 1 second, doubled per failed attempt
+    MESSAGE_RETRY_DELAY: 2000,         // 2 seconds, doubled per failed send
+    SHUTDOWN_DRAIN_TIMEOUT: 15000,     // 15 seconds
+    CHECKPOINT_SAVE: 2000,             // 2 seconds, batches page token updates
+    CUSTOM_COMMAND_COOLDOWN: 10000,    // 10 seconds between uses of a custom command
+    ANNOUNCEMENT_CHECK: 30 * 1000,     // 30 seconds between checks for due timers
+    ANNOUNCEMENT_DEFAULT: 15 * 60 * 1000, // 15 minutes, default timer interval
+    ANNOUNCEMENT_MIN: 60 * 1000,       // 1 minute, shortest timer interval
+    POLL_STANDINGS: 60 * 1000,         // 1 minute between standings of an open poll
+    POLL_SAVE: 2000,                   // 2 seconds, batches votes
+    RAFFLE_DURATION: 5 * 60 * 1000,    // 5 minutes, default raffle entry window
+    RAFFLE_CLAIM: 2 * 60 * 1000,       // 2 minutes for a winner to answer
+    RAFFLE_MIN_CLAIM: 30 * 1000,       // 30 seconds, shortest time to answer
+    RAFFLE_SAVE: 2000,                 // 2 seconds, batches raffle entries
+    LOOKALIKE_WARNING: 60 * 1000,      // 1 minute between lookalike warnings in chat
+    TOKEN_REFRESH_MARGIN: 5 * 60 * 1000, // refresh OAuth tokens 5 minutes before expiry
+    TOKEN_RETRY: 60 * 1000,            // 1 minute after a failed refresh
+    TOKEN_RECHECK: 5 * 60 * 1000,      // 5 minutes between token store checks in read-only mode
+    MAX_TIMEOUT: 2147483647,           // setTimeout limit (~24.8 days)
     MAX_BACKOFF: 300000                // 5 minutes
   }
 };
\ No newline at end of file
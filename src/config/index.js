@@ -3,6 +3,7 @@
  */
 
 const logger = require('../utils/logger');
+const constants = require('./constants');
 
 class Config {
   constructor() {
@@ -14,10 +15,21 @@ class Config {
     this.YOUTUBE_API_KEY = process.env.YOUTUBE_API_KEY;
     this.YOUTUBE_CLIENT_ID = process.env.YOUTUBE_CLIENT_ID;
     this.YOUTUBE_CLIENT_SECRET = process.env.YOUTUBE_CLIENT_SECRET;
-    this.YOUTUBE_CHANNEL_ID = process.env.YOUTUBE_CHANNEL_ID;
+    this.YOUTUBE_CHANNEL_ID = process.env.YOUTUBE_CHANNEL_ID; // comma-separated for multi-channel
+    this.YOUTUBE_API_ROOT = process.env.YOUTUBE_API_ROOT || null;
+    this.YOUTUBE_FEED_URL = process.env.YOUTUBE_FEED_URL || 'https://www.youtube.com/feeds/videos.xml';
+    
+    // Stream Detection: search.list every 45 minutes unless playlist or feed detection is opted into
+    this.STREAM_DETECTION_STRATEGY = (process.env.STREAM_DETECTION_STRATEGY || constants.STREAM_DETECTION_STRATEGIES.SEARCH).toLowerCase();
+    this.STREAM_CHECK_INTERVAL = parseInt(process.env.STREAM_CHECK_INTERVAL) ||
+      (this.STREAM_DETECTION_STRATEGY === constants.STREAM_DETECTION_STRATEGIES.SEARCH
+        ? constants.INTERVALS.STREAM_CHECK
+        : constants.INTERVALS.FAST_STREAM_CHECK);
     
     // Bot Configuration
     this.BOT_NAME = process.env.BOT_NAME || 'GameBuddy';
+    this.CHANNEL_NAME = process.env.CHANNEL_NAME || '';
+    // Comma-separated; channel IDs grant the role, display names are only used to spot lookalikes
     this.OWNER_USERNAME = process.env.OWNER_USERNAME || '';
     this.MODERATORS = process.env.MODERATORS || '';
     
@@ -25,8 +37,16 @@ class Config {
     this.STREAM_START_HOUR = parseInt(process.env.STREAM_START_HOUR) || 18;
     this.STREAM_END_HOUR = parseInt(process.env.STREAM_END_HOUR) || 23;
     
+    // WebSub push notifications
+    this.WEBSUB_ENABLED = process.env.WEBSUB_ENABLED === 'true';
+    this.WEBSUB_HUB_URL = process.env.WEBSUB_HUB_URL || 'https://pubsubhubbub.appspot.com/subscribe';
+    this.WEBSUB_CALLBACK_URL = process.env.WEBSUB_CALLBACK_URL || null;
+    this.WEBSUB_SECRET = process.env.WEBSUB_SECRET || null;
+    this.WEBSUB_LEASE_SECONDS = parseInt(process.env.WEBSUB_LEASE_SECONDS) || 5 * 24 * 60 * 60; // 5 days
+    
     // OAuth Tokens
-    this.OAUTH_TOKENS = process.env.OAUTH_TOKENS || null;
+    this.OAUTH_TOKENS = process.env.OAUTH_TOKENS || null; // seed only, refreshed tokens go to DATA_DIR
+    this.OAUTH_TOKEN_URL = process.env.OAUTH_TOKEN_URL || null;
     
     // Server Configuration
     this.PORT = parseInt(process.env.PORT) || 3000;
@@ -37,10 +57,88 @@ class Config {
     this.GLOBAL_RESPONSE_COOLDOWN = parseInt(process.env.GLOBAL_RESPONSE_COOLDOWN) || 8000;
     this.USER_RESPONSE_COOLDOWN = parseInt(process.env.USER_RESPONSE_COOLDOWN) || 30000;
     
+    // Outbound Messages
+    this.MESSAGE_MIN_DELAY = parseInt(process.env.MESSAGE_MIN_DELAY) || 1000;
+    this.MESSAGE_MAX_DELAY = parseInt(process.env.MESSAGE_MAX_DELAY) || 5000;
+    this.MESSAGE_MAX_ATTEMPTS = parseInt(process.env.MESSAGE_MAX_ATTEMPTS) || 3;
+    this.MESSAGE_MAX_AGE = parseInt(process.env.MESSAGE_MAX_AGE) || 60000;
+    
+    // Chat Ingestion
+    this.CHAT_INGESTION_MODE = (process.env.CHAT_INGESTION_MODE || constants.CHAT_INGESTION_MODES.POLL).toLowerCase();
+    this.CHAT_STREAM_MAX_RECONNECTS = parseInt(process.env.CHAT_STREAM_MAX_RECONNECTS) || 5;
+    this.MIN_POLL_INTERVAL = parseInt(process.env.MIN_POLL_INTERVAL) || constants.INTERVALS.MIN_POLL_INTERVAL;
+    this.CHAT_MAX_MESSAGE_AGE = parseInt(process.env.CHAT_MAX_MESSAGE_AGE) || 2 * 60 * 1000; // 2 minutes
+    
     // Feature Flags
     this.ENABLE_DEBUG_MODE = process.env.ENABLE_DEBUG_MODE === 'true';
     this.ENABLE_GAME_DETECTION = process.env.ENABLE_GAME_DETECTION !== 'false';
     this.ENABLE_CONTEXT_TRACKING = process.env.ENABLE_CONTEXT_TRACKING !== 'false';
+    this.ENABLE_SUPPORTER_THANKS = process.env.ENABLE_SUPPORTER_THANKS !== 'false';
+    
+    // Shadow mode runs the whole reply pipeline but writes responses to DATA_DIR/shadow-<channel>.ndjson instead of chat
+    this.SHADOW_MODE = process.env.SHADOW_MODE === 'true';
+    
+    // Moderation (off by default; dry run logs actions without calling the API)
+    this.ENABLE_MODERATION = process.env.ENABLE_MODERATION === 'true';
+    this.MODERATION_DRY_RUN = process.env.MODERATION_DRY_RUN === 'true';
+    this.MODERATION_EXEMPT = process.env.MODERATION_EXEMPT || 'owner,moderator,member';
+    this.MODERATION_TIMEOUT_SECONDS = parseInt(process.env.MODERATION_TIMEOUT_SECONDS) || 300;
+    this.MODERATION_QUOTA_RESERVE = parseInt(process.env.MODERATION_QUOTA_RESERVE) || 1000; // units kept for polling
+    
+    // Which signal triggers which action, e.g. {"spam":"delete"} or {"spam":{"action":"timeout","duration":600}}
+    this.MODERATION_RULES = this.parseJson('MODERATION_RULES', {
+      spam: constants.MODERATION_ACTIONS.DELETE,
+      link: constants.MODERATION_ACTIONS.DELETE,
+      flood: constants.MODERATION_ACTIONS.DELETE
+    });
+    
+    // Link protection: allowlisted domains (subdomains included), roles that may post links, !permit window
+    this.LINK_ALLOWLIST = process.env.LINK_ALLOWLIST || 'youtube.com,youtu.be';
+    this.LINK_EXEMPT = process.env.LINK_EXEMPT || 'owner,moderator';
+    this.LINK_PERMIT_SECONDS = parseInt(process.env.LINK_PERMIT_SECONDS) || 60;
+    
+    // Roles and the commands they allow; defaults to DATA_DIR/permissions-<channel>.json, created on first start
+    this.PERMISSIONS_FILE = process.env.PERMISSIONS_FILE || null;
+    
+    // ignore, reply or suggest when "!something" isn't a command
+    this.UNKNOWN_COMMAND = (process.env.UNKNOWN_COMMAND || constants.UNKNOWN_COMMAND_MODES.IGNORE).toLowerCase();
+    
+    // Claim codes bind an owner/moderator role to a channel ID; the dashboard shows them and the audit log at /?token=ADMIN_TOKEN
+    this.ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+    this.CLAIM_CODE_TTL = parseInt(process.env.CLAIM_CODE_TTL) || 10 * 60 * 1000;
+    
+    // Initial blocked terms, used until the list is first changed from chat, e.g. ["badword",{"pattern":"gg ez","severity":"warn"}]
+    this.BLOCKED_TERMS = this.parseJson('BLOCKED_TERMS', []);
+    
+    // Strikes per viewer: the Nth active strike picks step N of STRIKE_ESCALATION (the rule's action is the minimum)
+    this.ENABLE_STRIKES = process.env.ENABLE_STRIKES !== 'false';
+    this.STRIKE_DECAY = parseInt(process.env.STRIKE_DECAY) || 24 * 60 * 60 * 1000; // strikes expire after a day
+    this.STRIKE_ESCALATION = this.parseJson('STRIKE_ESCALATION', [
+      constants.MODERATION_ACTIONS.WARN,
+      constants.MODERATION_ACTIONS.DELETE,
+      { action: constants.MODERATION_ACTIONS.TIMEOUT, duration: 300 },
+      constants.MODERATION_ACTIONS.BAN
+    ]);
+    
+    // Flood/raid detection over a sliding window; defensive mode ends after FLOOD_COOLDOWN without flood signals
+    this.ENABLE_FLOOD_DETECTION = process.env.ENABLE_FLOOD_DETECTION !== 'false';
+    this.FLOOD_WINDOW = parseInt(process.env.FLOOD_WINDOW) || 10000;
+    this.FLOOD_MESSAGE_THRESHOLD = parseInt(process.env.FLOOD_MESSAGE_THRESHOLD) || 20;
+    this.FLOOD_NEW_CHATTER_RATIO = parseFloat(process.env.FLOOD_NEW_CHATTER_RATIO) || 0.6;
+    this.FLOOD_DUPLICATE_THRESHOLD = parseInt(process.env.FLOOD_DUPLICATE_THRESHOLD) || 5; // distinct chatters posting the same text
+    this.FLOOD_SIMILARITY = parseFloat(process.env.FLOOD_SIMILARITY) || 0.8; // 0-1, how close "the same text" has to be
+    this.FLOOD_COOLDOWN = parseInt(process.env.FLOOD_COOLDOWN) || 60000;
+    this.FLOOD_WARMUP = parseInt(process.env.FLOOD_WARMUP) || 2 * 60 * 1000; // nobody counts as a new chatter this soon after the chat opens
+    this.FLOOD_DELETE_DUPLICATES = process.env.FLOOD_DELETE_DUPLICATES === 'true'; // needs ENABLE_MODERATION
+    
+    // Thank-you templates per supporter event, e.g. {"superChat":["Thanks {user}!"]}
+    this.SUPPORTER_THANKS = this.parseJson('SUPPORTER_THANKS', {});
+    
+    // Per-channel settings keyed by channel ID, e.g. {"UCxxx":{"OWNER_USERNAME":"Ann"}}
+    this.CHANNEL_OVERRIDES = this.parseJson('CHANNEL_OVERRIDES', {});
+    
+    // Persistent state (chat position, ...) lives here; mount a volume to keep it across deploys
+    this.DATA_DIR = process.env.DATA_DIR || 'data';
     
     // Deployment
     this.RAILWAY_PUBLIC_DOMAIN = process.env.RAILWAY_PUBLIC_DOMAIN;
@@ -51,6 +149,17 @@ class Config {
     this.LOG_FILE = process.env.LOG_FILE || 'logs/bot.log';
   }
 
+  parseJson(key, fallback) {
+    if (!process.env[key]) return fallback;
+
+    try {
+      return JSON.parse(process.env[key]);
+    } catch (error) {
+      logger.warn(`⚠️ Ignoring invalid JSON in ${key}: ${error.message}`);
+      return fallback;
+    }
+  }
+
   validate() {
     const required = [
       'YOUTUBE_API_KEY',
@@ -62,6 +171,9 @@ class Config {
     logger.info('🔍 Validating configuration...');
 
     const missing = required.filter(key => !this[key]);
+    if (!missing.includes('YOUTUBE_CHANNEL_ID') && this.getChannelIds().length === 0) {
+      missing.push('YOUTUBE_CHANNEL_ID');
+    }
 
     if (missing.length > 0) {
       const error = `Missing required configuration: ${missing.join(', ')}`;
@@ -69,6 +181,58 @@ class Config {
       throw new Error(error);
     }
 
+    const strategies = Object.values(constants.STREAM_DETECTION_STRATEGIES);
+    if (!strategies.includes(this.STREAM_DETECTION_STRATEGY)) {
+      const error = `Invalid STREAM_DETECTION_STRATEGY "${this.STREAM_DETECTION_STRATEGY}" (expected one of: ${strategies.join(', ')})`;
+      logger.error(error);
+      throw new Error(error);
+    }
+
+    const ingestionModes = Object.values(constants.CHAT_INGESTION_MODES);
+    if (!ingestionModes.includes(this.CHAT_INGESTION_MODE)) {
+      const error = `Invalid CHAT_INGESTION_MODE "${this.CHAT_INGESTION_MODE}" (expected one of: ${ingestionModes.join(', ')})`;
+      logger.error(error);
+      throw new Error(error);
+    }
+
+    const unknownCommandModes = Object.values(constants.UNKNOWN_COMMAND_MODES);
+    if (!unknownCommandModes.includes(this.UNKNOWN_COMMAND)) {
+      const error = `Invalid UNKNOWN_COMMAND "${this.UNKNOWN_COMMAND}" (expected one of: ${unknownCommandModes.join(', ')})`;
+      logger.error(error);
+      throw new Error(error);
+    }
+
+    const actions = Object.values(constants.MODERATION_ACTIONS);
+    Object.entries(this.MODERATION_RULES).forEach(([signal, rule]) => {
+      const action = typeof rule === 'string' ? rule : rule?.action;
+      if (!actions.includes(action)) {
+        const error = `Invalid MODERATION_RULES action "${action}" for ${signal} (expected one of: ${actions.join(', ')})`;
+        logger.error(error);
+        throw new Error(error);
+      }
+    });
+
+    if (!Array.isArray(this.STRIKE_ESCALATION)) {
+      const error = 'STRIKE_ESCALATION must be a JSON array of actions';
+      logger.error(error);
+      throw new Error(error);
+    }
+    this.STRIKE_ESCALATION.forEach((step, index) => {
+      const action = typeof step === 'string' ? step : step?.action;
+      if (!actions.includes(action)) {
+        const error = `Invalid STRIKE_ESCALATION action "${action}" at step ${index + 1} (expected one of: ${actions.join(', ')})`;
+        logger.error(error);
+        throw new Error(error);
+      }
+    });
+
+    const channelIds = this.getChannelIds();
+    Object.keys(this.CHANNEL_OVERRIDES).forEach(channelId => {
+      if (!channelIds.includes(channelId)) {
+        logger.warn(`⚠️ CHANNEL_OVERRIDES has settings for unknown channel ${channelId}`);
+      }
+    });
+
     logger.info('✅ Configuration validation passed');
 
     // Log configuration status
@@ -80,8 +244,14 @@ class Config {
       'Message Sending': !!this.OAUTH_TOKENS,
       'Owner Commands': !!this.OWNER_USERNAME,
       'Moderator Support': !!this.MODERATORS,
+      'Dashboard Claim Codes': !!this.ADMIN_TOKEN,
+      'Shadow Mode (no chat messages)': this.SHADOW_MODE,
       'Game Detection': this.ENABLE_GAME_DETECTION,
       'Context Tracking': this.ENABLE_CONTEXT_TRACKING,
+      'WebSub Notifications': this.WEBSUB_ENABLED,
+      'Supporter Thanks': this.ENABLE_SUPPORTER_THANKS,
+      'Moderation': this.ENABLE_MODERATION,
+      'Flood Detection': this.ENABLE_FLOOD_DETECTION,
       'Debug Mode': this.ENABLE_DEBUG_MODE
     };
 
@@ -90,8 +260,21 @@ class Config {
       logger.info(`   ${enabled ? '✅' : '❌'} ${feature}`);
     });
 
+    logger.info(`📺 Channels: ${this.getChannelIds().join(', ')}`);
     logger.info(`⏰ Streaming Hours: ${this.STREAM_START_HOUR}:00 - ${this.STREAM_END_HOUR}:00`);
+    logger.info(`💬 Chat Ingestion: ${this.CHAT_INGESTION_MODE}`);
+    logger.info(`🔎 Stream Detection: ${this.STREAM_DETECTION_STRATEGY} (every ${this.STREAM_CHECK_INTERVAL / 60000} minutes)`);
+    if (this.ENABLE_MODERATION) {
+      logger.info(`🔨 Moderation: ${Object.entries(this.MODERATION_RULES).map(([signal, rule]) => `${signal}→${rule.action || rule}`).join(', ')}${this.MODERATION_DRY_RUN ? ' (dry run)' : ''}`);
+      if (this.ENABLE_STRIKES) {
+        logger.info(`⚖️ Strikes: ${this.STRIKE_ESCALATION.map(step => step.action || step).join(' → ')}`);
+      }
+    }
     logger.info(`🛡️ Rate Limits: ${this.MAX_RESPONSES_PER_HOUR}/hour, ${this.GLOBAL_RESPONSE_COOLDOWN}ms cooldown`);
+
+    if (this.YOUTUBE_API_ROOT) {
+      logger.warn(`🧪 Using custom YouTube API root: ${this.YOUTUBE_API_ROOT}`);
+    }
   }
 
   // Helper methods
@@ -118,6 +301,27 @@ class Config {
     };
   }
 
+  getChannelIds() {
+    return (this.YOUTUBE_CHANNEL_ID || '')
+      .split(',')
+      .map(channelId => channelId.trim())
+      .filter(Boolean);
+  }
+
+  // One config per channel: shared settings with that channel's overrides on top
+  getChannelConfigs() {
+    return this.getChannelIds().map(channelId => {
+      const overrides = { ...(this.CHANNEL_OVERRIDES[channelId] || {}) };
+
+      // Tokens are stored as a JSON string everywhere else
+      if (overrides.OAUTH_TOKENS && typeof overrides.OAUTH_TOKENS === 'object') {
+        overrides.OAUTH_TOKENS = JSON.stringify(overrides.OAUTH_TOKENS);
+      }
+
+      return Object.assign(Object.create(this), overrides, { YOUTUBE_CHANNEL_ID: channelId });
+    });
+  }
+
   getDeploymentUrl() {
     return this.RAILWAY_PUBLIC_DOMAIN 
       ? `https://${this.RAILWAY_PUBLIC_DOMAIN}`
@@ -8,7 +8,7 @@
 require('dotenv').config();
 const logger = require('./utils/logger');
 const config = require('./config');
-const SmartYouTubeChatBot = require('./bot/SmartYouTubeChatBot');
+const BotManager = require('./bot/BotManager');
 
 // Global error handlers
 process.on('uncaughtException', (error) => {
@@ -31,13 +31,13 @@ process.on('SIGINT', () => {
 });
 
 // Graceful shutdown handlers
-let botInstance = null;
+let manager = null;
 
 const gracefulShutdown = (signal) => {
   logger.info(`Received ${signal} - Starting graceful shutdown...`);
   
-  if (botInstance) {
-    botInstance.gracefulShutdown();
+  if (manager) {
+    manager.gracefulShutdown();
   } else {
     process.exit(0);
   }
@@ -56,11 +56,11 @@ async function main() {
     // Validate configuration
     config.validate();
     
-    // Initialize bot
-    botInstance = new SmartYouTubeChatBot(config);
+    // Initialize one bot per channel
+    manager = new BotManager(config);
     
     // Start monitoring
-    await botInstance.start();
+    await manager.start();
     
     logger.info('✅ Smart YouTube Chat Bot started successfully!');
     
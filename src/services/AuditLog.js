@@ -0,0 +1,118 @@
+/**
+ * Append-only audit log
+ * One JSON line per command attempt or moderation action, written to
+ * DATA_DIR/audit-<channel>.jsonl. Lines are never rewritten, only appended.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const constants = require('../config/constants');
+
+class AuditLog {
+  constructor(config) {
+    this.channelId = config.YOUTUBE_CHANNEL_ID;
+    this.botName = config.BOT_NAME;
+    this.filePath = path.resolve(config.DATA_DIR, `audit-${config.YOUTUBE_CHANNEL_ID}.jsonl`);
+
+    // Newest entries kept in memory for the dashboard
+    this.recent = this.readAll().slice(-constants.LIMITS.AUDIT_RECENT);
+  }
+
+  append(entry) {
+    const record = {
+      timestamp: new Date().toISOString(),
+      channelId: this.channelId,
+      ...entry
+    };
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, `${JSON.stringify(record)}\n`);
+    } catch (error) {
+      logger.error(`Error writing audit log ${this.filePath}:`, error.message);
+    }
+
+    this.recent.push(record);
+    if (this.recent.length > constants.LIMITS.AUDIT_RECENT) {
+      this.recent.shift();
+    }
+
+    return record;
+  }
+
+  // A command from chat, with its reply or why there was none: "!game minecraft" -> command "!game", args "minecraft"
+  recordCommand(message, permissionLevel, text, result) {
+    const author = message.authorDetails || {};
+    const [, command, args] = text.trim().match(/^(\S+)\s*([\s\S]*)$/);
+
+    return this.append({
+      type: 'command',
+      actor: {
+        channelId: author.channelId || null,
+        displayName: author.displayName || 'Unknown',
+        permissionLevel
+      },
+      command: command.toLowerCase(),
+      args,
+      result
+    });
+  }
+
+  // An action taken by the moderation engine (see ModerationEngine.moderate)
+  recordModeration(moderation) {
+    return this.append({
+      type: 'moderation',
+      actor: {
+        channelId: null,
+        displayName: this.botName,
+        permissionLevel: 'system'
+      },
+      command: moderation.action,
+      args: {
+        target: moderation.author,
+        targetChannelId: moderation.authorChannelId,
+        messageId: moderation.messageId,
+        text: moderation.text,
+        signal: moderation.signal,
+        detail: moderation.detail,
+        duration: moderation.duration,
+        strikes: moderation.strikes
+      },
+      result: moderation.error ? `failed: ${moderation.error}` : moderation.dryRun ? 'dry run' : 'ok'
+    });
+  }
+
+  readAll() {
+    let content;
+    try {
+      if (!fs.existsSync(this.filePath)) return [];
+      content = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      logger.warn(`⚠️ Could not read audit log ${this.filePath}: ${error.message}`);
+      return [];
+    }
+
+    const entries = [];
+    content.split('\n').filter(Boolean).forEach(line => {
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        logger.warn(`⚠️ Skipping corrupt audit log line in ${this.filePath}`);
+      }
+    });
+    return entries;
+  }
+
+  // Newest first, optionally only one type ('command' or 'moderation')
+  query({ type = null } = {}) {
+    const entries = this.readAll().reverse();
+    return type ? entries.filter(entry => entry.type === type) : entries;
+  }
+
+  getLatest(count = 5) {
+    return this.recent.slice(-count).reverse();
+  }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,207 @@
+/**
+ * Long-lived liveChatMessages streamList connection
+ * Emits 'messages', 'pageToken', 'ended' and 'failed', reconnecting on drops
+ * and resuming from the last nextPageToken.
+ */
+
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const constants = require('../config/constants');
+
+class ChatStream extends EventEmitter {
+  constructor(youtubeService, options = {}) {
+    super();
+
+    this.youtubeService = youtubeService;
+    this.liveChatId = options.liveChatId;
+    this.pageToken = options.pageToken || null;
+    this.maxReconnects = options.maxReconnects || 5;
+
+    this.stream = null;
+    this.reconnectTimeout = null;
+    this.reconnectAttempts = 0;
+    this.connections = 0;
+    this.isStopped = false;
+  }
+
+  start() {
+    this.isStopped = false;
+    this.connect();
+  }
+
+  stop() {
+    this.isStopped = true;
+    clearTimeout(this.reconnectTimeout);
+
+    if (this.stream) {
+      this.stream.destroy();
+      this.stream = null;
+    }
+  }
+
+  async connect() {
+    if (this.isStopped) return;
+
+    try {
+      const stream = await this.youtubeService.openChatStream(this.liveChatId, this.pageToken);
+
+      if (this.isStopped) {
+        stream.destroy();
+        return;
+      }
+
+      this.stream = stream;
+      this.connections++;
+      logger.info(`📡 Chat stream connected${this.pageToken ? ' (resuming)' : ''}`);
+
+      const parser = createJsonArrayParser(response => this.handleResponse(response));
+
+      stream.setEncoding('utf8');
+      stream.on('data', chunk => {
+        try {
+          parser(chunk);
+        } catch (error) {
+          logger.error('Error parsing chat stream:', error.message);
+          stream.destroy(error);
+        }
+      });
+      stream.on('end', () => this.handleDisconnect(null));
+      stream.on('error', error => this.handleDisconnect(error));
+      stream.on('close', () => this.handleDisconnect(new Error('Connection closed')));
+    } catch (error) {
+      this.handleConnectError(error);
+    }
+  }
+
+  handleResponse(response) {
+    // Any data means the connection is healthy again
+    this.reconnectAttempts = 0;
+
+    if (response.items && response.items.length > 0) {
+      this.emit('messages', response.items);
+    }
+
+    if (response.nextPageToken) {
+      this.pageToken = response.nextPageToken;
+      this.emit('pageToken', response.nextPageToken);
+    }
+
+    if (response.offlineAt) {
+      logger.info(`📺 Chat went offline at ${response.offlineAt}`);
+      this.end();
+    }
+  }
+
+  handleDisconnect(error) {
+    if (this.isStopped || !this.stream) return;
+    this.stream = null;
+
+    if (error) {
+      logger.warn(`⚠️ Chat stream dropped: ${error.message}`);
+      this.scheduleReconnect();
+    } else {
+      // Server closed the stream normally, pick up where it left off
+      logger.debug('Chat stream closed by server, reconnecting');
+      this.reconnectTimeout = setTimeout(() => this.connect(), constants.INTERVALS.STREAM_RECONNECT_DELAY);
+    }
+  }
+
+  handleConnectError(error) {
+    if (this.isStopped) return;
+
+    if (this.youtubeService.isChatEndedError(error)) {
+      this.end();
+      return;
+    }
+
+    // Client errors other than rate limiting won't fix themselves by retrying
+    const status = error.code || error.response?.status;
+    const isPermanent = status >= 400 && status < 500 && status !== 429;
+
+    if (isPermanent || this.reconnectAttempts >= this.maxReconnects) {
+      logger.error(`❌ Chat stream unavailable: ${error.message}`);
+      this.stop();
+      this.emit('failed', error);
+      return;
+    }
+
+    logger.warn(`⚠️ Chat stream connection failed: ${error.message}`);
+    this.scheduleReconnect();
+  }
+
+  scheduleReconnect() {
+    const delay = Math.min(
+      constants.INTERVALS.STREAM_RECONNECT_DELAY * Math.pow(2, this.reconnectAttempts),
+      constants.INTERVALS.MAX_BACKOFF
+    );
+    this.reconnectAttempts++;
+
+    logger.info(`🔁 Reconnecting chat stream in ${delay}ms (attempt ${this.reconnectAttempts}/${this.maxReconnects})`);
+    this.reconnectTimeout = setTimeout(() => this.connect(), delay);
+  }
+
+  end() {
+    this.stop();
+    this.emit('ended');
+  }
+
+  getStats() {
+    return {
+      connected: !!this.stream,
+      connections: this.connections,
+      reconnectAttempts: this.reconnectAttempts
+    };
+  }
+}
+
+/**
+ * Incremental parser for a streamed JSON array of objects: "[{...},{...}"
+ * Calls onObject for every complete top-level object as soon as it arrives.
+ */
+function createJsonArrayParser(onObject) {
+  let buffer = '';
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let objectStart = -1;
+  let position = 0;
+
+  return (chunk) => {
+    buffer += chunk;
+
+    for (; position < buffer.length; position++) {
+      const char = buffer[position];
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        if (depth === 0) objectStart = position;
+        depth++;
+      } else if (char === '}') {
+        depth--;
+        if (depth === 0) {
+          onObject(JSON.parse(buffer.slice(objectStart, position + 1)));
+          buffer = buffer.slice(position + 1);
+          position = -1;
+          objectStart = -1;
+        }
+      }
+    }
+
+    // Drop separators between objects so the buffer doesn't grow
+    if (objectStart === -1) {
+      buffer = '';
+      position = 0;
+    }
+  };
+}
+
+module.exports = ChatStream;
+module.exports.createJsonArrayParser = createJsonArrayParser;
@@ -0,0 +1,189 @@
+/**
+ * Interactive OAuth flows for getting the bot's first tokens
+ * - Loopback: temporary local HTTP listener as redirect URI, code exchanged with PKCE
+ * - Device code: user enters a short code on another device (headless servers)
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const axios = require('axios');
+const { google } = require('googleapis');
+
+const SCOPES = ['https://www.googleapis.com/auth/youtube'];
+const DEVICE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+const DEFAULT_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+
+class OAuthFlow {
+  constructor(options = {}) {
+    this.clientId = options.clientId;
+    this.clientSecret = options.clientSecret;
+    this.scopes = options.scopes || SCOPES;
+    this.endpoints = {
+      oauth2AuthBaseUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+      oauth2TokenUrl: 'https://oauth2.googleapis.com/token',
+      deviceCodeUrl: 'https://oauth2.googleapis.com/device/code',
+      ...options.endpoints
+    };
+  }
+
+  createClient(redirectUri) {
+    return new google.auth.OAuth2({
+      clientId: this.clientId,
+      clientSecret: this.clientSecret,
+      redirectUri,
+      endpoints: this.endpoints
+    });
+  }
+
+  // onAuthUrl(url) is called once the listener is up; open it in a browser
+  async authorizeWithLoopback({ onAuthUrl, timeout = DEFAULT_TIMEOUT } = {}) {
+    const state = crypto.randomBytes(16).toString('hex');
+    let server;
+
+    try {
+      const { port, code } = await new Promise((resolve, reject) => {
+        let waitForCode;
+        const codePromise = new Promise((resolveCode, rejectCode) => {
+          waitForCode = { resolve: resolveCode, reject: rejectCode };
+        });
+        // The redirect can fail before anyone awaits the code
+        codePromise.catch(() => {});
+
+        server = http.createServer((req, res) => this.handleRedirect(req, res, state, waitForCode));
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+          resolve({ port: server.address().port, code: codePromise });
+        });
+      });
+
+      const redirectUri = `http://127.0.0.1:${port}/oauth2callback`;
+      const oauth2Client = this.createClient(redirectUri);
+      const { codeVerifier, codeChallenge } = await oauth2Client.generateCodeVerifierAsync();
+
+      const authUrl = oauth2Client.generateAuthUrl({
+        access_type: 'offline',
+        prompt: 'consent',
+        scope: this.scopes,
+        state,
+        code_challenge_method: 'S256',
+        code_challenge: codeChallenge
+      });
+
+      await onAuthUrl(authUrl);
+
+      const authorizationCode = await withTimeout(code, timeout, 'Timed out waiting for authorization in the browser');
+      const { tokens } = await oauth2Client.getToken({ code: authorizationCode, codeVerifier, redirect_uri: redirectUri });
+      return tokens;
+
+    } finally {
+      if (server) {
+        server.close();
+        server.closeAllConnections?.();
+      }
+    }
+  }
+
+  handleRedirect(req, res, state, waitForCode) {
+    const url = new URL(req.url, 'http://127.0.0.1');
+
+    if (url.pathname !== '/oauth2callback') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not Found');
+      return;
+    }
+
+    const error = url.searchParams.get('error');
+    const code = url.searchParams.get('code');
+
+    if (url.searchParams.get('state') !== state) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('State mismatch - please start the authorization again.');
+      waitForCode.reject(new Error('OAuth state mismatch'));
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+
+    if (error || !code) {
+      res.end('<h1>❌ Authorization failed</h1><p>You can close this tab and check the terminal.</p>');
+      waitForCode.reject(new Error(error || 'No authorization code received'));
+      return;
+    }
+
+    res.end('<h1>✅ Authorization complete</h1><p>You can close this tab and return to the terminal.</p>');
+    waitForCode.resolve(code);
+  }
+
+  // onUserCode({ userCode, verificationUrl, expiresIn }) tells the user where to go
+  async authorizeWithDeviceCode({ onUserCode, timeout = DEFAULT_TIMEOUT } = {}) {
+    const { data: device } = await axios.post(
+      this.endpoints.deviceCodeUrl,
+      new URLSearchParams({ client_id: this.clientId, scope: this.scopes.join(' ') }).toString(),
+      { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
+    );
+
+    await onUserCode({
+      userCode: device.user_code,
+      verificationUrl: device.verification_url || device.verification_uri,
+      expiresIn: device.expires_in
+    });
+
+    const deadline = Date.now() + Math.min(timeout, device.expires_in * 1000);
+    let interval = (device.interval || 5) * 1000;
+
+    while (Date.now() < deadline) {
+      await sleep(interval);
+
+      const response = await axios.post(
+        this.endpoints.oauth2TokenUrl,
+        new URLSearchParams({
+          client_id: this.clientId,
+          client_secret: this.clientSecret,
+          device_code: device.device_code,
+          grant_type: DEVICE_GRANT_TYPE
+        }).toString(),
+        { headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, validateStatus: () => true }
+      );
+
+      if (response.status === 200) {
+        const tokens = { ...response.data };
+        if (tokens.expires_in) {
+          tokens.expiry_date = Date.now() + tokens.expires_in * 1000;
+          delete tokens.expires_in;
+        }
+        return tokens;
+      }
+
+      switch (response.data?.error) {
+        case 'authorization_pending':
+          break;
+        case 'slow_down':
+          interval += 5000;
+          break;
+        case 'access_denied':
+          throw new Error('Authorization was denied');
+        case 'expired_token':
+          throw new Error('The device code expired before it was approved');
+        default:
+          throw new Error(response.data?.error_description || response.data?.error || `Token request failed (${response.status})`);
+      }
+    }
+
+    throw new Error('Timed out waiting for device authorization');
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = OAuthFlow;
+module.exports.SCOPES = SCOPES;
@@ -0,0 +1,210 @@
+/**
+ * Outbound chat message queue
+ * Sends one message at a time in priority order (FIFO within a priority),
+ * retries transient failures with backoff and drops messages that went stale.
+ * Emits 'sent', 'failed' and 'dropped'.
+ */
+
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const constants = require('../config/constants');
+
+class OutboundQueue extends EventEmitter {
+  constructor(youtubeService, quotaManager, options = {}) {
+    super();
+
+    this.youtubeService = youtubeService;
+    this.quotaManager = quotaManager;
+    this.getLiveChatId = options.getLiveChatId || (() => null);
+    this.minDelay = options.minDelay ?? 1000;
+    this.maxDelay = options.maxDelay ?? 5000;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.maxAge = options.maxAge || 60000;
+    this.retryDelay = options.retryDelay || constants.INTERVALS.MESSAGE_RETRY_DELAY;
+
+    this.queue = [];
+    this.sequence = 0;
+    this.timer = null;
+    this.sending = null;
+    this.isDraining = false;
+
+    this.stats = {
+      sent: 0,
+      failed: 0,
+      retries: 0,
+      expired: 0,
+      dropped: 0,
+      lastFailure: null
+    };
+  }
+
+  enqueue(text, options = {}) {
+    const entry = {
+      id: ++this.sequence,
+      text,
+      type: options.type || 'general',
+      priority: options.priority ?? constants.MESSAGE_PRIORITIES.REPLY,
+      liveChatId: this.getLiveChatId(),
+      enqueuedAt: Date.now(),
+      attempts: 0,
+      lastError: null
+    };
+
+    // Keep the queue sorted: after every entry of the same or higher priority
+    const index = this.queue.findIndex(queued => queued.priority > entry.priority);
+    if (index === -1) {
+      this.queue.push(entry);
+    } else {
+      this.queue.splice(index, 0, entry);
+    }
+
+    logger.debug(`📥 Queued (${entry.type}, priority ${entry.priority}): "${text}" [depth ${this.queue.length}]`);
+    this.schedule(this.getHumanDelay());
+    return entry;
+  }
+
+  // Add a human-like pause between messages
+  getHumanDelay() {
+    return this.minDelay + Math.random() * (this.maxDelay - this.minDelay);
+  }
+
+  schedule(delay) {
+    if (this.timer || this.sending || this.isDraining || this.queue.length === 0) return;
+
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      const nextDelay = await this.processNext();
+      this.schedule(nextDelay);
+    }, delay);
+  }
+
+  processNext() {
+    if (!this.sending) {
+      this.sending = this.sendNext().finally(() => {
+        this.sending = null;
+      });
+    }
+    return this.sending;
+  }
+
+  // Returns how long to wait before the next send
+  async sendNext() {
+    const entry = this.queue[0];
+    if (!entry) return 0;
+
+    const dropReason = this.getDropReason(entry);
+    if (dropReason) {
+      this.remove(entry);
+      this.drop(entry, dropReason);
+      return 0;
+    }
+
+    entry.attempts++;
+
+    try {
+      await this.youtubeService.sendMessage(entry.liveChatId, entry.text);
+
+      this.remove(entry);
+      this.stats.sent++;
+      this.emit('sent', entry);
+      return this.getHumanDelay();
+
+    } catch (error) {
+      entry.lastError = error.message;
+
+      if (entry.attempts < this.maxAttempts && this.youtubeService.isTransientError(error)) {
+        const delay = Math.min(
+          this.retryDelay * Math.pow(2, entry.attempts - 1),
+          constants.INTERVALS.MAX_BACKOFF
+        );
+        this.stats.retries++;
+        logger.warn(`⚠️ Send failed (attempt ${entry.attempts}/${this.maxAttempts}), retrying in ${delay}ms: ${error.message}`);
+        return delay;
+      }
+
+      this.remove(entry);
+      this.stats.failed++;
+      this.stats.lastFailure = {
+        text: entry.text,
+        error: error.message,
+        attempts: entry.attempts,
+        at: new Date().toISOString()
+      };
+      logger.error(`❌ Giving up on message after ${entry.attempts} attempt(s): ${error.message}`);
+      this.emit('failed', entry, error);
+      return this.getHumanDelay();
+    }
+  }
+
+  getDropReason(entry) {
+    if (!entry.liveChatId || entry.liveChatId !== this.getLiveChatId()) return 'chat changed';
+    if (Date.now() - entry.enqueuedAt > this.maxAge) return 'expired';
+    if (!this.quotaManager.canMakeApiCall('CHAT_INSERT')) return 'quota limit reached';
+    return null;
+  }
+
+  remove(entry) {
+    const index = this.queue.indexOf(entry);
+    if (index !== -1) this.queue.splice(index, 1);
+  }
+
+  drop(entry, reason) {
+    if (reason === 'expired') {
+      this.stats.expired++;
+    } else {
+      this.stats.dropped++;
+    }
+
+    logger.debug(`🗑️ Dropped queued message (${reason}): "${entry.text}"`);
+    this.emit('dropped', entry, reason);
+  }
+
+  // Discard everything still waiting, e.g. when the chat ends
+  clear(reason = 'cleared') {
+    const pending = this.queue.splice(0);
+    pending.forEach(entry => this.drop(entry, reason));
+  }
+
+  // Send whatever is queued right away, giving up after the timeout
+  async drain(timeout = constants.INTERVALS.SHUTDOWN_DRAIN_TIMEOUT) {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.isDraining = true;
+
+    const deadline = Date.now() + timeout;
+    if (this.queue.length > 0) {
+      logger.info(`📤 Draining ${this.queue.length} queued message(s)...`);
+    }
+
+    try {
+      while (this.queue.length > 0 && Date.now() < deadline) {
+        await this.processNext();
+      }
+    } finally {
+      this.isDraining = false;
+    }
+
+    this.clear('shutdown');
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.clear('stopped');
+  }
+
+  getStats() {
+    const byPriority = {};
+    Object.entries(constants.MESSAGE_PRIORITIES).forEach(([name, priority]) => {
+      byPriority[name.toLowerCase()] = this.queue.filter(entry => entry.priority === priority).length;
+    });
+
+    return {
+      depth: this.queue.length,
+      byPriority,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = OutboundQueue;
@@ -0,0 +1,85 @@
+/**
+ * Shadow mode review feed
+ * While shadow mode is on, every message the bot would have sent is written
+ * here instead of to chat: one JSON line per response in
+ * DATA_DIR/shadow-<channel>.ndjson, next to the message that triggered it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const constants = require('../config/constants');
+const { redact } = require('../bot/ClaimCodes');
+
+class ShadowLog {
+  constructor(config) {
+    this.channelId = config.YOUTUBE_CHANNEL_ID;
+    this.filePath = path.resolve(config.DATA_DIR, `shadow-${config.YOUTUBE_CHANNEL_ID}.ndjson`);
+    this.responses = 0;
+
+    // Newest entries kept in memory for the dashboard
+    this.recent = [];
+  }
+
+  // A chat message from the API or a supporter event from ChatEventParser
+  describeTrigger(trigger) {
+    if (!trigger) return null;
+
+    if (trigger.authorDetails || trigger.snippet) {
+      return {
+        messageId: trigger.id || null,
+        author: trigger.authorDetails?.displayName || 'Unknown',
+        authorChannelId: trigger.authorDetails?.channelId || null,
+        text: redact(trigger.snippet?.displayMessage || '')
+      };
+    }
+
+    return {
+      messageId: trigger.messageId || null,
+      author: trigger.author,
+      authorChannelId: trigger.channelId || null,
+      text: trigger.message || '',
+      event: trigger.name
+    };
+  }
+
+  record(response, { type, priority, trigger = null }) {
+    const record = {
+      timestamp: new Date().toISOString(),
+      channelId: this.channelId,
+      response,
+      type,
+      priority,
+      trigger: this.describeTrigger(trigger)
+    };
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, `${JSON.stringify(record)}\n`);
+    } catch (error) {
+      logger.error(`Error writing shadow log ${this.filePath}:`, error.message);
+    }
+
+    this.responses++;
+    this.recent.push(record);
+    if (this.recent.length > constants.LIMITS.SHADOW_RECENT) {
+      this.recent.shift();
+    }
+
+    logger.info(`👻 Would send (${type}): "${response}"${record.trigger ? ` for ${record.trigger.author}: "${record.trigger.text}"` : ''}`);
+    return record;
+  }
+
+  getLatest(count = 10) {
+    return this.recent.slice(-count).reverse();
+  }
+
+  getStats() {
+    return {
+      file: this.filePath,
+      responses: this.responses
+    };
+  }
+}
+
+module.exports = ShadowLog;
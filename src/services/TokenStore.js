@@ -0,0 +1,70 @@
+/**
+ * OAuth token persistence
+ * Refreshed tokens are written to DATA_DIR so they survive restarts; the
+ * OAUTH_TOKENS env var is only the seed used until the first save.
+ */
+
+const path = require('path');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
+
+class TokenStore {
+  constructor(config) {
+    this.config = config;
+    this.store = new JsonStore(TokenStore.getPath(config));
+  }
+
+  static getPath(config) {
+    return path.join(config.DATA_DIR, `oauth-tokens-${config.YOUTUBE_CHANNEL_ID}.json`);
+  }
+
+  // Returns { tokens, source } or null when no tokens are configured anywhere
+  load() {
+    const saved = this.store.read();
+    if (saved && saved.tokens) {
+      return { tokens: saved.tokens, source: 'store' };
+    }
+
+    const envTokens = this.loadFromEnv();
+    return envTokens ? { tokens: envTokens, source: 'env' } : null;
+  }
+
+  loadFromEnv() {
+    if (!this.config.OAUTH_TOKENS) return null;
+
+    try {
+      return JSON.parse(this.config.OAUTH_TOKENS);
+    } catch (error) {
+      logger.error('❌ OAUTH_TOKENS is not valid JSON:', error.message);
+      return null;
+    }
+  }
+
+  // Refresh responses usually omit refresh_token, so merge over what we have
+  save(tokens) {
+    const current = this.load();
+    const merged = { ...(current ? current.tokens : {}), ...tokens };
+
+    this.store.write({
+      tokens: merged,
+      updatedAt: new Date().toISOString()
+    });
+
+    return merged;
+  }
+
+  // Replace the stored tokens entirely, e.g. after a fresh authorization
+  replace(tokens) {
+    return this.store.write({
+      tokens,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  // Forget stored tokens, e.g. after they were revoked
+  clear() {
+    this.store.delete();
+  }
+}
+
+module.exports = TokenStore;
@@ -3,16 +3,32 @@
  */
 
 const http = require('http');
+const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
 const axios = require('axios');
 const logger = require('../utils/logger');
+const constants = require('../config/constants');
+const WebSubSubscriber = require('./WebSubSubscriber');
+
+// Chat names and messages end up in the dashboard, never trust them as HTML
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
 
 class WebServer {
-  constructor(config, bot) {
+  constructor(config, manager) {
     this.config = config;
-    this.bot = bot;
+    this.manager = manager;
     this.server = null;
+    
+    // One WebSub subscription per channel, keyed by channel ID
+    this.webSubs = new Map();
+    manager.bots.forEach(bot => {
+      if (bot.config.WEBSUB_ENABLED) {
+        this.webSubs.set(bot.config.YOUTUBE_CHANNEL_ID, new WebSubSubscriber(bot.config, bot));
+      }
+    });
   }
 
   async start() {
@@ -22,8 +38,10 @@ class WebServer {
       });
 
       this.server.listen(this.config.PORT, () => {
-        logger.info(`🌐 Web server started on port ${this.config.PORT}`);
+        logger.info(`🌐 Web server started on port ${this.server.address().port}`);
         this.setupKeepAlive();
+        
+        this.webSubs.forEach(webSub => webSub.subscribe());
         resolve();
       });
 
@@ -34,11 +52,11 @@ class WebServer {
     });
   }
 
-  handleRequest(req, res) {
+  async handleRequest(req, res) {
     try {
       // Set CORS headers
       res.setHeader('Access-Control-Allow-Origin', '*');
-      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
       res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
       
       if (req.method === 'OPTIONS') {
@@ -47,20 +65,45 @@ class WebServer {
         return;
       }
 
+      const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+      
+      if (pathname === '/websub' && this.webSubs.size > 0) {
+        await this.handleWebSub(req, res, searchParams);
+        return;
+      }
+
       // Route handling
-      switch (req.url) {
+      switch (pathname) {
         case '/':
-          this.handleStatusPage(req, res);
+          this.handleStatusPage(req, res, searchParams);
           break;
         case '/health':
           this.handleHealthCheck(req, res);
           break;
+        case '/commands':
+          this.handleCommandsPage(req, res);
+          break;
         case '/api/status':
-          this.handleApiStatus(req, res);
+          this.handleApiStatus(req, res, searchParams);
           break;
         case '/api/quota':
           this.handleQuotaInfo(req, res);
           break;
+        case '/api/audit':
+          this.handleAudit(req, res, searchParams);
+          break;
+        case '/api/strikes':
+          this.handleStrikes(req, res, searchParams);
+          break;
+        case '/api/polls':
+          this.handlePolls(req, res, searchParams);
+          break;
+        case '/api/raffles':
+          this.handleRaffles(req, res, searchParams);
+          break;
+        case '/api/announcements':
+          await this.handleAnnouncements(req, res, searchParams);
+          break;
         case '/dashboard.css':
           this.serveStaticFile(req, res, 'dashboard.css', 'text/css');
           break;
@@ -76,8 +119,75 @@ class WebServer {
     }
   }
 
-  handleStatusPage(req, res) {
-    const html = this.generateStatusHTML();
+  async handleWebSub(req, res, searchParams) {
+    const webSub = this.getWebSub(searchParams.get('channel_id'));
+    
+    if (!webSub) {
+      this.handle404(req, res);
+    } else if (req.method === 'GET') {
+      webSub.handleVerification(Object.fromEntries(searchParams.entries()), res);
+    } else if (req.method === 'POST') {
+      const body = await this.readBody(req);
+      await webSub.handleNotification(body, req.headers, res);
+    } else {
+      this.handle404(req, res);
+    }
+  }
+
+  getWebSub(channelId) {
+    if (channelId) {
+      return this.webSubs.get(channelId) || null;
+    }
+    
+    // Callbacks registered before channel_id was added to the URL
+    return this.webSubs.size === 1 ? this.webSubs.values().next().value : null;
+  }
+
+  getWebSubStatus(channelId) {
+    const webSub = this.webSubs.get(channelId);
+    return webSub ? webSub.getStatus() : { enabled: false };
+  }
+
+  readBody(req, limit = 1024 * 1024) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+        if (body.length > limit) {
+          reject(new Error('Request body too large'));
+          req.destroy();
+        }
+      });
+      req.on('end', () => resolve(body));
+      req.on('error', reject);
+    });
+  }
+
+  handleStatusPage(req, res, searchParams) {
+    const html = this.generateStatusHTML(this.isAdmin(searchParams));
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(html);
+  }
+
+  // ?token= must match ADMIN_TOKEN; without ADMIN_TOKEN nobody is admin
+  isAdmin(searchParams) {
+    const token = searchParams.get('token');
+    if (!this.config.ADMIN_TOKEN || !token) return false;
+    
+    const expected = Buffer.from(this.config.ADMIN_TOKEN);
+    const given = Buffer.from(token);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  // A live owner and moderator code for the channel, made when the admin opens the dashboard
+  getClaimCodes(channelId) {
+    const bot = this.manager.getBot(channelId);
+    return [constants.PERMISSION_LEVELS.OWNER, constants.PERMISSION_LEVELS.MODERATOR].map(level => bot.claimCodes.ensure(level));
+  }
+
+  // Public list of chat commands, generated from the command registry, plus each channel's custom commands
+  handleCommandsPage(req, res) {
+    const html = this.generateCommandsHTML(this.manager.bots[0].commandRegistry, this.manager.bots);
     res.writeHead(200, { 'Content-Type': 'text/html' });
     res.end(html);
   }
@@ -94,18 +204,175 @@ class WebServer {
     res.end(JSON.stringify(health));
   }
 
-  handleApiStatus(req, res) {
-    const status = this.bot.getStatusReport();
+  // The audit log names moderators and what they ran, so only the admin gets it
+  handleApiStatus(req, res, searchParams) {
+    const status = this.manager.getStatusReport();
+    if (!this.isAdmin(searchParams)) {
+      status.channels.forEach(channel => delete channel.audit);
+    }
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify(status, null, 2));
   }
 
   handleQuotaInfo(req, res) {
-    const quota = this.bot.quotaManager.getQuotaStatus();
+    const quota = this.manager.quotaManager.getQuotaStatus();
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify(quota, null, 2));
   }
 
+  // Audit entries from every channel (or ?channel_id=), newest first, ?page=1&limit=50&type=command|moderation
+  handleAudit(req, res, searchParams) {
+    if (!this.isAdmin(searchParams)) {
+      this.sendJson(res, 403, { error: 'Admin token required' });
+      return;
+    }
+    
+    const channelId = searchParams.get('channel_id');
+    const bots = channelId ? [this.manager.getBot(channelId)].filter(Boolean) : this.manager.bots;
+    
+    if (bots.length === 0) {
+      this.handle404(req, res);
+      return;
+    }
+    
+    const type = searchParams.get('type');
+    const limit = Math.min(parseInt(searchParams.get('limit')) || constants.LIMITS.AUDIT_PAGE_SIZE, constants.LIMITS.AUDIT_MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(searchParams.get('page')) || 1, 1);
+    
+    const entries = bots
+      .flatMap(bot => bot.auditLog.query({ type }))
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    
+    const audit = {
+      entries: entries.slice((page - 1) * limit, page * limit),
+      page,
+      limit,
+      total: entries.length,
+      pages: Math.ceil(entries.length / limit)
+    };
+    
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(audit, null, 2));
+  }
+
+  describeAuditEntry(entry) {
+    if (entry.type === 'moderation') {
+      return `${entry.command} ${entry.args.target} (${entry.args.signal}${entry.result === 'ok' ? '' : `, ${entry.result}`})`;
+    }
+    return `${entry.command}${entry.args ? ` ${entry.args}` : ''}`;
+  }
+
+  // Strike ledger for every channel, or just ?channel_id=
+  handleStrikes(req, res, searchParams) {
+    const channelId = searchParams.get('channel_id');
+    const bots = channelId ? [this.manager.getBot(channelId)].filter(Boolean) : this.manager.bots;
+    
+    if (bots.length === 0) {
+      this.handle404(req, res);
+      return;
+    }
+    
+    const strikes = {
+      channels: bots.map(bot => ({
+        id: bot.channelId,
+        name: bot.channelName,
+        ...bot.strikeLedger.getStats(),
+        ledger: bot.strikeLedger.list()
+      })),
+      timestamp: new Date().toISOString()
+    };
+    
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(strikes, null, 2));
+  }
+
+  // Open poll and last result per channel (or ?channel_id=), for overlays
+  handlePolls(req, res, searchParams) {
+    const channelId = searchParams.get('channel_id');
+    const bots = channelId ? [this.manager.getBot(channelId)].filter(Boolean) : this.manager.bots;
+    
+    if (bots.length === 0) {
+      this.handle404(req, res);
+      return;
+    }
+    
+    this.sendJson(res, 200, {
+      channels: bots.map(bot => ({ id: bot.channelId, name: bot.channelName, current: bot.polls.tally(), latest: bot.polls.getLatest() })),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // The running raffle with its entrants and draws, and past raffles, so draws can be audited
+  handleRaffles(req, res, searchParams) {
+    const channelId = searchParams.get('channel_id');
+    const bots = channelId ? [this.manager.getBot(channelId)].filter(Boolean) : this.manager.bots;
+    
+    if (bots.length === 0) {
+      this.handle404(req, res);
+      return;
+    }
+    
+    this.sendJson(res, 200, {
+      channels: bots.map(bot => ({ id: bot.channelId, name: bot.channelName, current: bot.raffles.current, history: bot.raffles.history })),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // GET lists timers for every channel (or ?channel_id=). With ?token=ADMIN_TOKEN,
+  // POST { name, messages, interval, minLines, enabled } creates or updates a timer and DELETE ?name= removes one
+  async handleAnnouncements(req, res, searchParams) {
+    const channelId = searchParams.get('channel_id');
+    
+    if (req.method === 'GET') {
+      const bots = channelId ? [this.manager.getBot(channelId)].filter(Boolean) : this.manager.bots;
+      if (bots.length === 0) {
+        this.handle404(req, res);
+        return;
+      }
+      
+      this.sendJson(res, 200, {
+        channels: bots.map(bot => ({ id: bot.channelId, name: bot.channelName, timers: bot.announcements.describe() })),
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+    
+    if (!this.isAdmin(searchParams)) {
+      this.sendJson(res, 403, { error: 'Admin token required' });
+      return;
+    }
+    // channel_id can be left out when there is only one channel
+    const bot = channelId ? this.manager.getBot(channelId) : this.manager.bots.length === 1 ? this.manager.bots[0] : null;
+    if (!bot) {
+      this.handle404(req, res);
+      return;
+    }
+    
+    try {
+      if (req.method === 'POST') {
+        const { name, ...changes } = JSON.parse(await this.readBody(req) || '{}');
+        const exists = !!bot.announcements.get(name);
+        const timer = exists
+          ? bot.announcements.update(name, changes)
+          : bot.announcements.create(name, changes.messages, changes, 'api');
+        this.sendJson(res, exists ? 200 : 201, timer);
+      } else if (req.method === 'DELETE') {
+        const removed = bot.announcements.remove(searchParams.get('name'));
+        if (removed) this.sendJson(res, 200, removed);
+        else this.handle404(req, res);
+      } else {
+        this.handle404(req, res);
+      }
+    } catch (error) {
+      this.sendJson(res, 400, { error: error.message });
+    }
+  }
+
+  sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data, null, 2));
+  }
+
   serveStaticFile(req, res, filename, contentType) {
     const filePath = path.join(__dirname, '../../public', filename);
     
@@ -128,8 +395,9 @@ class WebServer {
     res.end(JSON.stringify({ error: 'Internal server error' }));
   }
 
-  generateStatusHTML() {
-    const status = this.bot.getStatusReport();
+  generateStatusHTML(admin = false) {
+    const status = this.manager.getStatusReport();
+    const activeChannels = status.channels.filter(channel => channel.status.isRunning).length;
     
     return `
 <!DOCTYPE html>
@@ -137,7 +405,7 @@ class WebServer {
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${status.bot.name} - Status Dashboard</title>
+    <title>${escapeHtml(status.bot.name)} - Status Dashboard</title>
     <style>
         * {
             margin: 0;
@@ -169,6 +437,20 @@ class WebServer {
             margin-bottom: 10px;
         }
         
+        .channel-title {
+            color: white;
+            margin: 30px 0 15px;
+        }
+        
+        .alert {
+            background: #fed7d7;
+            color: #742a2a;
+            border-radius: 15px;
+            padding: 15px 25px;
+            margin-bottom: 20px;
+            font-weight: 600;
+        }
+        
         .status-card {
             background: white;
             border-radius: 15px;
@@ -283,20 +565,20 @@ class WebServer {
 <body>
     <div class="container">
         <div class="header">
-            <h1>🤖 ${status.bot.name}</h1>
+            <h1>🤖 ${escapeHtml(status.bot.name)}</h1>
             <p>Smart YouTube Chat Bot Dashboard</p>
         </div>
         
         <div class="grid">
             <div class="status-card">
                 <div class="card-header">
-                    <div class="status-indicator ${status.status.isRunning ? 'status-online' : 'status-offline'}"></div>
+                    <div class="status-indicator ${activeChannels > 0 ? 'status-online' : 'status-offline'}"></div>
                     <h2>Bot Status</h2>
                 </div>
                 <div class="metric">
-                    <span class="metric-label">Status</span>
-                    <span class="metric-value badge ${status.status.isRunning ? 'badge-success' : 'badge-danger'}">
-                        ${status.status.isRunning ? 'Active' : 'Inactive'}
+                    <span class="metric-label">Channels Live</span>
+                    <span class="metric-value badge ${activeChannels > 0 ? 'badge-success' : 'badge-danger'}">
+                        ${activeChannels} / ${status.channels.length}
                     </span>
                 </div>
                 <div class="metric">
@@ -313,6 +595,126 @@ class WebServer {
                 </div>
             </div>
             
+            <div class="status-card">
+                <div class="card-header">
+                    <div class="status-indicator ${status.quota.percentUsed > 80 ? 'status-warning' : 'status-online'}"></div>
+                    <h2>API Quota</h2>
+                </div>
+                <div class="metric">
+                    <span class="metric-label">Usage</span>
+                    <span class="metric-value">${status.quota.used} / ${status.quota.limit}</span>
+                </div>
+                <div class="progress-bar">
+                    <div class="progress-fill" style="width: ${status.quota.percentUsed}%"></div>
+                </div>
+                <div class="metric">
+                    <span class="metric-label">Percentage</span>
+                    <span class="metric-value badge ${status.quota.percentUsed > 80 ? 'badge-warning' : 'badge-success'}">
+                        ${status.quota.percentUsed}%
+                    </span>
+                </div>
+                <div class="metric">
+                    <span class="metric-label">Resets At</span>
+                    <span class="metric-value">${new Date(status.quota.resetTime).toLocaleTimeString()}</span>
+                </div>
+                ${status.channels.map(channel => `
+                <div class="metric">
+                    <span class="metric-label">${escapeHtml(channel.channel.name)}</span>
+                    <span class="metric-value">${status.quota.byChannel[channel.channel.id] || 0} units</span>
+                </div>`).join('')}
+            </div>
+        </div>
+        
+        ${status.channels.map(channel => this.generateChannelHTML(channel, admin ? this.getClaimCodes(channel.channel.id) : null, admin)).join('')}
+    </div>
+    
+    <button class="refresh-btn" onclick="location.reload()">🔄 Refresh</button>
+    
+    <script>
+        // Auto-refresh every 30 seconds
+        setTimeout(() => location.reload(), 30000);
+        
+        // Add some interactivity
+        document.querySelectorAll('.status-card').forEach(card => {
+            card.addEventListener('click', () => {
+                card.style.transform = 'scale(0.98)';
+                setTimeout(() => {
+                    card.style.transform = 'translateY(-5px)';
+                }, 100);
+            });
+        });
+    </script>
+</body>
+</html>`;
+  }
+
+  generateCommandsHTML(registry, bots = []) {
+    const formatCooldown = command => [
+      command.cooldown.user ? `${command.cooldown.user / 1000}s each` : '',
+      command.cooldown.global ? `${command.cooldown.global / 1000}s for everyone` : ''
+    ].filter(Boolean).join(', ') || '-';
+    const roles = Object.values(constants.PERMISSION_LEVELS);
+    const commands = registry.list().sort((a, b) => roles.indexOf(a.role) - roles.indexOf(b.role));
+    
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(this.config.BOT_NAME)} - Chat Commands</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 30px; background: #f7fafc; color: #333; }
+        h1 { color: #4a5568; }
+        table { width: 100%; border-collapse: collapse; background: white; border-radius: 10px; overflow: hidden; }
+        th, td { padding: 10px 15px; text-align: left; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+        th { background: #667eea; color: white; }
+        code { background: #edf2f7; padding: 2px 6px; border-radius: 4px; }
+    </style>
+</head>
+<body>
+    <h1>🤖 ${escapeHtml(this.config.BOT_NAME)} chat commands</h1>
+    <p>Type these in live chat. "Who" is the default; each channel can change it. Cooldowns apply to viewers, not to moderators or the owner.</p>
+    <table>
+        <tr><th>Command</th><th>Who</th><th>Cooldown</th><th>Description</th></tr>
+        ${commands.map(command => `
+        <tr>
+            <td><code>${escapeHtml(registry.usage(command))}</code>${command.aliases.length ? `<br>also ${command.aliases.map(alias => `<code>!${escapeHtml(alias)}</code>`).join(' ')}` : ''}</td>
+            <td>${command.role === constants.PERMISSION_LEVELS.USER ? 'everyone' : `${escapeHtml(command.role)}s`}</td>
+            <td>${formatCooldown(command)}</td>
+            <td>${escapeHtml(command.description)}</td>
+        </tr>`).join('')}
+    </table>
+    ${bots.map(bot => ({ bot, commands: bot.customCommands.list().filter(command => command.enabled) }))
+    .filter(({ commands }) => commands.length > 0)
+    .map(({ bot, commands }) => `
+    <h2>📝 ${escapeHtml(bot.channelName)}</h2>
+    <table>
+        <tr><th>Command</th><th>Who</th><th>Cooldown</th><th>Reply</th></tr>
+        ${commands.map(command => `
+        <tr>
+            <td><code>!${escapeHtml(command.name)}</code></td>
+            <td>${command.role === constants.PERMISSION_LEVELS.USER ? 'everyone' : `${escapeHtml(command.role)}s`}</td>
+            <td>${formatCooldown(command)}</td>
+            <td>${escapeHtml(command.response)}</td>
+        </tr>`).join('')}
+    </table>`).join('')}
+</body>
+</html>`;
+  }
+
+  generateChannelHTML(status, claimCodes = null, admin = false) {
+    return `
+        <h2 class="channel-title">📺 ${escapeHtml(status.channel.name)}</h2>
+        ${status.status.auth.status === 'invalid' ? `
+        <div class="alert">
+            🚨 OAuth tokens were rejected (${escapeHtml(status.status.auth.reason)}). The bot is in read-only mode until new tokens are saved with <code>npm run get-tokens</code>.
+        </div>` : ''}
+        ${status.status.flood.defensive ? `
+        <div class="alert">
+            🌊 Chat flood in progress since ${new Date(status.status.flood.since).toLocaleTimeString()}: ${escapeHtml(status.status.flood.reason)}. Replies are paused and spam filters tightened until chat calms down.
+        </div>` : ''}
+        <div class="grid">
             <div class="status-card">
                 <div class="card-header">
                     <div class="status-indicator ${status.status.chatConnected ? 'status-online' : 'status-offline'}"></div>
@@ -329,38 +731,28 @@ class WebServer {
                     </span>
                 </div>
                 <div class="metric">
-                    <span class="metric-label">Streaming Time</span>
-                    <span class="metric-value badge ${status.status.isStreamingTime ? 'badge-success' : 'badge-warning'}">
-                        ${status.status.isStreamingTime ? 'Active Hours' : 'Off Hours'}
-                    </span>
+                    <span class="metric-label">Chat Ingestion</span>
+                    <span class="metric-value">${status.status.ingestionMode}${status.status.chatStream ? ` (${status.status.chatStream.connections} connections)` : ''}</span>
                 </div>
                 <div class="metric">
-                    <span class="metric-label">Current Game</span>
-                    <span class="metric-value">${status.context.currentGame}</span>
-                </div>
-            </div>
-            
-            <div class="status-card">
-                <div class="card-header">
-                    <div class="status-indicator ${status.quota.percentUsed > 80 ? 'status-warning' : 'status-online'}"></div>
-                    <h2>API Quota</h2>
+                    <span class="metric-label">Message Sending</span>
+                    <span class="metric-value badge ${status.status.auth.readOnly ? 'badge-danger' : 'badge-success'}">
+                        ${status.status.auth.readOnly ? 'Read-only' : 'Enabled'}
+                    </span>
                 </div>
                 <div class="metric">
-                    <span class="metric-label">Usage</span>
-                    <span class="metric-value">${status.quota.used} / ${status.quota.limit}</span>
-                </div>
-                <div class="progress-bar">
-                    <div class="progress-fill" style="width: ${status.quota.percentUsed}%"></div>
+                    <span class="metric-label">Outbound Queue</span>
+                    <span class="metric-value">${status.status.outboundQueue.depth} queued, ${status.status.outboundQueue.sent} sent, ${status.status.outboundQueue.failed} failed</span>
                 </div>
                 <div class="metric">
-                    <span class="metric-label">Percentage</span>
-                    <span class="metric-value badge ${status.quota.percentUsed > 80 ? 'badge-warning' : 'badge-success'}">
-                        ${status.quota.percentUsed}%
+                    <span class="metric-label">Streaming Time</span>
+                    <span class="metric-value badge ${status.status.isStreamingTime ? 'badge-success' : 'badge-warning'}">
+                        ${status.status.isStreamingTime ? 'Active Hours' : 'Off Hours'}
                     </span>
                 </div>
                 <div class="metric">
-                    <span class="metric-label">Resets At</span>
-                    <span class="metric-value">${new Date(status.quota.resetTime).toLocaleTimeString()}</span>
+                    <span class="metric-label">Current Game</span>
+                    <span class="metric-value">${escapeHtml(status.context.currentGame)}</span>
                 </div>
             </div>
             
@@ -371,11 +763,11 @@ class WebServer {
                 </div>
                 <div class="metric">
                     <span class="metric-label">Chat Mood</span>
-                    <span class="metric-value">${status.context.chatMood}</span>
+                    <span class="metric-value">${escapeHtml(status.context.chatMood)}</span>
                 </div>
                 <div class="metric">
                     <span class="metric-label">Game State</span>
-                    <span class="metric-value">${status.context.gameState}</span>
+                    <span class="metric-value">${escapeHtml(status.context.gameState)}</span>
                 </div>
                 <div class="metric">
                     <span class="metric-label">Messages Tracked</span>
@@ -406,6 +798,141 @@ class WebServer {
                 </div>
             </div>
             
+            <div class="status-card">
+                <div class="card-header">
+                    <div class="status-indicator ${status.status.moderation.enabled ? 'status-online' : 'status-offline'}"></div>
+                    <h2>Moderation</h2>
+                </div>
+                <div class="metric">
+                    <span class="metric-label">Mode</span>
+                    <span class="metric-value badge ${!status.status.moderation.enabled ? 'badge-danger' : status.status.moderation.dryRun ? 'badge-warning' : 'badge-success'}">
+                        ${!status.status.moderation.enabled ? 'Off' : status.status.moderation.dryRun ? 'Dry run' : 'Active'}
+                    </span>
+                </div>
+                <div class="metric">
+                    <span class="metric-label">Deleted / Timed Out / Banned</span>
+                    <span class="metric-value">${status.status.moderation.actions.delete} / ${status.status.moderation.actions.timeout} / ${status.status.moderation.actions.ban}</span>
+                </div>
+                <div class="metric">
+                    <span class="metric-label">Dry-run Matches</span>
+                    <span class="metric-value">${status.status.moderation.actions.dryRun}</span>
+                </div>
+                <div class="metric">
+                    <span class="metric-label">Active Bans</span>
+                    <span class="metric-value">${status.status.moderation.activeBans}</span>
+                </div>
+                <div class="metric">
+                    <span class="metric-label">Blocked Terms</span>
+                    <span class="metric-value">${status.status.blockedTerms.terms} (${status.status.moderation.actions.warn} warnings)</span>
+                </div>
+                <div class="metric">
+                    <span class="metric-label">Links Flagged</span>
+                    <span class="metric-value">${status.status.moderation.bySignal.link || 0} (${status.status.linkProtection.activePermits} permits active)</span>
+                </div>
+                <div class="metric">
+                    <span class="metric-label">Viewers With Strikes</span>
+                    <span class="metric-value">${status.status.strikes.enabled ? `${status.status.strikes.viewers} (${status.status.strikes.strikes} strikes)` : 'Off'}</span>
+                </div>
+                <div class="metric">
+                    <span class="metric-label">Flood Defense</span>
+                    <span class="metric-value badge ${!status.status.flood.enabled ? 'badge-danger' : status.status.flood.defensive ? 'badge-warning' : 'badge-success'}">
+                        ${!status.status.flood.enabled ? 'Off' : status.status.flood.defensive ? 'Defensive' : 'Calm'} (${status.status.flood.floods} floods)
+                    </span>
+                </div>
+            </div>
+            
+            <div class="status-card">
+                <div class="card-header">
+                    <div class="status-indicator ${admin ? 'status-online' : 'status-warning'}"></div>
+                    <h2>Audit Log</h2>
+                </div>
+                ${!admin ? `
+                <div class="metric">
+                    <span class="metric-label">${this.config.ADMIN_TOKEN ? 'Open this page with ?token=ADMIN_TOKEN to see the audit log' : 'Set ADMIN_TOKEN to show the audit log here'}</span>
+                </div>` : status.audit.length === 0 ? `
+                <div class="metric">
+                    <span class="metric-label">No commands or moderation yet</span>
+                </div>` : status.audit.map(entry => `
+                <div class="metric">
+                    <span class="metric-label">${new Date(entry.timestamp).toLocaleTimeString()} ${escapeHtml(entry.actor.displayName)}</span>
+                    <span class="metric-value">${escapeHtml(this.describeAuditEntry(entry))}</span>
+                </div>`).join('')}
+            </div>
+            
+            ${status.status.shadow.enabled || status.shadowFeed.length > 0 ? `
+            <div class="status-card">
+                <div class="card-header">
+                    <div class="status-indicator ${status.status.shadow.enabled ? 'status-warning' : 'status-online'}"></div>
+                    <h2>Shadow Mode Review</h2>
+                </div>
+                <div class="metric">
+                    <span class="metric-label">${status.status.shadow.enabled ? 'On, nothing is posted to chat' : 'Off'}</span>
+                    <span class="metric-value">${status.status.shadow.responses} responses</span>
+                </div>
+                ${status.shadowFeed.map(entry => `
+                <div class="metric">
+                    <span class="metric-label">${new Date(entry.timestamp).toLocaleTimeString()} ${entry.trigger ? `${escapeHtml(entry.trigger.author)}: ${escapeHtml(entry.trigger.text || entry.trigger.event)}` : `(${escapeHtml(entry.type)})`}</span>
+                    <span class="metric-value">${escapeHtml(entry.response)}</span>
+                </div>`).join('')}
+            </div>
+            ` : ''}
+            <div class="status-card">
+                <div class="card-header">
+                    <div class="status-indicator ${claimCodes ? 'status-online' : 'status-warning'}"></div>
+                    <h2>Claim a Role</h2>
+                </div>
+                ${claimCodes ? claimCodes.map(claim => `
+                <div class="metric">
+                    <span class="metric-label">${claim.level} (until ${new Date(claim.expiresAt).toLocaleTimeString()})</span>
+                    <span class="metric-value"><code>!claim ${claim.code}</code></span>
+                </div>`).join('') : `
+                <div class="metric">
+                    <span class="metric-label">${this.config.ADMIN_TOKEN ? 'Open this page with ?token=ADMIN_TOKEN to see claim codes' : 'Set ADMIN_TOKEN to show claim codes here'}</span>
+                </div>`}
+                <div class="metric">
+                    <span class="metric-label">Claimed Roles</span>
+                    <span class="metric-value">${status.status.identities.grants}</span>
+                </div>
+            </div>
+            
+            <div class="status-card">
+                <div class="card-header">
+                    <div class="status-indicator status-online"></div>
+                    <h2>Supporters This Stream</h2>
+                </div>
+                ${Object.keys(status.supporters).length === 0 ? `
+                <div class="metric">
+                    <span class="metric-label">No supporter events yet</span>
+                </div>` : Object.entries(status.supporters).map(([eventName, stats]) => `
+                <div class="metric">
+                    <span class="metric-label">${eventName}</span>
+                    <span class="metric-value">${stats.count}${Object.keys(stats.totals).length ? ` (${Object.entries(stats.totals).map(([currency, total]) => `${total.toFixed(2)} ${currency}`).join(', ')})` : ''}</span>
+                </div>`).join('')}
+            </div>
+            
+            ${status.webSub.enabled ? `
+            <div class="status-card">
+                <div class="card-header">
+                    <div class="status-indicator ${status.webSub.state === 'active' ? 'status-online' : 'status-warning'}"></div>
+                    <h2>Push Notifications</h2>
+                </div>
+                <div class="metric">
+                    <span class="metric-label">Subscription</span>
+                    <span class="metric-value badge ${status.webSub.state === 'active' ? 'badge-success' : 'badge-warning'}">
+                        ${status.webSub.state}
+                    </span>
+                </div>
+                <div class="metric">
+                    <span class="metric-label">Lease Expires</span>
+                    <span class="metric-value">${status.webSub.expiresAt ? new Date(status.webSub.expiresAt).toLocaleString() : 'n/a'}</span>
+                </div>
+                <div class="metric">
+                    <span class="metric-label">Notifications</span>
+                    <span class="metric-value">${status.webSub.notifications} (${status.webSub.rejectedNotifications} rejected)</span>
+                </div>
+            </div>
+            ` : ''}
+            
             <div class="status-card">
                 <div class="card-header">
                     <div class="status-indicator status-online"></div>
@@ -424,27 +951,7 @@ class WebServer {
                     <span class="metric-value">${new Date(status.timestamp).toLocaleTimeString()}</span>
                 </div>
             </div>
-        </div>
-    </div>
-    
-    <button class="refresh-btn" onclick="location.reload()">🔄 Refresh</button>
-    
-    <script>
-        // Auto-refresh every 30 seconds
-        setTimeout(() => location.reload(), 30000);
-        
-        // Add some interactivity
-        document.querySelectorAll('.status-card').forEach(card => {
-            card.addEventListener('click', () => {
-                card.style.transform = 'scale(0.98)';
-                setTimeout(() => {
-                    card.style.transform = 'translateY(-5px)';
-                }, 100);
-            });
-        });
-    </script>
-</body>
-</html>`;
+        </div>`;
   }
 
   setupKeepAlive() {
@@ -462,6 +969,8 @@ class WebServer {
   }
 
   async stop() {
+    this.webSubs.forEach(webSub => webSub.stop());
+
     return new Promise((resolve) => {
       if (this.server) {
         this.server.close(() => {
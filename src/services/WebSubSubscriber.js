@@ -0,0 +1,194 @@
+/**
+ * WebSub (PubSubHubbub) subscriber for instant go-live notifications
+ * Subscribes to the channel's video feed and hands new videos to the bot
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { parseVideoEntries } = require('../utils/atomFeed');
+const constants = require('../config/constants');
+
+const RETRY_DELAY = 5 * 60 * 1000; // 5 minutes
+
+class WebSubSubscriber {
+  constructor(config, bot) {
+    this.config = config;
+    this.bot = bot;
+    this.secret = config.WEBSUB_SECRET || crypto.randomBytes(20).toString('hex');
+    this.topic = `https://www.youtube.com/xml/feeds/videos.xml?channel_id=${config.YOUTUBE_CHANNEL_ID}`;
+    this.renewTimeout = null;
+
+    this.subscription = {
+      state: 'inactive',
+      leaseSeconds: null,
+      expiresAt: null,
+      lastVerifiedAt: null,
+      lastNotificationAt: null,
+      notifications: 0,
+      rejectedNotifications: 0
+    };
+  }
+
+  // channel_id lets one web server route notifications for several channels
+  getCallbackUrl() {
+    const url = new URL(this.config.WEBSUB_CALLBACK_URL || `${this.config.getDeploymentUrl()}/websub`);
+    url.searchParams.set('channel_id', this.config.YOUTUBE_CHANNEL_ID);
+    return url.toString();
+  }
+
+  async subscribe(mode = 'subscribe') {
+    clearTimeout(this.renewTimeout);
+
+    const params = new URLSearchParams({
+      'hub.callback': this.getCallbackUrl(),
+      'hub.topic': this.topic,
+      'hub.mode': mode,
+      'hub.verify': 'async',
+      'hub.lease_seconds': String(this.config.WEBSUB_LEASE_SECONDS),
+      'hub.secret': this.secret
+    });
+
+    // Set before asking, since the hub may verify before it answers
+    if (mode === 'subscribe') {
+      this.subscription.state = ['active', 'renewing'].includes(this.subscription.state) ? 'renewing' : 'pending';
+    } else {
+      this.subscription.state = 'unsubscribing';
+    }
+
+    try {
+      await axios.post(this.config.WEBSUB_HUB_URL, params.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 10000
+      });
+
+      logger.info(`📡 WebSub ${mode} request accepted by hub for ${this.getCallbackUrl()}`);
+      return true;
+    } catch (error) {
+      this.subscription.state = 'failed';
+      logger.error(`❌ WebSub ${mode} request failed:`, error.message);
+
+      if (mode === 'subscribe') {
+        this.renewTimeout = setTimeout(() => this.subscribe(), RETRY_DELAY);
+      }
+      return false;
+    }
+  }
+
+  scheduleRenewal(leaseSeconds) {
+    clearTimeout(this.renewTimeout);
+
+    // Renew at 90% of the lease so the subscription never lapses
+    const delay = Math.min(leaseSeconds * 1000 * 0.9, constants.INTERVALS.MAX_TIMEOUT);
+    this.renewTimeout = setTimeout(() => {
+      logger.info('🔄 Renewing WebSub subscription...');
+      this.subscribe();
+    }, delay);
+  }
+
+  // Hub verification of (un)subscribe intent: echo hub.challenge back, but only for
+  // a request the bot is waiting on, so nobody else can unsubscribe it through the hub
+  handleVerification(query, res) {
+    const mode = query['hub.mode'];
+    const challenge = query['hub.challenge'];
+
+    if (query['hub.topic'] !== this.topic || !challenge || !['subscribe', 'unsubscribe'].includes(mode)) {
+      logger.warn(`⚠️ Rejected WebSub verification for topic: ${query['hub.topic']}`);
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Unknown topic');
+      return;
+    }
+
+    const expected = mode === 'subscribe' ? ['pending', 'renewing'] : ['unsubscribing'];
+    if (!expected.includes(this.subscription.state)) {
+      logger.warn(`⚠️ Rejected WebSub ${mode} verification the bot did not ask for (state: ${this.subscription.state})`);
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not requested');
+      return;
+    }
+
+    if (mode === 'subscribe') {
+      const leaseSeconds = parseInt(query['hub.lease_seconds']) || this.config.WEBSUB_LEASE_SECONDS;
+
+      this.subscription.state = 'active';
+      this.subscription.leaseSeconds = leaseSeconds;
+      this.subscription.lastVerifiedAt = new Date().toISOString();
+      this.subscription.expiresAt = new Date(Date.now() + leaseSeconds * 1000).toISOString();
+      this.scheduleRenewal(leaseSeconds);
+
+      logger.info(`✅ WebSub subscription verified (lease: ${leaseSeconds}s)`);
+    } else {
+      clearTimeout(this.renewTimeout);
+      this.subscription.state = 'inactive';
+      logger.info('📴 WebSub unsubscribe verified');
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(challenge);
+  }
+
+  verifySignature(body, signatureHeader) {
+    const [algorithm, signature] = (signatureHeader || '').split('=');
+    if (!algorithm || !signature) return false;
+
+    try {
+      const expected = crypto.createHmac(algorithm, this.secret).update(body).digest('hex');
+      const expectedBuffer = Buffer.from(expected, 'hex');
+      const signatureBuffer = Buffer.from(signature, 'hex');
+
+      return expectedBuffer.length === signatureBuffer.length &&
+        crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+    } catch (error) {
+      logger.warn(`⚠️ Unsupported WebSub signature algorithm: ${algorithm}`);
+      return false;
+    }
+  }
+
+  // Content distribution from the hub
+  async handleNotification(body, headers, res) {
+    // The spec requires a 2xx even for notifications we discard
+    res.writeHead(204);
+    res.end();
+
+    if (!this.verifySignature(body, headers['x-hub-signature'])) {
+      this.subscription.rejectedNotifications++;
+      logger.warn('⚠️ Ignoring WebSub notification with invalid signature');
+      return;
+    }
+
+    const videoIds = parseVideoEntries(body)
+      .filter(entry => entry.channelId === this.config.YOUTUBE_CHANNEL_ID)
+      .map(entry => entry.videoId);
+
+    this.subscription.notifications++;
+    this.subscription.lastNotificationAt = new Date().toISOString();
+
+    if (videoIds.length === 0) {
+      logger.debug('WebSub notification without new videos for this channel');
+      return;
+    }
+
+    logger.info(`📬 WebSub notification for video(s): ${videoIds.join(', ')}`);
+
+    try {
+      await this.bot.handleVideoNotification(videoIds);
+    } catch (error) {
+      logger.error('Error handling WebSub notification:', error);
+    }
+  }
+
+  getStatus() {
+    return {
+      enabled: true,
+      topic: this.topic,
+      callbackUrl: this.getCallbackUrl(),
+      ...this.subscription
+    };
+  }
+
+  stop() {
+    clearTimeout(this.renewTimeout);
+  }
+}
+
+module.exports = WebSubSubscriber;
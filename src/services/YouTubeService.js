@@ -3,6 +3,9 @@
  */
 
 const { google } = require('googleapis');
+const axios = require('axios');
+const { parseVideoEntries } = require('../utils/atomFeed');
+const TokenStore = require('./TokenStore');
 const logger = require('../utils/logger');
 const constants = require('../config/constants');
 
@@ -10,26 +13,56 @@ class YouTubeService {
   constructor(config, quotaManager) {
     this.config = config;
     this.quotaManager = quotaManager;
-    this.youtube = google.youtube('v3');
+    this.youtube = google.youtube(this.getApiOptions());
+    this.tokenStore = new TokenStore(config);
+    this.tokenRefreshTimeout = null;
+    this.invalidCredentials = null;
+    // IDs of the messages the bot posted, oldest first, so their echo in chat can be skipped
+    this.sentMessageIds = new Set();
+    this.auth = {
+      status: 'missing',
+      reason: null,
+      source: null,
+      lastRefreshAt: null
+    };
     this.oauth2Client = this.setupOAuth();
   }
 
+  getApiOptions() {
+    const options = { version: 'v3' };
+    
+    // Point the client at a different API root (e.g. the local fake server in tests)
+    if (this.config.YOUTUBE_API_ROOT) {
+      options.rootUrl = this.config.YOUTUBE_API_ROOT;
+    }
+    
+    return options;
+  }
+
   setupOAuth() {
     try {
-      const oauth2Client = new google.auth.OAuth2(
-        this.config.YOUTUBE_CLIENT_ID,
-        this.config.YOUTUBE_CLIENT_SECRET,
-        'urn:ietf:wg:oauth:2.0:oob'
-      );
+      const oauth2Client = new google.auth.OAuth2({
+        clientId: this.config.YOUTUBE_CLIENT_ID,
+        clientSecret: this.config.YOUTUBE_CLIENT_SECRET,
+        endpoints: this.config.OAUTH_TOKEN_URL ? { oauth2TokenUrl: this.config.OAUTH_TOKEN_URL } : {}
+      });
       
-      if (this.config.OAUTH_TOKENS) {
-        const tokens = JSON.parse(this.config.OAUTH_TOKENS);
-        oauth2Client.setCredentials(tokens);
-        logger.info('✅ OAuth tokens loaded successfully');
+      // Fired whenever the client gets new tokens, including its own automatic refreshes
+      oauth2Client.on('tokens', (tokens) => this.handleNewTokens(tokens));
+      
+      const saved = this.tokenStore.load();
+      if (saved) {
+        oauth2Client.setCredentials(saved.tokens);
+        this.auth.status = 'valid';
+        this.auth.source = saved.source;
+        logger.info(`✅ OAuth tokens loaded from ${saved.source === 'store' ? 'token store' : 'OAUTH_TOKENS'}`);
       } else {
         logger.warn('⚠️ No OAuth tokens found. Message sending disabled.');
       }
       
+      this.oauth2Client = oauth2Client;
+      this.scheduleTokenRefresh();
+      
       return oauth2Client;
     } catch (error) {
       logger.error('❌ Failed to setup OAuth:', error.message);
@@ -38,6 +71,122 @@ class YouTubeService {
   }
 
   async checkForLiveStream() {
+    const strategy = this.config.STREAM_DETECTION_STRATEGY;
+    const { PLAYLIST, FEED } = constants.STREAM_DETECTION_STRATEGIES;
+
+    if (strategy !== PLAYLIST && strategy !== FEED) {
+      return this.searchForLiveStream();
+    }
+
+    try {
+      const videoIds = strategy === FEED
+        ? await this.getFeedVideoIds()
+        : await this.getUploadsVideoIds();
+
+      return await this.findLiveVideo(videoIds);
+    } catch (error) {
+      logger.warn(`⚠️ ${strategy} stream detection failed (${error.message}), falling back to search.list`);
+      return this.searchForLiveStream();
+    }
+  }
+
+  // Operation whose quota gates a stream check for the configured strategy
+  getStreamCheckOperation() {
+    const strategy = this.config.STREAM_DETECTION_STRATEGY;
+    if (strategy === constants.STREAM_DETECTION_STRATEGIES.PLAYLIST) return 'PLAYLIST_ITEMS';
+    if (strategy === constants.STREAM_DETECTION_STRATEGIES.FEED) return 'VIDEO_LIST';
+    return 'SEARCH';
+  }
+
+  getUploadsPlaylistId() {
+    const channelId = this.config.YOUTUBE_CHANNEL_ID || '';
+    if (!channelId.startsWith('UC')) {
+      throw new Error(`Cannot derive uploads playlist from channel ID "${channelId}"`);
+    }
+    return `UU${channelId.substring(2)}`;
+  }
+
+  async getUploadsVideoIds() {
+    if (!this.quotaManager.canMakeApiCall('PLAYLIST_ITEMS')) {
+      throw new Error('Quota limit reached for uploads playlist');
+    }
+
+    try {
+      const response = await this.youtube.playlistItems.list({
+        part: ['contentDetails'],
+        playlistId: this.getUploadsPlaylistId(),
+        maxResults: 5,
+        key: this.config.YOUTUBE_API_KEY,
+        auth: null
+      });
+
+      this.quotaManager.trackApiCall('PLAYLIST_ITEMS', true, this.config.YOUTUBE_CHANNEL_ID);
+
+      return (response.data.items || [])
+        .map(item => item.contentDetails?.videoId)
+        .filter(Boolean);
+    } catch (error) {
+      this.quotaManager.trackApiCall('PLAYLIST_ITEMS', false, this.config.YOUTUBE_CHANNEL_ID);
+      logger.error('Error reading uploads playlist:', error.message);
+      throw error;
+    }
+  }
+
+  async getFeedVideoIds() {
+    // The public channel feed costs no quota
+    const response = await axios.get(this.config.YOUTUBE_FEED_URL, {
+      params: { channel_id: this.config.YOUTUBE_CHANNEL_ID },
+      responseType: 'text',
+      timeout: 10000
+    });
+
+    return parseVideoEntries(response.data)
+      .slice(0, 5)
+      .map(entry => entry.videoId);
+  }
+
+  // Confirm live status of candidate videos with a single 1-unit videos.list call
+  async findLiveVideo(videoIds) {
+    if (!videoIds || videoIds.length === 0) return null;
+
+    if (!this.quotaManager.canMakeApiCall('VIDEO_LIST')) {
+      throw new Error('Quota limit reached for video details');
+    }
+
+    try {
+      const response = await this.youtube.videos.list({
+        part: ['snippet', 'liveStreamingDetails'],
+        id: videoIds,
+        key: this.config.YOUTUBE_API_KEY,
+        auth: null
+      });
+
+      this.quotaManager.trackApiCall('VIDEO_LIST', true, this.config.YOUTUBE_CHANNEL_ID);
+
+      const live = (response.data.items || []).find(video =>
+        video.snippet?.liveBroadcastContent === 'live' &&
+        video.liveStreamingDetails?.actualStartTime &&
+        !video.liveStreamingDetails?.actualEndTime
+      );
+
+      if (!live) return null;
+
+      return {
+        videoId: live.id,
+        title: live.snippet.title,
+        description: live.snippet.description,
+        thumbnail: live.snippet.thumbnails?.medium?.url,
+        liveChatId: live.liveStreamingDetails.activeLiveChatId || null,
+        startedAt: live.liveStreamingDetails.actualStartTime
+      };
+    } catch (error) {
+      this.quotaManager.trackApiCall('VIDEO_LIST', false, this.config.YOUTUBE_CHANNEL_ID);
+      logger.error('Error confirming live status:', error.message);
+      throw error;
+    }
+  }
+
+  async searchForLiveStream() {
     if (!this.quotaManager.canMakeApiCall('SEARCH')) {
       throw new Error('Quota limit reached for stream search');
     }
@@ -53,7 +202,7 @@ class YouTubeService {
         auth: null // Use API key, not OAuth
       });
 
-      this.quotaManager.trackApiCall('SEARCH', true);
+      this.quotaManager.trackApiCall('SEARCH', true, this.config.YOUTUBE_CHANNEL_ID);
 
       if (response.data.items && response.data.items.length > 0) {
         const stream = response.data.items[0];
@@ -67,7 +216,7 @@ class YouTubeService {
 
       return null;
     } catch (error) {
-      this.quotaManager.trackApiCall('SEARCH', false);
+      this.quotaManager.trackApiCall('SEARCH', false, this.config.YOUTUBE_CHANNEL_ID);
       logger.error('Error checking for live stream:', error.message);
       throw error;
     }
@@ -86,7 +235,7 @@ class YouTubeService {
         auth: null
       });
 
-      this.quotaManager.trackApiCall('VIDEO_LIST', true);
+      this.quotaManager.trackApiCall('VIDEO_LIST', true, this.config.YOUTUBE_CHANNEL_ID);
 
       if (response.data.items && response.data.items.length > 0) {
         const liveChatId = response.data.items[0].liveStreamingDetails?.activeLiveChatId;
@@ -101,7 +250,7 @@ class YouTubeService {
 
       return null;
     } catch (error) {
-      this.quotaManager.trackApiCall('VIDEO_LIST', false);
+      this.quotaManager.trackApiCall('VIDEO_LIST', false, this.config.YOUTUBE_CHANNEL_ID);
       logger.error('Error getting live chat ID:', error.message);
       throw error;
     }
@@ -120,7 +269,7 @@ class YouTubeService {
         auth: this.oauth2Client || null
       });
 
-      this.quotaManager.trackApiCall('CHAT_LIST', true);
+      this.quotaManager.trackApiCall('CHAT_LIST', true, this.config.YOUTUBE_CHANNEL_ID);
 
       return {
         messages: response.data.items || [],
@@ -128,12 +277,75 @@ class YouTubeService {
         pollingIntervalMillis: response.data.pollingIntervalMillis
       };
     } catch (error) {
-      this.quotaManager.trackApiCall('CHAT_LIST', false);
+      this.quotaManager.trackApiCall('CHAT_LIST', false, this.config.YOUTUBE_CHANNEL_ID);
       logger.error('Error getting chat messages:', error.message);
       throw error;
     }
   }
 
+  // Opens a server-streaming liveChatMessages streamList request and returns the raw response stream
+  async openChatStream(liveChatId, pageToken = null) {
+    if (!this.quotaManager.canMakeApiCall('CHAT_STREAM')) {
+      throw new Error('Quota limit reached for chat stream');
+    }
+
+    const url = new URL('youtube/v3/liveChat/messages:stream', this.config.YOUTUBE_API_ROOT || 'https://youtube.googleapis.com/');
+    url.searchParams.append('liveChatId', liveChatId);
+    url.searchParams.append('part', 'snippet');
+    url.searchParams.append('part', 'authorDetails');
+    if (pageToken) {
+      url.searchParams.append('pageToken', pageToken);
+    }
+
+    let headers = {};
+    if (this.canSendMessages()) {
+      headers = await this.oauth2Client.getRequestHeaders();
+    } else {
+      url.searchParams.append('key', this.config.YOUTUBE_API_KEY);
+    }
+
+    try {
+      const response = await axios.get(url.toString(), {
+        headers,
+        responseType: 'stream',
+        timeout: 0,
+        validateStatus: () => true
+      });
+
+      if (response.status >= 400) {
+        throw await this.buildStreamError(response);
+      }
+
+      this.quotaManager.trackApiCall('CHAT_STREAM', true, this.config.YOUTUBE_CHANNEL_ID);
+      return response.data;
+    } catch (error) {
+      this.quotaManager.trackApiCall('CHAT_STREAM', false, this.config.YOUTUBE_CHANNEL_ID);
+      if (this.isAuthError(error)) this.handleAuthError(error);
+      logger.error('Error opening chat stream:', error.message);
+      throw error;
+    }
+  }
+
+  // Read an error body off a streamed response so it looks like a googleapis error
+  async buildStreamError(response) {
+    let body = '';
+    for await (const chunk of response.data) {
+      body += chunk;
+    }
+
+    let details = {};
+    try {
+      details = JSON.parse(body).error || {};
+    } catch (parseError) {
+      details = { message: body };
+    }
+
+    const error = new Error(details.message || `Chat stream request failed with status ${response.status}`);
+    error.code = response.status;
+    error.errors = details.errors || [];
+    return error;
+  }
+
   async sendMessage(liveChatId, messageText) {
     if (!this.quotaManager.canMakeApiCall('CHAT_INSERT')) {
       throw new Error('Quota limit reached for sending messages');
@@ -144,7 +356,7 @@ class YouTubeService {
     }
 
     try {
-      await this.youtube.liveChatMessages.insert({
+      const response = await this.youtube.liveChatMessages.insert({
         part: ['snippet'],
         auth: this.oauth2Client,
         requestBody: {
@@ -158,42 +370,242 @@ class YouTubeService {
         }
       });
 
-      this.quotaManager.trackApiCall('CHAT_INSERT', true);
+      this.quotaManager.trackApiCall('CHAT_INSERT', true, this.config.YOUTUBE_CHANNEL_ID);
+      this.recordSentMessage(response.data?.id);
       logger.debug(`📤 Message sent: ${messageText}`);
     } catch (error) {
-      this.quotaManager.trackApiCall('CHAT_INSERT', false);
+      this.quotaManager.trackApiCall('CHAT_INSERT', false, this.config.YOUTUBE_CHANNEL_ID);
+      if (this.isAuthError(error)) this.handleAuthError(error);
       logger.error('Error sending message:', error.message);
       throw error;
     }
   }
 
+  recordSentMessage(messageId) {
+    if (!messageId) return;
+    
+    this.sentMessageIds.add(messageId);
+    if (this.sentMessageIds.size > constants.LIMITS.SENT_MESSAGE_IDS) {
+      this.sentMessageIds.delete(this.sentMessageIds.values().next().value);
+    }
+  }
+
+  isOwnMessage(messageId) {
+    return this.sentMessageIds.has(messageId);
+  }
+
+  // Moderation calls keep MODERATION_QUOTA_RESERVE units back so they can't starve polling
+  async moderationCall(operation, request) {
+    if (!this.quotaManager.canMakeApiCall(operation, this.config.MODERATION_QUOTA_RESERVE || 0)) {
+      throw new Error(`Quota reserve reached, skipping ${operation}`);
+    }
+
+    if (!this.canSendMessages()) {
+      throw new Error('OAuth tokens not configured for moderation');
+    }
+
+    try {
+      const response = await request();
+      this.quotaManager.trackApiCall(operation, true, this.config.YOUTUBE_CHANNEL_ID);
+      return response;
+    } catch (error) {
+      this.quotaManager.trackApiCall(operation, false, this.config.YOUTUBE_CHANNEL_ID);
+      if (this.isAuthError(error)) this.handleAuthError(error);
+      logger.error(`Error in ${operation}:`, error.message);
+      throw error;
+    }
+  }
+
+  async deleteMessage(messageId) {
+    await this.moderationCall('CHAT_DELETE', () => this.youtube.liveChatMessages.delete({
+      id: messageId,
+      auth: this.oauth2Client
+    }));
+    logger.debug(`🗑️ Message deleted: ${messageId}`);
+  }
+
+  // durationSeconds makes it a temporary ban (timeout); returns the ban ID
+  async banUser(liveChatId, channelId, durationSeconds = null) {
+    const snippet = {
+      liveChatId: liveChatId,
+      type: durationSeconds ? 'temporary' : 'permanent',
+      bannedUserDetails: { channelId: channelId }
+    };
+    if (durationSeconds) snippet.banDurationSeconds = durationSeconds;
+
+    const response = await this.moderationCall('CHAT_BAN', () => this.youtube.liveChatBans.insert({
+      part: ['snippet'],
+      auth: this.oauth2Client,
+      requestBody: { snippet }
+    }));
+    logger.debug(`🔨 ${snippet.type} ban issued for ${channelId}`);
+    return response.data.id;
+  }
+
+  async unbanUser(banId) {
+    await this.moderationCall('CHAT_UNBAN', () => this.youtube.liveChatBans.delete({
+      id: banId,
+      auth: this.oauth2Client
+    }));
+    logger.debug(`🔓 Ban lifted: ${banId}`);
+  }
+
+  getErrorReason(error) {
+    return error?.errors?.[0]?.reason ||
+      error?.response?.data?.error?.errors?.[0]?.reason ||
+      null;
+  }
+
+  isChatEndedError(error) {
+    const reason = this.getErrorReason(error);
+    if (reason) return constants.CHAT_END_REASONS.includes(reason);
+    
+    const message = error?.message || '';
+    return message.includes('disabled') || message.includes('not found');
+  }
+
+  // Network failures, rate limiting and server errors are worth retrying. Our own
+  // errors (quota, missing tokens, read-only mode) would fail the same way again
+  isTransientError(error) {
+    if (this.isChatEndedError(error)) return false;
+    if (this.getErrorReason(error) === 'rateLimitExceeded') return true;
+    if ([error?.code, error?.cause?.code].some(code => constants.NETWORK_ERROR_CODES.includes(code))) return true;
+    
+    const status = Number(error?.response?.status || error?.status || error?.code);
+    return status === 429 || status >= 500;
+  }
+
+  // Read-only until valid tokens are available
   canSendMessages() {
-    return !!(this.oauth2Client && this.config.OAUTH_TOKENS);
+    return !!this.oauth2Client && this.auth.status === 'valid';
   }
 
   getApiUsageStats() {
     return this.quotaManager.getQuotaStatus();
   }
 
-  // Helper method to refresh OAuth tokens if needed
+  // Refresh shortly before expiry so sends never hit an expired token
   async refreshTokensIfNeeded() {
-    if (!this.oauth2Client) return false;
+    if (!this.oauth2Client || this.auth.status === 'missing') return false;
+    
+    if (this.auth.status === 'invalid') {
+      return this.reloadStoredTokens();
+    }
 
     try {
       const credentials = this.oauth2Client.credentials;
-      if (credentials.expiry_date && Date.now() >= credentials.expiry_date) {
+      if (credentials.expiry_date && Date.now() >= credentials.expiry_date - constants.INTERVALS.TOKEN_REFRESH_MARGIN) {
         logger.info('🔄 Refreshing OAuth tokens...');
-        const { credentials: newCredentials } = await this.oauth2Client.refreshAccessToken();
-        this.oauth2Client.setCredentials(newCredentials);
+        await this.oauth2Client.refreshAccessToken();
         logger.info('✅ OAuth tokens refreshed successfully');
         return true;
       }
+      
+      this.scheduleTokenRefresh();
       return false;
     } catch (error) {
-      logger.error('❌ Failed to refresh OAuth tokens:', error.message);
+      this.handleAuthError(error);
       return false;
     }
   }
+
+  scheduleTokenRefresh(delay = null) {
+    clearTimeout(this.tokenRefreshTimeout);
+    this.tokenRefreshTimeout = null;
+    
+    if (delay === null) {
+      const expiryDate = this.oauth2Client?.credentials?.expiry_date;
+      if (this.auth.status !== 'valid' || !expiryDate) return;
+      
+      delay = Math.max(expiryDate - Date.now() - constants.INTERVALS.TOKEN_REFRESH_MARGIN, 0);
+    }
+    
+    this.tokenRefreshTimeout = setTimeout(
+      () => this.refreshTokensIfNeeded(),
+      Math.min(delay, constants.INTERVALS.MAX_TIMEOUT)
+    );
+  }
+
+  handleNewTokens(tokens) {
+    const merged = this.tokenStore.save(tokens);
+    
+    this.auth.status = 'valid';
+    this.auth.reason = null;
+    this.auth.source = 'store';
+    this.auth.lastRefreshAt = new Date().toISOString();
+    logger.info(`🔑 OAuth tokens saved (expire ${merged.expiry_date ? new Date(merged.expiry_date).toISOString() : 'unknown'})`);
+    
+    this.scheduleTokenRefresh();
+  }
+
+  isAuthError(error) {
+    const status = Number(error?.response?.status || error?.status || error?.code);
+    return status === 401 || this.isInvalidGrantError(error);
+  }
+
+  isInvalidGrantError(error) {
+    if (error?.response?.data?.error === 'invalid_grant') return true;
+    return /invalid_grant|No refresh token is set/.test(error?.message || '');
+  }
+
+  handleAuthError(error) {
+    if (!this.isAuthError(error)) {
+      // Network trouble or a Google outage, the tokens themselves may be fine
+      logger.warn(`⚠️ OAuth token refresh failed, retrying: ${error.message}`);
+      this.scheduleTokenRefresh(constants.INTERVALS.TOKEN_RETRY);
+      return;
+    }
+    
+    if (this.auth.status !== 'invalid') {
+      logger.error(`🚨 OAuth tokens rejected (${error.message}) - switching to read-only mode. Run "npm run get-tokens" to authorize again.`);
+    }
+    
+    this.auth.status = 'invalid';
+    this.auth.reason = error.message;
+    this.invalidCredentials = { ...this.oauth2Client.credentials };
+    
+    // Keep checking the token store so fixed tokens are picked up without a restart
+    this.scheduleTokenRefresh(constants.INTERVALS.TOKEN_RECHECK);
+  }
+
+  reloadStoredTokens() {
+    const saved = this.tokenStore.load();
+    const rejected = this.invalidCredentials || {};
+    
+    const isNew = saved && (
+      saved.tokens.refresh_token !== rejected.refresh_token ||
+      saved.tokens.access_token !== rejected.access_token
+    );
+    
+    if (!isNew) {
+      this.scheduleTokenRefresh(constants.INTERVALS.TOKEN_RECHECK);
+      return false;
+    }
+    
+    this.oauth2Client.setCredentials(saved.tokens);
+    this.invalidCredentials = null;
+    this.auth.status = 'valid';
+    this.auth.reason = null;
+    this.auth.source = saved.source;
+    logger.info('🔑 New OAuth tokens found - leaving read-only mode');
+    
+    this.scheduleTokenRefresh();
+    return true;
+  }
+
+  getAuthStatus() {
+    const expiryDate = this.oauth2Client?.credentials?.expiry_date;
+    
+    return {
+      ...this.auth,
+      readOnly: !this.canSendMessages(),
+      expiresAt: expiryDate ? new Date(expiryDate).toISOString() : null
+    };
+  }
+
+  destroy() {
+    clearTimeout(this.tokenRefreshTimeout);
+  }
 }
 
 module.exports = YouTubeService;
\ No newline at end of file
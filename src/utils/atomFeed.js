@@ -0,0 +1,36 @@
+/**
+ * Minimal parser for YouTube's Atom video feeds
+ * Used for the public channel feed and WebSub notifications, which share the same format
+ */
+
+function readTag(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeEntities(match[1].trim()) : null;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function parseVideoEntries(xml) {
+  if (!xml || typeof xml !== 'string') return [];
+
+  const entries = xml.match(/<entry[\s>][\s\S]*?<\/entry>/g) || [];
+
+  return entries
+    .map(entry => ({
+      videoId: readTag(entry, 'yt:videoId'),
+      channelId: readTag(entry, 'yt:channelId'),
+      title: readTag(entry, 'title'),
+      published: readTag(entry, 'published'),
+      updated: readTag(entry, 'updated')
+    }))
+    .filter(entry => entry.videoId);
+}
+
+module.exports = { parseVideoEntries };
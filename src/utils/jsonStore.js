@@ -0,0 +1,49 @@
+/**
+ * Small JSON file store for state that has to survive restarts
+ * Writes go to a temp file first and are renamed into place, so a crash
+ * mid-write never leaves a half-written file behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+class JsonStore {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+  }
+
+  read(fallback = null) {
+    try {
+      if (!fs.existsSync(this.filePath)) return fallback;
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      logger.warn(`⚠️ Could not read ${this.filePath}: ${error.message}`);
+      return fallback;
+    }
+  }
+
+  write(data) {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tempPath, this.filePath);
+      return true;
+    } catch (error) {
+      logger.error(`Error writing ${this.filePath}:`, error.message);
+      return false;
+    }
+  }
+
+  delete() {
+    try {
+      fs.rmSync(this.filePath, { force: true });
+    } catch (error) {
+      logger.warn(`⚠️ Could not delete ${this.filePath}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = JsonStore;
@@ -10,9 +10,10 @@ class QuotaManager {
     this.dailyQuotaUsed = 0;
     this.quotaResetTime = this.getNextQuotaReset();
     this.quotaHistory = [];
+    this.channelUsage = {};
     
     // Check for quota reset every hour
-    setInterval(() => this.checkQuotaReset(), 3600000);
+    this.resetInterval = setInterval(() => this.checkQuotaReset(), 3600000);
   }
 
   getNextQuotaReset() {
@@ -32,32 +33,41 @@ class QuotaManager {
       this.dailyQuotaUsed = 0;
       this.quotaResetTime = this.getNextQuotaReset();
       this.quotaHistory = [];
+      this.channelUsage = {};
     }
   }
 
-  canMakeApiCall(operationType) {
+  // reserve keeps that many units back for more important calls (e.g. polling)
+  canMakeApiCall(operationType, reserve = 0) {
     this.checkQuotaReset();
     
     const cost = constants.YOUTUBE_API.COSTS[operationType.toUpperCase()] || 1;
     const projectedUsage = this.dailyQuotaUsed + cost;
+    const limit = constants.YOUTUBE_API.SAFE_QUOTA_LIMIT - reserve;
     
-    if (projectedUsage > constants.YOUTUBE_API.SAFE_QUOTA_LIMIT) {
-      logger.warn(`⚠️ API call blocked - Would exceed safe quota limit. Current: ${this.dailyQuotaUsed}, Cost: ${cost}, Limit: ${constants.YOUTUBE_API.SAFE_QUOTA_LIMIT}`);
+    if (projectedUsage > limit) {
+      logger.warn(`⚠️ API call blocked - Would exceed safe quota limit. Current: ${this.dailyQuotaUsed}, Cost: ${cost}, Limit: ${limit}`);
       return false;
     }
     
     return true;
   }
 
-  trackApiCall(operationType, success = true) {
+  // channelId attributes the cost when several channels share this ledger
+  trackApiCall(operationType, success = true, channelId = null) {
     const cost = constants.YOUTUBE_API.COSTS[operationType.toUpperCase()] || 1;
     
     if (success) {
       this.dailyQuotaUsed += cost;
       
+      if (channelId) {
+        this.channelUsage[channelId] = (this.channelUsage[channelId] || 0) + cost;
+      }
+      
       this.quotaHistory.push({
         timestamp: Date.now(),
         operation: operationType,
+        channelId: channelId,
         cost: cost,
         success: true
       });
@@ -72,6 +82,7 @@ class QuotaManager {
       this.quotaHistory.push({
         timestamp: Date.now(),
         operation: operationType,
+        channelId: channelId,
         cost: 0,
         success: false
       });
@@ -98,7 +109,8 @@ class QuotaManager {
       resetTime: this.quotaResetTime.toISOString(),
       timeToResetMs: timeToReset,
       safeLimit: constants.YOUTUBE_API.SAFE_QUOTA_LIMIT,
-      isNearLimit: this.dailyQuotaUsed > constants.YOUTUBE_API.SAFE_QUOTA_LIMIT * 0.8
+      isNearLimit: this.dailyQuotaUsed > constants.YOUTUBE_API.SAFE_QUOTA_LIMIT * 0.8,
+      byChannel: { ...this.channelUsage }
     };
   }
 
@@ -111,6 +123,10 @@ class QuotaManager {
     const remaining = constants.YOUTUBE_API.SAFE_QUOTA_LIMIT - this.dailyQuotaUsed;
     return Math.floor(remaining / cost);
   }
+
+  destroy() {
+    clearInterval(this.resetInterval);
+  }
 }
 
 module.exports = QuotaManager;
\ No newline at end of file
@@ -15,7 +15,7 @@ class RateLimiter {
     this.hourlyResponses = [];
     
     // Cleanup old entries periodically
-    setInterval(() => this.cleanup(), 5 * 60 * 1000); // Every 5 minutes
+    this.cleanupInterval = setInterval(() => this.cleanup(), 5 * 60 * 1000); // Every 5 minutes
   }
 
   canRespond(userId = 'global') {
@@ -94,6 +94,10 @@ class RateLimiter {
     
     logger.info('Rate limiter reset');
   }
+
+  destroy() {
+    clearInterval(this.cleanupInterval);
+  }
 }
 
 module.exports = RateLimiter;
\ No newline at end of file
@@ -0,0 +1,491 @@
+/**
+ * Chat commands against the fake API: role-based permissions,
+ * custom roles managed from chat, help listing exactly what a chatter can run,
+ * roles claimed with a one-time code instead of a display name, custom
+ * text commands added from chat, timed announcements, polls and raffles
+ */
+
+const path = require('path');
+const FakeYouTubeServer = require('../support/fakeYouTubeServer');
+const SmartYouTubeChatBot = require('../../src/bot/SmartYouTubeChatBot');
+const CommandPermissions = require('../../src/bot/CommandPermissions');
+const logger = require('../../src/utils/logger');
+const { createTestConfig } = require('../support/testConfig');
+
+jest.setTimeout(20000);
+
+describe('Chat commands (fake API)', () => {
+  let server;
+  let bot;
+
+  beforeEach(async () => {
+    server = new FakeYouTubeServer({
+      transcript: path.join(__dirname, '../fixtures/transcripts/moderation-stream.json')
+    });
+    await server.start();
+  });
+
+  afterEach(async () => {
+    await bot.teardown();
+    await server.stop();
+  });
+
+  function createBot(overrides = {}) {
+    bot = new SmartYouTubeChatBot(createTestConfig({
+      YOUTUBE_CHANNEL_ID: server.transcript.stream.channelId,
+      YOUTUBE_API_ROOT: server.url,
+      ...overrides
+    }));
+    jest.spyOn(bot, 'shouldRespond').mockReturnValue(false);
+    return bot;
+  }
+
+  // Plays the pages and resolves once every message has been handled
+  async function play(pages) {
+    server.loadTranscript({ ...server.transcript, pages });
+    server.goLive();
+
+    const total = pages.flat().length;
+    let seen = 0;
+    const done = new Promise(resolve => {
+      bot.on('messageReceived', () => ++seen === total && setTimeout(resolve, 50));
+    });
+
+    await bot.start();
+    await done;
+    await bot.outboundQueue.drain();
+    return server.sentMessages.map(message => message.text);
+  }
+
+  test('roles decide who can run what, and owners manage custom roles from chat', async () => {
+    createBot();
+
+    const sent = await play([
+      [
+        { author: 'Carol', text: 'can I post my art?' },
+        { author: 'Bob', text: '!permit Carol' },
+        { author: 'Streamer', roles: ['owner'], text: '!role create trusted' },
+        { author: 'Streamer', roles: ['owner'], text: '!role allow trusted permit' },
+        { author: 'Streamer', roles: ['owner'], text: '!role assign @bob trusted' }
+      ],
+      [
+        { author: 'Bob', text: '!permit Carol' },
+        { author: 'Carol', text: '!status' },
+        { author: 'Dana', roles: ['moderator'], text: '!help' }
+      ],
+      // Viewer commands share the reply rate limits, so this one comes a poll later
+      [{ author: 'Eve', roles: ['sponsor'], text: '!help' }]
+    ]);
+
+    expect(sent).toEqual([
+      '👥 Created role trusted (inherits user)',
+      '✅ trusted can now run !permit',
+      '👥 Bob is now trusted',
+      '🔗 @Carol can post a link for the next 60s',
+      '🔧 moderator: !help !commands !cmds !vote !nowplaying !claim !status !ping !context !unban !permit !strikes !pardon !filter !poll !raffle !draw !addcmd !editcmd !delcmd',
+      '🔧 member: !help !commands !cmds !vote !nowplaying !claim'
+    ]);
+
+    // Saved to the permissions file, so it survives a restart
+    const reloaded = new CommandPermissions(bot.config);
+    expect(reloaded.roles.trusted).toEqual({ inherits: 'user', commands: ['permit'] });
+    expect(reloaded.assignments).toEqual({ UC_Bob: { displayName: 'Bob', roles: ['trusted'] } });
+  });
+
+  test('the owner can run everything, and !help lists it all', async () => {
+    createBot();
+    const owner = { authorDetails: { displayName: 'Streamer', channelId: server.transcript.stream.channelId } };
+
+    // Too long for one chat message, so it comes in parts
+    const parts = await bot.handleCommand('!help', owner);
+    expect(parts.length).toBeGreaterThan(1);
+    parts.forEach(part => expect(part.length).toBeLessThanOrEqual(200));
+    const help = parts.join(' ');
+    expect(help).toMatch(/^🔧 owner: !help !commands/);
+    expect(help).toContain('!role');
+    expect(help).toContain('!shutdown');
+
+    await expect(bot.handleCommand('!role deny moderator filter', owner)).resolves.toBe('🚫 moderator can no longer run !filter');
+    await expect(bot.handleCommand('!role deny owner filter', owner)).resolves.toBe('⚠️ Removed !filter from owner, but it still inherits it');
+    await expect(bot.handleCommand('!role delete moderator', owner)).resolves.toBe('❌ moderator is a built-in role');
+    await expect(bot.handleCommand('!role allow user nonsense', owner)).resolves.toBe('❓ Unknown command !nonsense');
+
+    const moderator = { authorDetails: { displayName: 'Dana', isChatModerator: true } };
+    await expect(bot.handleCommand('!filter list', moderator)).resolves.toBeNull();
+  });
+
+  test('!shutdown stops only this channel, and a failed stop is logged instead of left unhandled', async () => {
+    createBot();
+    const owner = { authorDetails: { displayName: 'Streamer', channelId: server.transcript.stream.channelId } };
+    const logged = jest.spyOn(logger, 'error').mockImplementation(() => {});
+    jest.spyOn(bot, 'gracefulShutdown').mockRejectedValue(new Error('drain failed'));
+
+    await expect(bot.handleCommand('!shutdown', owner)).resolves.toBe('🛑 Stopping the bot on this channel, other channels keep running. Goodbye!');
+    await new Promise(resolve => setImmediate(resolve));
+    expect(logged).toHaveBeenCalledWith('Error during shutdown:', expect.objectContaining({ message: 'drain failed' }));
+
+    bot.state.consecutiveErrors = bot.state.maxConsecutiveErrors - 1;
+    bot.handleError(new Error('chat poll failed'));
+    await new Promise(resolve => setImmediate(resolve));
+    expect(logged).toHaveBeenCalledWith('Error stopping bot:', expect.objectContaining({ message: 'drain failed' }));
+
+    logged.mockRestore();
+    bot.gracefulShutdown.mockRestore();
+  });
+
+  test('hand edits to the permissions file are picked up with !role reload', async () => {
+    createBot();
+    const owner = { authorDetails: { displayName: 'Streamer', isChatOwner: true } };
+    const viewer = { authorDetails: { displayName: 'Bob', channelId: 'UC_Bob' } };
+
+    await expect(bot.handleCommand('!ping', viewer)).resolves.toBeNull();
+
+    const edited = bot.commandPermissions.store.read();
+    edited.roles.user.commands.push('ping');
+    bot.commandPermissions.store.write(edited);
+
+    await expect(bot.handleCommand('!role reload', owner)).resolves.toMatch(/^👥 Reloaded \d+ roles$/);
+    await expect(bot.handleCommand('!ping', viewer)).resolves.toMatch(/^🏓 Pong! \(user\)/);
+  });
+
+  test('a claim code binds a role to the channel ID, and lookalike names get flagged', async () => {
+    createBot({ OWNER_USERNAME: 'Streamer' });
+    const { code } = bot.claimCodes.create('moderator');
+    const debug = jest.spyOn(logger, 'debug');
+    const shutdown = jest.spyOn(bot, 'gracefulShutdown').mockResolvedValue();
+    const lookalikes = [];
+    bot.on('lookalikeDetected', event => lookalikes.push(event));
+
+    const sent = await play([
+      [
+        { author: 'Mallory', text: '!claim 12345678' },
+        { author: 'Streamer', roles: ['owner'], text: 'welcome in everyone' }
+      ],
+      [{ author: 'Dana', text: `!claim ${code}` }],
+      [{ author: 'Dana', text: '!strikes Bob' }],
+      // Naming yourself after the streamer used to be enough to run !shutdown
+      [
+        { author: 'xyz_Streamer_fan', text: 'hi chat' },
+        { author: 'xyz_Streamer_fan', text: '!shutdown' }
+      ]
+    ]);
+
+    expect(sent).toEqual([
+      '❌ Invalid or expired claim code',
+      '🔑 Dana is now moderator',
+      '✅ Bob has no active strikes',
+      '⚠️ Heads up: xyz_Streamer_fan is not Streamer, don\'t trust links or requests from them'
+    ]);
+    expect(lookalikes).toEqual([{ author: 'xyz_Streamer_fan', authorChannelId: 'UC_xyz_Streamer_fan', resembles: 'Streamer' }]);
+    expect(shutdown).not.toHaveBeenCalled();
+    expect(bot.ownerDetection.identities.get('UC_Dana').grant).toMatchObject({ level: 'moderator', via: 'claim' });
+    expect(bot.claimCodes.redeem(code)).toBeNull();
+
+    // The code is a secret, so neither the debug log nor the public audit log get it
+    expect(bot.auditLog.query({ type: 'command' }).find(entry => entry.result === '🔑 Dana is now moderator')).toMatchObject({ command: '!claim', args: '[redacted]' });
+    expect(JSON.stringify(bot.auditLog.query())).not.toContain(code);
+    expect(debug.mock.calls.flat().join('\n')).not.toContain(code);
+    expect(debug).toHaveBeenCalledWith('💬 Dana: !claim [redacted]');
+    debug.mockRestore();
+  });
+
+  test('a raid of lookalikes gets one warning a minute, and none during a flood', async () => {
+    createBot({ OWNER_USERNAME: 'Streamer' });
+    const lookalikes = [];
+    bot.on('lookalikeDetected', event => lookalikes.push(event));
+
+    const sent = await play([[
+      { author: 'Streamer', roles: ['owner'], text: 'welcome in everyone' },
+      { author: 'Streamer_1', text: 'hi' },
+      { author: 'Streamer_2', text: 'hi' },
+      { author: 'Streamer_3', text: 'hi' }
+    ]]);
+
+    // The first one is warned about straight away, the rest wait for the summary
+    expect(sent).toEqual(['⚠️ Heads up: Streamer_1 is not Streamer, don\'t trust links or requests from them']);
+    expect(lookalikes.map(event => event.author)).toEqual(['Streamer_1', 'Streamer_2', 'Streamer_3']);
+    expect(bot.lookalikeWarning.timeout).not.toBeNull();
+
+    await expect(bot.postLookalikeWarning()).resolves.toBe('⚠️ Heads up: Streamer_2, Streamer_3 are not Streamer, don\'t trust links or requests from them');
+    await expect(bot.postLookalikeWarning()).resolves.toBeNull();
+
+    jest.spyOn(bot.floodDetector, 'isDefensive').mockReturnValue(true);
+    await bot.handleMessageReceived(server.buildMessage({ author: 'Streamer_4', text: 'hi' }));
+    await expect(bot.postLookalikeWarning()).resolves.toBeNull();
+    expect(lookalikes).toHaveLength(4);
+    expect(bot.lookalikeWarning.pending).toEqual([]);
+
+    await bot.outboundQueue.drain();
+    expect(server.sentMessages).toHaveLength(2);
+  });
+
+  test('every command attempt is audited, including refused ones and ones without a reply', async () => {
+    createBot();
+    const bob = text => server.buildMessage({ author: 'Bob', channelId: 'UC_Bob', text });
+    bot.customCommands.add('secret', 'hidden', { enabled: false });
+
+    for (const text of ['!shutdown', '!help', '!help', '!nosuchcommand', '!secret', '!vote 1']) {
+      await bot.handleMessageReceived(bob(text));
+    }
+
+    expect(bot.auditLog.query({ type: 'command' }).reverse().map(({ command, result }) => [command, result])).toEqual([
+      ['!shutdown', 'denied'],
+      ['!help', '🔧 user: !help !commands !cmds !vote !nowplaying !claim'],
+      ['!help', 'on cooldown'],
+      ['!nosuchcommand', 'unknown command'],
+      ['!secret', 'disabled'],
+      ['!vote', 'no reply']
+    ]);
+    expect(bot.auditLog.query()[0].actor).toEqual({ channelId: 'UC_Bob', displayName: 'Bob', permissionLevel: 'user' });
+  });
+
+  test('arguments keep their case, viewers get cooldowns and unknown commands can get a hint', async () => {
+    createBot({ UNKNOWN_COMMAND: 'suggest' });
+    const owner = { authorDetails: { displayName: 'Streamer', isChatOwner: true } };
+    const viewer = name => ({ authorDetails: { displayName: name, channelId: `UC_${name}` } });
+
+    await expect(bot.handleCommand('!say Hello "Big" World', owner)).resolves.toBe('Hello "Big" World');
+    await expect(bot.handleCommand('!say', owner)).resolves.toBe('❓ Missing message. Usage: !say <message...>');
+    await expect(bot.handleCommand('!shadow maybe', owner)).resolves.toBe('❓ setting must be on, off. Usage: !shadow [on|off]');
+
+    // !nowplaying has a global cooldown, staff skip it
+    await expect(bot.handleCommand('!np', viewer('Bob'))).resolves.toBe('🎮 Now playing: nothing detected yet');
+    await expect(bot.handleCommand('!nowplaying', viewer('Carol'))).resolves.toBeNull();
+    await expect(bot.handleCommand('!NP', owner)).resolves.toBe('🎮 Now playing: nothing detected yet');
+
+    // Suggestions only name commands the viewer may run
+    await expect(bot.handleCommand('!hlep', viewer('Bob'))).resolves.toBe('❓ Unknown command !hlep, did you mean !help?');
+    await expect(bot.handleCommand('!shutdwn', viewer('Bob'))).resolves.toBe('❓ Unknown command !shutdwn, try !help');
+
+    bot.config.UNKNOWN_COMMAND = 'ignore';
+    await expect(bot.handleCommand('!hlep', viewer('Bob'))).resolves.toBeNull();
+
+    // Aliases are saved under the command's name
+    await expect(bot.handleCommand('!role allow member np', owner)).resolves.toBe('✅ member can now run !nowplaying');
+  });
+
+  test('moderators add custom text commands that fill in variables and follow their settings', async () => {
+    createBot();
+    bot.context.currentGame = 'tetris';
+    const mod = { authorDetails: { displayName: 'Dana', channelId: 'UC_Dana', isChatModerator: true } };
+    const viewer = (name, details = {}) => ({ authorDetails: { displayName: name, channelId: `UC_${name}`, ...details } });
+
+    await expect(bot.handleCommand('!addcmd discord Join us at discord.gg/Abc, ${user}!', mod))
+      .resolves.toBe('📝 !discord added (user, 10s)');
+    await expect(bot.handleCommand('!addcmd hug usercooldown=60 cooldown=0 ${user} hugs ${touser} (hug #${count}) while playing ${game}', mod))
+      .resolves.toBe('📝 !hug added (user, 60s each)');
+    await expect(bot.handleCommand('!addcmd perks role=member Thanks for being a member!', mod))
+      .resolves.toBe('📝 !perks added (member, 10s)');
+    await expect(bot.handleCommand('!addcmd help nope', mod)).resolves.toBe('❌ !help is a built-in command');
+    await expect(bot.handleCommand('!addcmd x role=vip hi', mod)).resolves.toBe('❌ Unknown role vip');
+    await expect(bot.handleCommand('!addcmd discord', viewer('Bob'))).resolves.toBeNull();
+
+    await expect(bot.handleCommand('!discord', viewer('Bob'))).resolves.toBe('Join us at discord.gg/Abc, Bob!');
+    await expect(bot.handleCommand('!discord', viewer('Carol'))).resolves.toBeNull();
+    await expect(bot.handleCommand('!hug @Carol', viewer('Bob'))).resolves.toBe('Bob hugs Carol (hug #1) while playing tetris');
+    await expect(bot.handleCommand('!hug', viewer('Carol'))).resolves.toBe('Carol hugs Carol (hug #2) while playing tetris');
+    await expect(bot.handleCommand('!hug Eve', viewer('Bob'))).resolves.toBeNull();
+
+    // Roles follow inheritance, !cmds lists only what the viewer may run
+    await expect(bot.handleCommand('!perks', viewer('Bob'))).resolves.toBeNull();
+    await expect(bot.handleCommand('!perks', viewer('Eve', { isChatSponsor: true }))).resolves.toBe('Thanks for being a member!');
+    await expect(bot.handleCommand('!cmds', viewer('Bob'))).resolves.toBe('📋 Commands: !discord !hug');
+    await expect(bot.handleCommand('!cmds', mod)).resolves.toBe('📋 Commands: !discord !hug !perks');
+
+    await expect(bot.handleCommand('!editcmd hug enabled=off', mod)).resolves.toBe('📝 !hug updated (user, 60s each, disabled)');
+    await expect(bot.handleCommand('!hug', viewer('Frank'))).resolves.toBeNull();
+    await expect(bot.handleCommand('!editcmd perks role=user cooldown=0 Perks: ${uptime}', mod)).resolves.toBe('📝 !perks updated (user)');
+    await expect(bot.handleCommand('!perks', viewer('Bob'))).resolves.toBe('Perks: offline');
+    await expect(bot.handleCommand('!delcmd !perks', mod)).resolves.toBe('🗑️ Deleted !perks');
+    await expect(bot.handleCommand('!delcmd perks', mod)).resolves.toBe('❓ No custom command !perks');
+
+    // Cleaning up cooldowns copes with custom commands
+    expect(() => bot.cleanupContext()).not.toThrow();
+    expect(bot.getStatusReport().status.customCommands).toMatchObject({ commands: 2, enabled: 1, uses: 3 });
+  });
+
+  test('custom command replies never come back as commands', async () => {
+    createBot();
+    const shutdown = jest.spyOn(bot, 'gracefulShutdown').mockResolvedValue();
+
+    const sent = await play([
+      [{ author: 'Dana', roles: ['moderator'], text: '!addcmd hug cooldown=0 ${touser} gets a hug' }],
+      [{ author: 'Bob', text: '!hug !shutdown' }]
+    ]);
+    expect(sent).toEqual(['📝 !hug added (user)', 'shutdown gets a hug']);
+    expect(shutdown).not.toHaveBeenCalled();
+
+    // Replies that would still start with ! are not posted
+    const mod = { authorDetails: { displayName: 'Dana', channelId: 'UC_Dana', isChatModerator: true } };
+    await expect(bot.handleCommand('!hug @!!restart', { authorDetails: { displayName: 'Carol', channelId: 'UC_Carol' } })).resolves.toBe('restart gets a hug');
+    await expect(bot.handleCommand('!addcmd echo !shutdown now', mod)).resolves.toBe('❌ Responses can\'t start with !, the bot would read them back as a command');
+    await expect(bot.handleCommand('!addcmd me ${user} was here', mod)).resolves.toBe('📝 !me added (user, 10s)');
+    await expect(bot.handleCommand('!me', { authorDetails: { displayName: '!shutdown', channelId: 'UC_odd' } })).resolves.toBeNull();
+  });
+
+  test('the bot skips its own messages by ID, while the streamer it posts as still runs commands', async () => {
+    createBot();
+    const streamer = text => server.buildMessage({ author: 'Streamer', channelId: server.transcript.stream.channelId, roles: ['owner'], text });
+
+    const sent = await play([[{ author: 'Streamer', channelId: server.transcript.stream.channelId, roles: ['owner'], text: '!say !ping' }]]);
+    expect(sent).toEqual(['!ping']);
+
+    // The echo of the bot's message comes from the streamer's channel too, but is skipped
+    const runCommand = jest.spyOn(bot, 'runCommand');
+    await bot.handleMessageReceived({ ...streamer('!ping'), id: server.sentMessages[0].id });
+    expect(runCommand).not.toHaveBeenCalled();
+
+    await bot.handleMessageReceived(streamer('!ping'));
+    expect(runCommand).toHaveBeenCalledWith('!ping', expect.anything());
+    await bot.outboundQueue.drain();
+    expect(server.sentMessages.map(message => message.text)[1]).toMatch(/^🏓 Pong! \(owner\)/);
+  });
+
+  test('owners schedule timers that post only while live and after enough chat', async () => {
+    createBot();
+    const posted = [];
+    bot.on('announcementPosted', announcement => posted.push(announcement.name));
+
+    const sent = await play([[
+      { author: 'Streamer', roles: ['owner'], text: '!timer add socials interval=1 lines=3 Follow the socials!' },
+      { author: 'Streamer', roles: ['owner'], text: '!timer add socials Use !discord' },
+      { author: 'Bob', text: 'hi' }
+    ]]);
+    expect(sent).toEqual([
+      '⏰ Timer socials (every 1 min, 3 lines, 1 message)',
+      '⏰ Timer socials (every 1 min, 3 lines, 2 messages)'
+    ]);
+
+    // Posts go through the rate limiter, whose 1 ms test cooldown has to pass between them
+    const cooldown = () => new Promise(resolve => setTimeout(resolve, 5));
+
+    // Two lines since the timer started, one short
+    const start = Date.now();
+    await expect(bot.postAnnouncement(start + 60000)).resolves.toBeNull();
+    bot.announcements.recordLine();
+    await cooldown();
+    await expect(bot.postAnnouncement(start + 60000)).resolves.toBe('Follow the socials!');
+    await expect(bot.postAnnouncement(start + 60000)).resolves.toBeNull();
+
+    [1, 2, 3].forEach(() => bot.announcements.recordLine());
+    await cooldown();
+    await expect(bot.postAnnouncement(start + 120000)).resolves.toBe('Use !discord');
+    await bot.outboundQueue.drain();
+    expect(server.sentMessages.map(message => message.text).slice(-2)).toEqual(['Follow the socials!', 'Use !discord']);
+    expect(posted).toEqual(['socials', 'socials']);
+
+    const owner = { authorDetails: { displayName: 'Streamer', isChatOwner: true } };
+    await expect(bot.handleCommand('!timer off socials', owner)).resolves.toBe('⏰ Timer socials (every 1 min, 3 lines, 2 messages, off)');
+    await expect(bot.handleCommand('!timer set socials interval=0.5', owner)).resolves.toBe('❌ interval must be at least 1 min');
+    await expect(bot.handleCommand('!timer remove socials 2', owner)).resolves.toBe('🗑️ Removed message #2 from timer socials');
+    await expect(bot.handleCommand('!timer list', owner)).resolves.toBe('⏰ socials (every 1 min, 3 lines, 1 message, off)');
+    await expect(bot.handleCommand('!timer', owner)).resolves.toBe('❓ Usage: !timer add|set|on|off|remove|list');
+
+    // Nothing is posted once the stream is over
+    await bot.handleCommand('!timer on socials', owner);
+    [1, 2, 3].forEach(() => bot.announcements.recordLine());
+    bot.cleanup();
+    expect(bot.intervals.announcements).toBeNull();
+    await expect(bot.postAnnouncement(start + 600000)).resolves.toBeNull();
+  });
+
+  test('moderators run polls that viewers vote in by number or name', async () => {
+    createBot();
+    const votes = [];
+    bot.on('pollVote', vote => votes.push([vote.author, vote.option, vote.changed]));
+
+    const sent = await play([[
+      { author: 'Dana', roles: ['moderator'], text: '!poll start "Best boss?" | Radahn | Malenia' },
+      { author: 'Bob', text: '1' },
+      { author: 'Carol', text: 'malenia' },
+      { author: 'Eve', text: '!vote 2' },
+      { author: 'Frank', text: '1' },
+      { author: 'Bob', text: '2' },
+      { author: 'Carol', text: 'malenia is harder' }
+    ]]);
+    expect(sent).toEqual(['🗳️ Poll: Best boss? 1) Radahn · 2) Malenia | type a number to vote']);
+    expect(votes).toEqual([
+      ['Bob', 'Radahn', false],
+      ['Carol', 'Malenia', false],
+      ['Eve', 'Malenia', false],
+      ['Frank', 'Radahn', false],
+      ['Bob', 'Malenia', true]
+    ]);
+
+    // Standings are only posted when the votes have moved
+    const standings = '📊 Best boss? 1) Radahn 25% · 2) Malenia 75% | 4 votes, type a number to vote';
+    await expect(bot.postPollStandings()).resolves.toBe(standings);
+    await expect(bot.postPollStandings()).resolves.toBeNull();
+    expect(bot.getStatusReport().poll.current).toMatchObject({ question: 'Best boss?', open: true, total: 4, leaders: ['Malenia'] });
+
+    const mod = { authorDetails: { displayName: 'Dana', channelId: 'UC_Dana', isChatModerator: true } };
+    await expect(bot.handleCommand('!poll start Again? | a | b', mod)).resolves.toBe('❌ A poll is already running: Best boss?');
+    await expect(bot.handleCommand('!poll start Just a question', mod)).resolves.toBe('❓ Usage: !poll start "question" | option | option');
+    await expect(bot.handleCommand('!poll end', { authorDetails: { displayName: 'Bob', channelId: 'UC_Bob' } })).resolves.toBeNull();
+    await expect(bot.handleCommand('!poll end', mod)).resolves.toBe('🏁 Poll closed: Best boss? - Malenia wins with 3 of 4 votes (75%)');
+    await expect(bot.handleCommand('!poll end', mod)).resolves.toBe('❓ No poll running');
+    expect(bot.intervals.pollStandings).toBeNull();
+    expect(bot.recordVote({ authorDetails: { displayName: 'Bob', channelId: 'UC_Bob' } }, '1')).toBe(false);
+
+    await bot.outboundQueue.drain();
+    expect(server.sentMessages.map(message => message.text)).toContain(standings);
+    expect(bot.getStatusReport().poll).toMatchObject({ current: null, latest: { question: 'Best boss?', open: false, total: 4 } });
+  });
+
+  test('moderators run raffles that viewers enter with a keyword, and winners claim by chatting', async () => {
+    createBot();
+    const entries = [];
+    bot.on('raffleEntry', entry => entries.push(entry.author));
+
+    const sent = await play([[
+      { author: 'Dana', roles: ['moderator'], text: '!raffle start keyword=!hat messages=1 weight=2' },
+      { author: 'Bob', text: 'hi' },
+      { author: 'Bob', text: '!hat' },
+      { author: 'Bob', text: '!hat' },
+      { author: 'Carol', text: '!hat' },
+      { author: 'Carol', roles: ['sponsor'], text: 'hello' },
+      { author: 'Carol', roles: ['sponsor'], text: '!HAT' }
+    ]]);
+    expect(sent).toEqual(['🎟️ Raffle open! type !hat to enter, 1+ chat messages this stream, members get 2 tickets, closes in 5m 0s']);
+    expect(entries).toEqual(['Bob', 'Carol']);
+    expect(bot.raffleTimeouts.close).not.toBeNull();
+
+    const mod = { authorDetails: { displayName: 'Dana', channelId: 'UC_Dana', isChatModerator: true } };
+    await expect(bot.handleCommand('!raffle', mod)).resolves.toMatch(/^🎟️ Raffle open, type !hat to enter.* \| 2 entrants, 0 drawn$/);
+    await expect(bot.handleCommand('!draw', { authorDetails: { displayName: 'Bob', channelId: 'UC_Bob' } })).resolves.toBeNull();
+
+    const winner = await bot.handleCommand('!draw', mod);
+    const [, name] = winner.match(/^🎉 The winner is @(\w+)! Say something in chat within 2 min to claim the prize$/);
+    const other = name === 'Bob' ? 'Carol' : 'Bob';
+    expect(bot.raffleTimeouts.close).toBeNull();
+    expect(bot.raffleTimeouts.claim).not.toBeNull();
+    await expect(bot.handleCommand('!draw', mod)).resolves.toMatch(new RegExp(`^⏳ Waiting for @${name} to answer \\(2m 0s left\\)`));
+
+    // Nobody answered in time, so the other entrant is drawn
+    await expect(bot.expireRaffleDraw(Date.now() + 120000)).resolves.toBe(`⌛ @${name} didn't answer in time, mods can !draw again`);
+    await expect(bot.handleCommand('!draw', mod)).resolves.toMatch(`The winner is @${other}!`);
+    await expect(bot.handleCommand('!draw reroll', mod)).resolves.toBe('❓ No one left to draw (2 entrants)');
+
+    await bot.handleMessageReceived(server.buildMessage({ author: other, text: 'me!!' }));
+    await bot.outboundQueue.drain();
+    expect(server.sentMessages.map(message => message.text)).toEqual(expect.arrayContaining([
+      `⌛ @${name} didn't answer in time, mods can !draw again`,
+      `✅ @${other} claimed the prize, congratulations!`
+    ]));
+    expect(bot.raffles.current.draws.map(draw => draw.status)).toEqual(['expired', 'claimed']);
+    expect(bot.getStatusReport().status.raffle).toMatchObject({ status: 'closed', keyword: '!hat', entrants: 2, draws: 2 });
+    await expect(bot.handleCommand('!raffle cancel', mod)).resolves.toBe('🗑️ Raffle cancelled (2 entrants)');
+    await expect(bot.handleCommand('!raffle stop', mod)).resolves.toBe('❓ No raffle open');
+
+    // Closing entries from chat is audited like any other staff command
+    const dana = text => server.buildMessage({ author: 'Dana', channelId: 'UC_Dana', roles: ['moderator'], text });
+    await bot.handleMessageReceived(dana('!raffle start time=0'));
+    await bot.handleMessageReceived(dana('!raffle stop'));
+    expect(bot.auditLog.query({ type: 'command' })[0]).toMatchObject({
+      actor: { channelId: 'UC_Dana', displayName: 'Dana', permissionLevel: 'moderator' },
+      command: '!raffle',
+      args: 'stop',
+      result: '🎟️ Raffle closed with 0 entrants'
+    });
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * Full bot lifecycle against the local fake YouTube API:
+ * stream detection, chat polling, responses, shadow mode and stream end
+ */
+
+const fs = require('fs');
+const path = require('path');
+const FakeYouTubeServer = require('../support/fakeYouTubeServer');
+const SmartYouTubeChatBot = require('../../src/bot/SmartYouTubeChatBot');
+const { createTestConfig, createDataDir, waitFor } = require('../support/testConfig');
+
+jest.setTimeout(20000);
+
+describe('SmartYouTubeChatBot end-to-end (fake API)', () => {
+  let server;
+  let bot;
+
+  beforeEach(async () => {
+    server = new FakeYouTubeServer({ transcript: FakeYouTubeServer.DEFAULT_TRANSCRIPT });
+    server.transcript.endAfterReplay = false;
+    await server.start();
+
+    bot = createBot();
+  });
+
+  function createBot(overrides = {}) {
+    return new SmartYouTubeChatBot(createTestConfig({
+      YOUTUBE_CHANNEL_ID: server.transcript.stream.channelId,
+      YOUTUBE_API_ROOT: server.url,
+      ...overrides
+    }));
+  }
+
+  afterEach(async () => {
+    await bot.teardown();
+    await server.stop();
+  });
+
+  test('stays idle while the channel is offline', async () => {
+    await bot.start();
+
+    expect(bot.state.videoId).toBeNull();
+    expect(bot.state.isRunning).toBe(false);
+  });
+
+  test('connects straight away on a push notification for a live video', async () => {
+    await bot.start();
+    server.goLive();
+
+    const chatConnected = waitFor(bot, 'chatConnected');
+    await expect(bot.handleVideoNotification(['fakeVideo001'])).resolves.toBe(true);
+    await chatConnected;
+
+    expect(bot.state.liveChatId).toBe('fakeLiveChat001');
+  });
+
+  test('connects, reads the transcript, replies and handles stream end', async () => {
+    server.goLive();
+
+    const received = [];
+    bot.on('messageReceived', message => received.push(message.authorDetails.displayName));
+
+    const chatConnected = waitFor(bot, 'chatConnected');
+    const firstReply = waitFor(bot, 'messageSent');
+    const allReceived = new Promise(resolve => {
+      bot.on('messageReceived', () => received.length === 5 && resolve());
+    });
+
+    await bot.start();
+    await chatConnected;
+
+    expect(bot.state.videoId).toBe('fakeVideo001');
+    expect(bot.context.currentGame).toBe('valorant');
+
+    // "hello everyone" is a greeting, which always gets a reply
+    const reply = await firstReply;
+    expect(server.sentMessages.map(m => m.text)).toContain(reply);
+
+    await allReceived;
+    expect(received).toEqual(expect.arrayContaining(['Alice', 'Bob', 'Charlie', 'Dana', 'Eve']));
+
+    const streamEnded = waitFor(bot, 'streamEnded');
+    server.endStream();
+    await streamEnded;
+
+    expect(bot.state.liveChatId).toBeNull();
+    expect(bot.state.isRunning).toBe(false);
+  });
+
+  test('delivers queued replies before the farewell on shutdown', async () => {
+    server.goLive();
+
+    const chatConnected = waitFor(bot, 'chatConnected');
+    await bot.start();
+    await chatConnected;
+
+    await bot.sendResponse('queued reply', 'general');
+    await bot.gracefulShutdown();
+
+    const sent = server.sentMessages.map(message => message.text);
+    expect(sent).toContain('queued reply');
+    expect(sent[sent.length - 1]).toBe('🤖 Bot going offline. Thanks for the great stream! 👋');
+    expect(bot.getStatusReport().status.outboundQueue.depth).toBe(0);
+  });
+
+  test('shadow mode runs the reply pipeline but only writes to the review feed', async () => {
+    await bot.teardown();
+    bot = createBot({ SHADOW_MODE: true });
+    server.goLive();
+
+    const shadowed = waitFor(bot, 'shadowResponse');
+    let received = 0;
+    const allReceived = new Promise(resolve => {
+      bot.on('messageReceived', () => ++received === 5 && setTimeout(resolve, 50));
+    });
+    await bot.start();
+    const record = await shadowed;
+    await allReceived;
+    await bot.outboundQueue.drain();
+    expect(server.sentMessages).toEqual([]);
+
+    // "hello everyone" is a greeting, which always gets a reply
+    expect(record.trigger).toMatchObject({ author: 'Alice', authorChannelId: 'UC_Alice', text: 'hello everyone' });
+    expect(record.response).toEqual(expect.any(String));
+    expect(bot.getStatusReport().shadowFeed).toContainEqual(record);
+    expect(fs.readFileSync(bot.shadowLog.filePath, 'utf8').split('\n')[0]).toBe(JSON.stringify(record));
+
+    const owner = { authorDetails: { displayName: 'Streamer', isChatOwner: true } };
+    await expect(bot.handleCommand('!shadow off', owner)).resolves.toBe('👻 Shadow mode off, replies go to chat');
+    await bot.sendResponse('back in chat', 'general');
+    await bot.outboundQueue.drain();
+
+    expect(server.sentMessages.map(message => message.text)).toEqual(['back in chat']);
+    expect(bot.quotaManager.getQuotaHistory().filter(call => call.operation === 'CHAT_INSERT')).toHaveLength(1);
+  });
+
+  test('thanks every supporter event in the transcript', async () => {
+    server.loadTranscript(path.join(__dirname, '../fixtures/transcripts/supporter-stream.json'));
+    server.goLive();
+
+    const superChat = waitFor(bot, 'superChat');
+    const thanked = new Promise(resolve => {
+      server.on('messageInserted', () => server.sentMessages.length === 3 && resolve());
+    });
+
+    await bot.start();
+
+    expect(await superChat).toMatchObject({ author: 'Frank', amount: 5, currency: 'USD', message: 'keep it up!' });
+    await thanked;
+
+    const sent = server.sentMessages.map(message => message.text).join('\n');
+    expect(sent).toContain('Frank');
+    expect(sent).toContain('Grace');
+    expect(sent).toContain('Heidi');
+    expect(bot.getStatusReport().supporters.superChat).toEqual({ count: 1, totals: { USD: 5 } });
+  });
+
+  describe('chat position', () => {
+    function collectAuthors(target, count) {
+      const authors = [];
+      const done = new Promise(resolve => {
+        target.on('messageReceived', message => {
+          authors.push(message.authorDetails.displayName);
+          if (authors.length === count) resolve();
+        });
+      });
+      return { authors, done };
+    }
+
+    test('ignores backlog published before the bot connected', async () => {
+      server.transcript.pages[0].unshift({ author: 'Mallory', text: 'hello?', publishedAt: '2020-01-01T00:00:00Z' });
+      server.goLive();
+
+      const { authors, done } = collectAuthors(bot, 5);
+      await bot.start();
+      await done;
+
+      expect(authors).not.toContain('Mallory');
+      expect(bot.getStatusReport().status.chatCheckpoint.skippedMessages).toBe(1);
+    });
+
+    test('resumes from the saved page after a restart mid-stream', async () => {
+      const dataDir = createDataDir();
+      await bot.teardown();
+      bot = createBot({ DATA_DIR: dataDir });
+      server.goLive();
+
+      const first = collectAuthors(bot, 2);
+      await bot.start();
+      await first.done;
+      await bot.teardown();
+
+      bot = createBot({ DATA_DIR: dataDir });
+      const second = collectAuthors(bot, 3);
+      await bot.start();
+      await second.done;
+
+      expect(first.authors).toEqual(['Alice', 'Bob']);
+      expect(second.authors).toEqual(['Charlie', 'Dana', 'Eve']);
+    });
+  });
+
+  describe('streaming ingestion', () => {
+    beforeEach(async () => {
+      await bot.teardown();
+      bot = createBot({ CHAT_INGESTION_MODE: 'stream' });
+    });
+
+    test('resumes from the last page after a dropped connection', async () => {
+      server.goLive();
+
+      const received = [];
+      bot.on('messageReceived', message => received.push(message.authorDetails.displayName));
+      server.once('pageServed', () => setImmediate(() => server.dropStreams()));
+
+      const allReceived = new Promise(resolve => {
+        bot.on('messageReceived', () => received.length === 5 && resolve());
+      });
+
+      await bot.start();
+      await allReceived;
+
+      expect(bot.state.ingestionMode).toBe('stream');
+      expect(bot.chatStream.getStats().connections).toBeGreaterThanOrEqual(2);
+      expect(received).toEqual(['Alice', 'Bob', 'Charlie', 'Dana', 'Eve']);
+
+      const streamEnded = waitFor(bot, 'streamEnded');
+      server.endStream();
+      await streamEnded;
+
+      expect(bot.chatStream).toBeNull();
+    });
+
+    test('falls back to polling when streaming is unavailable', async () => {
+      server.transcript.streamingDisabled = true;
+      server.goLive();
+
+      const firstMessage = waitFor(bot, 'messageReceived');
+      await bot.start();
+      await firstMessage;
+
+      expect(bot.state.ingestionMode).toBe('poll');
+      expect(bot.chatStream).toBeNull();
+    });
+  });
+});
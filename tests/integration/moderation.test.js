@@ -0,0 +1,295 @@
+/**
+ * Rule-driven moderation against the fake API:
+ * deletes, timeouts, exemptions, dry run, the quota reserve,
+ * blocked terms managed from chat, link protection, flood defense, strikes
+ * and the audit log
+ */
+
+const path = require('path');
+const FakeYouTubeServer = require('../support/fakeYouTubeServer');
+const SmartYouTubeChatBot = require('../../src/bot/SmartYouTubeChatBot');
+const BlockedTermsFilter = require('../../src/bot/BlockedTermsFilter');
+const constants = require('../../src/config/constants');
+const { createTestConfig, waitFor } = require('../support/testConfig');
+
+jest.setTimeout(20000);
+
+describe('Moderation (fake API)', () => {
+  let server;
+  let bot;
+
+  beforeEach(async () => {
+    server = new FakeYouTubeServer({
+      transcript: path.join(__dirname, '../fixtures/transcripts/moderation-stream.json')
+    });
+    await server.start();
+    server.goLive();
+  });
+
+  afterEach(async () => {
+    await bot.teardown();
+    await server.stop();
+  });
+
+  function createBot(overrides = {}) {
+    bot = new SmartYouTubeChatBot(createTestConfig({
+      YOUTUBE_CHANNEL_ID: server.transcript.stream.channelId,
+      YOUTUBE_API_ROOT: server.url,
+      ENABLE_MODERATION: true,
+      MODERATION_DRY_RUN: false,
+      MODERATION_EXEMPT: 'owner,moderator,member',
+      MODERATION_RULES: { spam: 'delete' },
+      ...overrides
+    }));
+    return bot;
+  }
+
+  // Resolves once every message in the transcript has been handled
+  function readWholeTranscript() {
+    let seen = 0;
+    return new Promise(resolve => {
+      bot.on('messageReceived', () => ++seen === 4 && setImmediate(resolve));
+    });
+  }
+
+  test('deletes spam and leaves exempt members alone', async () => {
+    createBot();
+    const moderated = waitFor(bot, 'messageModerated');
+    const done = readWholeTranscript();
+
+    await bot.start();
+    const result = await moderated;
+    await done;
+
+    expect(result).toMatchObject({ author: 'Mallory', signal: 'spam', action: 'delete', dryRun: false, error: null });
+    expect(server.deletedMessages).toEqual([result.messageId]);
+    expect(server.bans).toHaveLength(0);
+
+    const stats = bot.getStatusReport().status.moderation;
+    expect(stats.actions).toMatchObject({ delete: 1, exempted: 1, failed: 0 });
+    expect(bot.quotaManager.getQuotaStatus().used).toBeGreaterThanOrEqual(constants.YOUTUBE_API.COSTS.CHAT_DELETE);
+  });
+
+  test('times out with a temporary ban that a moderator can lift', async () => {
+    createBot({ MODERATION_RULES: { spam: { action: 'timeout', duration: 120 } } });
+    const moderated = waitFor(bot, 'messageModerated');
+
+    await bot.start();
+    await moderated;
+
+    expect(server.deletedMessages).toHaveLength(1);
+    expect(server.bans).toEqual([expect.objectContaining({
+      channelId: 'UC_mallory',
+      type: 'temporary',
+      banDurationSeconds: 120,
+      liveChatId: 'fakeLiveChat003',
+      active: true
+    })]);
+
+    await expect(bot.handleUnbanCommand('@mallory')).resolves.toMatch(/Ban lifted for Mallory/);
+    expect(server.bans[0].active).toBe(false);
+    await expect(bot.handleUnbanCommand('Mallory')).resolves.toMatch(/No active ban/);
+  });
+
+  test('dry run only logs what it would do', async () => {
+    createBot({ MODERATION_DRY_RUN: true, MODERATION_RULES: { spam: 'ban' } });
+    const moderated = waitFor(bot, 'messageModerated');
+    const done = readWholeTranscript();
+
+    await bot.start();
+    const result = await moderated;
+    await done;
+
+    expect(result).toMatchObject({ author: 'Mallory', action: 'ban', dryRun: true });
+    expect(server.deletedMessages).toHaveLength(0);
+    expect(server.bans).toHaveLength(0);
+    expect(bot.moderationEngine.getStats().actions).toMatchObject({ dryRun: 1, ban: 0 });
+  });
+
+  test('keeps the quota reserve for polling', async () => {
+    createBot({ MODERATION_QUOTA_RESERVE: 2000 });
+    bot.quotaManager.dailyQuotaUsed = constants.YOUTUBE_API.SAFE_QUOTA_LIMIT - 2000;
+    const moderated = waitFor(bot, 'messageModerated');
+    const done = readWholeTranscript();
+
+    await bot.start();
+    const result = await moderated;
+    await done;
+
+    expect(result.error).toMatch(/Quota reserve/);
+    expect(server.deletedMessages).toHaveLength(0);
+    expect(bot.moderationEngine.getStats().actions.failed).toBe(1);
+  });
+
+  test('owners manage blocked terms from chat and warnings are sent to the offender', async () => {
+    server.loadTranscript({
+      ...server.transcript,
+      pages: [
+        [{ author: 'Streamer', roles: ['owner'], text: '!filter add "gg ez" warn exempt=member' }],
+        [
+          { author: 'Bob', text: 'GG E Z' },
+          { author: 'Eve', roles: ['sponsor'], text: 'gg ez' }
+        ]
+      ]
+    });
+    server.goLive();
+
+    createBot({ MODERATION_RULES: {} });
+    const moderated = waitFor(bot, 'messageModerated');
+    const warningSent = new Promise(resolve => {
+      bot.on('messageSent', text => text.startsWith('⚠️') && resolve(text));
+    });
+
+    await bot.start();
+
+    expect(await moderated).toMatchObject({ author: 'Bob', signal: 'blockedTerm', detail: 'gg ez', action: 'warn' });
+    expect(await warningSent).toBe('⚠️ @Bob please keep chat friendly');
+    expect(server.sentMessages.map(m => m.text)).toContain('🚫 Blocked exact term gg ez (warn, exempt: member)');
+    expect(server.deletedMessages).toHaveLength(0);
+
+    // Both the command and the warning are audited
+    expect(bot.auditLog.query()).toEqual([
+      expect.objectContaining({ type: 'moderation', command: 'warn', actor: expect.objectContaining({ permissionLevel: 'system' }), args: expect.objectContaining({ target: 'Bob', signal: 'blockedTerm' }), result: 'ok' }),
+      expect.objectContaining({
+        type: 'command',
+        channelId: server.transcript.stream.channelId,
+        actor: expect.objectContaining({ displayName: 'Streamer', permissionLevel: 'owner' }),
+        command: '!filter',
+        args: 'add "gg ez" warn exempt=member',
+        result: '🚫 Blocked exact term gg ez (warn, exempt: member)'
+      })
+    ]);
+
+    // The list survives a restart
+    const reloaded = new BlockedTermsFilter(bot.config);
+    expect(reloaded.list()).toEqual([expect.objectContaining({ pattern: 'gg ez', addedBy: 'Streamer', exempt: ['member'] })]);
+
+    const message = { authorDetails: { displayName: 'Streamer', isChatOwner: true } };
+    expect(bot.handleFilterCommand('list', message)).toBe('📋 1 blocked: gg ez (warn)');
+    expect(bot.handleFilterCommand('remove "gg ez"', message)).toBe('✅ Removed blocked term gg ez');
+    expect(new BlockedTermsFilter(bot.config).list()).toEqual([]);
+  });
+
+  test('removes links outside the allowlist unless the author was permitted', async () => {
+    server.loadTranscript({
+      ...server.transcript,
+      pages: [
+        [
+          { author: 'Carol', text: 'can I share my commissions link?' },
+          { author: 'Streamer', roles: ['owner'], text: '!permit @Carol' },
+          { author: 'Streamer', roles: ['owner'], text: '!permit @Zed' }
+        ],
+        [
+          { author: 'Carol', text: 'my commissions: carol-art.com' },
+          { author: 'Carol', channelId: 'UC_impostor', text: 'real commissions: carol-art.xyz' },
+          { author: 'Mallory', text: 'free robux at robux-gen dot xyz' },
+          { author: 'Dana', roles: ['moderator'], text: 'rules are at rules.example.com' },
+          { author: 'Eve', roles: ['sponsor'], text: 'clip it! youtu.be/abc123' }
+        ]
+      ]
+    });
+    server.goLive();
+
+    createBot({ MODERATION_RULES: { link: 'delete' }, MODERATION_EXEMPT: '', LINK_EXEMPT: 'owner,moderator' });
+    const moderated = [];
+    bot.on('messageModerated', result => moderated.push(result));
+    let seen = 0;
+    const done = new Promise(resolve => {
+      bot.on('messageReceived', () => ++seen === 8 && setTimeout(resolve, 50));
+    });
+
+    await bot.start();
+    await done;
+
+    expect(server.sentMessages.map(m => m.text)).toEqual(expect.arrayContaining([
+      '🔗 @Carol can post a link for the next 60s',
+      "❓ Zed hasn't chatted yet, permit them once they have"
+    ]));
+    expect(moderated).toEqual([
+      expect.objectContaining({ author: 'Carol', authorChannelId: 'UC_impostor', signal: 'link', detail: 'carol-art.xyz', action: 'delete' }),
+      expect.objectContaining({ author: 'Mallory', signal: 'link', detail: 'robux-gen.xyz', action: 'delete' })
+    ]);
+    expect(server.deletedMessages).toEqual(moderated.map(result => result.messageId));
+    expect(bot.getStatusReport().status.moderation.bySignal).toEqual({ link: 2 });
+  });
+
+  test('a raid puts the bot in defensive mode until chat calms down', async () => {
+    const raid = ['raider1', 'raider2', 'raider3', 'raider4', 'raider5'].map((author, i) => ({
+      author,
+      text: i % 2 ? 'FOLLOW  spamsite for free subs!!' : 'follow spamsite for free subs'
+    }));
+    server.loadTranscript({
+      ...server.transcript,
+      pages: [raid.slice(0, 3), [...raid.slice(3), { author: 'Bob', text: 'what rank are you right now?' }]]
+    });
+    server.goLive();
+
+    createBot({
+      MODERATION_RULES: { flood: 'delete' },
+      MODERATION_EXEMPT: '',
+      FLOOD_DUPLICATE_THRESHOLD: 4,
+      FLOOD_DELETE_DUPLICATES: true,
+      FLOOD_COOLDOWN: 300
+    });
+    const moderated = [];
+    bot.on('messageModerated', result => moderated.push(result));
+    const shouldRespond = jest.spyOn(bot, 'shouldRespond').mockReturnValue(false);
+    const started = waitFor(bot, 'floodStarted');
+    const ended = waitFor(bot, 'floodEnded');
+
+    await bot.start();
+    expect(await started).toMatchObject({ reason: '4 chatters posted the same message' });
+    expect(bot.getStatusReport().status.flood).toMatchObject({ enabled: true, defensive: true, floods: 1 });
+
+    await ended;
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(moderated.map(result => [result.author, result.signal])).toEqual([['raider4', 'flood'], ['raider5', 'flood']]);
+    expect(server.deletedMessages).toHaveLength(2);
+    // Only the first three raiders got as far as reply selection, Bob's question came in during the flood
+    expect(shouldRespond).toHaveBeenCalledTimes(3);
+    expect(server.sentMessages.map(m => m.text)).toEqual([
+      '🚨 Chat flood detected, replies paused and spam filters tightened. Mods, please keep an eye on chat!',
+      '✅ Chat has calmed down, back to normal'
+    ]);
+    expect(bot.floodDetector.isDefensive()).toBe(false);
+  });
+
+  test('escalates repeat offenders through their strikes until pardoned', async () => {
+    const spam = text => ({ author: 'Mallory', channelId: 'UC_mallory', text });
+    server.loadTranscript({
+      ...server.transcript,
+      pages: [
+        [spam('FREE SUBS AT spamsite!!!!!!')],
+        [spam('SUB4SUB SUB4SUB!!!!!!')],
+        [spam('CHECK MY CHANNEL!!!!!!')]
+      ]
+    });
+    server.goLive();
+
+    createBot({
+      MODERATION_EXEMPT: '',
+      STRIKE_ESCALATION: ['warn', 'delete', { action: 'timeout', duration: 90 }, 'ban']
+    });
+    const moderated = [];
+    const done = new Promise(resolve => {
+      bot.on('messageModerated', result => moderated.push(result) === 3 && resolve());
+    });
+
+    await bot.start();
+    await done;
+
+    expect(moderated.map(({ action, strikes, escalated }) => ({ action, strikes, escalated }))).toEqual([
+      { action: 'delete', strikes: 1, escalated: false },
+      { action: 'delete', strikes: 2, escalated: false },
+      { action: 'timeout', strikes: 3, escalated: true }
+    ]);
+    expect(server.bans).toEqual([expect.objectContaining({ channelId: 'UC_mallory', banDurationSeconds: 90 })]);
+
+    const owner = { authorDetails: { displayName: 'Streamer', isChatOwner: true } };
+    await expect(bot.handleCommand('!strikes @Mallory', owner)).resolves.toBe('⚖️ Mallory: 3 strikes (last: spam) | next: ban');
+    await expect(bot.handleCommand('!pardon mallory', owner)).resolves.toBe('🕊️ Pardoned Mallory, 3 strikes cleared');
+    await expect(bot.handleCommand('!strikes Mallory', owner)).resolves.toBe('✅ Mallory has no active strikes');
+    expect(bot.getStatusReport().status.strikes).toMatchObject({ enabled: true, viewers: 0, strikes: 0 });
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Several channels from one process: separate state per channel,
+ * one shared quota ledger and a combined status API
+ */
+
+const path = require('path');
+const axios = require('axios');
+const FakeYouTubeServer = require('../support/fakeYouTubeServer');
+const BotManager = require('../../src/bot/BotManager');
+const { createTestConfig, waitFor } = require('../support/testConfig');
+
+jest.setTimeout(20000);
+
+const MAIN_CHANNEL = 'UC_fake_streamer';
+const SECOND_CHANNEL = 'UC_second_channel';
+
+describe('BotManager (fake API)', () => {
+  let mainServer;
+  let secondServer;
+  let manager;
+
+  beforeEach(async () => {
+    mainServer = new FakeYouTubeServer({ transcript: FakeYouTubeServer.DEFAULT_TRANSCRIPT });
+    mainServer.transcript.endAfterReplay = false;
+    await mainServer.start();
+
+    secondServer = new FakeYouTubeServer({
+      transcript: path.join(__dirname, '../fixtures/transcripts/supporter-stream.json')
+    });
+    secondServer.transcript.stream.channelId = SECOND_CHANNEL;
+    secondServer.transcript.endAfterReplay = false;
+    await secondServer.start();
+
+    manager = new BotManager(createTestConfig({
+      YOUTUBE_CHANNEL_ID: `${MAIN_CHANNEL}, ${SECOND_CHANNEL}`,
+      ADMIN_TOKEN: 'letmein',
+      CHANNEL_OVERRIDES: {
+        [MAIN_CHANNEL]: { CHANNEL_NAME: 'Main', YOUTUBE_API_ROOT: mainServer.url },
+        [SECOND_CHANNEL]: { CHANNEL_NAME: 'Second', YOUTUBE_API_ROOT: secondServer.url, OWNER_USERNAME: 'Frank' }
+      }
+    }));
+  });
+
+  afterEach(async () => {
+    await manager.teardown();
+    await mainServer.stop();
+    await secondServer.stop();
+  });
+
+  test('runs one bot per channel with its own settings', () => {
+    const [main, second] = manager.bots;
+
+    expect(manager.bots).toHaveLength(2);
+    expect(main.channelName).toBe('Main');
+    expect(second.channelName).toBe('Second');
+    expect(main.config.OWNER_USERNAME).toBe('');
+    expect(second.config.OWNER_USERNAME).toBe('Frank');
+    expect(main.quotaManager).toBe(second.quotaManager);
+  });
+
+  test('connects each channel to its own chat and reports both', async () => {
+    mainServer.goLive();
+    secondServer.goLive();
+
+    const [main, second] = manager.bots;
+    const connected = Promise.all([waitFor(main, 'chatConnected'), waitFor(second, 'chatConnected')]);
+
+    await manager.start();
+    await connected;
+
+    expect(main.state.liveChatId).toBe('fakeLiveChat001');
+    expect(second.state.liveChatId).toBe('fakeLiveChat002');
+
+    const port = manager.webServer.server.address().port;
+    const { data: status } = await axios.get(`http://127.0.0.1:${port}/api/status`);
+
+    expect(status.channels.map(channel => channel.channel.name)).toEqual(['Main', 'Second']);
+    expect(status.channels[1].status.currentStream).toBe('fakeVideo002');
+
+    const { byChannel, used } = status.quota;
+    expect(byChannel[MAIN_CHANNEL]).toBeGreaterThan(0);
+    expect(byChannel[SECOND_CHANNEL]).toBeGreaterThan(0);
+    expect(byChannel[MAIN_CHANNEL] + byChannel[SECOND_CHANNEL]).toBe(used);
+
+    const { data: strikes } = await axios.get(`http://127.0.0.1:${port}/api/strikes?channel_id=${SECOND_CHANNEL}`);
+    expect(strikes.channels).toEqual([expect.objectContaining({ id: SECOND_CHANNEL, name: 'Second', viewers: 0, ledger: [] })]);
+    await expect(axios.get(`http://127.0.0.1:${port}/api/strikes?channel_id=UC_unknown`)).rejects.toMatchObject({ response: { status: 404 } });
+
+    const owner = { authorDetails: { channelId: 'UC_frank', displayName: 'Frank' } };
+    second.auditLog.recordCommand(owner, 'owner', '!game minecraft', '🎮 Game set to: minecraft');
+    second.auditLog.recordCommand(owner, 'owner', '!shutdown', '🛑 Bot shutting down gracefully... Goodbye!');
+    main.auditLog.recordCommand({ authorDetails: { displayName: '<b>Mod</b>' } }, 'moderator', '!ping', '🏓 Pong!');
+
+    // The audit log names moderators and what they ran, so it takes the admin token
+    await expect(axios.get(`http://127.0.0.1:${port}/api/audit`)).rejects.toMatchObject({ response: { status: 403 } });
+    await expect(axios.get(`http://127.0.0.1:${port}/api/audit?token=letmei`)).rejects.toMatchObject({ response: { status: 403 } });
+    expect((await axios.get(`http://127.0.0.1:${port}/api/status`)).data.channels[0]).not.toHaveProperty('audit');
+    expect((await axios.get(`http://127.0.0.1:${port}/api/status?token=letmein`)).data.channels[0].audit).toHaveLength(1);
+
+    const { data: audit } = await axios.get(`http://127.0.0.1:${port}/api/audit?token=letmein&limit=2`);
+    expect(audit).toMatchObject({ page: 1, limit: 2, total: 3, pages: 2 });
+    expect(audit.entries.map(entry => entry.command)).toEqual(['!ping', '!shutdown']);
+
+    const { data: lastPage } = await axios.get(`http://127.0.0.1:${port}/api/audit?token=letmein&channel_id=${SECOND_CHANNEL}&page=2&limit=1`);
+    expect(lastPage.entries).toEqual([expect.objectContaining({
+      channelId: SECOND_CHANNEL,
+      actor: { channelId: 'UC_frank', displayName: 'Frank', permissionLevel: 'owner' },
+      command: '!game',
+      args: 'minecraft'
+    })]);
+
+    const { data: html } = await axios.get(`http://127.0.0.1:${port}/`);
+    expect(html).toContain('📺 Main');
+    expect(html).toContain('📺 Second');
+    expect(html).toContain('Open this page with ?token=ADMIN_TOKEN to see the audit log');
+    expect(html).not.toContain('Mod</b>');
+    const { data: auditHtml } = await axios.get(`http://127.0.0.1:${port}/?token=letmein`);
+    expect(auditHtml).toContain('&lt;b&gt;Mod&lt;/b&gt;');
+    expect(auditHtml).not.toContain('<b>Mod</b>');
+
+    // Alert reasons come from Google and the flood detector, and are escaped all the same
+    jest.spyOn(second.youtubeService, 'getAuthStatus').mockReturnValue({ ...second.youtubeService.getAuthStatus(), status: 'invalid', reason: '<i>invalid_grant</i>' });
+    jest.spyOn(second.floodDetector, 'getStats').mockReturnValue({ ...second.floodDetector.getStats(), defensive: true, since: Date.now(), reason: '<i>raid</i>' });
+    const { data: alerts } = await axios.get(`http://127.0.0.1:${port}/`);
+    expect(alerts).toContain('OAuth tokens were rejected (&lt;i&gt;invalid_grant&lt;/i&gt;)');
+    expect(alerts).toContain(': &lt;i&gt;raid&lt;/i&gt;. Replies are paused');
+    expect(alerts).not.toContain('<i>');
+    second.youtubeService.getAuthStatus.mockRestore();
+    second.floodDetector.getStats.mockRestore();
+
+    // Moderators set the game from chat, so it is escaped like chat text
+    second.context.currentGame = '<b>minecraft</b>';
+    await expect(axios.get(`http://127.0.0.1:${port}/`)).resolves.toMatchObject({ data: expect.stringContaining('&lt;b&gt;minecraft&lt;/b&gt;') });
+
+    second.customCommands.add('discord', 'Join <here>');
+    second.customCommands.add('secret', 'hidden', { enabled: false });
+    const { data: commandsHtml } = await axios.get(`http://127.0.0.1:${port}/commands`);
+    expect(commandsHtml).toContain('<code>!say &lt;message...&gt;</code>');
+    expect(commandsHtml).toContain('<code>!np</code>');
+    expect(commandsHtml.indexOf('!help')).toBeLessThan(commandsHtml.indexOf('!shutdown'));
+    expect(commandsHtml).not.toContain('📝 Main');
+    expect(commandsHtml).toContain('📝 Second');
+    expect(commandsHtml).toContain('<td>Join &lt;here&gt;</td>');
+    expect(commandsHtml).not.toContain('!secret');
+
+    // Claim codes only with the admin token, one per role and channel
+    expect(html).not.toContain('!claim ');
+    await expect(axios.get(`http://127.0.0.1:${port}/?token=letmei`)).resolves.toMatchObject({ data: expect.not.stringContaining('!claim ') });
+    const { data: adminHtml } = await axios.get(`http://127.0.0.1:${port}/?token=letmein`);
+    const codes = [...main.claimCodes.pending(), ...second.claimCodes.pending()];
+    expect(codes.map(claim => claim.level)).toEqual(['owner', 'moderator', 'owner', 'moderator']);
+    codes.forEach(claim => expect(adminHtml).toContain(`!claim ${claim.code}`));
+
+    // Polls for overlays, open or finished
+    second.polls.start('Best boss?', ['Radahn', 'Malenia']);
+    second.polls.vote('UC_bob', '2');
+    main.polls.start('Pizza?', ['Yes', 'No']);
+    main.polls.end();
+    const { data: polls } = await axios.get(`http://127.0.0.1:${port}/api/polls`);
+    expect(polls.channels[0]).toMatchObject({ id: MAIN_CHANNEL, current: null, latest: { question: 'Pizza?', open: false, total: 0 } });
+    expect(polls.channels[1]).toMatchObject({ id: SECOND_CHANNEL, current: { open: true, total: 1, leaders: ['Malenia'] }, latest: null });
+    await expect(axios.get(`http://127.0.0.1:${port}/api/polls?channel_id=UC_unknown`)).rejects.toMatchObject({ response: { status: 404 } });
+
+    // Raffles come with their entrants and draws
+    second.raffles.start({ duration: 0 }, 'Mod');
+    second.raffles.enter({ channelId: 'UC_bob', displayName: 'Bob' }, '!join');
+    second.raffles.draw('Mod');
+    const { data: raffles } = await axios.get(`http://127.0.0.1:${port}/api/raffles?channel_id=${SECOND_CHANNEL}`);
+    expect(raffles.channels).toHaveLength(1);
+    expect(raffles.channels[0]).toMatchObject({
+      id: SECOND_CHANNEL,
+      current: { status: 'closed', entrants: { UC_bob: { displayName: 'Bob' } }, draws: [{ displayName: 'Bob', drawnBy: 'Mod', status: 'pending' }] },
+      history: []
+    });
+
+    // Timers are public to read, changing them takes the admin token and a channel
+    const announcementsUrl = `http://127.0.0.1:${port}/api/announcements`;
+    const timer = { name: 'socials', messages: ['Follow us', 'Join the discord'], interval: 600000, minLines: 5 };
+    await expect(axios.post(`${announcementsUrl}?channel_id=${SECOND_CHANNEL}`, timer)).rejects.toMatchObject({ response: { status: 403 } });
+    await expect(axios.post(`${announcementsUrl}?token=letmein`, timer)).rejects.toMatchObject({ response: { status: 404 } });
+    await expect(axios.post(`${announcementsUrl}?token=letmein&channel_id=${SECOND_CHANNEL}`, timer))
+      .resolves.toMatchObject({ status: 201, data: { name: 'socials', messages: ['Follow us', 'Join the discord'], createdBy: 'api' } });
+    await expect(axios.post(`${announcementsUrl}?token=letmein&channel_id=${SECOND_CHANNEL}`, { name: 'socials', enabled: false }))
+      .resolves.toMatchObject({ status: 200, data: { enabled: false, minLines: 5 } });
+    await expect(axios.post(`${announcementsUrl}?token=letmein&channel_id=${SECOND_CHANNEL}`, { name: 'socials', interval: 5 }))
+      .rejects.toMatchObject({ response: { status: 400, data: { error: 'interval must be at least 1 min' } } });
+
+    const { data: announcements } = await axios.get(announcementsUrl);
+    expect(announcements.channels.map(channel => channel.timers.map(entry => entry.name))).toEqual([[], ['socials']]);
+    expect(announcements.channels[1].timers[0]).toMatchObject({ interval: 600000, linesSince: 0 });
+
+    await expect(axios.delete(`${announcementsUrl}?token=letmein&channel_id=${SECOND_CHANNEL}&name=socials`)).resolves.toMatchObject({ status: 200 });
+    await expect(axios.delete(`${announcementsUrl}?token=letmein&channel_id=${SECOND_CHANNEL}&name=socials`)).rejects.toMatchObject({ response: { status: 404 } });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * OAuth token lifecycle against the fake token endpoint:
+ * refresh before expiry, persistence, revocation and recovery,
+ * plus the loopback (PKCE) and device-code authorization flows
+ */
+
+const axios = require('axios');
+const FakeYouTubeServer = require('../support/fakeYouTubeServer');
+const QuotaManager = require('../../src/utils/quotaManager');
+const YouTubeService = require('../../src/services/YouTubeService');
+const TokenStore = require('../../src/services/TokenStore');
+const OAuthFlow = require('../../src/services/OAuthFlow');
+const { createDataDir } = require('../support/testConfig');
+
+describe('OAuth token lifecycle (fake API)', () => {
+  let server;
+  let quotaManager;
+  let youtubeService;
+  let config;
+
+  beforeEach(async () => {
+    server = new FakeYouTubeServer({ transcript: FakeYouTubeServer.DEFAULT_TRANSCRIPT });
+    await server.start();
+    quotaManager = new QuotaManager();
+  });
+
+  afterEach(async () => {
+    youtubeService?.destroy();
+    youtubeService = null;
+    quotaManager.destroy();
+    await server.stop();
+  });
+
+  function createService(tokens) {
+    config = {
+      YOUTUBE_API_KEY: 'fake-key',
+      YOUTUBE_CLIENT_ID: 'fake-client',
+      YOUTUBE_CLIENT_SECRET: 'fake-secret',
+      YOUTUBE_CHANNEL_ID: server.transcript.stream.channelId,
+      YOUTUBE_API_ROOT: server.url,
+      OAUTH_TOKEN_URL: `${server.url}token`,
+      OAUTH_TOKENS: tokens ? JSON.stringify(tokens) : null,
+      DATA_DIR: createDataDir()
+    };
+    youtubeService = new YouTubeService(config, quotaManager);
+    return youtubeService;
+  }
+
+  test('stays read-only without tokens', () => {
+    createService(null);
+
+    expect(youtubeService.canSendMessages()).toBe(false);
+    expect(youtubeService.getAuthStatus()).toMatchObject({ status: 'missing', readOnly: true });
+  });
+
+  test('refreshes tokens that are about to expire and saves them', async () => {
+    createService({ access_token: 'old-access', refresh_token: 'refresh-1', expiry_date: Date.now() + 1000 });
+
+    await expect(youtubeService.refreshTokensIfNeeded()).resolves.toBe(true);
+
+    const saved = new TokenStore(config).load();
+    expect(saved.source).toBe('store');
+    expect(saved.tokens).toMatchObject({ access_token: expect.stringMatching(/^fake-access-/), refresh_token: 'refresh-1' });
+    expect(saved.tokens.expiry_date).toBeGreaterThan(Date.now() + 3000000);
+    expect(youtubeService.getAuthStatus()).toMatchObject({ status: 'valid', source: 'store', readOnly: false });
+  });
+
+  test('switches to read-only when the refresh token is revoked, and recovers from new stored tokens', async () => {
+    server.revokeRefreshToken('refresh-1');
+    createService({ access_token: 'old-access', refresh_token: 'refresh-1', expiry_date: Date.now() - 1000 });
+
+    await expect(youtubeService.refreshTokensIfNeeded()).resolves.toBe(false);
+
+    expect(youtubeService.canSendMessages()).toBe(false);
+    expect(youtubeService.getAuthStatus()).toMatchObject({ status: 'invalid', readOnly: true });
+    expect(youtubeService.getAuthStatus().reason).toMatch(/invalid_grant/);
+    await expect(youtubeService.sendMessage('fakeLiveChat001', 'hi')).rejects.toThrow(/OAuth/);
+
+    new TokenStore(config).replace({ access_token: 'new-access', refresh_token: 'refresh-2', expiry_date: Date.now() + 3600000 });
+
+    await expect(youtubeService.refreshTokensIfNeeded()).resolves.toBe(true);
+    expect(youtubeService.canSendMessages()).toBe(true);
+  });
+
+  describe('authorization flows', () => {
+    function createFlow() {
+      return new OAuthFlow({
+        clientId: 'fake-client',
+        clientSecret: 'fake-secret',
+        endpoints: {
+          oauth2AuthBaseUrl: `${server.url}auth`,
+          oauth2TokenUrl: `${server.url}token`,
+          deviceCodeUrl: `${server.url}device/code`
+        }
+      });
+    }
+
+    test('loopback flow receives the code on a local listener and exchanges it with PKCE', async () => {
+      let authUrl;
+
+      const tokens = await createFlow().authorizeWithLoopback({
+        onAuthUrl: async (url) => {
+          authUrl = new URL(url);
+          // The browser follows the consent redirect back to the local listener
+          const page = await axios.get(server.approveAuthorization(url));
+          expect(page.data).toMatch(/Authorization complete/);
+        }
+      });
+
+      expect(authUrl.searchParams.get('redirect_uri')).toMatch(/^http:\/\/127\.0\.0\.1:\d+\/oauth2callback$/);
+      expect(authUrl.searchParams.get('code_challenge_method')).toBe('S256');
+      expect(authUrl.searchParams.get('access_type')).toBe('offline');
+      expect(tokens).toMatchObject({ access_token: expect.stringMatching(/^fake-access-/), refresh_token: expect.stringMatching(/^fake-refresh-/) });
+
+      // The tokens land in the store the bot reads on startup
+      createService(null);
+      new TokenStore(config).replace(tokens);
+      await youtubeService.reloadStoredTokens();
+      expect(youtubeService.canSendMessages()).toBe(true);
+    });
+
+    test('loopback flow rejects a redirect with the wrong state', async () => {
+      await expect(createFlow().authorizeWithLoopback({
+        onAuthUrl: async (url) => {
+          const redirect = new URL(server.approveAuthorization(url));
+          redirect.searchParams.set('state', 'forged');
+          await axios.get(redirect.toString(), { validateStatus: () => true });
+        }
+      })).rejects.toThrow(/state mismatch/);
+    });
+
+    test('device flow polls until the user approves the code', async () => {
+      let prompt;
+
+      const tokens = await createFlow().authorizeWithDeviceCode({
+        onUserCode: (info) => {
+          prompt = info;
+          setTimeout(() => server.approveDevice(info.userCode), 1200);
+        }
+      });
+
+      expect(prompt).toMatchObject({ userCode: 'FAKE-0001', verificationUrl: `${server.url}device` });
+      expect(server.requests.filter(request => request.path === '/token').length).toBeGreaterThanOrEqual(2);
+      expect(tokens).toMatchObject({ access_token: expect.stringMatching(/^fake-access-/), refresh_token: expect.stringMatching(/^fake-refresh-/) });
+      expect(tokens.expiry_date).toBeGreaterThan(Date.now());
+    }, 10000);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * WebSub subscription lifecycle against a local stub hub
+ */
+
+const axios = require('axios');
+const StubWebSubHub = require('../support/stubWebSubHub');
+const WebServer = require('../../src/services/WebServer');
+
+const CHANNEL_ID = 'UC_fake_streamer';
+
+function atomNotification(videoId, channelId = CHANNEL_ID) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns:yt="http://www.youtube.com/xml/schemas/2015" xmlns="http://www.w3.org/2005/Atom">
+  <entry>
+    <id>yt:video:${videoId}</id>
+    <yt:videoId>${videoId}</yt:videoId>
+    <yt:channelId>${channelId}</yt:channelId>
+    <title>Going live now</title>
+    <published>2026-10-19T18:00:00+00:00</published>
+    <updated>2026-10-19T18:00:01+00:00</updated>
+  </entry>
+</feed>`;
+}
+
+function waitFor(emitter, event) {
+  return new Promise(resolve => emitter.once(event, resolve));
+}
+
+describe('WebSub subscriber', () => {
+  let hub;
+  let webServer;
+  let bot;
+  let webSub;
+
+  function createBot(channelId, overrides = {}) {
+    const config = {
+      PORT: 0,
+      YOUTUBE_CHANNEL_ID: channelId,
+      WEBSUB_ENABLED: true,
+      WEBSUB_HUB_URL: `${hub.url}subscribe`,
+      WEBSUB_CALLBACK_URL: null,
+      WEBSUB_SECRET: 'test-secret',
+      WEBSUB_LEASE_SECONDS: 3600,
+      getDeploymentUrl: () => `http://127.0.0.1:${webServer.server.address().port}`,
+      ...overrides
+    };
+
+    return { config, handleVideoNotification: jest.fn().mockResolvedValue(true) };
+  }
+
+  async function startWebServer(overrides = {}, otherBots = []) {
+    bot = createBot(CHANNEL_ID, overrides);
+    webServer = new WebServer(bot.config, { bots: [bot, ...otherBots] });
+    webSub = webServer.webSubs.get(CHANNEL_ID);
+
+    const verified = new Promise(resolve => {
+      let count = 0;
+      hub.on('verified', () => ++count === webServer.webSubs.size && resolve());
+    });
+    await webServer.start();
+    await verified;
+    hub.removeAllListeners('verified');
+  }
+
+  beforeEach(async () => {
+    hub = new StubWebSubHub();
+    await hub.start();
+  });
+
+  afterEach(async () => {
+    await webServer.stop();
+    await hub.stop();
+  });
+
+  test('subscribes on start and answers the hub challenge', async () => {
+    await startWebServer();
+
+    const status = webSub.getStatus();
+    expect(status.state).toBe('active');
+    expect(status.leaseSeconds).toBe(3600);
+    expect(hub.requests[0]['hub.topic']).toBe(webSub.topic);
+  });
+
+  test('renews the subscription before the lease runs out', async () => {
+    await startWebServer({ WEBSUB_LEASE_SECONDS: 1 });
+
+    await waitFor(hub, 'verified');
+
+    expect(hub.requests).toHaveLength(2);
+    expect(webSub.getStatus().state).toBe('active');
+  });
+
+  test('only confirms (un)subscribe requests the bot made itself', async () => {
+    await startWebServer();
+    const verify = mode => axios.get(webSub.getCallbackUrl(), {
+      params: { 'hub.mode': mode, 'hub.topic': webSub.topic, 'hub.challenge': 'abc123' },
+      responseType: 'text',
+      validateStatus: () => true
+    });
+
+    // Someone else asking the hub to unsubscribe the bot, or to subscribe it again
+    await expect(verify('unsubscribe')).resolves.toMatchObject({ status: 404 });
+    await expect(verify('subscribe')).resolves.toMatchObject({ status: 404 });
+    expect(webSub.getStatus().state).toBe('active');
+
+    const unsubscribed = waitFor(hub, 'verified');
+    await webSub.subscribe('unsubscribe');
+    await unsubscribed;
+    expect(webSub.getStatus().state).toBe('inactive');
+    await expect(verify('unsubscribe')).resolves.toMatchObject({ status: 404 });
+  });
+
+  test('hands signed notifications for the channel to the bot', async () => {
+    await startWebServer();
+
+    const status = await hub.publish(webSub.topic, atomNotification('liveVideo123'));
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(status).toBe(204);
+    expect(bot.handleVideoNotification).toHaveBeenCalledWith(['liveVideo123']);
+  });
+
+  test('ignores notifications with a bad signature or another channel', async () => {
+    await startWebServer();
+
+    const forged = await hub.publish(webSub.topic, atomNotification('forged1'), 'wrong-secret');
+    await hub.publish(webSub.topic, atomNotification('other1', 'UC_someone_else'));
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(forged).toBe(204);
+    expect(bot.handleVideoNotification).not.toHaveBeenCalled();
+    expect(webSub.getStatus().rejectedNotifications).toBe(1);
+  });
+
+  test('routes each notification to the channel it was subscribed for', async () => {
+    const secondBot = createBot('UC_second_channel');
+    await startWebServer({}, [secondBot]);
+
+    const secondWebSub = webServer.webSubs.get('UC_second_channel');
+    expect(secondWebSub.getCallbackUrl()).toContain('channel_id=UC_second_channel');
+
+    await hub.publish(secondWebSub.topic, atomNotification('secondLive1', 'UC_second_channel'));
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(secondBot.handleVideoNotification).toHaveBeenCalledWith(['secondLive1']);
+    expect(bot.handleVideoNotification).not.toHaveBeenCalled();
+  });
+});
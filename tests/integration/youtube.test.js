@@ -0,0 +1,141 @@
+/**
+ * YouTubeService against the local fake YouTube API
+ */
+
+const FakeYouTubeServer = require('../support/fakeYouTubeServer');
+const { createDataDir } = require('../support/testConfig');
+const QuotaManager = require('../../src/utils/quotaManager');
+const YouTubeService = require('../../src/services/YouTubeService');
+
+describe('YouTubeService (fake API)', () => {
+  let server;
+  let quotaManager;
+  let youtubeService;
+
+  beforeEach(async () => {
+    server = new FakeYouTubeServer({ transcript: FakeYouTubeServer.DEFAULT_TRANSCRIPT });
+    await server.start();
+
+    quotaManager = new QuotaManager();
+    youtubeService = new YouTubeService({
+      YOUTUBE_API_KEY: 'fake-key',
+      YOUTUBE_CLIENT_ID: 'fake-client',
+      YOUTUBE_CLIENT_SECRET: 'fake-secret',
+      YOUTUBE_CHANNEL_ID: server.transcript.stream.channelId,
+      YOUTUBE_API_ROOT: server.url,
+      YOUTUBE_FEED_URL: `${server.url}feeds/videos.xml`,
+      STREAM_DETECTION_STRATEGY: 'search',
+      DATA_DIR: createDataDir(),
+      OAUTH_TOKENS: JSON.stringify({ access_token: 'fake-token', expiry_date: Date.now() + 3600000 })
+    }, quotaManager);
+  });
+
+  afterEach(async () => {
+    youtubeService.destroy();
+    quotaManager.destroy();
+    await server.stop();
+  });
+
+  test('finds no stream while offline', async () => {
+    await expect(youtubeService.checkForLiveStream()).resolves.toBeNull();
+    expect(quotaManager.getQuotaStatus().used).toBe(100);
+  });
+
+  test('detects the live stream and its chat', async () => {
+    server.goLive();
+
+    const stream = await youtubeService.checkForLiveStream();
+    expect(stream).toMatchObject({ videoId: 'fakeVideo001', title: server.transcript.stream.title });
+
+    const liveChatId = await youtubeService.getLiveChatId(stream.videoId);
+    expect(liveChatId).toBe('fakeLiveChat001');
+  });
+
+  test('detects the stream from the uploads playlist for 2 units', async () => {
+    youtubeService.config.STREAM_DETECTION_STRATEGY = 'playlist';
+
+    await expect(youtubeService.checkForLiveStream()).resolves.toBeNull();
+
+    server.goLive();
+    const stream = await youtubeService.checkForLiveStream();
+
+    expect(stream).toMatchObject({ videoId: 'fakeVideo001', liveChatId: 'fakeLiveChat001' });
+    expect(quotaManager.getQuotaStatus().used).toBe(4);
+  });
+
+  test('detects the stream from the public feed for 1 unit', async () => {
+    youtubeService.config.STREAM_DETECTION_STRATEGY = 'feed';
+    server.goLive();
+
+    const stream = await youtubeService.checkForLiveStream();
+
+    expect(stream).toMatchObject({ videoId: 'fakeVideo001', liveChatId: 'fakeLiveChat001' });
+    expect(quotaManager.getQuotaStatus().used).toBe(1);
+  });
+
+  test('falls back to search.list when the cheap strategy fails', async () => {
+    youtubeService.config.STREAM_DETECTION_STRATEGY = 'feed';
+    youtubeService.config.YOUTUBE_FEED_URL = `${server.url}missing-feed.xml`;
+    server.goLive();
+
+    const stream = await youtubeService.checkForLiveStream();
+
+    expect(stream).toMatchObject({ videoId: 'fakeVideo001' });
+    expect(server.requests.some(request => request.path === '/youtube/v3/search')).toBe(true);
+  });
+
+  test('replays transcript pages in order', async () => {
+    server.goLive();
+
+    const first = await youtubeService.getChatMessages('fakeLiveChat001');
+    expect(first.messages.map(m => m.authorDetails.displayName)).toEqual(['Alice', 'Bob']);
+    expect(first.pollingIntervalMillis).toBe(100);
+
+    const second = await youtubeService.getChatMessages('fakeLiveChat001', first.nextPageToken);
+    expect(second.messages[1].authorDetails.isChatModerator).toBe(true);
+  });
+
+  test('records sent messages', async () => {
+    server.goLive();
+
+    await youtubeService.sendMessage('fakeLiveChat001', 'Hello from the bot');
+
+    expect(server.sentMessages).toHaveLength(1);
+    expect(server.sentMessages[0].text).toBe('Hello from the bot');
+  });
+
+  test('only retries network failures, rate limiting and server errors', async () => {
+    const withCode = (message, code) => Object.assign(new Error(message), { code });
+    expect(youtubeService.isTransientError(withCode('socket hang up', 'ECONNRESET'))).toBe(true);
+    expect(youtubeService.isTransientError(withCode('getaddrinfo EAI_AGAIN', 'EAI_AGAIN'))).toBe(true);
+    expect(youtubeService.isTransientError(withCode('Too Many Requests', 429))).toBe(true);
+    expect(youtubeService.isTransientError(withCode('Backend Error', 503))).toBe(true);
+    expect(youtubeService.isTransientError(withCode('Forbidden', 403))).toBe(false);
+
+    // Our own refusals fail straight away instead of using up retries
+    server.goLive();
+    const sendError = () => youtubeService.sendMessage('fakeLiveChat001', 'Hello').catch(error => error);
+
+    youtubeService.auth.status = 'invalid';
+    const readOnly = await sendError();
+    expect(readOnly.message).toBe('OAuth tokens not configured for message sending');
+    expect(youtubeService.isTransientError(readOnly)).toBe(false);
+
+    jest.spyOn(quotaManager, 'canMakeApiCall').mockReturnValue(false);
+    const quota = await sendError();
+    expect(quota.message).toBe('Quota limit reached for sending messages');
+    expect(youtubeService.isTransientError(quota)).toBe(false);
+    expect(youtubeService.isTransientError(await youtubeService.banUser('fakeLiveChat001', 'UC_bob').catch(error => error))).toBe(false);
+    expect(server.sentMessages).toHaveLength(0);
+  });
+
+  test('reports a finished chat as ended', async () => {
+    server.goLive();
+    server.endStream();
+
+    const error = await youtubeService.getChatMessages('fakeLiveChat001').catch(err => err);
+
+    expect(youtubeService.getErrorReason(error)).toBe('liveChatEnded');
+    expect(youtubeService.isChatEndedError(error)).toBe(true);
+  });
+});
@@ -0,0 +1,637 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in for the YouTube Data API v3
+ * Implements the endpoints the bot uses and replays scripted chat transcripts,
+ * so the bot can run end-to-end without network access or quota.
+ *
+ * Usage: node tests/support/fakeYouTubeServer.js [transcript.json] [--port 8089]
+ * Then start the bot with YOUTUBE_API_ROOT=http://127.0.0.1:8089/
+ */
+
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const EventEmitter = require('events');
+
+const DEFAULT_TRANSCRIPT = path.join(__dirname, '../fixtures/transcripts/basic-stream.json');
+
+class FakeYouTubeServer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.port = options.port || 0;
+    // The account the bot's OAuth tokens belong to, the streamer's unless given
+    this.botChannelId = options.botChannelId || null;
+    this.server = null;
+    this.reset();
+
+    if (options.transcript) {
+      this.loadTranscript(options.transcript);
+    }
+  }
+
+  reset() {
+    this.transcript = null;
+    this.isLive = false;
+    this.sentMessages = [];
+    this.requests = [];
+    this.messageCounter = 0;
+    this.activeStreams = new Set();
+    this.tokenCounter = 0;
+    this.revokedRefreshTokens = new Set();
+    this.deletedMessages = [];
+    this.bans = [];
+    this.authorizationCodes = new Map();
+    this.deviceCodes = new Map();
+  }
+
+  loadTranscript(transcript) {
+    const data = typeof transcript === 'string'
+      ? JSON.parse(fs.readFileSync(transcript, 'utf8'))
+      : transcript;
+
+    this.transcript = {
+      pollingIntervalMillis: 100,
+      endAfterReplay: false,
+      pages: [],
+      ...data
+    };
+    this.isLive = false;
+
+    return this;
+  }
+
+  goLive() {
+    if (!this.transcript) {
+      throw new Error('Load a transcript before going live');
+    }
+    this.isLive = true;
+    this.emit('streamStarted', this.transcript.stream);
+  }
+
+  endStream() {
+    this.isLive = false;
+    this.emit('streamEnded', this.transcript?.stream);
+  }
+
+  get url() {
+    const address = this.server?.address();
+    return address ? `http://127.0.0.1:${address.port}/` : null;
+  }
+
+  async start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => {
+        this.handleRequest(req, res);
+      });
+
+      this.server.on('error', reject);
+      this.server.listen(this.port, '127.0.0.1', () => resolve(this.url));
+    });
+  }
+
+  async stop() {
+    return new Promise((resolve) => {
+      if (!this.server) return resolve();
+
+      this.server.close(() => resolve());
+      this.server.closeAllConnections?.();
+      this.server = null;
+    });
+  }
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    const query = Object.fromEntries(url.searchParams.entries());
+    const body = await this.readBody(req);
+
+    this.requests.push({ method: req.method, path: url.pathname, query, body });
+
+    const route = `${req.method} ${url.pathname.replace(/\/+$/, '')}`;
+
+    switch (route) {
+      case 'GET /youtube/v3/search':
+        return this.handleSearch(query, res);
+      case 'GET /youtube/v3/videos':
+        return this.handleVideos(url.searchParams, res);
+      case 'GET /youtube/v3/playlistItems':
+        return this.handlePlaylistItems(query, res);
+      case 'GET /feeds/videos.xml':
+        return this.handleFeed(query, res);
+      case 'GET /youtube/v3/liveChat/messages':
+        return this.handleChatList(query, res);
+      case 'GET /youtube/v3/liveChat/messages:stream':
+        return this.handleChatStream(query, res);
+      case 'POST /youtube/v3/liveChat/messages':
+        return this.handleChatInsert(req, body, res);
+      case 'DELETE /youtube/v3/liveChat/messages':
+        return this.handleChatDelete(req, query, res);
+      case 'POST /youtube/v3/liveChat/bans':
+        return this.handleBanInsert(req, body, res);
+      case 'DELETE /youtube/v3/liveChat/bans':
+        return this.handleBanDelete(req, query, res);
+      case 'POST /token':
+        return this.handleToken(body, res);
+      case 'POST /device/code':
+        return this.handleDeviceCode(body, res);
+      default:
+        return this.sendError(res, 404, 'notFound', `No fake handler for ${route}`);
+    }
+  }
+
+  handleSearch(query, res) {
+    const stream = this.transcript?.stream;
+    const items = [];
+
+    if (this.isLive && query.eventType === 'live' && query.channelId === stream.channelId) {
+      items.push({
+        kind: 'youtube#searchResult',
+        id: { kind: 'youtube#video', videoId: stream.videoId },
+        snippet: {
+          channelId: stream.channelId,
+          title: stream.title,
+          description: stream.description || '',
+          liveBroadcastContent: 'live',
+          thumbnails: { medium: { url: `https://i.ytimg.com/vi/${stream.videoId}/mqdefault.jpg` } }
+        }
+      });
+    }
+
+    this.sendJson(res, { kind: 'youtube#searchListResponse', items });
+  }
+
+  // Uploads playlist: the stream first, then any older uploads from the transcript
+  getUploads() {
+    const stream = this.transcript?.stream;
+    if (!stream) return [];
+
+    return [
+      { videoId: stream.videoId, title: stream.title },
+      ...(this.transcript.uploads || [])
+    ];
+  }
+
+  handlePlaylistItems(query, res) {
+    const stream = this.transcript?.stream;
+
+    if (!stream || query.playlistId !== `UU${stream.channelId.substring(2)}`) {
+      return this.sendError(res, 404, 'playlistNotFound', 'The playlist identified with the request\'s playlistId parameter cannot be found.');
+    }
+
+    const items = this.getUploads().map(upload => ({
+      kind: 'youtube#playlistItem',
+      contentDetails: { videoId: upload.videoId }
+    }));
+
+    this.sendJson(res, { kind: 'youtube#playlistItemListResponse', items });
+  }
+
+  handleFeed(query, res) {
+    const stream = this.transcript?.stream;
+
+    if (!stream || query.channel_id !== stream.channelId) {
+      res.writeHead(404, { 'Content-Type': 'text/html' });
+      return res.end('Not Found');
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/atom+xml; charset=UTF-8' });
+    res.end(this.buildAtomFeed(this.getUploads()));
+  }
+
+  buildAtomFeed(videos) {
+    const stream = this.transcript.stream;
+    const now = new Date().toISOString();
+    const entries = videos.map(video => `
+  <entry>
+    <id>yt:video:${video.videoId}</id>
+    <yt:videoId>${video.videoId}</yt:videoId>
+    <yt:channelId>${stream.channelId}</yt:channelId>
+    <title>${video.title}</title>
+    <published>${now}</published>
+    <updated>${now}</updated>
+  </entry>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns:yt="http://www.youtube.com/xml/schemas/2015" xmlns="http://www.w3.org/2005/Atom">
+  <title>${stream.channelTitle || 'Fake Channel'}</title>${entries}
+</feed>`;
+  }
+
+  handleVideos(params, res) {
+    const stream = this.transcript?.stream;
+    const ids = params.getAll('id').flatMap(id => id.split(','));
+    const items = [];
+
+    if (stream && ids.includes(stream.videoId)) {
+      const liveStreamingDetails = {
+        actualStartTime: stream.actualStartTime || new Date().toISOString()
+      };
+      if (this.isLive) {
+        liveStreamingDetails.activeLiveChatId = stream.liveChatId;
+      } else {
+        liveStreamingDetails.actualEndTime = new Date().toISOString();
+      }
+
+      items.push({
+        kind: 'youtube#video',
+        id: stream.videoId,
+        snippet: {
+          channelId: stream.channelId,
+          title: stream.title,
+          description: stream.description || '',
+          liveBroadcastContent: this.isLive ? 'live' : 'none'
+        },
+        liveStreamingDetails
+      });
+    }
+
+    this.sendJson(res, { kind: 'youtube#videoListResponse', items });
+  }
+
+  handleChatList(query, res) {
+    const stream = this.transcript?.stream;
+
+    if (!stream || query.liveChatId !== stream.liveChatId) {
+      return this.sendError(res, 404, 'liveChatNotFound', 'The live chat that you are trying to retrieve cannot be found.');
+    }
+
+    if (!this.isLive) {
+      return this.sendError(res, 403, 'liveChatEnded', 'The live chat is no longer live.');
+    }
+
+    const pages = this.transcript.pages;
+    const pageIndex = query.pageToken ? parseInt(query.pageToken.replace('page-', ''), 10) : 0;
+
+    if (pageIndex >= pages.length && this.transcript.endAfterReplay) {
+      this.endStream();
+      return this.sendError(res, 403, 'liveChatEnded', 'The live chat is no longer live.');
+    }
+
+    const entries = pages[pageIndex] || [];
+    const items = entries.map(entry => this.buildMessage(entry));
+
+    this.emit('pageServed', pageIndex, items);
+
+    this.sendJson(res, {
+      kind: 'youtube#liveChatMessageListResponse',
+      nextPageToken: `page-${Math.min(pageIndex + 1, pages.length)}`,
+      pollingIntervalMillis: this.transcript.pollingIntervalMillis,
+      pageInfo: { totalResults: items.length, resultsPerPage: items.length },
+      items
+    });
+  }
+
+  // Server-streaming streamList: a JSON array whose elements arrive one page at a time
+  handleChatStream(query, res) {
+    const stream = this.transcript?.stream;
+
+    if (this.transcript?.streamingDisabled) {
+      return this.sendError(res, 404, 'notFound', 'Method not found.');
+    }
+
+    if (!stream || query.liveChatId !== stream.liveChatId) {
+      return this.sendError(res, 404, 'liveChatNotFound', 'The live chat that you are trying to retrieve cannot be found.');
+    }
+
+    if (!this.isLive) {
+      return this.sendError(res, 403, 'liveChatEnded', 'The live chat is no longer live.');
+    }
+
+    const pages = this.transcript.pages;
+    let pageIndex = query.pageToken ? parseInt(query.pageToken.replace('page-', ''), 10) : 0;
+    let separator = '';
+    let timer = null;
+
+    const write = (data) => {
+      res.write(separator + JSON.stringify(data));
+      separator = ',\n';
+    };
+
+    const sendNext = () => {
+      if (!this.isLive) {
+        write({ kind: 'youtube#liveChatMessageListResponse', offlineAt: new Date().toISOString(), items: [] });
+        res.end(']');
+        return;
+      }
+
+      if (pageIndex < pages.length) {
+        const items = pages[pageIndex].map(entry => this.buildMessage(entry));
+        this.emit('pageServed', pageIndex, items);
+        pageIndex++;
+        write({ kind: 'youtube#liveChatMessageListResponse', nextPageToken: `page-${pageIndex}`, items });
+      } else if (this.transcript.endAfterReplay) {
+        this.endStream();
+      }
+
+      timer = setTimeout(sendNext, this.transcript.pollingIntervalMillis);
+    };
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.write('[');
+    this.activeStreams.add(res);
+    res.on('close', () => {
+      clearTimeout(timer);
+      this.activeStreams.delete(res);
+    });
+
+    sendNext();
+  }
+
+  // Simulate a network drop on every open chat stream
+  dropStreams() {
+    for (const res of this.activeStreams) {
+      res.destroy();
+    }
+  }
+
+  handleChatInsert(req, body, res) {
+    const stream = this.transcript?.stream;
+
+    if (!/^Bearer /.test(req.headers.authorization || '')) {
+      return this.sendError(res, 401, 'authError', 'Login Required.');
+    }
+
+    let resource;
+    try {
+      resource = JSON.parse(body);
+    } catch (error) {
+      return this.sendError(res, 400, 'parseError', 'Parse Error');
+    }
+
+    const snippet = resource.snippet || {};
+
+    if (!stream || snippet.liveChatId !== stream.liveChatId) {
+      return this.sendError(res, 404, 'liveChatNotFound', 'The live chat that you are trying to retrieve cannot be found.');
+    }
+
+    if (!this.isLive) {
+      return this.sendError(res, 403, 'liveChatEnded', 'The live chat is no longer live.');
+    }
+
+    const sent = {
+      id: `fake-sent-${++this.messageCounter}`,
+      liveChatId: snippet.liveChatId,
+      text: snippet.textMessageDetails?.messageText || '',
+      publishedAt: new Date().toISOString()
+    };
+
+    this.sentMessages.push(sent);
+    this.emit('messageInserted', sent);
+
+    this.sendJson(res, {
+      kind: 'youtube#liveChatMessage',
+      id: sent.id,
+      snippet: {
+        type: 'textMessageEvent',
+        liveChatId: sent.liveChatId,
+        authorChannelId: this.botChannelId || stream.channelId,
+        publishedAt: sent.publishedAt,
+        hasDisplayContent: true,
+        displayMessage: sent.text,
+        textMessageDetails: { messageText: sent.text }
+      }
+    });
+  }
+
+  handleChatDelete(req, query, res) {
+    if (!/^Bearer /.test(req.headers.authorization || '')) {
+      return this.sendError(res, 401, 'authError', 'Login Required.');
+    }
+
+    this.deletedMessages.push(query.id);
+    this.emit('messageDeleted', query.id);
+    res.writeHead(204);
+    res.end();
+  }
+
+  handleBanInsert(req, body, res) {
+    if (!/^Bearer /.test(req.headers.authorization || '')) {
+      return this.sendError(res, 401, 'authError', 'Login Required.');
+    }
+
+    const snippet = JSON.parse(body || '{}').snippet || {};
+    const ban = {
+      id: `fake-ban-${this.bans.length + 1}`,
+      liveChatId: snippet.liveChatId,
+      type: snippet.type,
+      banDurationSeconds: snippet.banDurationSeconds ? Number(snippet.banDurationSeconds) : null,
+      channelId: snippet.bannedUserDetails?.channelId,
+      active: true
+    };
+
+    this.bans.push(ban);
+    this.emit('userBanned', ban);
+    this.sendJson(res, { kind: 'youtube#liveChatBan', id: ban.id, snippet });
+  }
+
+  handleBanDelete(req, query, res) {
+    if (!/^Bearer /.test(req.headers.authorization || '')) {
+      return this.sendError(res, 401, 'authError', 'Login Required.');
+    }
+
+    const ban = this.bans.find(entry => entry.id === query.id);
+    if (!ban) {
+      return this.sendError(res, 404, 'liveChatBanNotFound', 'The ban could not be found.');
+    }
+
+    ban.active = false;
+    res.writeHead(204);
+    res.end();
+  }
+
+  // OAuth token endpoint (point OAUTH_TOKEN_URL at <url>token)
+  handleToken(body, res) {
+    const params = Object.fromEntries(new URLSearchParams(body).entries());
+
+    switch (params.grant_type) {
+      case 'refresh_token':
+        if (!params.refresh_token || this.revokedRefreshTokens.has(params.refresh_token)) {
+          return this.sendOAuthError(res, 'invalid_grant', 'Token has been expired or revoked.');
+        }
+        return this.sendJson(res, this.issueTokens());
+
+      case 'authorization_code':
+        return this.handleAuthorizationCode(params, res);
+
+      case 'urn:ietf:params:oauth:grant-type:device_code':
+        return this.handleDeviceToken(params, res);
+
+      default:
+        return this.sendOAuthError(res, 'unsupported_grant_type', `Unsupported grant_type: ${params.grant_type}`);
+    }
+  }
+
+  issueTokens(withRefreshToken = false) {
+    const counter = ++this.tokenCounter;
+    return {
+      access_token: `fake-access-${counter}`,
+      ...(withRefreshToken ? { refresh_token: `fake-refresh-${counter}` } : {}),
+      expires_in: 3599,
+      scope: 'https://www.googleapis.com/auth/youtube.force-ssl',
+      token_type: 'Bearer'
+    };
+  }
+
+  // Plays the user's browser: consents to an auth URL and returns the redirect target
+  approveAuthorization(authUrl) {
+    const params = new URL(authUrl).searchParams;
+    const code = `fake-code-${this.authorizationCodes.size + 1}`;
+
+    this.authorizationCodes.set(code, {
+      redirectUri: params.get('redirect_uri'),
+      codeChallenge: params.get('code_challenge'),
+      codeChallengeMethod: params.get('code_challenge_method')
+    });
+
+    const redirect = new URL(params.get('redirect_uri'));
+    redirect.searchParams.set('code', code);
+    redirect.searchParams.set('state', params.get('state'));
+    return redirect.toString();
+  }
+
+  handleAuthorizationCode(params, res) {
+    const grant = this.authorizationCodes.get(params.code);
+    this.authorizationCodes.delete(params.code);
+
+    if (!grant || grant.redirectUri !== params.redirect_uri) {
+      return this.sendOAuthError(res, 'invalid_grant', 'Malformed auth code.');
+    }
+
+    const challenge = crypto.createHash('sha256').update(params.code_verifier || '').digest('base64url');
+    if (grant.codeChallengeMethod !== 'S256' || grant.codeChallenge !== challenge) {
+      return this.sendOAuthError(res, 'invalid_grant', 'Invalid code verifier.');
+    }
+
+    this.sendJson(res, this.issueTokens(true));
+  }
+
+  handleDeviceCode(body, res) {
+    const counter = this.deviceCodes.size + 1;
+    const device = { deviceCode: `fake-device-${counter}`, userCode: `FAKE-${String(counter).padStart(4, '0')}`, approved: false, polls: 0 };
+    this.deviceCodes.set(device.deviceCode, device);
+
+    this.sendJson(res, {
+      device_code: device.deviceCode,
+      user_code: device.userCode,
+      verification_url: `${this.url}device`,
+      expires_in: 1800,
+      interval: 1
+    });
+  }
+
+  approveDevice(userCode) {
+    const device = Array.from(this.deviceCodes.values()).find(entry => entry.userCode === userCode);
+    if (device) device.approved = true;
+  }
+
+  handleDeviceToken(params, res) {
+    const device = this.deviceCodes.get(params.device_code);
+
+    if (!device) {
+      return this.sendOAuthError(res, 'invalid_grant', 'Unknown device code.');
+    }
+
+    device.polls++;
+    if (!device.approved) {
+      return this.sendOAuthError(res, 'authorization_pending', 'Precondition Required');
+    }
+
+    this.deviceCodes.delete(params.device_code);
+    this.sendJson(res, this.issueTokens(true));
+  }
+
+  revokeRefreshToken(refreshToken) {
+    this.revokedRefreshTokens.add(refreshToken);
+  }
+
+  sendOAuthError(res, error, description) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error, error_description: description }));
+  }
+
+  // Transcript entries are shorthand: { author, text, channelId?, type?, roles?, snippet? }
+  buildMessage(entry) {
+    const stream = this.transcript.stream;
+    const roles = entry.roles || [];
+    const channelId = entry.channelId || `UC_${entry.author.replace(/\W+/g, '_')}`;
+    const type = entry.type || 'textMessageEvent';
+
+    const snippet = {
+      type,
+      liveChatId: stream.liveChatId,
+      authorChannelId: channelId,
+      publishedAt: entry.publishedAt || new Date().toISOString(),
+      hasDisplayContent: true,
+      displayMessage: entry.text || ''
+    };
+
+    if (type === 'textMessageEvent') {
+      snippet.textMessageDetails = { messageText: entry.text || '' };
+    }
+
+    return {
+      kind: 'youtube#liveChatMessage',
+      id: entry.id || `fake-msg-${++this.messageCounter}`,
+      snippet: { ...snippet, ...entry.snippet },
+      authorDetails: {
+        channelId,
+        channelUrl: `http://www.youtube.com/channel/${channelId}`,
+        displayName: entry.author,
+        profileImageUrl: '',
+        isVerified: roles.includes('verified'),
+        isChatOwner: roles.includes('owner'),
+        isChatSponsor: roles.includes('sponsor'),
+        isChatModerator: roles.includes('moderator')
+      }
+    };
+  }
+
+  readBody(req) {
+    return new Promise((resolve) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => resolve(body));
+    });
+  }
+
+  sendJson(res, data, statusCode = 200) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  }
+
+  // Same error envelope the real API returns, so googleapis surfaces error.errors[0].reason
+  sendError(res, code, reason, message) {
+    this.sendJson(res, {
+      error: {
+        code,
+        message,
+        errors: [{ message, domain: 'youtube.liveChat', reason }]
+      }
+    }, code);
+  }
+}
+
+// Run standalone for manual offline runs
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const portIndex = args.indexOf('--port');
+  const port = portIndex >= 0 ? parseInt(args[portIndex + 1], 10) : 8089;
+  const transcriptPath = args.find((arg, index) => !arg.startsWith('--') && index !== portIndex + 1) || DEFAULT_TRANSCRIPT;
+
+  const server = new FakeYouTubeServer({ port, transcript: transcriptPath });
+
+  server.on('messageInserted', message => console.log(`🤖 Bot said: ${message.text}`));
+  server.on('streamEnded', () => console.log('🔚 Transcript finished, stream ended'));
+
+  server.start().then(url => {
+    server.goLive();
+    console.log(`🧪 Fake YouTube API listening on ${url}`);
+    console.log(`   Replaying ${path.relative(process.cwd(), transcriptPath)}`);
+    console.log(`   Start the bot with YOUTUBE_API_ROOT=${url} YOUTUBE_CHANNEL_ID=${server.transcript.stream.channelId}`);
+  });
+}
+
+module.exports = FakeYouTubeServer;
+module.exports.DEFAULT_TRANSCRIPT = DEFAULT_TRANSCRIPT;
@@ -0,0 +1,115 @@
+/**
+ * Minimal WebSub hub for tests
+ * Accepts subscriptions, verifies intent against the subscriber's callback
+ * and publishes signed Atom notifications to it.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const axios = require('axios');
+
+class StubWebSubHub extends EventEmitter {
+  constructor() {
+    super();
+
+    this.server = null;
+    this.subscriptions = new Map();
+    this.requests = [];
+  }
+
+  get url() {
+    const address = this.server?.address();
+    return address ? `http://127.0.0.1:${address.port}/` : null;
+  }
+
+  async start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handleRequest(req, res));
+      this.server.on('error', reject);
+      this.server.listen(0, '127.0.0.1', () => resolve(this.url));
+    });
+  }
+
+  async stop() {
+    return new Promise((resolve) => {
+      if (!this.server) return resolve();
+
+      this.server.close(() => resolve());
+      this.server.closeAllConnections?.();
+      this.server = null;
+    });
+  }
+
+  handleRequest(req, res) {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.method !== 'POST' || !req.url.startsWith('/subscribe')) {
+        res.writeHead(404);
+        return res.end();
+      }
+
+      const params = Object.fromEntries(new URLSearchParams(body).entries());
+      this.requests.push(params);
+
+      res.writeHead(202);
+      res.end();
+
+      this.verifyIntent(params);
+    });
+  }
+
+  async verifyIntent(params) {
+    const challenge = crypto.randomBytes(8).toString('hex');
+
+    try {
+      const response = await axios.get(params['hub.callback'], {
+        params: {
+          'hub.mode': params['hub.mode'],
+          'hub.topic': params['hub.topic'],
+          'hub.challenge': challenge,
+          'hub.lease_seconds': params['hub.lease_seconds']
+        },
+        responseType: 'text',
+        validateStatus: () => true
+      });
+
+      const verified = response.status === 200 && response.data === challenge;
+      if (verified) {
+        this.subscriptions.set(params['hub.topic'], {
+          callback: params['hub.callback'],
+          secret: params['hub.secret'],
+          leaseSeconds: parseInt(params['hub.lease_seconds'])
+        });
+      }
+
+      this.emit(verified ? 'verified' : 'verificationFailed', params);
+    } catch (error) {
+      this.emit('verificationFailed', params, error);
+    }
+  }
+
+  // Deliver a notification; pass a secret to simulate a forged signature
+  async publish(topic, xml, secret) {
+    const subscription = this.subscriptions.get(topic);
+    if (!subscription) throw new Error(`No verified subscription for ${topic}`);
+
+    const signature = crypto
+      .createHmac('sha1', secret || subscription.secret)
+      .update(xml)
+      .digest('hex');
+
+    const response = await axios.post(subscription.callback, xml, {
+      headers: {
+        'Content-Type': 'application/atom+xml',
+        'X-Hub-Signature': `sha1=${signature}`
+      },
+      validateStatus: () => true
+    });
+
+    return response.status;
+  }
+}
+
+module.exports = StubWebSubHub;
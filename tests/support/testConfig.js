@@ -0,0 +1,43 @@
+/**
+ * Shared helpers for integration tests that run the real bot
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/config');
+
+// A copy of the app config pointed at nothing real: fake credentials, port 0
+// and short timings so tests run quickly and hermetically
+function createTestConfig(overrides) {
+  return Object.assign(Object.create(Object.getPrototypeOf(config)), config, {
+    YOUTUBE_API_KEY: 'fake-key',
+    YOUTUBE_CLIENT_ID: 'fake-client',
+    YOUTUBE_CLIENT_SECRET: 'fake-secret',
+    OAUTH_TOKENS: JSON.stringify({ access_token: 'fake-token', expiry_date: Date.now() + 3600000 }),
+    OWNER_USERNAME: '',
+    MODERATORS: '',
+    PORT: 0,
+    STREAM_START_HOUR: 0,
+    STREAM_END_HOUR: 23,
+    MIN_POLL_INTERVAL: 50,
+    MESSAGE_MIN_DELAY: 10,
+    MESSAGE_MAX_DELAY: 50,
+    GLOBAL_RESPONSE_COOLDOWN: 1,
+    USER_RESPONSE_COOLDOWN: 1,
+    DATA_DIR: createDataDir(),
+    RAILWAY_PUBLIC_DOMAIN: undefined,
+    RENDER_EXTERNAL_URL: undefined
+  }, overrides);
+}
+
+// Fresh directory per config so persisted state never leaks between tests
+function createDataDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'yt-bot-test-'));
+}
+
+function waitFor(emitter, event) {
+  return new Promise(resolve => emitter.once(event, resolve));
+}
+
+module.exports = { createTestConfig, createDataDir, waitFor };
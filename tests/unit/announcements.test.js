@@ -0,0 +1,79 @@
+/**
+ * Timed announcements: interval and chat activity gates, rotation and persistence
+ */
+
+const Announcements = require('../../src/bot/Announcements');
+const { INTERVALS } = require('../../src/config/constants');
+const { createDataDir } = require('../support/testConfig');
+
+function createAnnouncements(config = { YOUTUBE_CHANNEL_ID: 'UC_streamer', DATA_DIR: createDataDir() }) {
+  return new Announcements(config);
+}
+
+describe('Announcements', () => {
+  test('a timer waits for its interval and for enough chat lines, then rotates its messages', () => {
+    const announcements = createAnnouncements();
+    const start = Date.now();
+    announcements.create('socials', ['Follow the socials', 'Use !discord'], { interval: 60000, minLines: 2 });
+    announcements.reset(start);
+
+    announcements.recordLine();
+    expect(announcements.due(start + 60000)).toBeNull();
+    announcements.recordLine();
+    expect(announcements.due(start + 59999)).toBeNull();
+
+    const timer = announcements.due(start + 60000);
+    expect(timer.name).toBe('socials');
+    expect(announcements.markPosted(timer, start + 60000)).toBe('Follow the socials');
+    expect(announcements.due(start + 120000)).toBeNull();
+
+    announcements.recordLine();
+    announcements.recordLine();
+    expect(announcements.markPosted(announcements.due(start + 120000), start + 120000)).toBe('Use !discord');
+    expect(announcements.markPosted(timer, start + 180000)).toBe('Follow the socials');
+  });
+
+  test('the timer due the longest goes first and disabled timers never do', () => {
+    const announcements = createAnnouncements();
+    const start = Date.now();
+    announcements.create('often', ['a'], { interval: 60000, minLines: 0 });
+    announcements.create('rarely', ['b'], { interval: 120000, minLines: 0 });
+    announcements.create('off', ['c'], { interval: 60000, minLines: 0, enabled: false });
+    announcements.reset(start);
+
+    expect(announcements.due(start + 120000).name).toBe('often');
+    announcements.markPosted(announcements.get('often'), start + 120000);
+    expect(announcements.due(start + 120000).name).toBe('rarely');
+  });
+
+  test('settings are validated and messages can be added and removed', () => {
+    const announcements = createAnnouncements();
+
+    expect(announcements.parseDefinition('interval=5 lines=3 enabled=off Follow us interval=9'))
+      .toEqual({ options: { interval: 300000, minLines: 3, enabled: false }, message: 'Follow us interval=9' });
+    expect(() => announcements.add('socials', 'x', { interval: 1000 })).toThrow(`interval must be at least ${INTERVALS.ANNOUNCEMENT_MIN / 60000} min`);
+    expect(() => announcements.add('bad name', 'x')).toThrow('Timer names are 1-32 letters, digits, - or _');
+    expect(() => announcements.create('empty', [])).toThrow('No message given');
+
+    announcements.add('Socials', 'one');
+    announcements.add('socials', 'two', { minLines: 4 });
+    expect(announcements.get('socials')).toMatchObject({ messages: ['one', 'two'], minLines: 4, interval: INTERVALS.ANNOUNCEMENT_DEFAULT });
+
+    expect(announcements.remove('socials', 3)).toBeNull();
+    expect(announcements.remove('socials', 1)).toBe('one');
+    expect(() => announcements.remove('socials', 1)).toThrow('Timers need at least one message');
+    expect(announcements.remove('socials')).toMatchObject({ name: 'socials' });
+    expect(announcements.list()).toEqual([]);
+  });
+
+  test('timers and their place in the rotation survive a restart', () => {
+    const config = { YOUTUBE_CHANNEL_ID: 'UC_streamer', DATA_DIR: createDataDir() };
+    const announcements = createAnnouncements(config);
+    const timer = announcements.create('socials', ['one', 'two'], { minLines: 0 }, 'Streamer');
+    announcements.markPosted(timer);
+
+    const reloaded = createAnnouncements(config);
+    expect(reloaded.get('socials')).toMatchObject({ messages: ['one', 'two'], next: 1, createdBy: 'Streamer' });
+    expect(reloaded.getStats()).toMatchObject({ timers: 1, enabled: 1 });
+  });
+});
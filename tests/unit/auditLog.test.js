@@ -0,0 +1,70 @@
+/**
+ * Audit log: append-only JSON lines, reloading, filtering and corrupt lines
+ */
+
+const fs = require('fs');
+const AuditLog = require('../../src/services/AuditLog');
+const { createDataDir } = require('../support/testConfig');
+
+function createLog(dataDir = createDataDir()) {
+  return new AuditLog({ DATA_DIR: dataDir, YOUTUBE_CHANNEL_ID: 'UC_test', BOT_NAME: 'TestBot' });
+}
+
+const owner = { authorDetails: { channelId: 'UC_owner', displayName: 'Streamer' } };
+
+describe('AuditLog', () => {
+  test('records commands with actor, arguments and result', () => {
+    const log = createLog();
+    const entry = log.recordCommand(owner, 'owner', '  !Game  minecraft java ', '🎮 Game set to: minecraft java');
+
+    expect(entry).toMatchObject({
+      channelId: 'UC_test',
+      type: 'command',
+      actor: { channelId: 'UC_owner', displayName: 'Streamer', permissionLevel: 'owner' },
+      command: '!game',
+      args: 'minecraft java',
+      result: '🎮 Game set to: minecraft java'
+    });
+    expect(new Date(entry.timestamp).getTime()).not.toBeNaN();
+  });
+
+  test('records moderation as the bot, including failures and dry runs', () => {
+    const log = createLog();
+    const moderation = { action: 'timeout', author: 'Mallory', authorChannelId: 'UC_mallory', messageId: 'm1', text: 'spam', signal: 'spam', detail: null, duration: 300, strikes: 2, dryRun: false, error: null };
+
+    expect(log.recordModeration(moderation)).toMatchObject({
+      type: 'moderation',
+      actor: { channelId: null, displayName: 'TestBot', permissionLevel: 'system' },
+      command: 'timeout',
+      args: { target: 'Mallory', targetChannelId: 'UC_mallory', signal: 'spam', duration: 300, strikes: 2 },
+      result: 'ok'
+    });
+    expect(log.recordModeration({ ...moderation, error: 'Quota reserve reached' }).result).toBe('failed: Quota reserve reached');
+    expect(log.recordModeration({ ...moderation, dryRun: true }).result).toBe('dry run');
+  });
+
+  test('only ever appends and reloads from disk, newest first', () => {
+    const dataDir = createDataDir();
+    const log = createLog(dataDir);
+    log.recordCommand(owner, 'owner', '!mood hyped', '😊 Mood set to: hyped');
+    log.recordModeration({ action: 'delete', author: 'Mallory', signal: 'link', dryRun: false, error: null });
+    const firstLine = fs.readFileSync(log.filePath, 'utf8').split('\n')[0];
+
+    log.recordCommand(owner, 'owner', '!shutdown', '🛑 Bot shutting down gracefully... Goodbye!');
+    expect(fs.readFileSync(log.filePath, 'utf8').split('\n')[0]).toBe(firstLine);
+
+    const reloaded = createLog(dataDir);
+    expect(reloaded.query().map(entry => entry.command)).toEqual(['!shutdown', 'delete', '!mood']);
+    expect(reloaded.query({ type: 'moderation' })).toHaveLength(1);
+    expect(reloaded.getLatest(2).map(entry => entry.command)).toEqual(['!shutdown', 'delete']);
+  });
+
+  test('skips corrupt lines instead of losing the whole log', () => {
+    const log = createLog();
+    log.recordCommand(owner, 'owner', '!ping', '🏓 Pong!');
+    fs.appendFileSync(log.filePath, '{"truncated\n');
+    log.recordCommand(owner, 'owner', '!status', '🤖 Bot: Active');
+
+    expect(log.query().map(entry => entry.command)).toEqual(['!status', '!ping']);
+  });
+});
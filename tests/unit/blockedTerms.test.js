@@ -0,0 +1,84 @@
+/**
+ * Blocked terms: matching, normalisation, severities, exemptions and persistence
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BlockedTermsFilter = require('../../src/bot/BlockedTermsFilter');
+
+const { normalize } = BlockedTermsFilter;
+
+function chatMessage(text, authorDetails = {}) {
+  return { snippet: { displayMessage: text }, authorDetails: { displayName: 'Viewer', ...authorDetails } };
+}
+
+describe('BlockedTermsFilter', () => {
+  let config;
+  let filter;
+
+  beforeEach(() => {
+    config = {
+      DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'yt-bot-terms-')),
+      YOUTUBE_CHANNEL_ID: 'UC_test',
+      MODERATION_TIMEOUT_SECONDS: 300
+    };
+    filter = new BlockedTermsFilter(config);
+  });
+
+  afterEach(() => {
+    fs.rmSync(config.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('normalises leetspeak, look-alike letters, accents and spaced-out words', () => {
+    expect(normalize('Hello!!!')).toBe('hello');
+    expect(normalize('sh!t h4ppens')).toBe('shit happens');
+    expect(normalize('ЅРАМ bot')).toBe('spam bot');
+    expect(normalize('Crème brûlée')).toBe('creme brulee');
+    expect(normalize('s.p.a.m now')).toBe('spam now');
+  });
+
+  test('matches exact terms as whole words only', () => {
+    filter.add('spam');
+
+    expect(filter.match(chatMessage('total SP4M here'))).toMatchObject({ action: 'delete', detail: 'spam' });
+    expect(filter.match(chatMessage('spammer'))).toBeNull();
+  });
+
+  test('supports wildcards and regex terms, and picks the most severe hit', () => {
+    filter.add({ pattern: 'idiot*', severity: 'warn' });
+    filter.add({ pattern: 'fr*e v?bucks', severity: 'ban' });
+    filter.add({ pattern: '/bit\\.ly\\/\\w+/', severity: 'timeout', duration: 60 });
+
+    expect(filter.match(chatMessage('what an !diotic play'))).toMatchObject({ action: 'warn' });
+    expect(filter.match(chatMessage('see bit.ly/xyz'))).toEqual({ action: 'timeout', duration: 60, detail: '/bit\\.ly\\/\\w+/' });
+    expect(filter.match(chatMessage('idiots: frEE v1bucks at bit.ly/xyz'))).toMatchObject({ action: 'ban' });
+  });
+
+  test('skips authors exempted for a term', () => {
+    filter.add({ pattern: 'gg ez', severity: 'warn', exempt: ['member', '@Rival'] });
+
+    expect(filter.match(chatMessage('gg ez'))).toMatchObject({ action: 'warn' });
+    expect(filter.match(chatMessage('gg ez', { isChatSponsor: true }))).toBeNull();
+    expect(filter.match(chatMessage('gg ez', { displayName: '@rival' }))).toBeNull();
+  });
+
+  test('rejects bad terms', () => {
+    expect(() => filter.add('***')).toThrow(/letter or digit/);
+    expect(() => filter.add('/(/')).toThrow(/Invalid regex/);
+    expect(() => filter.add({ pattern: 'x', severity: 'nuke' })).toThrow(/Unknown severity/);
+    expect(() => filter.add({ pattern: 'x', exempt: ['vip'] })).toThrow(/Unknown exemption/);
+  });
+
+  test('persists changes and prefers them over the configured seed list', () => {
+    const seeded = new BlockedTermsFilter({ ...config, BLOCKED_TERMS: ['seeded'] });
+    expect(seeded.list().map(term => term.pattern)).toEqual(['seeded']);
+
+    seeded.add({ pattern: 'gg ez', severity: 'warn' }, 'Owner');
+    seeded.remove('seeded');
+
+    const reloaded = new BlockedTermsFilter({ ...config, BLOCKED_TERMS: ['seeded'] });
+    expect(reloaded.list()).toEqual([expect.objectContaining({ pattern: 'gg ez', severity: 'warn', addedBy: 'Owner' })]);
+    expect(reloaded.match(chatMessage('GG E Z'))).toMatchObject({ action: 'warn' });
+  });
+});
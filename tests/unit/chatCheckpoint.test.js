@@ -0,0 +1,71 @@
+/**
+ * Persisted chat position: resume, duplicate and backlog filtering
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChatCheckpoint = require('../../src/bot/ChatCheckpoint');
+
+function chatMessage(id, publishedAt = new Date().toISOString()) {
+  return { id, snippet: { publishedAt } };
+}
+
+describe('ChatCheckpoint', () => {
+  let config;
+  let checkpoint;
+
+  beforeEach(() => {
+    config = {
+      DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'yt-bot-checkpoint-')),
+      YOUTUBE_CHANNEL_ID: 'UC_test',
+      CHAT_MAX_MESSAGE_AGE: 60000
+    };
+    checkpoint = new ChatCheckpoint(config);
+  });
+
+  afterEach(() => {
+    checkpoint.clear();
+    fs.rmSync(config.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('accepts each message once', () => {
+    checkpoint.resume('chat-1', 'video-1');
+
+    expect(checkpoint.accept(chatMessage('a'))).toBe(true);
+    expect(checkpoint.accept(chatMessage('a'))).toBe(false);
+    expect(checkpoint.getStats()).toMatchObject({ seenMessages: 1, skippedMessages: 1 });
+  });
+
+  test('skips messages from before the connection or past the max age', () => {
+    checkpoint.resume('chat-1', 'video-1');
+    checkpoint.connectedAt = new Date(Date.now() - 5 * 60000).toISOString();
+
+    expect(checkpoint.accept(chatMessage('before', new Date(Date.now() - 10 * 60000).toISOString()))).toBe(false);
+    expect(checkpoint.accept(chatMessage('stale', new Date(Date.now() - 2 * 60000).toISOString()))).toBe(false);
+    expect(checkpoint.accept(chatMessage('fresh'))).toBe(true);
+  });
+
+  test('restores page token and seen IDs for the same chat only', () => {
+    checkpoint.resume('chat-1', 'video-1');
+    checkpoint.accept(chatMessage('a'));
+    checkpoint.updatePageToken('page-7');
+    checkpoint.save();
+
+    const restarted = new ChatCheckpoint(config);
+    expect(restarted.resume('chat-1', 'video-1')).toBe('page-7');
+    expect(restarted.accept(chatMessage('a'))).toBe(false);
+
+    const newStream = new ChatCheckpoint(config);
+    expect(newStream.resume('chat-2', 'video-2')).toBeNull();
+    expect(newStream.accept(chatMessage('a'))).toBe(true);
+  });
+
+  test('forgets everything once the chat has ended', () => {
+    checkpoint.resume('chat-1', 'video-1');
+    checkpoint.updatePageToken('page-3');
+    checkpoint.clear();
+
+    expect(new ChatCheckpoint(config).resume('chat-1', 'video-1')).toBeNull();
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Typed supporter events and their thank-you responses
+ */
+
+const ChatEventParser = require('../../src/bot/ChatEventParser');
+const ResponseGenerator = require('../../src/bot/ResponseGenerator');
+
+function chatMessage(type, details = {}) {
+  return {
+    id: 'msg-1',
+    snippet: { type, displayMessage: 'display text', ...details },
+    authorDetails: { displayName: 'Frank', channelId: 'UC_frank' }
+  };
+}
+
+describe('ChatEventParser', () => {
+  const parser = new ChatEventParser();
+
+  test('reads amount, currency, tier and comment from a Super Chat', () => {
+    const event = parser.parse(chatMessage('superChatEvent', {
+      superChatDetails: { amountMicros: '2500000', currency: 'EUR', amountDisplayString: '€2.50', userComment: 'gg', tier: 1 }
+    }));
+
+    expect(event).toMatchObject({
+      name: 'superChat',
+      isSupporterEvent: true,
+      author: 'Frank',
+      channelId: 'UC_frank',
+      amount: 2.5,
+      currency: 'EUR',
+      amountDisplay: '€2.50',
+      tier: 1,
+      message: 'gg'
+    });
+  });
+
+  test('reads membership milestones and gifts', () => {
+    const milestone = parser.parse(chatMessage('memberMilestoneChatEvent', {
+      memberMilestoneChatDetails: { memberLevelName: 'Gold', memberMonth: 12, userComment: 'one year!' }
+    }));
+    const gift = parser.parse(chatMessage('membershipGiftingEvent', {
+      membershipGiftingDetails: { giftMembershipsCount: 10, giftMembershipsLevelName: 'Gold' }
+    }));
+
+    expect(milestone).toMatchObject({ name: 'memberMilestone', level: 'Gold', months: 12, message: 'one year!' });
+    expect(gift).toMatchObject({ name: 'membershipGift', level: 'Gold', count: 10 });
+  });
+
+  test('leaves plain text messages alone', () => {
+    const event = parser.parse(chatMessage('textMessageEvent', { textMessageDetails: { messageText: 'hi' } }));
+
+    expect(event).toMatchObject({ name: 'textMessage', isSupporterEvent: false, message: 'hi' });
+  });
+});
+
+describe('ResponseGenerator supporter thanks', () => {
+  test('fills the template for the event type', () => {
+    const generator = new ResponseGenerator({
+      supporterThanks: { superChat: 'Thanks {user} for {amount}!' }
+    });
+
+    const thanks = generator.generateSupporterThanks({ name: 'superChat', author: 'Frank', amountDisplay: '$5.00', amount: 5 });
+
+    expect(thanks).toBe('Thanks Frank for $5.00!');
+  });
+
+  test('stays quiet for event types without templates', () => {
+    const generator = new ResponseGenerator();
+
+    expect(generator.generateSupporterThanks({ name: 'giftMembershipReceived', author: 'Frank' })).toBeNull();
+  });
+});
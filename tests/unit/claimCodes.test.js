@@ -0,0 +1,68 @@
+/**
+ * One-time claim codes: expiry, single use and the wrong-guess limit
+ */
+
+const ClaimCodes = require('../../src/bot/ClaimCodes');
+const logger = require('../../src/utils/logger');
+const { PERMISSION_LEVELS, LIMITS } = require('../../src/config/constants');
+
+function createClaimCodes() {
+  return new ClaimCodes({ YOUTUBE_CHANNEL_ID: 'UC_streamer', CLAIM_CODE_TTL: 60000 });
+}
+
+describe('ClaimCodes', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a code works once, in any case', () => {
+    const codes = createClaimCodes();
+    const { code } = codes.create(PERMISSION_LEVELS.MODERATOR, 'Streamer');
+
+    expect(code).toMatch(/^[0-9A-F]{8}$/);
+    expect(codes.redeem(` ${code.toLowerCase()} `)).toMatchObject({ level: PERMISSION_LEVELS.MODERATOR, createdBy: 'Streamer' });
+    expect(codes.redeem(code)).toBeNull();
+  });
+
+  test('codes are never written to the logs', () => {
+    const codes = createClaimCodes();
+    const logged = [];
+    ['debug', 'info', 'warn', 'error'].forEach(level => jest.spyOn(logger, level).mockImplementation((...args) => logged.push(args.join(' '))));
+
+    const { code } = codes.create(PERMISSION_LEVELS.OWNER, 'Streamer');
+    codes.ensure(PERMISSION_LEVELS.MODERATOR);
+    codes.redeem(code);
+
+    expect(logged).toContain('🔑 New owner claim code for UC_streamer (valid 1 min)');
+    expect(logged.join('\n')).not.toContain(code);
+  });
+
+  test('redact hides the code in "!claim <code>" but not a request for a new one', () => {
+    expect(ClaimCodes.redact(' !CLAIM 1a2b3c4d')).toBe(' !CLAIM [redacted]');
+    expect(ClaimCodes.redact('!claim new owner')).toBe('!claim new owner');
+    expect(ClaimCodes.redact('!claim')).toBe('!claim');
+    expect(ClaimCodes.redact('I claim 1a2b3c4d')).toBe('I claim 1a2b3c4d');
+  });
+
+  test('ensure reuses the pending code for a level until it expires', () => {
+    const codes = createClaimCodes();
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    const owner = codes.ensure(PERMISSION_LEVELS.OWNER);
+    expect(codes.ensure(PERMISSION_LEVELS.OWNER).code).toBe(owner.code);
+    expect(codes.ensure(PERMISSION_LEVELS.MODERATOR).code).not.toBe(owner.code);
+
+    Date.now.mockReturnValue(now + 60000);
+    expect(codes.redeem(owner.code)).toBeNull();
+    expect(codes.pending()).toEqual([]);
+  });
+
+  test('too many wrong guesses throw away every pending code', () => {
+    const codes = createClaimCodes();
+    const { code } = codes.create(PERMISSION_LEVELS.OWNER);
+
+    for (let i = 0; i < LIMITS.CLAIM_MAX_FAILURES; i++) {
+      expect(codes.redeem('00000000')).toBeNull();
+    }
+    expect(codes.redeem(code)).toBeNull();
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Command permissions: built-in roles, inheritance, custom roles and assignments,
+ * and new commands reaching their default role in an existing file
+ */
+
+const CommandPermissions = require('../../src/bot/CommandPermissions');
+const { createDataDir } = require('../support/testConfig');
+
+// What the command registry declares for the built-in roles
+const DEFAULT_COMMANDS = {
+  user: ['help'],
+  moderator: ['status', 'permit', 'filter'],
+  owner: ['say', 'shutdown']
+};
+
+function createPermissions(overrides = {}, defaults = DEFAULT_COMMANDS) {
+  return new CommandPermissions({ DATA_DIR: createDataDir(), YOUTUBE_CHANNEL_ID: 'UC_test', ...overrides }, defaults);
+}
+
+const viewer = channelId => ({ authorDetails: { channelId } });
+
+describe('CommandPermissions', () => {
+  test('built-in roles inherit down the chain and the owner may run anything', () => {
+    const permissions = createPermissions();
+
+    expect(permissions.canRun(['user'], 'help')).toBe(true);
+    expect(permissions.canRun(['user'], 'status')).toBe(false);
+    expect(permissions.canRun(['member'], '!help')).toBe(true);
+    expect(permissions.canRun(['moderator'], 'filter')).toBe(true);
+    expect(permissions.canRun(['moderator'], 'shutdown')).toBe(false);
+    expect(permissions.canRun(['owner'], 'shutdown')).toBe(true);
+    expect(permissions.filterCommands(['moderator'], ['status', 'say', 'help'])).toEqual(['status', 'help']);
+  });
+
+  test('custom roles add commands to the chatters they are assigned to', () => {
+    const permissions = createPermissions();
+    permissions.createRole('Trusted');
+    permissions.allow('trusted', '!permit');
+    permissions.assign('UC_bob', 'Bob', 'trusted');
+
+    const roles = permissions.getRoles(viewer('UC_bob'), 'user');
+    expect(roles).toEqual(['user', 'trusted']);
+    expect(permissions.canRun(roles, 'permit')).toBe(true);
+    expect(permissions.canRun(permissions.getRoles(viewer('UC_carol'), 'user'), 'permit')).toBe(false);
+
+    expect(() => permissions.assign('UC_bob', 'Bob', 'moderator')).toThrow(/comes from YouTube/);
+    expect(() => permissions.createRole('trusted')).toThrow(/already exists/);
+    expect(() => permissions.createRole('vip', 'nobody')).toThrow(/Unknown role nobody/);
+
+    expect(permissions.unassign('UC_bob', 'trusted')).toBe(true);
+    expect(permissions.getRoles(viewer('UC_bob'), 'user')).toEqual(['user']);
+  });
+
+  test('deleting a role removes it from assignments and re-parents its children', () => {
+    const permissions = createPermissions();
+    permissions.createRole('trusted', 'member');
+    permissions.createRole('vip', 'trusted');
+    permissions.assign('UC_bob', 'Bob', 'trusted');
+
+    permissions.deleteRole('trusted');
+
+    expect(permissions.roles.vip.inherits).toBe('user');
+    expect(permissions.getRoles(viewer('UC_bob'), 'user')).toEqual(['user']);
+    expect(() => permissions.deleteRole('owner')).toThrow(/built-in/);
+  });
+
+  test('writes the defaults to the file on first start and reads hand edits back', () => {
+    const dataDir = createDataDir();
+    const permissions = createPermissions({ DATA_DIR: dataDir });
+    expect(permissions.store.read().roles.moderator.commands).toContain('filter');
+
+    permissions.store.write({
+      roles: { user: { commands: ['help', 'ping'] }, trusted: { inherits: 'ghost', commands: ['permit'] } },
+      assignments: {}
+    });
+    const reloaded = createPermissions({ DATA_DIR: dataDir });
+
+    expect(reloaded.canRun(['user'], 'ping')).toBe(true);
+    expect(reloaded.roles.owner.commands).toEqual(['*']);
+    expect(reloaded.roles.trusted.inherits).toBeNull();
+  });
+
+  test('PERMISSIONS_FILE points every channel at one shared file', () => {
+    const file = `${createDataDir()}/permissions.json`;
+    const first = createPermissions({ PERMISSIONS_FILE: file, YOUTUBE_CHANNEL_ID: 'UC_one' });
+    first.createRole('trusted');
+
+    expect(createPermissions({ PERMISSIONS_FILE: file, YOUTUBE_CHANNEL_ID: 'UC_two' }).roles.trusted).toBeDefined();
+  });
+
+  test('commands added in a later version join their default role, denied ones stay denied', () => {
+    const dataDir = createDataDir();
+    const permissions = createPermissions({ DATA_DIR: dataDir });
+    permissions.deny('moderator', 'filter');
+
+    const upgraded = createPermissions({ DATA_DIR: dataDir }, { ...DEFAULT_COMMANDS, user: ['help', 'nowplaying'], owner: ['say', 'shutdown', 'shadow'] });
+
+    expect(upgraded.roles.user.commands).toEqual(['help', 'nowplaying']);
+    expect(upgraded.roles.moderator.commands).toEqual(['status', 'permit']);
+    expect(upgraded.roles.owner.commands).toEqual(['*']);
+    expect(upgraded.store.read().knownCommands).toEqual(expect.arrayContaining(['nowplaying', 'shadow', 'filter']));
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Command registry: parsing with case and quotes kept, argument schemas,
+ * aliases, cooldowns and suggestions
+ */
+
+const CommandRegistry = require('../../src/bot/CommandRegistry');
+
+function createRegistry() {
+  const registry = new CommandRegistry();
+  registry.register({ name: 'say', args: [{ name: 'message', type: 'text' }], handler: args => args.message });
+  registry.register({
+    name: 'Poll',
+    aliases: ['vote'],
+    role: 'moderator',
+    args: [{ name: 'seconds', type: 'number' }, { name: 'question', type: 'word' }, { name: 'mode', choices: ['single', 'multi'], required: false }],
+    cooldown: { user: 1000, global: 500 },
+    handler: () => 'ok'
+  });
+  registry.register({ name: 'help', role: 'user', handler: () => 'help' });
+  return registry;
+}
+
+describe('CommandRegistry', () => {
+  test('parses names case-insensitively but keeps the arguments as typed', () => {
+    const registry = createRegistry();
+    const parsed = registry.parse('  !SAY Hello "Big" World  ');
+
+    expect(parsed).toMatchObject({ name: 'say', rawArgs: 'Hello "Big" World' });
+    expect(parsed.command.name).toBe('say');
+    expect(registry.bindArgs(parsed.command, parsed.rawArgs)).toEqual({ args: { message: 'Hello "Big" World' } });
+    expect(registry.bindArgs(parsed.command, '"Just This"')).toEqual({ args: { message: 'Just This' } });
+    expect(registry.parse('hello !say')).toBeNull();
+    expect(registry.parse('!nothing here')).toMatchObject({ name: 'nothing', command: null });
+  });
+
+  test('binds arguments to the schema and explains what is wrong', () => {
+    const registry = createRegistry();
+    const poll = registry.get('!VOTE');
+
+    expect(poll.name).toBe('poll');
+    expect(registry.bindArgs(poll, '30 "Best map?" MULTI')).toEqual({ args: { seconds: 30, question: 'Best map?', mode: 'multi' } });
+    expect(registry.bindArgs(poll, "30 'Best map?'")).toEqual({ args: { seconds: 30, question: 'Best map?' } });
+    expect(registry.bindArgs(poll, 'soon "Best map?"')).toEqual({ error: 'seconds must be a number' });
+    expect(registry.bindArgs(poll, '30')).toEqual({ error: 'Missing question' });
+    expect(registry.bindArgs(poll, '30 q both')).toEqual({ error: 'mode must be single, multi' });
+    expect(registry.usage(poll)).toBe('!poll <seconds> <question> [single|multi]');
+    expect(registry.usage(registry.get('say'))).toBe('!say <message...>');
+  });
+
+  test('keeps per-user and global cooldowns', () => {
+    const registry = createRegistry();
+    const poll = registry.get('poll');
+
+    registry.recordUse(poll, 'UC_bob', 10000);
+    expect(registry.getCooldown(poll, 'UC_bob', 10200)).toBe(800);
+    expect(registry.getCooldown(poll, 'UC_carol', 10200)).toBe(300);
+    expect(registry.getCooldown(poll, 'UC_carol', 10500)).toBe(0);
+
+    registry.cleanup(11000);
+    expect(registry.getCooldown(poll, 'UC_bob', 11000)).toBe(0);
+    expect(registry.getCooldown(registry.get('help'), 'UC_bob')).toBe(0);
+  });
+
+  test('rejects clashing names and suggests the closest allowed command', () => {
+    const registry = createRegistry();
+
+    expect(() => registry.register({ name: 'vote', handler: () => null })).toThrow(/already registered/);
+    expect(() => registry.register({ name: 'bad', args: [{ name: 'rest', type: 'text' }, { name: 'more' }], handler: () => null })).toThrow(/must be last/);
+
+    expect(registry.suggest('hepl')).toBe('help');
+    expect(registry.suggest('vot')).toBe('vote');
+    expect(registry.suggest('vot', ['help'])).toBeNull();
+    expect(registry.getDefaultRoles()).toEqual({ owner: ['say'], moderator: ['poll'], user: ['help'] });
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Custom text commands: settings parsing, variables and persistence
+ */
+
+const CustomCommands = require('../../src/bot/CustomCommands');
+const { createDataDir } = require('../support/testConfig');
+
+function createCustomCommands(config = { YOUTUBE_CHANNEL_ID: 'UC_streamer', DATA_DIR: createDataDir() }) {
+  return new CustomCommands(config, { isReserved: name => name === 'help' });
+}
+
+describe('CustomCommands', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('leading key=value words are settings, the rest is the response', () => {
+    const commands = createCustomCommands();
+
+    expect(commands.parseDefinition('role=Member cooldown=30 usercooldown=5s Join at https://x.y role=owner'))
+      .toEqual({ options: { role: 'member', global: 30000, user: 5000 }, response: 'Join at https://x.y role=owner' });
+    expect(commands.parseDefinition('enabled=off')).toEqual({ options: { enabled: false }, response: '' });
+    expect(commands.parseDefinition('x=1 hi')).toEqual({ options: {}, response: 'x=1 hi' });
+    expect(() => commands.parseDefinition('cooldown=soon hi')).toThrow('cooldown must be a number of seconds');
+  });
+
+  test('names are checked against built-ins and existing commands', () => {
+    const commands = createCustomCommands();
+    commands.add('Discord', 'https://discord.gg/x');
+
+    expect(() => commands.add('!discord', 'again')).toThrow('!discord already exists, use !editcmd');
+    expect(() => commands.add('help', 'mine')).toThrow('!help is a built-in command');
+    expect(() => commands.add('no spaces', 'x')).toThrow('Command names are 1-32 letters, digits, - or _');
+    expect(() => commands.add('long', 'x'.repeat(201))).toThrow('Responses are at most 200 characters');
+    expect(() => commands.edit('discord')).toThrow('Nothing to change');
+  });
+
+  test('variables are filled in and unknown ones stay as typed', () => {
+    const commands = createCustomCommands();
+    const command = commands.add('hug', '${user} hugs ${TOUSER} (#${count}) ${random 5-5} ${random} ${nope} ${game}');
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+
+    expect(commands.render(command, { user: 'Bob', touser: 'Carol', count: 3, game: null }))
+      .toBe('Bob hugs Carol (#3) 5 1 ${nope} ${game}');
+    expect(commands.random('10-1')).toBe(1);
+    expect(commands.random('6')).toBe(1);
+  });
+
+  test('commands, settings and counts survive a restart', () => {
+    const config = { YOUTUBE_CHANNEL_ID: 'UC_streamer', DATA_DIR: createDataDir() };
+    const commands = createCustomCommands(config);
+    commands.add('rules', 'Be nice', { role: 'member', user: 60000 }, 'Dana');
+    commands.edit('rules', 'Be nice, ${user}', { enabled: false, global: 0 });
+    commands.recordUse(commands.get('rules'));
+    commands.add('gone', 'bye');
+    expect(commands.remove('!gone')).toMatchObject({ name: 'gone' });
+
+    const reloaded = createCustomCommands(config);
+    expect(reloaded.list()).toEqual([expect.objectContaining({
+      name: 'rules',
+      response: 'Be nice, ${user}',
+      role: 'member',
+      cooldown: { user: 60000, global: 0 },
+      enabled: false,
+      count: 1,
+      createdBy: 'Dana'
+    })]);
+    expect(reloaded.getStats()).toMatchObject({ commands: 1, enabled: 0, uses: 1 });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Flood detection: duplicate text across chatters, new-chatter bursts,
+ * defensive mode and leaving it once chat calms down
+ */
+
+const FloodDetector = require('../../src/bot/FloodDetector');
+const MessageAnalyzer = require('../../src/bot/MessageAnalyzer');
+
+let nextId = 0;
+function chatMessage(text, author, roles = {}) {
+  return {
+    id: `msg${++nextId}`,
+    snippet: { displayMessage: text },
+    authorDetails: { displayName: author, channelId: `UC_${author}`, ...roles }
+  };
+}
+
+function createDetector(overrides = {}) {
+  return new FloodDetector({
+    ENABLE_FLOOD_DETECTION: true,
+    FLOOD_WINDOW: 10000,
+    FLOOD_MESSAGE_THRESHOLD: 10,
+    FLOOD_NEW_CHATTER_RATIO: 0.6,
+    FLOOD_DUPLICATE_THRESHOLD: 4,
+    FLOOD_SIMILARITY: 0.8,
+    FLOOD_COOLDOWN: 30000,
+    FLOOD_WARMUP: 60000,
+    FLOOD_DELETE_DUPLICATES: true,
+    ...overrides
+  });
+}
+
+describe('FloodDetector', () => {
+  let detector;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    detector.stop();
+    jest.useRealTimers();
+  });
+
+  test('near-identical messages from different chatters start a flood', () => {
+    detector = createDetector();
+    const started = jest.fn();
+    detector.on('floodStarted', started);
+
+    detector.record(chatMessage('FREE SUBS at spamsite', 'raider1'));
+    detector.record(chatMessage('free subs at spamsite!!!', 'raider2'));
+    detector.record(chatMessage('F R E E subsss at spamsite', 'raider3'));
+    expect(detector.isDefensive()).toBe(false);
+
+    const copy = chatMessage('free subs at spam site', 'raider4');
+    detector.record(copy);
+
+    expect(detector.isDefensive()).toBe(true);
+    expect(started).toHaveBeenCalledWith(expect.objectContaining({ reason: '4 chatters posted the same message' }));
+    expect(detector.checkDuplicate(copy)).toBe(true);
+    expect(detector.checkDuplicate(chatMessage('what rank are you?', 'bob'))).toBe(false);
+  });
+
+  test('one chatter repeating themselves, owners and moderators are not a flood', () => {
+    detector = createDetector();
+
+    for (let i = 0; i < 5; i++) {
+      detector.record(chatMessage('GG GG GG', 'hypeguy'));
+      detector.record(chatMessage('GG GG GG', 'mod', { isChatModerator: true }));
+    }
+
+    expect(detector.isDefensive()).toBe(false);
+    expect(detector.getStats().messagesInWindow).toBe(5);
+  });
+
+  test('a burst of brand-new chatters counts only after the warm-up', () => {
+    detector = createDetector();
+    const greetings = ['hi', 'hello', 'hey all', 'yo', 'sup chat', 'good evening', 'first', 'hiya', 'howdy', 'o7'];
+    greetings.forEach((text, i) => detector.record(chatMessage(text, `early${i}`)));
+    expect(detector.isDefensive()).toBe(false);
+
+    jest.advanceTimersByTime(60000);
+    greetings.forEach((text, i) => detector.record(chatMessage(text, `raider${i}`)));
+
+    expect(detector.isDefensive()).toBe(true);
+    expect(detector.getStats()).toMatchObject({ newChattersInWindow: 10, floods: 1 });
+    expect(detector.getStats().reason).toMatch(/10 messages in 10s, 100% from new chatters/);
+  });
+
+  test('leaves defensive mode once chat has been calm for the cooldown', () => {
+    detector = createDetector();
+    const ended = jest.fn();
+    detector.on('floodEnded', ended);
+
+    for (let i = 0; i < 4; i++) detector.record(chatMessage('join my discord', `raider${i}`));
+    expect(detector.isDefensive()).toBe(true);
+
+    // Still flooding 20s in, so the cooldown restarts from here
+    jest.advanceTimersByTime(20000);
+    for (let i = 4; i < 8; i++) detector.record(chatMessage('join my discord', `raider${i}`));
+    jest.advanceTimersByTime(20000);
+    expect(detector.isDefensive()).toBe(true);
+
+    jest.advanceTimersByTime(10000);
+    expect(detector.isDefensive()).toBe(false);
+    expect(ended).toHaveBeenCalledWith({ duration: 50000 });
+    expect(detector.getStats()).toMatchObject({ defensive: false, floods: 1, messagesInWindow: 0 });
+  });
+
+  test('duplicates are only flagged for deletion when enabled', () => {
+    detector = createDetector({ FLOOD_DELETE_DUPLICATES: false });
+    const messages = [0, 1, 2, 3].map(i => chatMessage('join my discord', `raider${i}`));
+    messages.forEach(message => detector.record(message));
+
+    expect(detector.isDefensive()).toBe(true);
+    expect(detector.checkDuplicate(messages[3])).toBe(false);
+  });
+
+  test('strict spam detection catches milder spam', () => {
+    detector = createDetector();
+    const analyzer = new MessageAnalyzer();
+
+    expect(analyzer.detectSpam('GOOO team')).toBe(false);
+    expect(analyzer.detectSpam('GOOO team', { strict: true })).toBe(true);
+    expect(analyzer.detectSpam('what rank are you?', { strict: true })).toBe(false);
+  });
+});
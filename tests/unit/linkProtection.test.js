@@ -0,0 +1,60 @@
+/**
+ * Link protection: detection of plain and obfuscated links, allowlist and permits
+ */
+
+const LinkProtection = require('../../src/bot/LinkProtection');
+
+function chatMessage(text, displayName = 'Viewer', channelId = `UC_${displayName.toLowerCase()}`) {
+  return { snippet: { displayMessage: text }, authorDetails: { displayName, channelId } };
+}
+
+describe('LinkProtection', () => {
+  let links;
+
+  beforeEach(() => {
+    links = new LinkProtection({
+      LINK_ALLOWLIST: 'youtube.com, youtu.be',
+      LINK_EXEMPT: 'owner,moderator',
+      LINK_PERMIT_SECONDS: 60
+    });
+  });
+
+  test('finds URLs, bare domains and obfuscated links', () => {
+    expect(links.findLinks('see https://scam.example.com/login')).toEqual(['scam.example.com']);
+    expect(links.findLinks('WWW.SCAM.NET')).toEqual(['scam.net']);
+    expect(links.findLinks('free robux at robux-gen dot xyz')).toEqual(['robux-gen.xyz']);
+    expect(links.findLinks('visit freegift(dot)com or bit[.]ly/abc')).toEqual(['freegift.com', 'bit.ly']);
+    expect(links.findLinks('go to site . com')).toEqual(['site.com']);
+    expect(links.findLinks('ｓｃａｍ．ｃｏｍ')).toEqual(['scam.com']);
+  });
+
+  test('ignores text that only looks like a domain', () => {
+    expect(links.findLinks('e.g. 3.14 is pi')).toEqual([]);
+    expect(links.findLinks('mail me at bob@gmail.com')).toEqual([]);
+    expect(links.findLinks('gg wp.')).toEqual([]);
+  });
+
+  test('allows allowlisted domains and their subdomains', () => {
+    expect(links.check(chatMessage('https://www.youtube.com/watch?v=1'))).toBeNull();
+    expect(links.check(chatMessage('m.youtube.com/clip and youtu.be/x'))).toBeNull();
+    expect(links.check(chatMessage('youtube.com.scam.ru'))).toEqual({ detail: 'youtube.com.scam.ru', exempt: ['owner', 'moderator'] });
+  });
+
+  test('lets a permitted viewer post links until the window closes', () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    links.permit('UC_carol', 'Carol');
+    expect(links.check(chatMessage('my art: carol-art.com', 'Carol'))).toBeNull();
+    expect(links.check(chatMessage('my art: carol-art.com', 'Mallory'))).toMatchObject({ detail: 'carol-art.com' });
+
+    // Taking Carol's name doesn't come with her permit
+    expect(links.check(chatMessage('my art: carol-art.com', 'Carol', 'UC_mallory'))).toMatchObject({ detail: 'carol-art.com' });
+
+    Date.now.mockReturnValue(now + 61000);
+    expect(links.check(chatMessage('again: carol-art.com', 'Carol'))).toMatchObject({ detail: 'carol-art.com' });
+    expect(links.getStats().activePermits).toBe(0);
+
+    Date.now.mockRestore();
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Outbound message queue: ordering, retries, expiry and shutdown drain
+ */
+
+const OutboundQueue = require('../../src/services/OutboundQueue');
+const constants = require('../../src/config/constants');
+
+const { ADMIN, SUPPORTER, REPLY, AMBIENT } = constants.MESSAGE_PRIORITIES;
+
+function httpError(status) {
+  const error = new Error(`HTTP ${status}`);
+  error.code = status;
+  return error;
+}
+
+describe('OutboundQueue', () => {
+  let youtubeService;
+  let quotaManager;
+  let liveChatId;
+  let queue;
+
+  function createQueue(options = {}) {
+    return new OutboundQueue(youtubeService, quotaManager, {
+      getLiveChatId: () => liveChatId,
+      minDelay: 0,
+      maxDelay: 0,
+      retryDelay: 5,
+      ...options
+    });
+  }
+
+  function waitForIdle() {
+    return new Promise(resolve => {
+      const check = () => (queue.queue.length === 0 && !queue.sending ? resolve() : setTimeout(check, 5));
+      check();
+    });
+  }
+
+  beforeEach(() => {
+    liveChatId = 'chat-1';
+    youtubeService = {
+      sendMessage: jest.fn().mockResolvedValue(),
+      isTransientError: error => !error.code || error.code >= 500
+    };
+    quotaManager = { canMakeApiCall: jest.fn().mockReturnValue(true) };
+    queue = createQueue();
+  });
+
+  afterEach(() => {
+    queue.stop();
+  });
+
+  test('sends by priority, first in first out within a priority', async () => {
+    queue.enqueue('ambient', { priority: AMBIENT });
+    queue.enqueue('reply 1', { priority: REPLY });
+    queue.enqueue('thanks', { priority: SUPPORTER });
+    queue.enqueue('reply 2', { priority: REPLY });
+    queue.enqueue('admin', { priority: ADMIN });
+
+    await waitForIdle();
+
+    const sent = youtubeService.sendMessage.mock.calls.map(([, text]) => text);
+    expect(sent).toEqual(['admin', 'thanks', 'reply 1', 'reply 2', 'ambient']);
+    expect(queue.getStats()).toMatchObject({ depth: 0, sent: 5, failed: 0 });
+  });
+
+  test('retries transient errors and gives up on permanent ones', async () => {
+    youtubeService.sendMessage
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(httpError(403));
+
+    const failed = jest.fn();
+    queue.on('failed', failed);
+
+    queue.enqueue('flaky');
+    queue.enqueue('forbidden');
+    await waitForIdle();
+
+    expect(youtubeService.sendMessage).toHaveBeenCalledTimes(3);
+    expect(failed).toHaveBeenCalledTimes(1);
+    expect(queue.getStats()).toMatchObject({
+      sent: 1,
+      failed: 1,
+      retries: 1,
+      lastFailure: { text: 'forbidden', error: 'HTTP 403', attempts: 1 }
+    });
+  });
+
+  test('drops messages that expired or belong to a chat that is gone', async () => {
+    queue = createQueue({ minDelay: 30, maxDelay: 30, maxAge: 10 });
+    queue.enqueue('too late');
+    await waitForIdle();
+
+    queue = createQueue();
+    queue.enqueue('old chat');
+    liveChatId = 'chat-2';
+    await waitForIdle();
+
+    expect(youtubeService.sendMessage).not.toHaveBeenCalled();
+    expect(queue.getStats().dropped).toBe(1);
+  });
+
+  test('drain sends everything queued before returning', async () => {
+    queue = createQueue({ minDelay: 60000, maxDelay: 60000 });
+    queue.enqueue('reply', { priority: REPLY });
+    queue.enqueue('admin', { priority: ADMIN });
+
+    expect(queue.getStats().byPriority).toMatchObject({ admin: 1, reply: 1 });
+
+    await queue.drain();
+
+    expect(youtubeService.sendMessage.mock.calls.map(([, text]) => text)).toEqual(['admin', 'reply']);
+    expect(queue.getStats().depth).toBe(0);
+  });
+});
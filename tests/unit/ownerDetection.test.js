@@ -0,0 +1,116 @@
+/**
+ * Permission levels from YouTube's role flags and channel-ID grants,
+ * the identity registry that keeps them across display-name changes,
+ * and lookalike names
+ */
+
+const OwnerDetection = require('../../src/bot/OwnerDetection');
+const { PERMISSION_LEVELS } = require('../../src/config/constants');
+const { createDataDir } = require('../support/testConfig');
+
+// Real channel IDs: "UC" plus 22 characters
+const DANA = 'UC' + 'dana'.padEnd(22, '0');
+const COHOST = 'UC' + 'cohost'.padEnd(22, '0');
+
+function chatMessage(authorDetails) {
+  return { authorDetails };
+}
+
+function createDetection(overrides = {}) {
+  return new OwnerDetection({
+    YOUTUBE_CHANNEL_ID: 'UC_streamer',
+    OWNER_USERNAME: '',
+    MODERATORS: '',
+    DATA_DIR: createDataDir(),
+    ...overrides
+  });
+}
+
+describe('OwnerDetection', () => {
+  test('derives levels from the API role flags', () => {
+    const detection = createDetection();
+    const level = author => detection.getUserPermissionLevel(chatMessage({ displayName: 'Someone', channelId: 'UC_x', ...author }));
+
+    expect(level({ channelId: 'UC_streamer' })).toBe(PERMISSION_LEVELS.OWNER);
+    expect(level({ isChatOwner: true })).toBe(PERMISSION_LEVELS.OWNER);
+    expect(level({ isChatModerator: true, isChatSponsor: true })).toBe(PERMISSION_LEVELS.MODERATOR);
+    expect(level({ isChatSponsor: true, isVerified: true })).toBe(PERMISSION_LEVELS.MEMBER);
+    expect(level({ isVerified: true })).toBe(PERMISSION_LEVELS.VERIFIED);
+    expect(level({})).toBe(PERMISSION_LEVELS.USER);
+
+    expect(detection.isOwnerOrAdmin(chatMessage({ displayName: 'Dana', isChatModerator: true }))).toBe(true);
+    expect(detection.isOwnerOrAdmin(chatMessage({ displayName: 'Eve', isChatSponsor: true }))).toBe(false);
+  });
+
+  test('the env lists grant roles by channel ID, never by display name', () => {
+    const detection = createDetection({ OWNER_USERNAME: `CoHost,${COHOST}`, MODERATORS: DANA });
+
+    expect(detection.getUserPermissionLevel(chatMessage({ displayName: 'Dana', channelId: DANA, isChatSponsor: true }))).toBe(PERMISSION_LEVELS.MODERATOR);
+    expect(detection.getUserPermissionLevel(chatMessage({ displayName: 'Whoever', channelId: COHOST }))).toBe(PERMISSION_LEVELS.OWNER);
+    expect(detection.getDetectionMethods(chatMessage({ displayName: 'Dana', channelId: DANA, isChatSponsor: true }))).toEqual(['chat_sponsor_flag', 'config_channel_id']);
+
+    // Anyone can call themselves CoHost, or something containing it
+    expect(detection.getUserPermissionLevel(chatMessage({ displayName: 'CoHost', channelId: 'UC_copycat' }))).toBe(PERMISSION_LEVELS.USER);
+    expect(detection.getUserPermissionLevel(chatMessage({ displayName: 'xyz_CoHost_fan', channelId: 'UC_fan' }))).toBe(PERMISSION_LEVELS.USER);
+  });
+
+  test('claimed roles follow the channel ID through a rename and a restart, until revoked', () => {
+    const config = { DATA_DIR: createDataDir() };
+    const detection = createDetection(config);
+    detection.identities.bind({ displayName: 'Dana', channelId: 'UC_dana' }, PERMISSION_LEVELS.MODERATOR);
+
+    const renamed = chatMessage({ displayName: 'Dana (away)', channelId: 'UC_dana' });
+    detection.observe(renamed);
+    expect(detection.getUserPermissionLevel(renamed)).toBe(PERMISSION_LEVELS.MODERATOR);
+    expect(detection.getDetectionMethods(renamed)).toEqual(['claimed_identity']);
+
+    const restarted = createDetection(config);
+    expect(restarted.getUserPermissionLevel(renamed)).toBe(PERMISSION_LEVELS.MODERATOR);
+    expect(restarted.identities.findByName('@dana')).toMatchObject({ channelId: 'UC_dana', displayName: 'Dana (away)', names: ['Dana', 'Dana (away)'] });
+
+    expect(restarted.identities.revokeGrant('UC_dana')).toMatchObject({ level: PERMISSION_LEVELS.MODERATOR, via: 'claim' });
+    expect(createDetection(config).getUserPermissionLevel(renamed)).toBe(PERMISSION_LEVELS.USER);
+  });
+
+  test('grants made by display name in older versions are dropped', () => {
+    const config = { DATA_DIR: createDataDir() };
+    const detection = createDetection(config);
+    detection.identities.store.write({
+      identities: {
+        UC_fake: { displayName: 'NotTheStreamer', names: ['NotTheStreamer'], flags: { owner: false, moderator: false, member: false }, grant: { level: 'owner', entry: 'streamer' } }
+      }
+    });
+
+    const restarted = createDetection(config);
+    expect(restarted.getUserPermissionLevel(chatMessage({ displayName: 'NotTheStreamer', channelId: 'UC_fake' }))).toBe(PERMISSION_LEVELS.USER);
+    expect(restarted.identities.get('UC_fake').grant).toBeNull();
+  });
+
+  test('plain viewers are not stored', () => {
+    const detection = createDetection();
+
+    detection.observe(chatMessage({ displayName: 'Bob', channelId: 'UC_bob' }));
+    detection.observe(chatMessage({ displayName: 'Eve', channelId: 'UC_eve', isChatSponsor: true }));
+
+    expect(detection.identities.get('UC_bob')).toBeNull();
+    expect(detection.getStatus().identities).toEqual({ identities: 1, moderators: 0, members: 1, grants: 0 });
+  });
+
+  test('spots viewers whose name imitates the owner or a moderator', () => {
+    const detection = createDetection({ OWNER_USERNAME: 'Streamer' });
+    detection.observe(chatMessage({ displayName: 'Dana Moderates', channelId: 'UC_dana', isChatModerator: true }));
+
+    const lookalike = (displayName, extra = {}) => detection.findLookalike(chatMessage({ displayName, channelId: 'UC_x', ...extra }));
+    expect(lookalike('xyz_streamer_fan')).toBe('streamer');
+    expect(lookalike('Str3amer')).toBe('streamer');
+    expect(lookalike('Streamr')).toBe('streamer');
+    expect(lookalike('DanaModerates')).toBe('Dana Moderates');
+    expect(lookalike('Dana Moderate5 ✔')).toBe('Dana Moderates');
+    expect(lookalike('Bob')).toBeNull();
+    expect(lookalike('Steamboat')).toBeNull();
+
+    // The real ones are not lookalikes of themselves
+    expect(lookalike('Streamer', { isChatOwner: true })).toBeNull();
+    expect(detection.findLookalike(chatMessage({ displayName: 'Dana Moderates', channelId: 'UC_dana' }))).toBeNull();
+  });
+});
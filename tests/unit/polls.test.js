@@ -0,0 +1,75 @@
+/**
+ * Polls: parsing, one vote per channel ID, tallies and persistence
+ */
+
+const Polls = require('../../src/bot/Polls');
+const { LIMITS } = require('../../src/config/constants');
+const { createDataDir } = require('../support/testConfig');
+
+function createPolls(config = { YOUTUBE_CHANNEL_ID: 'UC_streamer', DATA_DIR: createDataDir() }) {
+  return new Polls(config);
+}
+
+describe('Polls', () => {
+  test('the question and options are split on |', () => {
+    const polls = createPolls();
+
+    expect(polls.parseDefinition('"Best boss?" | Radahn |  Malenia | ')).toEqual({ question: 'Best boss?', options: ['Radahn', 'Malenia'] });
+    expect(() => polls.start('Q', ['only'])).toThrow(`Polls need 2-${LIMITS.POLL_OPTIONS} options`);
+    expect(() => polls.start('Q', ['Yes', 'yes'])).toThrow('Options must be different');
+    expect(() => polls.start('', ['a', 'b'])).toThrow('No question given');
+
+    polls.start('Q', ['a', 'b']);
+    expect(() => polls.start('Again', ['a', 'b'])).toThrow('A poll is already running: Q');
+  });
+
+  test('viewers vote by number or name, once per channel ID, and can change their vote', () => {
+    const polls = createPolls();
+    expect(polls.vote('UC_bob', '1')).toBeNull();
+    polls.start('Pizza?', ['Yes', 'No', 'Pineapple']);
+
+    expect(polls.vote('UC_bob', '1')).toEqual({ option: 'Yes', changed: false });
+    expect(polls.vote('UC_carol', ' pineapple ')).toEqual({ option: 'Pineapple', changed: false });
+    expect(polls.vote('UC_dana', '#3')).toEqual({ option: 'Pineapple', changed: false });
+    expect(polls.vote('UC_bob', 'no')).toEqual({ option: 'No', changed: true });
+    expect(polls.vote('UC_eve', '4')).toBeNull();
+    expect(polls.vote('UC_eve', 'maybe')).toBeNull();
+    expect(polls.vote(null, '1')).toBeNull();
+
+    expect(polls.tally()).toMatchObject({
+      question: 'Pizza?',
+      open: true,
+      total: 3,
+      leaders: ['Pineapple'],
+      options: [
+        { number: 1, option: 'Yes', votes: 0, percent: 0 },
+        { number: 2, option: 'No', votes: 1, percent: 33 },
+        { number: 3, option: 'Pineapple', votes: 2, percent: 67 }
+      ]
+    });
+
+    // Votes are written in batches
+    expect(polls.saveTimeout).not.toBeNull();
+    polls.save();
+    expect(polls.saveTimeout).toBeNull();
+  });
+
+  test('ending a poll keeps its result, and an open poll survives a restart', () => {
+    const config = { YOUTUBE_CHANNEL_ID: 'UC_streamer', DATA_DIR: createDataDir() };
+    const polls = createPolls(config);
+    polls.start('Tie?', ['a', 'b'], 'Dana');
+    polls.vote('UC_bob', 'a');
+    polls.vote('UC_carol', 'b');
+    polls.save();
+
+    const restarted = createPolls(config);
+    expect(restarted.tally()).toMatchObject({ total: 2, leaders: ['a', 'b'] });
+
+    const result = restarted.end();
+    expect(result).toMatchObject({ question: 'Tie?', open: false, total: 2 });
+    expect(result.endedAt).toEqual(expect.any(String));
+    expect(restarted.end()).toBeNull();
+    expect(createPolls(config).getLatest()).toEqual(result);
+    expect(restarted.getStats()).toEqual({ open: false, voters: 0, finished: 1 });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Raffles: eligibility, de-duplication, member weighting, claims and persistence
+ */
+
+const crypto = require('crypto');
+const Raffles = require('../../src/bot/Raffles');
+const { INTERVALS } = require('../../src/config/constants');
+const { createDataDir } = require('../support/testConfig');
+
+function createRaffles(config = { YOUTUBE_CHANNEL_ID: 'UC_streamer', DATA_DIR: createDataDir() }) {
+  return new Raffles(config);
+}
+
+const bob = { channelId: 'UC_bob', displayName: 'Bob' };
+const carol = { channelId: 'UC_carol', displayName: 'Carol', isChatSponsor: true };
+const dana = { channelId: 'UC_dana', displayName: 'Dana' };
+
+describe('Raffles', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('settings are parsed from key=value words and validated', () => {
+    const raffles = createRaffles();
+
+    expect(raffles.parseOptions('keyword=!Giveaway time=2 members messages=3 weight=2 claim=1'))
+      .toEqual({ keyword: '!giveaway', duration: 120000, membersOnly: true, minMessages: 3, memberWeight: 2, claimTimeout: 60000 });
+    expect(() => raffles.parseOptions('prize=hat')).toThrow('Unknown setting prize');
+    expect(() => raffles.parseOptions('time=soon')).toThrow('time must be a number');
+    expect(() => raffles.start({ memberWeight: 11 })).toThrow('weight must be 1-10');
+    expect(() => raffles.start({ claimTimeout: 1000 })).toThrow(`claim must be at least ${INTERVALS.RAFFLE_MIN_CLAIM / 60000} min`);
+
+    const raffle = raffles.start({ duration: 0 });
+    expect(raffle).toMatchObject({ keyword: '!join', status: 'open', closesAt: null });
+    expect(() => raffles.start()).toThrow('A raffle is already open');
+  });
+
+  test('viewers enter once with the keyword, if they meet the rules', () => {
+    const raffles = createRaffles();
+    expect(raffles.enter(bob, '!join')).toBeNull();
+    raffles.start({ minMessages: 1 });
+
+    expect(raffles.enter(bob, 'join me')).toBeNull();
+    expect(raffles.enter(bob, ' !JOIN ')).toEqual({ reason: 'min_messages' });
+    raffles.recordMessage('UC_bob');
+    expect(raffles.enter(bob, '!join')).toMatchObject({ entered: { displayName: 'Bob', member: false } });
+    expect(raffles.enter(bob, '!join')).toEqual({ reason: 'already_entered' });
+    expect(raffles.entrantCount()).toBe(1);
+
+    raffles.cancel();
+    raffles.start({ membersOnly: true });
+    raffles.resetActivity();
+    expect(raffles.enter(bob, '!join')).toEqual({ reason: 'members_only' });
+    expect(raffles.enter(carol, '!join')).toMatchObject({ entered: { member: true } });
+    expect(raffles.current.rejected).toBe(1);
+    raffles.save();
+  });
+
+  test('members get extra tickets and nobody is drawn twice', () => {
+    const raffles = createRaffles();
+    raffles.start({ memberWeight: 3 });
+    [bob, carol, dana].forEach(author => raffles.enter(author, '!join'));
+
+    // Tickets run Bob 0, Carol 1-3, Dana 4
+    const randomInt = jest.spyOn(crypto, 'randomInt').mockReturnValueOnce(3).mockReturnValueOnce(0);
+    const first = raffles.draw('Mod');
+    expect(randomInt).toHaveBeenCalledWith(5);
+    expect(first).toMatchObject({ number: 1, displayName: 'Carol', tickets: 3, totalTickets: 5, candidates: 3, drawnBy: 'Mod', status: 'pending' });
+    expect(raffles.current.status).toBe('closed');
+
+    const second = raffles.draw();
+    expect(randomInt).toHaveBeenLastCalledWith(2);
+    expect(second.displayName).toBe('Bob');
+    expect(first.status).toBe('rerolled');
+
+    raffles.draw();
+    expect(raffles.draw()).toBeNull();
+    expect(raffles.current.draws.map(draw => [draw.displayName, draw.status])).toEqual([['Carol', 'rerolled'], ['Bob', 'rerolled'], ['Dana', 'pending']]);
+  });
+
+  test('winners claim by chatting in time, and every draw is kept for auditing', () => {
+    const config = { YOUTUBE_CHANNEL_ID: 'UC_streamer', DATA_DIR: createDataDir() };
+    const raffles = createRaffles(config);
+    raffles.start({}, 'Mod');
+    [bob, carol].forEach(author => raffles.enter(author, '!join'));
+
+    const draw = raffles.draw();
+    const other = draw.channelId === 'UC_bob' ? 'UC_carol' : 'UC_bob';
+    expect(raffles.claim(other)).toBeNull();
+    expect(raffles.expire(Date.parse(draw.expiresAt) - 1)).toBeNull();
+    expect(raffles.expire(Date.parse(draw.expiresAt))).toMatchObject({ status: 'expired' });
+    expect(raffles.claim(draw.channelId)).toBeNull();
+
+    const redraw = raffles.draw();
+    expect(redraw.channelId).toBe(other);
+    expect(raffles.claim(other)).toMatchObject({ status: 'claimed', claimedAt: expect.any(String) });
+
+    const reloaded = createRaffles(config);
+    expect(reloaded.current.draws.map(entry => entry.status)).toEqual(['expired', 'claimed']);
+    expect(Object.keys(reloaded.current.entrants)).toEqual(['UC_bob', 'UC_carol']);
+
+    reloaded.start();
+    expect(reloaded.history).toHaveLength(1);
+    expect(reloaded.getStats()).toMatchObject({ status: 'open', entrants: 0, draws: 0, pendingWinner: null, finished: 1 });
+    reloaded.cancel();
+    expect(createRaffles(config).history.map(raffle => raffle.status)).toEqual(['closed', 'cancelled']);
+  });
+});
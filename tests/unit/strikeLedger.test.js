@@ -0,0 +1,84 @@
+/**
+ * Strike ledger: escalation steps, decay, lookup by name and persistence
+ */
+
+const StrikeLedger = require('../../src/bot/StrikeLedger');
+const { createDataDir } = require('../support/testConfig');
+
+const HOUR = 60 * 60 * 1000;
+
+function createLedger(overrides = {}) {
+  return new StrikeLedger({
+    DATA_DIR: createDataDir(),
+    YOUTUBE_CHANNEL_ID: 'UC_test',
+    ENABLE_STRIKES: true,
+    STRIKE_DECAY: 24 * HOUR,
+    STRIKE_ESCALATION: ['warn', 'delete', { action: 'timeout', duration: 300 }, 'ban'],
+    MODERATION_TIMEOUT_SECONDS: 60,
+    ...overrides
+  });
+}
+
+describe('StrikeLedger', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('each strike moves the viewer one step up and the last step repeats', () => {
+    const ledger = createLedger();
+
+    expect(ledger.nextStep('UC_mallory')).toEqual({ action: 'warn', duration: 60 });
+    expect(ledger.add('UC_mallory', 'Mallory', { signal: 'spam' })).toBe(1);
+    expect(ledger.nextStep('UC_mallory').action).toBe('delete');
+    ledger.add('UC_mallory', 'Mallory', { signal: 'link' });
+    expect(ledger.nextStep('UC_mallory')).toEqual({ action: 'timeout', duration: 300 });
+    ledger.add('UC_mallory', 'Mallory', { signal: 'spam' });
+    ledger.add('UC_mallory', 'Mallory', { signal: 'spam' });
+    expect(ledger.nextStep('UC_mallory').action).toBe('ban');
+
+    expect(ledger.nextStep('UC_bob').action).toBe('warn');
+    expect(createLedger({ ENABLE_STRIKES: false }).nextStep('UC_mallory')).toBeNull();
+  });
+
+  test('strikes decay after STRIKE_DECAY', () => {
+    jest.useFakeTimers();
+    const ledger = createLedger();
+
+    ledger.add('UC_mallory', 'Mallory', { signal: 'spam' });
+    jest.advanceTimersByTime(12 * HOUR);
+    ledger.add('UC_mallory', 'Mallory', { signal: 'spam' });
+    expect(ledger.count('UC_mallory')).toBe(2);
+
+    jest.advanceTimersByTime(13 * HOUR);
+    expect(ledger.count('UC_mallory')).toBe(1);
+    expect(ledger.nextStep('UC_mallory').action).toBe('delete');
+
+    jest.advanceTimersByTime(12 * HOUR);
+    expect(ledger.list()).toEqual([]);
+  });
+
+  test('finds viewers by name or channel ID and pardons them', () => {
+    const ledger = createLedger();
+    ledger.add('UC_mallory', '@Mallory', { signal: 'spam' });
+
+    expect(ledger.find('mallory')).toMatchObject({ channelId: 'UC_mallory', author: '@Mallory' });
+    expect(ledger.find('uc_mallory')).toMatchObject({ channelId: 'UC_mallory' });
+    expect(ledger.pardon('@MALLORY').strikes).toHaveLength(1);
+    expect(ledger.pardon('Mallory')).toBeNull();
+    expect(ledger.count('UC_mallory')).toBe(0);
+  });
+
+  test('survives a restart', () => {
+    const ledger = createLedger();
+    ledger.add('UC_mallory', 'Mallory', { signal: 'blockedTerm', detail: 'gg ez' });
+    ledger.add('UC_eve', 'Eve', { signal: 'link', detail: 'scam.com' });
+    ledger.add('UC_eve', 'Eve', { signal: 'link', detail: 'scam.com' });
+
+    const reloaded = createLedger({ DATA_DIR: ledger.store.filePath.replace(/\/strikes-UC_test\.json$/, '') });
+    expect(reloaded.list().map(viewer => [viewer.author, viewer.strikes, viewer.next.action])).toEqual([
+      ['Eve', 2, 'timeout'],
+      ['Mallory', 1, 'delete']
+    ]);
+    expect(reloaded.getStats()).toMatchObject({ viewers: 2, strikes: 3, decayHours: 24 });
+  });
+});